@@ -0,0 +1,137 @@
+// config/taskCategories.js
+
+/**
+ * Registry of category task types. Each entry drives the generic task router
+ * (routes/categoryTasks.js), file-upload task creation, counters and completion.
+ *
+ * Adding a category: create its `<name>_tasks` table and `total_<prefix>` /
+ * `completed_<prefix>` columns on projects, then add an entry here.
+ *
+ * Fields:
+ *   key           - Category name used by project_files.category and uploads
+ *   table         - Task table name
+ *   counterPrefix - Suffix of the projects.total_* / completed_* columns
+ *   route         - Mount path of the task API, or null if the category has no API
+ *   label         - Human-readable name used in messages (e.g. 'strip curtain')
+ *   taskTitle     - Prefix of titles for tasks created from uploaded files
+ *   completionKey - Key in the project completion breakdown, or null to leave it out
+ *   approvedOnly  - If true, the task list only returns tasks of approved projects
+ *                   (quotations are worked on before approval, so they list everything)
+ *   workQueue     - If true, open tasks of this category appear in the assignee's
+ *                   GET /api/my-tasks queue (production work, not transport/sales)
+ *   extraFields   - Additional columns exposed by the API: [{ column, key }]
+ *                   where `key` is the camelCase name in API responses
+ */
+const TASK_CATEGORIES = [
+    {
+        key: 'panel',
+        table: 'panel_tasks',
+        counterPrefix: 'panel',
+        route: '/api/panel-tasks',
+        label: 'panel',
+        taskTitle: 'Panel Task',
+        completionKey: 'panelSlab',
+        approvedOnly: true,
+        workQueue: true,
+        extraFields: []
+    },
+    {
+        key: 'cutting',
+        table: 'cutting_tasks',
+        counterPrefix: 'cutting',
+        route: '/api/cutting-tasks',
+        label: 'cutting',
+        taskTitle: 'Cutting Task',
+        completionKey: 'cutting',
+        approvedOnly: true,
+        workQueue: true,
+        extraFields: []
+    },
+    {
+        key: 'door',
+        table: 'door_tasks',
+        counterPrefix: 'door',
+        route: '/api/door-tasks',
+        label: 'door',
+        taskTitle: 'Door Task',
+        completionKey: 'door',
+        approvedOnly: true,
+        workQueue: true,
+        extraFields: []
+    },
+    {
+        key: 'strip_curtain',
+        table: 'strip_curtain_tasks',
+        counterPrefix: 'strip_curtain',
+        route: '/api/strip-curtain-tasks',
+        label: 'strip curtain',
+        taskTitle: 'Strip Curtain Task',
+        completionKey: 'stripCurtain',
+        approvedOnly: true,
+        workQueue: true,
+        extraFields: []
+    },
+    {
+        key: 'accessories',
+        table: 'accessories_tasks',
+        counterPrefix: 'accessories',
+        route: '/api/accessories-tasks',
+        label: 'accessories',
+        taskTitle: 'Accessories Task',
+        completionKey: 'accessories',
+        approvedOnly: true,
+        workQueue: true,
+        extraFields: []
+    },
+    {
+        key: 'system',
+        table: 'system_tasks',
+        counterPrefix: 'system',
+        route: '/api/system-tasks',
+        label: 'system',
+        taskTitle: 'System Task',
+        completionKey: 'system',
+        approvedOnly: true,
+        workQueue: true,
+        extraFields: []
+    },
+    {
+        key: 'transportation',
+        table: 'transportation_tasks',
+        counterPrefix: 'transportation',
+        route: '/api/transportation-tasks',
+        label: 'transportation',
+        taskTitle: 'Transport Task',
+        completionKey: 'transportation',
+        approvedOnly: true,
+        workQueue: false,
+        extraFields: []
+    },
+    {
+        key: 'quotation',
+        table: 'quotation_tasks',
+        counterPrefix: 'quotation',
+        route: '/api/quotation-tasks',
+        label: 'quotation',
+        taskTitle: 'Quotation Task',
+        completionKey: 'quotation',
+        approvedOnly: false,
+        workQueue: false,
+        extraFields: []
+    }
+];
+
+/**
+ * Looks up a category by its key (e.g. 'strip_curtain').
+ * @param {string} key
+ * @returns {object|undefined}
+ */
+const getTaskCategory = (key) => TASK_CATEGORIES.find(category => category.key === key);
+
+/**
+ * Names of every category task table.
+ * @returns {string[]}
+ */
+const getTaskTables = () => TASK_CATEGORIES.map(category => category.table);
+
+module.exports = { TASK_CATEGORIES, getTaskCategory, getTaskTables };
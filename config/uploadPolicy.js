@@ -0,0 +1,116 @@
+// config/uploadPolicy.js
+
+/**
+ * Upload rules per file category (project_files.category / the upload form's
+ * `category` field). Categories without an entry use DEFAULT_UPLOAD_POLICY;
+ * an entry only needs the fields it changes.
+ *
+ * Fields:
+ *   allowedTypes      - File type ids from FILE_TYPES that may be uploaded
+ *   maxFileSizeMb     - Largest single file
+ *   maxRequestSizeMb  - Largest total of all files in one upload request
+ *   maxFiles          - Most files in one upload request
+ *   maxResumableFileSizeMb - Largest file sent through a chunked upload session
+ *
+ * UPLOAD_MAX_FILE_SIZE_MB, UPLOAD_MAX_REQUEST_SIZE_MB and
+ * UPLOAD_MAX_RESUMABLE_FILE_SIZE_MB override the size limits of every
+ * category (e.g. to tighten them on a small disk).
+ */
+
+/**
+ * Known file types. A file is accepted when its extension belongs to an
+ * allowed type AND its content matches that type's signature (see
+ * services/uploadValidation.js); the stored mime type is the canonical one here.
+ *
+ *   extensions - Lower-case extensions including the dot
+ *   mimeType   - Canonical mime type stored for the file
+ *   signature  - How the content is recognised: 'pdf', 'png', 'jpeg', 'gif',
+ *                'webp', 'zip', 'ole' (legacy Office), 'dwg', 'isobmff'
+ *                (MP4/QuickTime video) or 'text'
+ */
+const FILE_TYPES = {
+    pdf: { extensions: ['.pdf'], mimeType: 'application/pdf', signature: 'pdf' },
+    png: { extensions: ['.png'], mimeType: 'image/png', signature: 'png' },
+    jpeg: { extensions: ['.jpg', '.jpeg'], mimeType: 'image/jpeg', signature: 'jpeg' },
+    gif: { extensions: ['.gif'], mimeType: 'image/gif', signature: 'gif' },
+    webp: { extensions: ['.webp'], mimeType: 'image/webp', signature: 'webp' },
+    dwg: { extensions: ['.dwg'], mimeType: 'image/vnd.dwg', signature: 'dwg' },
+    dxf: { extensions: ['.dxf'], mimeType: 'image/vnd.dxf', signature: 'text' },
+    xlsx: { extensions: ['.xlsx'], mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', signature: 'zip' },
+    docx: { extensions: ['.docx'], mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', signature: 'zip' },
+    xls: { extensions: ['.xls'], mimeType: 'application/vnd.ms-excel', signature: 'ole' },
+    doc: { extensions: ['.doc'], mimeType: 'application/msword', signature: 'ole' },
+    zip: { extensions: ['.zip'], mimeType: 'application/zip', signature: 'zip' },
+    mp4: { extensions: ['.mp4', '.m4v'], mimeType: 'video/mp4', signature: 'isobmff' },
+    mov: { extensions: ['.mov'], mimeType: 'video/quicktime', signature: 'isobmff' },
+    csv: { extensions: ['.csv'], mimeType: 'text/csv', signature: 'text' },
+    txt: { extensions: ['.txt'], mimeType: 'text/plain', signature: 'text' }
+};
+
+const DRAWING_TYPES = ['pdf', 'dwg', 'dxf', 'png', 'jpeg'];
+const PHOTO_TYPES = ['jpeg', 'png', 'gif', 'webp'];
+const DOCUMENT_TYPES = ['pdf', 'xlsx', 'xls', 'docx', 'doc', 'csv', 'txt'];
+const VIDEO_TYPES = ['mp4', 'mov'];
+
+const DEFAULT_UPLOAD_POLICY = {
+    allowedTypes: [...new Set([...DRAWING_TYPES, ...PHOTO_TYPES, ...DOCUMENT_TYPES, ...VIDEO_TYPES, 'zip'])],
+    maxFileSizeMb: 50,
+    maxRequestSizeMb: 200,
+    maxFiles: 20,
+    maxResumableFileSizeMb: 2048
+};
+
+const CATEGORY_UPLOAD_POLICIES = {
+    panel: { allowedTypes: [...DRAWING_TYPES, 'xlsx', 'xls', 'csv'] },
+    cutting: { allowedTypes: [...DRAWING_TYPES, 'xlsx', 'xls', 'csv'] },
+    door: { allowedTypes: DRAWING_TYPES },
+    strip_curtain: { allowedTypes: DRAWING_TYPES },
+    system: { allowedTypes: [...DRAWING_TYPES, 'xlsx', 'xls'] },
+    transportation: { allowedTypes: [...PHOTO_TYPES, ...VIDEO_TYPES, 'pdf'], maxFileSizeMb: 25 },
+    quotation: { allowedTypes: DOCUMENT_TYPES, maxFileSizeMb: 25, maxResumableFileSizeMb: 200 }
+};
+
+const envSizeMb = (name) => {
+    const value = parseFloat(process.env[name]);
+    return value > 0 ? value : null;
+};
+
+/**
+ * Effective policy for a category, with sizes in bytes.
+ * @param {string|null|undefined} category
+ * @returns {{allowedTypes: string[], maxFileSize: number, maxRequestSize: number, maxFiles: number, maxResumableFileSize: number}}
+ */
+function getUploadPolicy(category) {
+    const policy = { ...DEFAULT_UPLOAD_POLICY, ...(category && CATEGORY_UPLOAD_POLICIES[category]) };
+    const megabytes = (name, value) => Math.round((envSizeMb(name) || value) * 1024 * 1024);
+
+    return {
+        allowedTypes: policy.allowedTypes,
+        maxFileSize: megabytes('UPLOAD_MAX_FILE_SIZE_MB', policy.maxFileSizeMb),
+        maxRequestSize: megabytes('UPLOAD_MAX_REQUEST_SIZE_MB', policy.maxRequestSizeMb),
+        maxFiles: policy.maxFiles,
+        maxResumableFileSize: megabytes('UPLOAD_MAX_RESUMABLE_FILE_SIZE_MB', policy.maxResumableFileSizeMb)
+    };
+}
+
+/**
+ * The most permissive limits across all categories. Used while a request is
+ * still streaming, before its category field is known.
+ * @returns {{maxFileSize: number, maxRequestSize: number, maxFiles: number}}
+ */
+function getUploadCeiling() {
+    const policies = [null, ...Object.keys(CATEGORY_UPLOAD_POLICIES)].map(getUploadPolicy);
+    return {
+        maxFileSize: Math.max(...policies.map(policy => policy.maxFileSize)),
+        maxRequestSize: Math.max(...policies.map(policy => policy.maxRequestSize)),
+        maxFiles: Math.max(...policies.map(policy => policy.maxFiles))
+    };
+}
+
+module.exports = {
+    FILE_TYPES,
+    DEFAULT_UPLOAD_POLICY,
+    CATEGORY_UPLOAD_POLICIES,
+    getUploadPolicy,
+    getUploadCeiling
+};
@@ -0,0 +1,180 @@
+// db/migrate.js
+// Versioned schema migrations.
+//
+// Migrations live in db/migrations as NNN_description.js and export
+// { description, up(connection), down(connection) }. Applied migrations are
+// recorded in the schema_migrations table. MySQL DDL auto-commits, so each
+// migration should be written to be safe to re-run if it fails half way.
+//
+// CLI:
+//   npm run migrate              Apply all pending migrations
+//   npm run migrate -- up 1      Apply the next pending migration
+//   npm run migrate:down         Revert the most recent migration
+//   npm run migrate:down -- 3    Revert the three most recent migrations
+//   npm run migrate:status       List applied and pending migrations
+
+const fs = require('fs');
+const path = require('path');
+const db = require('./connection');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATIONS_TABLE = 'schema_migrations';
+const LOCK_NAME = 'unitedpanel_schema_migrations';
+const LOCK_TIMEOUT_SECONDS = 60;
+
+/**
+ * Loads migration modules in version order.
+ * @returns {Array<{id: string, description: string, up: Function, down: Function}>}
+ */
+function loadMigrations() {
+    return fs.readdirSync(MIGRATIONS_DIR)
+        .filter(file => /^\d{3}_[\w-]+\.js$/.test(file))
+        .sort()
+        .map(file => {
+            const migration = require(path.join(MIGRATIONS_DIR, file));
+            return {
+                id: path.basename(file, '.js'),
+                description: migration.description || '',
+                up: migration.up,
+                down: migration.down
+            };
+        });
+}
+
+async function ensureMigrationsTable(connection) {
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS ${MIGRATIONS_TABLE} (
+            id VARCHAR(255) PRIMARY KEY,
+            applied_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+}
+
+async function getAppliedMigrations(connection) {
+    const [rows] = await connection.query(`SELECT id, applied_at FROM ${MIGRATIONS_TABLE} ORDER BY id`);
+    return new Map(rows.map(row => [row.id, row.applied_at]));
+}
+
+/**
+ * Runs a callback on a dedicated connection while holding a named lock,
+ * so two instances starting at once do not run the same migration twice.
+ */
+async function withMigrationLock(callback) {
+    const connection = await db.getConnection();
+
+    try {
+        const [[lock]] = await connection.query('SELECT GET_LOCK(?, ?) AS acquired', [LOCK_NAME, LOCK_TIMEOUT_SECONDS]);
+        if (lock.acquired !== 1) {
+            throw new Error(`Could not acquire migration lock within ${LOCK_TIMEOUT_SECONDS}s`);
+        }
+
+        try {
+            await ensureMigrationsTable(connection);
+            return await callback(connection);
+        } finally {
+            await connection.query('SELECT RELEASE_LOCK(?)', [LOCK_NAME]);
+        }
+    } finally {
+        connection.release();
+    }
+}
+
+/**
+ * Applies pending migrations in order.
+ * @param {object} [options]
+ * @param {number} [options.steps=Infinity] - Maximum number of migrations to apply.
+ * @returns {Promise<string[]>} IDs of the migrations that were applied.
+ */
+async function migrateUp({ steps = Infinity } = {}) {
+    return withMigrationLock(async (connection) => {
+        const applied = await getAppliedMigrations(connection);
+        const pending = loadMigrations().filter(migration => !applied.has(migration.id)).slice(0, steps);
+        const done = [];
+
+        for (const migration of pending) {
+            console.log(`⬆️  Applying migration ${migration.id}...`);
+            await migration.up(connection);
+            await connection.query(`INSERT INTO ${MIGRATIONS_TABLE} (id) VALUES (?)`, [migration.id]);
+            done.push(migration.id);
+        }
+
+        return done;
+    });
+}
+
+/**
+ * Reverts the most recently applied migrations.
+ * @param {object} [options]
+ * @param {number} [options.steps=1] - Number of migrations to revert.
+ * @returns {Promise<string[]>} IDs of the migrations that were reverted.
+ */
+async function migrateDown({ steps = 1 } = {}) {
+    return withMigrationLock(async (connection) => {
+        const applied = await getAppliedMigrations(connection);
+        const migrations = loadMigrations();
+        const toRevert = [...applied.keys()].sort().reverse().slice(0, steps);
+        const done = [];
+
+        for (const id of toRevert) {
+            const migration = migrations.find(m => m.id === id);
+            if (!migration) {
+                throw new Error(`Migration ${id} is recorded as applied but its file is missing`);
+            }
+
+            console.log(`⬇️  Reverting migration ${id}...`);
+            await migration.down(connection);
+            await connection.query(`DELETE FROM ${MIGRATIONS_TABLE} WHERE id = ?`, [id]);
+            done.push(id);
+        }
+
+        return done;
+    });
+}
+
+/**
+ * Lists every known migration with its applied time (null when pending).
+ * @returns {Promise<Array<{id: string, description: string, appliedAt: Date|null}>>}
+ */
+async function migrationStatus() {
+    return withMigrationLock(async (connection) => {
+        const applied = await getAppliedMigrations(connection);
+        return loadMigrations().map(migration => ({
+            id: migration.id,
+            description: migration.description,
+            appliedAt: applied.get(migration.id) || null
+        }));
+    });
+}
+
+module.exports = { migrateUp, migrateDown, migrationStatus, loadMigrations };
+
+// CLI entry point
+if (require.main === module) {
+    const [command = 'up', stepsArg] = process.argv.slice(2);
+    const steps = stepsArg !== undefined ? parseInt(stepsArg) : undefined;
+
+    const run = async () => {
+        if (command === 'up') {
+            const done = await migrateUp({ steps });
+            console.log(done.length ? `✅ Applied ${done.length} migration(s).` : '✅ Database is up to date.');
+        } else if (command === 'down') {
+            const done = await migrateDown({ steps });
+            console.log(done.length ? `✅ Reverted ${done.length} migration(s).` : 'ℹ️ No migrations to revert.');
+        } else if (command === 'status') {
+            const status = await migrationStatus();
+            status.forEach(({ id, description, appliedAt }) => {
+                const state = appliedAt ? `applied ${new Date(appliedAt).toISOString()}` : 'pending';
+                console.log(`${appliedAt ? '✓' : '·'} ${id} (${state}) ${description}`);
+            });
+        } else {
+            throw new Error(`Unknown command '${command}'. Use up, down or status.`);
+        }
+    };
+
+    run()
+        .catch(err => {
+            console.error('❌ Migration failed:', err.message);
+            process.exitCode = 1;
+        })
+        .finally(() => db.end());
+}
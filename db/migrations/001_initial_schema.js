@@ -0,0 +1,204 @@
+// db/migrations/001_initial_schema.js
+// Baseline schema as used by the routes before migrations were introduced.
+// Every statement is IF NOT EXISTS so existing databases are adopted as-is;
+// projects columns the routes used to probe for at runtime are added when missing.
+
+const { addColumnIfMissing } = require('../schemaHelpers');
+
+// Frozen list: later categories get their own migration instead of editing this one
+const TASK_PREFIXES = [
+    'panel', 'cutting', 'door', 'strip_curtain',
+    'accessories', 'system', 'transportation', 'quotation'
+];
+
+const counterColumns = TASK_PREFIXES
+    .map(prefix => `total_${prefix} INT NOT NULL DEFAULT 0,\n        completed_${prefix} INT NOT NULL DEFAULT 0,`)
+    .join('\n        ');
+
+async function up(connection) {
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS projects (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            projectNo VARCHAR(100) NOT NULL,
+            projectName VARCHAR(255) NULL,
+            customer VARCHAR(255) NOT NULL,
+            salesman VARCHAR(255) NULL,
+            drawingDate DATE NULL,
+            poPayment VARCHAR(255) NULL,
+            requestedDelivery DATE NULL,
+            remark TEXT NULL,
+            status VARCHAR(50) NOT NULL DEFAULT 'Active',
+            ${counterColumns}
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME NULL,
+            UNIQUE KEY uq_projects_projectNo (projectNo)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    // Older hand-made projects tables may not have these
+    await addColumnIfMissing(connection, 'projects', 'projectName', 'VARCHAR(255) NULL');
+    await addColumnIfMissing(connection, 'projects', 'salesman', 'VARCHAR(255) NULL');
+    await addColumnIfMissing(connection, 'projects', 'status', "VARCHAR(50) NOT NULL DEFAULT 'Active'");
+    for (const prefix of TASK_PREFIXES) {
+        await addColumnIfMissing(connection, 'projects', `total_${prefix}`, 'INT NOT NULL DEFAULT 0');
+        await addColumnIfMissing(connection, 'projects', `completed_${prefix}`, 'INT NOT NULL DEFAULT 0');
+    }
+    await addColumnIfMissing(connection, 'projects', 'updated_at', 'DATETIME NULL');
+
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS project_files (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            projectNo VARCHAR(100) NOT NULL,
+            file_name VARCHAR(255) NOT NULL,
+            file_size BIGINT NULL,
+            mime_type VARCHAR(150) NULL,
+            file_data LONGBLOB NULL,
+            category VARCHAR(50) NULL,
+            taskNo INT NULL,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_project_files_projectNo (projectNo)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    for (const prefix of TASK_PREFIXES) {
+        await connection.query(`
+            CREATE TABLE IF NOT EXISTS ${prefix}_tasks (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                title VARCHAR(255) NOT NULL,
+                description TEXT NULL,
+                priority VARCHAR(20) NULL,
+                status VARCHAR(50) NOT NULL DEFAULT 'pending',
+                project_no VARCHAR(100) NOT NULL,
+                due_date DATE NULL,
+                approve_status VARCHAR(20) NOT NULL DEFAULT 'Pending',
+                created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                INDEX idx_${prefix}_tasks_project_no (project_no)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+        `);
+    }
+
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS job_ledger (
+            Record_ID INT AUTO_INCREMENT PRIMARY KEY,
+            Date_Entry DATE NOT NULL,
+            Job_No VARCHAR(100) NOT NULL,
+            Customer_Name VARCHAR(255) NULL,
+            Sales_Amount DECIMAL(14, 2) NULL,
+            Sell_Price DECIMAL(14, 2) NULL,
+            Cost DECIMAL(14, 2) NULL,
+            Margin DECIMAL(14, 2) NULL,
+            Remarks TEXT NULL,
+            Signature_Data LONGBLOB NULL,
+            UNIQUE KEY uq_job_ledger_Job_No (Job_No)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS activity_logs (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            timestamp DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            user_id INT NULL,
+            activity_type VARCHAR(50) NOT NULL,
+            resource_type VARCHAR(50) NOT NULL,
+            resource_id VARCHAR(100) NULL,
+            message TEXT NULL,
+            details JSON NULL,
+            INDEX idx_activity_logs_timestamp (timestamp),
+            INDEX idx_activity_logs_resource (resource_type, resource_id)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS subtasks (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            title VARCHAR(255) NOT NULL,
+            status VARCHAR(50) NOT NULL DEFAULT 'pending',
+            project_id VARCHAR(100) NOT NULL,
+            category_task_id INT NOT NULL,
+            category VARCHAR(50) NULL,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_subtasks_category_task (category_task_id)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS panels (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            reference_number VARCHAR(50) NULL,
+            job_no VARCHAR(100) NULL,
+            type VARCHAR(100) NULL,
+            panel_thk DECIMAL(10, 2) NULL,
+            joint VARCHAR(100) NULL,
+            surface_front VARCHAR(100) NULL,
+            surface_back VARCHAR(100) NULL,
+            surface_front_thk DECIMAL(10, 2) NULL,
+            surface_back_thk DECIMAL(10, 2) NULL,
+            surface_type VARCHAR(100) NULL,
+            width DECIMAL(10, 2) NOT NULL DEFAULT 0,
+            length DECIMAL(10, 2) NOT NULL DEFAULT 0,
+            qty INT NULL,
+            cutting VARCHAR(100) NULL,
+            balance INT NULL,
+            production_meter DECIMAL(12, 2) NULL,
+            brand VARCHAR(100) NULL,
+            estimated_delivery DATE NULL,
+            status VARCHAR(50) NOT NULL DEFAULT 'pending',
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME NULL,
+            INDEX idx_panels_job_no (job_no)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS production_records (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            panel_id INT NOT NULL,
+            reference_number VARCHAR(50) NULL,
+            job_no VARCHAR(100) NULL,
+            brand VARCHAR(100) NULL,
+            estimated_delivery DATE NULL,
+            date DATE NOT NULL,
+            delivery_date DATE NULL,
+            number_of_panels INT NOT NULL DEFAULT 1,
+            notes TEXT NULL,
+            balance_after INT NULL,
+            status VARCHAR(50) NOT NULL DEFAULT 'pending',
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME NULL,
+            INDEX idx_production_records_panel (panel_id),
+            CONSTRAINT fk_production_records_panel FOREIGN KEY (panel_id) REFERENCES panels(id)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS excel_table (
+            id INT(11) AUTO_INCREMENT PRIMARY KEY,
+            \`NO\` TEXT NULL,
+            \`WIDTH\` TEXT NULL,
+            \`LENGTH (mm)\` TEXT NULL,
+            \`QTY (Pcs)\` TEXT NULL,
+            \`Thk\` TEXT NULL,
+            \`Surface\` TEXT NULL,
+            \`APPLICATION\` TEXT NULL,
+            \`REMARKS\` TEXT NULL,
+            \`BATCH\` TEXT NULL
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+}
+
+async function down(connection) {
+    const tables = [
+        'excel_table', 'production_records', 'panels', 'subtasks', 'activity_logs',
+        'job_ledger', ...TASK_PREFIXES.map(prefix => `${prefix}_tasks`), 'project_files', 'projects'
+    ];
+
+    for (const table of tables) {
+        await connection.query(`DROP TABLE IF EXISTS ${table}`);
+    }
+}
+
+module.exports = {
+    description: 'Baseline schema for projects, files, category tasks, job ledger, logs, subtasks and panels',
+    up,
+    down
+};
@@ -0,0 +1,58 @@
+// db/migrations/002_users_and_auth.js
+// Users, refresh tokens and the "who did it" columns on files and job approvals.
+// Replaces the hand-run db/auth_schema.sql.
+
+const { addColumnIfMissing, dropColumnIfExists } = require('../schemaHelpers');
+
+async function up(connection) {
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS users (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            username VARCHAR(100) NOT NULL UNIQUE,
+            password_hash VARCHAR(255) NOT NULL,
+            display_name VARCHAR(255) NULL,
+            email VARCHAR(255) NULL,
+            role ENUM('admin', 'sales', 'production', 'store', 'driver') NOT NULL DEFAULT 'production',
+            is_active TINYINT(1) NOT NULL DEFAULT 1,
+            last_login_at DATETIME NULL,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME NULL ON UPDATE CURRENT_TIMESTAMP
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    // Refresh tokens are stored as SHA-256 hashes, never in plain text.
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS refresh_tokens (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NOT NULL,
+            token_hash CHAR(64) NOT NULL UNIQUE,
+            expires_at DATETIME NOT NULL,
+            revoked_at DATETIME NULL,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_refresh_tokens_user (user_id),
+            CONSTRAINT fk_refresh_tokens_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    // Databases that ran db/auth_schema.sql before the role column was added
+    await addColumnIfMissing(connection, 'users', 'role',
+        "ENUM('admin', 'sales', 'production', 'store', 'driver') NOT NULL DEFAULT 'production' AFTER email");
+
+    await addColumnIfMissing(connection, 'project_files', 'uploaded_by', 'INT NULL');
+    await addColumnIfMissing(connection, 'job_ledger', 'Approved_By', 'INT NULL');
+    await addColumnIfMissing(connection, 'job_ledger', 'Approved_At', 'DATETIME NULL');
+}
+
+async function down(connection) {
+    await dropColumnIfExists(connection, 'job_ledger', 'Approved_At');
+    await dropColumnIfExists(connection, 'job_ledger', 'Approved_By');
+    await dropColumnIfExists(connection, 'project_files', 'uploaded_by');
+    await connection.query('DROP TABLE IF EXISTS refresh_tokens');
+    await connection.query('DROP TABLE IF EXISTS users');
+}
+
+module.exports = {
+    description: 'Users, refresh tokens, file uploader and job approver columns',
+    up,
+    down
+};
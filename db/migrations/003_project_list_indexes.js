@@ -0,0 +1,30 @@
+// db/migrations/003_project_list_indexes.js
+// Indexes backing the filters and sort fields of GET /api/projects.
+
+const { addIndexIfMissing, dropIndexIfExists } = require('../schemaHelpers');
+
+const INDEXES = [
+    ['idx_projects_status', '(status)'],
+    ['idx_projects_customer', '(customer)'],
+    ['idx_projects_requestedDelivery', '(requestedDelivery)'],
+    ['idx_projects_drawingDate', '(drawingDate)'],
+    ['idx_projects_created_at', '(created_at, id)']
+];
+
+async function up(connection) {
+    for (const [index, definition] of INDEXES) {
+        await addIndexIfMissing(connection, 'projects', index, definition);
+    }
+}
+
+async function down(connection) {
+    for (const [index] of INDEXES) {
+        await dropIndexIfExists(connection, 'projects', index);
+    }
+}
+
+module.exports = {
+    description: 'Indexes for project list filtering and sorting',
+    up,
+    down
+};
@@ -0,0 +1,59 @@
+// db/migrations/004_project_status_lifecycle.js
+// Normalises free-text project statuses to the lifecycle values in
+// services/projectLifecycle.js ('active' -> 'Active', 'completed' -> 'Done', ...).
+// Empty and unrecognised statuses become FALLBACK_STATUS (and are reported), since
+// a status outside the lifecycle has no transitions and the column becomes NOT NULL.
+
+// Frozen copy of the lifecycle statuses at the time of this migration
+const STATUSES = ['Draft', 'Active', 'Approved', 'In Production', 'Delivered', 'Done', 'On Hold', 'Cancelled'];
+
+const FALLBACK_STATUS = 'Active';
+
+// Legacy values seen in existing data that are not just a casing difference
+const LEGACY_STATUSES = {
+    'completed': 'Done',
+    'complete': 'Done',
+    'in progress': 'Active',
+    'pending': 'Draft',
+    'hold': 'On Hold',
+    'canceled': 'Cancelled'
+};
+
+async function up(connection) {
+    for (const status of STATUSES) {
+        await connection.query(
+            `UPDATE projects SET status = ?
+             WHERE LOWER(REPLACE(REPLACE(TRIM(status), '_', ' '), '-', ' ')) = ? AND status <> BINARY ?`,
+            [status, status.toLowerCase(), status]
+        );
+    }
+
+    for (const [legacy, status] of Object.entries(LEGACY_STATUSES)) {
+        await connection.query('UPDATE projects SET status = ? WHERE LOWER(TRIM(status)) = ?', [status, legacy]);
+    }
+
+    const [unknown] = await connection.query(
+        'SELECT DISTINCT status FROM projects WHERE status IS NULL OR status NOT IN (?)',
+        [STATUSES]
+    );
+    if (unknown.length > 0) {
+        await connection.query(
+            'UPDATE projects SET status = ? WHERE status IS NULL OR status NOT IN (?)',
+            [FALLBACK_STATUS, STATUSES]
+        );
+        const values = unknown.map(row => (row.status === null ? 'NULL' : `'${row.status}'`));
+        console.warn(`⚠️ Projects with unrecognised statuses set to ${FALLBACK_STATUS}: ${values.join(', ')}`);
+    }
+
+    await connection.query("ALTER TABLE projects MODIFY status VARCHAR(50) NOT NULL DEFAULT 'Active'");
+}
+
+async function down() {
+    // Status casing cannot be restored; the canonical values remain valid input.
+}
+
+module.exports = {
+    description: 'Normalise project statuses to the project lifecycle',
+    up,
+    down
+};
@@ -0,0 +1,35 @@
+// db/migrations/005_soft_delete.js
+// deleted_at / deleted_by markers for trashed projects and their children.
+
+const { addColumnIfMissing, dropColumnIfExists, addIndexIfMissing, dropIndexIfExists } = require('../schemaHelpers');
+
+// Frozen list of the tables a project trash cascades to
+const TABLES = [
+    'projects',
+    'project_files',
+    'job_ledger',
+    'panel_tasks', 'cutting_tasks', 'door_tasks', 'strip_curtain_tasks',
+    'accessories_tasks', 'system_tasks', 'transportation_tasks', 'quotation_tasks'
+];
+
+async function up(connection) {
+    for (const table of TABLES) {
+        await addColumnIfMissing(connection, table, 'deleted_at', 'DATETIME NULL');
+        await addColumnIfMissing(connection, table, 'deleted_by', 'INT NULL');
+        await addIndexIfMissing(connection, table, `idx_${table}_deleted_at`, '(deleted_at)');
+    }
+}
+
+async function down(connection) {
+    for (const table of TABLES) {
+        await dropIndexIfExists(connection, table, `idx_${table}_deleted_at`);
+        await dropColumnIfExists(connection, table, 'deleted_by');
+        await dropColumnIfExists(connection, table, 'deleted_at');
+    }
+}
+
+module.exports = {
+    description: 'Soft delete columns for projects, files, job ledger and category tasks',
+    up,
+    down
+};
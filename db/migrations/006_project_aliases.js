@@ -0,0 +1,24 @@
+// db/migrations/006_project_aliases.js
+// Old project/job numbers kept after a rename so existing links still resolve.
+
+async function up(connection) {
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS project_aliases (
+            alias VARCHAR(100) NOT NULL PRIMARY KEY,
+            projectNo VARCHAR(100) NOT NULL,
+            created_by INT NULL,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_project_aliases_projectNo (projectNo)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+}
+
+async function down(connection) {
+    await connection.query('DROP TABLE IF EXISTS project_aliases');
+}
+
+module.exports = {
+    description: 'Project number aliases for renamed jobs',
+    up,
+    down
+};
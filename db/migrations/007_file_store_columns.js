@@ -0,0 +1,26 @@
+// db/migrations/007_file_store_columns.js
+// project_files content moves from the file_data BLOB to the file store
+// (services/fileStore.js). Rows keep file_data until scripts/migrateFileBlobs.js
+// has copied them out.
+
+const { addColumnIfMissing, dropColumnIfExists, addIndexIfMissing, dropIndexIfExists } = require('../schemaHelpers');
+
+async function up(connection) {
+    await addColumnIfMissing(connection, 'project_files', 'storage_key', 'VARCHAR(255) NULL AFTER mime_type');
+    await addColumnIfMissing(connection, 'project_files', 'sha256', 'CHAR(64) NULL AFTER storage_key');
+    await addIndexIfMissing(connection, 'project_files', 'idx_project_files_storage_key', '(storage_key)');
+    await addIndexIfMissing(connection, 'project_files', 'idx_project_files_sha256', '(sha256)');
+}
+
+async function down(connection) {
+    await dropIndexIfExists(connection, 'project_files', 'idx_project_files_sha256');
+    await dropIndexIfExists(connection, 'project_files', 'idx_project_files_storage_key');
+    await dropColumnIfExists(connection, 'project_files', 'sha256');
+    await dropColumnIfExists(connection, 'project_files', 'storage_key');
+}
+
+module.exports = {
+    description: 'File store key and SHA-256 columns on project_files',
+    up,
+    down
+};
@@ -0,0 +1,70 @@
+// db/migrations/008_project_documents.js
+// Groups project_files into documents with numbered revisions (1 = Rev A, 2 = Rev B, ...).
+// Every existing file becomes its own document at revision 1.
+
+const { addColumnIfMissing, dropColumnIfExists, addIndexIfMissing, dropIndexIfExists } = require('../schemaHelpers');
+
+const BACKFILL_BATCH_SIZE = 500;
+
+async function up(connection) {
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS project_documents (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            projectNo VARCHAR(100) NOT NULL,
+            category VARCHAR(50) NULL,
+            title VARCHAR(255) NOT NULL,
+            task_id INT NULL,
+            created_by INT NULL,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME NULL,
+            deleted_at DATETIME NULL,
+            deleted_by INT NULL,
+            INDEX idx_project_documents_projectNo (projectNo),
+            INDEX idx_project_documents_deleted_at (deleted_at)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    await addColumnIfMissing(connection, 'project_files', 'document_id', 'INT NULL AFTER taskNo');
+    await addColumnIfMissing(connection, 'project_files', 'revision_no', 'INT NULL AFTER document_id');
+    await addColumnIfMissing(connection, 'project_files', 'revision_notes', 'TEXT NULL AFTER revision_no');
+    await addColumnIfMissing(connection, 'project_files', 'superseded_at', 'DATETIME NULL AFTER revision_notes');
+    await addIndexIfMissing(connection, 'project_files', 'uq_project_files_document_revision', 'UNIQUE (document_id, revision_no)');
+
+    for (;;) {
+        const [files] = await connection.query(
+            `SELECT id, projectNo, category, taskNo, file_name, uploaded_by, created_at, deleted_at, deleted_by
+             FROM project_files WHERE document_id IS NULL ORDER BY id LIMIT ?`,
+            [BACKFILL_BATCH_SIZE]
+        );
+        if (files.length === 0) break;
+
+        for (const file of files) {
+            const [result] = await connection.query(
+                `INSERT INTO project_documents
+                 (projectNo, category, title, task_id, created_by, created_at, deleted_at, deleted_by)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                [file.projectNo, file.category, file.file_name, file.taskNo, file.uploaded_by,
+                    file.created_at, file.deleted_at, file.deleted_by]
+            );
+            await connection.query(
+                'UPDATE project_files SET document_id = ?, revision_no = 1 WHERE id = ?',
+                [result.insertId, file.id]
+            );
+        }
+    }
+}
+
+async function down(connection) {
+    await dropIndexIfExists(connection, 'project_files', 'uq_project_files_document_revision');
+    await dropColumnIfExists(connection, 'project_files', 'superseded_at');
+    await dropColumnIfExists(connection, 'project_files', 'revision_notes');
+    await dropColumnIfExists(connection, 'project_files', 'revision_no');
+    await dropColumnIfExists(connection, 'project_files', 'document_id');
+    await connection.query('DROP TABLE IF EXISTS project_documents');
+}
+
+module.exports = {
+    description: 'Project documents with numbered file revisions',
+    up,
+    down
+};
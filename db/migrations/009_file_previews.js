@@ -0,0 +1,24 @@
+// db/migrations/009_file_previews.js
+// Tracks thumbnail/preview generation per project file (services/filePreviews.js).
+// preview_status: NULL = not generated yet, 'ready', 'failed', 'unsupported'.
+// Existing files are left NULL and picked up by the preview backfill job.
+
+const { addColumnIfMissing, dropColumnIfExists, addIndexIfMissing, dropIndexIfExists } = require('../schemaHelpers');
+
+async function up(connection) {
+    await addColumnIfMissing(connection, 'project_files', 'preview_status', 'VARCHAR(20) NULL AFTER sha256');
+    await addColumnIfMissing(connection, 'project_files', 'preview_error', 'VARCHAR(255) NULL AFTER preview_status');
+    await addIndexIfMissing(connection, 'project_files', 'idx_project_files_preview_status', '(preview_status)');
+}
+
+async function down(connection) {
+    await dropIndexIfExists(connection, 'project_files', 'idx_project_files_preview_status');
+    await dropColumnIfExists(connection, 'project_files', 'preview_error');
+    await dropColumnIfExists(connection, 'project_files', 'preview_status');
+}
+
+module.exports = {
+    description: 'Preview generation status on project_files',
+    up,
+    down
+};
@@ -0,0 +1,34 @@
+// db/migrations/010_quarantined_files.js
+// Uploads the file scanner flagged as suspicious (services/uploadValidation.js).
+// The content is kept under <FILE_STORE_ROOT>/quarantine for review, never in the store.
+
+async function up(connection) {
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS quarantined_files (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            projectNo VARCHAR(100) NULL,
+            category VARCHAR(50) NULL,
+            file_name VARCHAR(255) NOT NULL,
+            file_size BIGINT NULL,
+            mime_type VARCHAR(255) NULL,
+            sha256 CHAR(64) NULL,
+            scanner VARCHAR(100) NOT NULL,
+            reason VARCHAR(255) NULL,
+            quarantine_path VARCHAR(500) NOT NULL,
+            uploaded_by INT NULL,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_quarantined_files_projectNo (projectNo),
+            INDEX idx_quarantined_files_created_at (created_at)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+}
+
+async function down(connection) {
+    await connection.query('DROP TABLE IF EXISTS quarantined_files');
+}
+
+module.exports = {
+    description: 'Quarantined uploads flagged by the file scanner',
+    up,
+    down
+};
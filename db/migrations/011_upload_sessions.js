@@ -0,0 +1,36 @@
+// db/migrations/011_upload_sessions.js
+// Resumable chunked uploads (services/uploadSessions.js). Parts are kept on disk
+// under <FILE_STORE_ROOT>/sessions/<id>/ until the session is completed or expires.
+
+async function up(connection) {
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS upload_sessions (
+            id CHAR(36) NOT NULL PRIMARY KEY,
+            projectNo VARCHAR(100) NOT NULL,
+            category VARCHAR(50) NULL,
+            file_name VARCHAR(255) NOT NULL,
+            file_size BIGINT NOT NULL,
+            part_size INT NOT NULL,
+            total_parts INT NOT NULL,
+            sha256 CHAR(64) NULL,
+            status VARCHAR(20) NOT NULL DEFAULT 'open',
+            project_file_id INT NULL,
+            created_by INT NULL,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME NULL,
+            expires_at DATETIME NOT NULL,
+            INDEX idx_upload_sessions_status_expires (status, expires_at),
+            INDEX idx_upload_sessions_created_by (created_by)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+}
+
+async function down(connection) {
+    await connection.query('DROP TABLE IF EXISTS upload_sessions');
+}
+
+module.exports = {
+    description: 'Resumable chunked upload sessions',
+    up,
+    down
+};
@@ -0,0 +1,84 @@
+// db/migrations/012_task_status_normalisation.js
+// Normalises free-text category task statuses to the status model in
+// services/taskStatus.js ('Completed' -> 'completed', 'In Progress' ->
+// 'in_progress', 'done' -> 'completed', ...) and approve_status to
+// 'Pending'/'Approved'. Unrecognised statuses are left alone and reported.
+// The projects.total_* / completed_* counters are then recomputed, since
+// cancelled tasks no longer count towards the totals (nor do trashed ones).
+
+// Frozen copies of the task tables and status model at the time of this migration
+const TASK_PREFIXES = [
+    'panel', 'cutting', 'door', 'strip_curtain',
+    'accessories', 'system', 'transportation', 'quotation'
+];
+
+const STATUSES = ['pending', 'in_progress', 'blocked', 'qc', 'completed', 'cancelled'];
+
+// Legacy values (after lower-casing and turning spaces/hyphens into '_')
+const LEGACY_STATUSES = {
+    done: 'completed',
+    complete: 'completed',
+    finished: 'completed',
+    inprogress: 'in_progress',
+    started: 'in_progress',
+    on_hold: 'blocked',
+    hold: 'blocked',
+    quality_check: 'qc',
+    qa: 'qc',
+    review: 'qc',
+    canceled: 'cancelled',
+    empty: 'pending',
+    new: 'pending',
+    open: 'pending',
+    todo: 'pending'
+};
+
+// SQL equivalent of the key normaliseTaskStatus() builds
+const STATUS_KEY_SQL = "REPLACE(REPLACE(LOWER(TRIM(status)), ' ', '_'), '-', '_')";
+
+async function up(connection) {
+    const mappings = [...STATUSES.map(status => [status, status]), ...Object.entries(LEGACY_STATUSES)];
+    const unknown = [];
+
+    for (const prefix of TASK_PREFIXES) {
+        const table = `${prefix}_tasks`;
+
+        for (const [key, status] of mappings) {
+            await connection.query(
+                `UPDATE ${table} SET status = ? WHERE ${STATUS_KEY_SQL} = ? AND status <> BINARY ?`,
+                [status, key, status]
+            );
+        }
+        await connection.query(`UPDATE ${table} SET status = 'pending' WHERE status IS NULL OR TRIM(status) = ''`);
+
+        await connection.query(`UPDATE ${table} SET approve_status = 'Approved' WHERE LOWER(TRIM(approve_status)) = 'approved'`);
+        await connection.query(`UPDATE ${table} SET approve_status = 'Pending' WHERE approve_status IS NULL OR approve_status <> BINARY 'Approved'`);
+
+        const [rows] = await connection.query(`SELECT DISTINCT status FROM ${table} WHERE status NOT IN (?)`, [STATUSES]);
+        unknown.push(...rows.map(row => `${table}: ${row.status}`));
+
+        await connection.query(
+            `UPDATE projects p SET
+                total_${prefix} = (SELECT COUNT(*) FROM ${table} t
+                                   WHERE t.project_no = p.projectNo AND t.deleted_at IS NULL
+                                     AND t.status <> 'cancelled'),
+                completed_${prefix} = (SELECT COUNT(*) FROM ${table} t
+                                       WHERE t.project_no = p.projectNo AND t.deleted_at IS NULL
+                                         AND t.status = 'completed')`
+        );
+    }
+
+    if (unknown.length > 0) {
+        console.warn(`⚠️ Tasks with unrecognised statuses left unchanged: ${unknown.join(', ')}`);
+    }
+}
+
+async function down() {
+    // Original spellings cannot be restored; the canonical values remain valid input.
+}
+
+module.exports = {
+    description: 'Normalise category task statuses and approve_status',
+    up,
+    down
+};
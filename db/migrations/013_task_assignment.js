@@ -0,0 +1,59 @@
+// db/migrations/013_task_assignment.js
+// Owner fields on every category task (services/taskAssignment.js) and the
+// task_assignments history of who a task was (re)assigned to, by whom and when.
+
+const { addColumnIfMissing, dropColumnIfExists, addIndexIfMissing, dropIndexIfExists } = require('../schemaHelpers');
+
+// Frozen copy of the task tables at the time of this migration
+const TASK_PREFIXES = [
+    'panel', 'cutting', 'door', 'strip_curtain',
+    'accessories', 'system', 'transportation', 'quotation'
+];
+
+async function up(connection) {
+    for (const prefix of TASK_PREFIXES) {
+        const table = `${prefix}_tasks`;
+        await addColumnIfMissing(connection, table, 'assigned_to', 'INT NULL AFTER approve_status');
+        await addColumnIfMissing(connection, table, 'team', 'VARCHAR(50) NULL AFTER assigned_to');
+        await addColumnIfMissing(connection, table, 'assigned_at', 'DATETIME NULL AFTER team');
+        await addIndexIfMissing(connection, table, `idx_${prefix}_tasks_assigned_to`, '(assigned_to)');
+        await addIndexIfMissing(connection, table, `idx_${prefix}_tasks_team`, '(team)');
+    }
+
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS task_assignments (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            category VARCHAR(50) NOT NULL,
+            task_id INT NOT NULL,
+            project_no VARCHAR(100) NOT NULL,
+            assigned_to INT NULL,
+            team VARCHAR(50) NULL,
+            previous_assigned_to INT NULL,
+            previous_team VARCHAR(50) NULL,
+            note VARCHAR(255) NULL,
+            assigned_by INT NULL,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_task_assignments_task (category, task_id),
+            INDEX idx_task_assignments_assigned_to (assigned_to)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+}
+
+async function down(connection) {
+    await connection.query('DROP TABLE IF EXISTS task_assignments');
+
+    for (const prefix of TASK_PREFIXES) {
+        const table = `${prefix}_tasks`;
+        await dropIndexIfExists(connection, table, `idx_${prefix}_tasks_team`);
+        await dropIndexIfExists(connection, table, `idx_${prefix}_tasks_assigned_to`);
+        await dropColumnIfExists(connection, table, 'assigned_at');
+        await dropColumnIfExists(connection, table, 'team');
+        await dropColumnIfExists(connection, table, 'assigned_to');
+    }
+}
+
+module.exports = {
+    description: 'Task assignee/team columns and assignment history',
+    up,
+    down
+};
@@ -0,0 +1,32 @@
+// db/migrations/014_task_dependencies.js
+// Finish-to-start links between category tasks of one project
+// (services/taskDependencies.js). Both ends are (category key, task id) pairs,
+// so a task can depend on a task in another category table.
+
+async function up(connection) {
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS task_dependencies (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            project_no VARCHAR(100) NOT NULL,
+            task_category VARCHAR(50) NOT NULL,
+            task_id INT NOT NULL,
+            depends_on_category VARCHAR(50) NOT NULL,
+            depends_on_task_id INT NOT NULL,
+            created_by INT NULL,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE KEY uq_task_dependencies_edge (task_category, task_id, depends_on_category, depends_on_task_id),
+            INDEX idx_task_dependencies_depends_on (depends_on_category, depends_on_task_id),
+            INDEX idx_task_dependencies_project_no (project_no)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+}
+
+async function down(connection) {
+    await connection.query('DROP TABLE IF EXISTS task_dependencies');
+}
+
+module.exports = {
+    description: 'Cross-category task dependencies',
+    up,
+    down
+};
@@ -0,0 +1,55 @@
+// db/migrations/015_task_time_tracking.js
+// Labour time on category tasks (services/taskTime.js): task_timers holds the
+// running or paused timer of a worker on a task, task_time_entries the booked
+// time (stopped timers and manual entries) the labour rollups are built from.
+
+async function up(connection) {
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS task_timers (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            category VARCHAR(50) NOT NULL,
+            task_id INT NOT NULL,
+            project_no VARCHAR(100) NOT NULL,
+            user_id INT NOT NULL,
+            state VARCHAR(20) NOT NULL DEFAULT 'running',
+            started_at DATETIME NOT NULL,
+            resumed_at DATETIME NULL,
+            elapsed_seconds INT NOT NULL DEFAULT 0,
+            UNIQUE KEY uq_task_timers_user_task (user_id, category, task_id),
+            INDEX idx_task_timers_task (category, task_id),
+            INDEX idx_task_timers_project_no (project_no)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS task_time_entries (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            category VARCHAR(50) NOT NULL,
+            task_id INT NOT NULL,
+            project_no VARCHAR(100) NOT NULL,
+            user_id INT NOT NULL,
+            work_date DATE NOT NULL,
+            started_at DATETIME NULL,
+            ended_at DATETIME NULL,
+            duration_seconds INT NOT NULL,
+            source VARCHAR(10) NOT NULL,
+            note VARCHAR(255) NULL,
+            created_by INT NULL,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_task_time_entries_task (category, task_id),
+            INDEX idx_task_time_entries_user_date (user_id, work_date),
+            INDEX idx_task_time_entries_project_no (project_no, work_date)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+}
+
+async function down(connection) {
+    await connection.query('DROP TABLE IF EXISTS task_time_entries');
+    await connection.query('DROP TABLE IF EXISTS task_timers');
+}
+
+module.exports = {
+    description: 'Task timers and labour time entries',
+    up,
+    down
+};
@@ -0,0 +1,75 @@
+// db/migrations/016_comments.js
+// Comment threads on projects, category tasks, subtasks and panels
+// (services/comments.js): the comments themselves, the earlier bodies of edited
+// and deleted comments, @mentions with their read state, and attachments that
+// point at project_files rows.
+
+async function up(connection) {
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS comments (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            target_type VARCHAR(20) NOT NULL,
+            target_category VARCHAR(50) NOT NULL DEFAULT '',
+            target_id INT NOT NULL,
+            project_no VARCHAR(100) NULL,
+            parent_id INT NULL,
+            body TEXT NOT NULL,
+            author_id INT NULL,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            edited_at DATETIME NULL,
+            deleted_at DATETIME NULL,
+            deleted_by INT NULL,
+            INDEX idx_comments_target (target_type, target_category, target_id),
+            INDEX idx_comments_parent_id (parent_id),
+            INDEX idx_comments_project_no (project_no)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS comment_revisions (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            comment_id INT NOT NULL,
+            action VARCHAR(10) NOT NULL,
+            body TEXT NOT NULL,
+            changed_by INT NULL,
+            changed_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_comment_revisions_comment_id (comment_id)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS comment_mentions (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            comment_id INT NOT NULL,
+            user_id INT NOT NULL,
+            read_at DATETIME NULL,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE KEY uq_comment_mentions_comment_user (comment_id, user_id),
+            INDEX idx_comment_mentions_user_read (user_id, read_at)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS comment_attachments (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            comment_id INT NOT NULL,
+            file_id INT NOT NULL,
+            created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE KEY uq_comment_attachments_comment_file (comment_id, file_id),
+            INDEX idx_comment_attachments_file_id (file_id)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+    `);
+}
+
+async function down(connection) {
+    await connection.query('DROP TABLE IF EXISTS comment_attachments');
+    await connection.query('DROP TABLE IF EXISTS comment_mentions');
+    await connection.query('DROP TABLE IF EXISTS comment_revisions');
+    await connection.query('DROP TABLE IF EXISTS comments');
+}
+
+module.exports = {
+    description: 'Comment threads, revisions, mentions and attachments',
+    up,
+    down
+};
@@ -0,0 +1,29 @@
+// db/migrations/017_soft_delete_panels_subtasks.js
+// deleted_at / deleted_by markers for the project children 005 missed:
+// subtasks (project_id), panels and production records (job_no).
+
+const { addColumnIfMissing, dropColumnIfExists, addIndexIfMissing, dropIndexIfExists } = require('../schemaHelpers');
+
+const TABLES = ['subtasks', 'panels', 'production_records'];
+
+async function up(connection) {
+    for (const table of TABLES) {
+        await addColumnIfMissing(connection, table, 'deleted_at', 'DATETIME NULL');
+        await addColumnIfMissing(connection, table, 'deleted_by', 'INT NULL');
+        await addIndexIfMissing(connection, table, `idx_${table}_deleted_at`, '(deleted_at)');
+    }
+}
+
+async function down(connection) {
+    for (const table of TABLES) {
+        await dropIndexIfExists(connection, table, `idx_${table}_deleted_at`);
+        await dropColumnIfExists(connection, table, 'deleted_by');
+        await dropColumnIfExists(connection, table, 'deleted_at');
+    }
+}
+
+module.exports = {
+    description: 'Soft delete columns for subtasks, panels and production records',
+    up,
+    down
+};
@@ -0,0 +1,96 @@
+// db/schemaHelpers.js
+// Small helpers for migrations that must cope with databases created by hand
+// before migrations existed (columns/indexes may or may not already be there).
+
+/**
+ * Checks whether a column exists on a table in the current database.
+ * @param {object} connection - mysql2 promise connection.
+ * @param {string} table
+ * @param {string} column
+ * @returns {Promise<boolean>}
+ */
+async function columnExists(connection, table, column) {
+    const [rows] = await connection.query(
+        `SELECT 1 FROM INFORMATION_SCHEMA.COLUMNS
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+        [table, column]
+    );
+    return rows.length > 0;
+}
+
+/**
+ * Checks whether an index exists on a table in the current database.
+ * @param {object} connection - mysql2 promise connection.
+ * @param {string} table
+ * @param {string} index
+ * @returns {Promise<boolean>}
+ */
+async function indexExists(connection, table, index) {
+    const [rows] = await connection.query(
+        `SELECT 1 FROM INFORMATION_SCHEMA.STATISTICS
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?`,
+        [table, index]
+    );
+    return rows.length > 0;
+}
+
+/**
+ * Adds a column unless it already exists.
+ * @param {object} connection - mysql2 promise connection.
+ * @param {string} table
+ * @param {string} column
+ * @param {string} definition - Column definition, e.g. 'INT NULL AFTER category'.
+ */
+async function addColumnIfMissing(connection, table, column, definition) {
+    if (!(await columnExists(connection, table, column))) {
+        await connection.query(`ALTER TABLE \`${table}\` ADD COLUMN \`${column}\` ${definition}`);
+    }
+}
+
+/**
+ * Drops a column if it exists.
+ * @param {object} connection - mysql2 promise connection.
+ * @param {string} table
+ * @param {string} column
+ */
+async function dropColumnIfExists(connection, table, column) {
+    if (await columnExists(connection, table, column)) {
+        await connection.query(`ALTER TABLE \`${table}\` DROP COLUMN \`${column}\``);
+    }
+}
+
+/**
+ * Adds an index unless it already exists.
+ * @param {object} connection - mysql2 promise connection.
+ * @param {string} table
+ * @param {string} index
+ * @param {string} definition - e.g. '(project_no)' or 'UNIQUE (sha256)'.
+ */
+async function addIndexIfMissing(connection, table, index, definition) {
+    if (!(await indexExists(connection, table, index))) {
+        const unique = definition.startsWith('UNIQUE ');
+        const columns = unique ? definition.slice('UNIQUE '.length) : definition;
+        await connection.query(`CREATE ${unique ? 'UNIQUE ' : ''}INDEX \`${index}\` ON \`${table}\` ${columns}`);
+    }
+}
+
+/**
+ * Drops an index if it exists.
+ * @param {object} connection - mysql2 promise connection.
+ * @param {string} table
+ * @param {string} index
+ */
+async function dropIndexIfExists(connection, table, index) {
+    if (await indexExists(connection, table, index)) {
+        await connection.query(`DROP INDEX \`${index}\` ON \`${table}\``);
+    }
+}
+
+module.exports = {
+    columnExists,
+    indexExists,
+    addColumnIfMissing,
+    dropColumnIfExists,
+    addIndexIfMissing,
+    dropIndexIfExists
+};
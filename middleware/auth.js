@@ -0,0 +1,84 @@
+// middleware/auth.js
+
+const db = require('../db/connection');
+const { verifyAccessToken } = require('../services/authTokens');
+const { hasPermission, getPermissions } = require('../services/permissions');
+
+// Public representation of a user row, attached to req.user
+const formatUser = (user) => ({
+    id: user.id,
+    username: user.username,
+    displayName: user.display_name,
+    email: user.email,
+    role: user.role,
+    permissions: getPermissions(user.role)
+});
+
+/**
+ * Verifies the Bearer access token and attaches the authenticated user to req.user.
+ * Responds 401 when the token is missing, invalid, expired or belongs to an inactive user.
+ */
+const authenticate = async (req, res, next) => {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+        return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    let payload;
+    try {
+        payload = verifyAccessToken(token);
+    } catch (err) {
+        const message = err.name === 'TokenExpiredError' ? 'Access token expired' : 'Invalid access token';
+        return res.status(401).json({ error: message });
+    }
+
+    try {
+        const [users] = await db.execute(
+            'SELECT id, username, display_name, email, role FROM users WHERE id = ? AND is_active = 1',
+            [payload.sub]
+        );
+
+        if (users.length === 0) {
+            return res.status(401).json({ error: 'User not found or inactive' });
+        }
+
+        req.user = formatUser(users[0]);
+        next();
+    } catch (err) {
+        console.error('Error loading authenticated user:', err);
+        return res.status(500).json({ error: 'Failed to authenticate request' });
+    }
+};
+
+/**
+ * Returns middleware that allows the request only if the authenticated user's role
+ * grants every listed permission. Responds 403 otherwise.
+ * @param {...string} permissions - e.g. requirePermission('projects:delete')
+ */
+const requirePermission = (...permissions) => (req, res, next) => {
+    if (!req.user) {
+        return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const missing = permissions.filter(permission => !hasPermission(req.user.role, permission));
+    if (missing.length > 0) {
+        return res.status(403).json({
+            error: 'You do not have permission to perform this action',
+            required: missing
+        });
+    }
+
+    next();
+};
+
+/**
+ * Checks a single permission for the current request (for field-level decisions inside handlers).
+ * @param {object} req - Express request with req.user set by authenticate.
+ * @param {string} permission - e.g. 'ledger:financials'.
+ * @returns {boolean}
+ */
+const can = (req, permission) => Boolean(req.user) && hasPermission(req.user.role, permission);
+
+module.exports = { authenticate, requirePermission, can, formatUser };
@@ -0,0 +1,52 @@
+// middleware/upload.js
+
+const multer = require('multer');
+const { getUploadCeiling } = require('../config/uploadPolicy');
+const { createUploadStorage } = require('../services/storedFiles');
+
+// Client-facing messages for request-level multer errors
+const MULTER_ERROR_MESSAGES = {
+    LIMIT_FILE_COUNT: (ceiling) => `Too many files: at most ${ceiling.maxFiles} can be uploaded at once.`,
+    LIMIT_FILE_SIZE: () => 'A file exceeds the maximum upload size.',
+    LIMIT_UNEXPECTED_FILE: () => 'Unexpected file field in upload.'
+};
+
+/**
+ * Multer instance streaming into the file store, capped at the most permissive
+ * upload policy. Per-category rules are applied afterwards by
+ * services/uploadValidation.js, once the form's category field is known.
+ * @param {object} [options]
+ * @param {object} [options.storage] - Alternative multer storage (defaults to the file store).
+ * @returns {multer.Multer}
+ */
+function createUploader({ storage } = {}) {
+    const ceiling = getUploadCeiling();
+    return multer({
+        storage: storage || createUploadStorage(ceiling),
+        limits: {
+            files: ceiling.maxFiles,
+            // Disk storage has no streaming cap of its own
+            ...(storage && { fileSize: ceiling.maxFileSize })
+        }
+    });
+}
+
+/**
+ * Wraps a multer middleware so request-level failures (too many files, wrong
+ * field name) answer 400 with a clear message instead of a 500.
+ * @param {Function} middleware - e.g. upload.array('files')
+ */
+const handleUploadErrors = (middleware) => (req, res, next) => {
+    middleware(req, res, (err) => {
+        if (err instanceof multer.MulterError) {
+            const message = MULTER_ERROR_MESSAGES[err.code];
+            return res.status(400).json({
+                error: message ? message(getUploadCeiling()) : err.message,
+                code: err.code
+            });
+        }
+        next(err);
+    });
+};
+
+module.exports = { createUploader, handleUploadErrors };
@@ -2,13 +2,14 @@ const express = require('express');
 const router = express.Router();
 // Assuming you have a db connection module
 const db = require('../db/connection'); 
+const { requirePermission } = require('../middleware/auth');
 
 /**
  * @desc Get all activity logs with optional filtering, ordered descending by timestamp
  * @route GET /api/activity-logs
  * @access Private (Admin/Authenticated)
  */
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('activity:read'), async (req, res) => {
     try {
         // Destructure and provide defaults for pagination
         const {
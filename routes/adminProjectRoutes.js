@@ -1,11 +1,49 @@
 const express = require('express');
 const router = express.Router();
 const pool = require('../db/connection'); 
+const { logActivity } = require('../services/activityLogger');
+const { requirePermission, can } = require('../middleware/auth');
+const { getTaskTables } = require('../config/taskCategories');
+const { canTransition, normaliseProjectStatus, transitionProjectStatus } = require('../services/projectLifecycle');
+const { trashProject } = require('../services/projectTrash');
+const { DEFAULT_TASK_STATUS, APPROVE_STATUSES } = require('../services/taskStatus');
+const { ProjectRenameError, sanitiseProjectNo, resolveProjectNo, findAliasOwner, renameProjectNumber } = require('../services/projectRename');
 
 const TABLE_NAME = 'job_ledger';
 
-// Helper function to format database output
-const formatJob = (job) => {
+/**
+ * Moves the project for a signed job to Approved through the project lifecycle.
+ * Projects already past approval (or on hold/cancelled) keep their status.
+ * @param {object} connection - Connection inside the job transaction (the signature must already be written).
+ * @param {string} jobNo - Job/project number.
+ * @param {number} userId
+ * @returns {Promise<boolean>} Whether the project status changed.
+ */
+async function approveProjectForSignedJob(connection, jobNo, userId) {
+    const [projects] = await connection.execute('SELECT status FROM projects WHERE projectNo = ? AND deleted_at IS NULL', [jobNo]);
+    if (projects.length === 0) {
+        return false;
+    }
+
+    const currentStatus = normaliseProjectStatus(projects[0].status) || projects[0].status;
+    if (!canTransition(currentStatus, 'Approved')) {
+        console.log(`ℹ️ Project ${jobNo} is ${currentStatus}; signature recorded without changing its status.`);
+        return false;
+    }
+
+    const { changed } = await transitionProjectStatus({
+        connection,
+        projectNo: jobNo,
+        status: 'Approved',
+        userId,
+        reason: 'Job ledger signed'
+    });
+    return changed;
+}
+
+// Helper function to format database output.
+// Cost and Margin are only included for roles holding 'ledger:financials'.
+const formatJob = (job, includeFinancials = true) => {
     // Convert BLOB to base64 data URL for frontend
     let signatureData = null;
     if (job.Signature_Data && Buffer.isBuffer(job.Signature_Data)) {
@@ -20,19 +58,21 @@ const formatJob = (job) => {
         customerName: job.Customer_Name,
         salesAmount: job.Sales_Amount,
         sellPrice: job.Sell_Price,
-        cost: job.Cost,
-        margin: job.Margin,
+        cost: includeFinancials ? job.Cost : undefined,
+        margin: includeFinancials ? job.Margin : undefined,
         remarks: job.Remarks,
         signatureData: signatureData,
+        approvedBy: job.Approved_By,
+        approvedAt: job.Approved_At,
     };
 };
 
 // GET /api/admin/jobs - Fetch All Jobs
-router.get('/', async (req, res) => {
-    const query = `SELECT * FROM ${TABLE_NAME} ORDER BY Date_Entry DESC`;
+router.get('/', requirePermission('ledger:read'), async (req, res) => {
+    const query = `SELECT * FROM ${TABLE_NAME} WHERE deleted_at IS NULL ORDER BY Date_Entry DESC`;
     try {
         const [results] = await pool.execute(query);
-        res.json(results.map(formatJob));
+        res.json(results.map(job => formatJob(job, can(req, 'ledger:financials'))));
     } catch (err) {
         console.error('Error fetching all jobs for admin:', err);
         return res.status(500).json({ error: 'Failed to fetch job list' });
@@ -40,24 +80,25 @@ router.get('/', async (req, res) => {
 });
 
 // GET /api/admin/jobs/:jobNo - Fetch Single Job
-router.get('/:jobNo', async (req, res) => {
+router.get('/:jobNo', requirePermission('ledger:read'), async (req, res) => {
     const jobNo = req.params.jobNo;
-    const query = `SELECT * FROM ${TABLE_NAME} WHERE Job_No = ?`;
+    const query = `SELECT * FROM ${TABLE_NAME} WHERE Job_No = ? AND deleted_at IS NULL`;
     try {
-        const [results] = await pool.execute(query, [jobNo]);
+        // Old job numbers (before a rename) resolve to the current one
+        const [results] = await pool.execute(query, [await resolveProjectNo(jobNo)]);
         
         if (results.length === 0) {
             return res.status(404).json({ error: `Job with Job No ${jobNo} not found` });
         }
         
-        res.json(formatJob(results[0]));
+        res.json(formatJob(results[0], can(req, 'ledger:financials')));
     } catch (err) {
         console.error(`Error fetching job ${jobNo}:`, err);
         return res.status(500).json({ error: 'Failed to fetch job' });
     }
 });
 
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('ledger:write'), async (req, res) => {
     // Destructure request body
     const { 
         Date_Entry, 
@@ -72,23 +113,28 @@ router.post('/', async (req, res) => {
     } = req.body;
     
     // List of all task tables to update
-    const TASK_TABLES = [
-        'panel_tasks', 'cutting_tasks', 'door_tasks', 
-        'strip_curtain_tasks', 'accessories_tasks', 'system_tasks', 
-        'transportation_tasks', 'quotation_tasks'
-    ];
+    const TASK_TABLES = getTaskTables();
 
     // Basic validation
     if (!Job_No || !Date_Entry || Sales_Amount === undefined || Sell_Price === undefined || Cost === undefined) {
         return res.status(400).json({ error: 'Job_No, Date_Entry, Sales_Amount, Sell_Price, and Cost are required.' });
     }
 
+    // Signing a job approves the project, which only management may do
+    if (Signature_Data && !can(req, 'ledger:approve')) {
+        return res.status(403).json({ error: 'You do not have permission to sign approvals', required: ['ledger:approve'] });
+    }
+
+    if (!can(req, 'ledger:financials')) {
+        return res.status(403).json({ error: 'You do not have permission to set job cost or margin', required: ['ledger:financials'] });
+    }
+
     const insertSql = `
         INSERT INTO ${TABLE_NAME} (
             Date_Entry, Job_No, Customer_Name, Sales_Amount, Sell_Price, Cost, 
-            Margin, Remarks, Signature_Data
+            Margin, Remarks, Signature_Data, Approved_By, Approved_At
         )
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `;
     
     // --- 1. Get a connection from the pool and start a transaction ---
@@ -103,6 +149,11 @@ router.post('/', async (req, res) => {
             await connection.rollback();
             return res.status(409).json({ error: `Job with Job No ${Job_No} already exists.` });
         }
+        const aliasOwner = await findAliasOwner(Job_No, connection);
+        if (aliasOwner) {
+            await connection.rollback();
+            return res.status(409).json({ error: `Job No ${Job_No} is a former number of job ${aliasOwner}.` });
+        }
         
         // 3. Convert base64 to Buffer for BLOB storage
         let signatureBuffer = null;
@@ -123,7 +174,9 @@ router.post('/', async (req, res) => {
             Cost,
             Margin || null, 
             Remarks || null,
-            signatureBuffer
+            signatureBuffer,
+            hasSignature ? req.user.id : null,
+            hasSignature ? new Date() : null
         ]);
 
         let statusUpdateMessage = 'Job record created successfully.';
@@ -131,17 +184,15 @@ router.post('/', async (req, res) => {
         // 5. Conditional Updates if Signature Exists
         if (hasSignature) {
             // --- A. Update Project Status ---
-            await connection.execute(
-                `UPDATE projects SET status = 'Approved' WHERE projectNo = ?`,
-                [Job_No]
-            );
-            console.log(`✅ Project ${Job_No} status updated to Approved.`);
+            if (await approveProjectForSignedJob(connection, Job_No, req.user.id)) {
+                console.log(`✅ Project ${Job_No} status updated to Approved.`);
+            }
 
             // --- B. Update All Category Task Statuses ---
             const updatePromises = TASK_TABLES.map(table => {
                 return connection.execute(
-                    `UPDATE ${table} SET approve_status = 'approved' WHERE project_no = ? AND status = 'pending'`,
-                    [Job_No]
+                    `UPDATE ${table} SET approve_status = ? WHERE project_no = ? AND status = ?`,
+                    [APPROVE_STATUSES.approved, Job_No, DEFAULT_TASK_STATUS]
                 );
             });
             
@@ -155,12 +206,23 @@ router.post('/', async (req, res) => {
         // 6. Commit the transaction
         await connection.commit();
 
+        await logActivity(
+            req.user.id,
+            hasSignature ? 'APPROVE' : 'CREATE',
+            'JOB',
+            Job_No,
+            hasSignature
+                ? `Job ${Job_No} created and approved by signature.`
+                : `Job ${Job_No} created.`,
+            { jobNo: Job_No, signed: hasSignature }
+        );
+
         // 7. Return created job
         const [rows] = await pool.execute(`SELECT * FROM ${TABLE_NAME} WHERE Job_No = ?`, [Job_No]);
         
         // Note: You need to define the 'formatJob' function somewhere for this to work
         res.status(201).json({
-            job: rows[0] ? formatJob(rows[0]) : { Job_No }, // Fallback if re-fetching fails
+            job: rows[0] ? formatJob(rows[0], can(req, 'ledger:financials')) : { Job_No }, // Fallback if re-fetching fails
             message: statusUpdateMessage
         });
         
@@ -181,17 +243,13 @@ router.post('/', async (req, res) => {
 
 // PUT /api/admin/jobs/:jobNo - Update Job
 // PUT /api/admin/jobs/:jobNo - Update Job
-router.put('/:jobNo', async (req, res) => {
+router.put('/:jobNo', requirePermission('ledger:write'), async (req, res) => {
     const TABLE_NAME = 'job_ledger';
     const jobNo = req.params.jobNo;  // This is the OLD job number from URL
     const updates = req.body;
     
     // List of all task tables to update
-    const TASK_TABLES = [
-        'panel_tasks', 'cutting_tasks', 'door_tasks', 
-        'strip_curtain_tasks', 'accessories_tasks', 'system_tasks', 
-        'transportation_tasks', 'quotation_tasks'
-    ];
+    const TASK_TABLES = getTaskTables();
     
     // Allowed fields - ADD 'Job_No' to this array
     const allowedFields = [
@@ -200,6 +258,14 @@ router.put('/:jobNo', async (req, res) => {
         'Cost', 'Margin', 'Remarks', 'Signature_Data'
     ];
     
+    if (updates.Signature_Data !== undefined && !can(req, 'ledger:approve')) {
+        return res.status(403).json({ error: 'You do not have permission to sign approvals', required: ['ledger:approve'] });
+    }
+
+    if ((updates.Cost !== undefined || updates.Margin !== undefined) && !can(req, 'ledger:financials')) {
+        return res.status(403).json({ error: 'You do not have permission to change job cost or margin', required: ['ledger:financials'] });
+    }
+
     const fieldsToUpdate = [];
     const updateValues = [];
 
@@ -223,9 +289,13 @@ router.put('/:jobNo', async (req, res) => {
                     hasNewSignature = true; // Signature provided or updated
                 }
             } 
-            // Handle Job_No update - store the new value
+            // Job_No changes go through renameProjectNumber() below, not this UPDATE
             else if (field === 'Job_No') {
-                newJobNo = value; // Update newJobNo variable
+                fieldsToUpdate.pop();
+                if (sanitiseProjectNo(value) !== jobNo) {
+                    newJobNo = sanitiseProjectNo(value);
+                }
+                continue;
             }
             // Handle empty strings for text/numeric fields to be NULL
             else if (typeof value === 'string' && value.trim() === '' && 
@@ -241,13 +311,19 @@ router.put('/:jobNo', async (req, res) => {
         }
     }
 
-    if (fieldsToUpdate.length === 0) {
+    if (fieldsToUpdate.length === 0 && newJobNo === jobNo) {
         return res.status(400).json({ error: 'No valid fields provided for update.' });
     }
 
+    // Record who signed the approval
+    if (hasNewSignature) {
+        fieldsToUpdate.push('Approved_By = ?', 'Approved_At = NOW()');
+        updateValues.push(req.user.id);
+    }
+
     const setClause = fieldsToUpdate.join(', ');
     const updateSql = `UPDATE ${TABLE_NAME} SET ${setClause} WHERE Job_No = ?`;
-    const finalBindValues = [...updateValues, jobNo]; // WHERE clause uses OLD job number
+    const finalBindValues = [...updateValues, newJobNo]; // Runs after any rename, so uses the NEW job number
 
     let connection;
     let statusUpdateMessage = '';
@@ -256,57 +332,40 @@ router.put('/:jobNo', async (req, res) => {
         connection = await pool.getConnection();
         await connection.beginTransaction();
 
-        // 1. Execute the job update
-        const [result] = await connection.execute(updateSql, finalBindValues);
-        
-        if (result.affectedRows === 0) {
-            await connection.rollback();
-            return res.status(404).json({ error: `Job with Job No ${jobNo} not found.` });
-        }
-        
-        // 2. If job number changed, update all related task tables
+        // 1. If job number changed, rename it everywhere it is referenced (files, tasks, panels, ...)
         if (newJobNo !== jobNo) {
             console.log(`🔄 Job number changed from ${jobNo} to ${newJobNo}. Updating related tables...`);
-            
-            // Update all task tables with new project number
-            const updateTaskPromises = TASK_TABLES.map(table => {
-                return connection.execute(
-                    `UPDATE ${table} SET project_no = ? WHERE project_no = ?`,
-                    [newJobNo, jobNo]
-                );
-            });
-            
-            // Update projects table
-            const updateProjectPromise = connection.execute(
-                `UPDATE projects SET projectNo = ? WHERE projectNo = ?`,
-                [newJobNo, jobNo]
-            );
-            
-            // Wait for all updates
-            await Promise.all([...updateTaskPromises, updateProjectPromise]);
-            
+            await renameProjectNumber({ connection, oldProjectNo: jobNo, newProjectNo: newJobNo, userId: req.user.id });
             console.log(`✅ All related tables updated with new job number ${newJobNo}`);
             statusUpdateMessage = `Job updated and job number changed from ${jobNo} to ${newJobNo}.`;
         }
+
+        // 2. Execute the job update
+        if (fieldsToUpdate.length > 0) {
+            const [result] = await connection.execute(updateSql, finalBindValues);
+
+            if (result.affectedRows === 0) {
+                await connection.rollback();
+                return res.status(404).json({ error: `Job with Job No ${jobNo} not found.` });
+            }
+        }
         
         // 3. Conditional Updates if a new signature is provided (Approval Trigger)
         if (hasNewSignature) {
             const jobNoToUse = newJobNo !== jobNo ? newJobNo : jobNo;
             
             // Update Project Status
-            await connection.execute(
-                `UPDATE projects SET status = 'Approved' WHERE projectNo = ?`,
-                [jobNoToUse]
-            );
-            console.log(`✅ Project ${jobNoToUse} status updated to Approved due to signature update`);
+            if (await approveProjectForSignedJob(connection, jobNoToUse, req.user.id)) {
+                console.log(`✅ Project ${jobNoToUse} status updated to Approved due to signature update`);
+            }
 
             // Update All Category Task Statuses
             const updatePromises = TASK_TABLES.map(table => {
                 return connection.execute(
                     `UPDATE ${table} 
-                     SET status = 'pending', approve_status = 'Approved' 
-                     WHERE project_no = ? AND status = 'pending'`,
-                    [jobNoToUse]
+                     SET approve_status = ?
+                     WHERE project_no = ? AND status = ?`,
+                    [APPROVE_STATUSES.approved, jobNoToUse, DEFAULT_TASK_STATUS]
                 );
             });
             
@@ -321,6 +380,15 @@ router.put('/:jobNo', async (req, res) => {
         // 4. Commit the transaction
         await connection.commit();
 
+        await logActivity(
+            req.user.id,
+            hasNewSignature ? 'APPROVE' : 'UPDATE',
+            'JOB',
+            newJobNo,
+            statusUpdateMessage.trim(),
+            { jobNo: jobNo, newJobNo: newJobNo, fieldsUpdated: allowedFields.filter(f => updates[f] !== undefined) }
+        );
+
         // 5. Return updated job (query with NEW job number)
         const [rows] = await pool.execute(
             `SELECT * FROM ${TABLE_NAME} WHERE Job_No = ?`, 
@@ -328,13 +396,16 @@ router.put('/:jobNo', async (req, res) => {
         );
         
         res.json({
-            job: rows[0] ? formatJob(rows[0]) : { Job_No: newJobNo },
+            job: rows[0] ? formatJob(rows[0], can(req, 'ledger:financials')) : { Job_No: newJobNo },
             message: statusUpdateMessage
         });
     } catch (err) {
         if (connection) {
             await connection.rollback();
         }
+        if (err instanceof ProjectRenameError) {
+            return res.status(err.statusCode).json({ error: err.message });
+        }
         console.error(`Error updating job ${jobNo}:`, err);
         return res.status(500).json({ 
             error: 'Failed to update job or associated tables.',
@@ -348,49 +419,49 @@ router.put('/:jobNo', async (req, res) => {
 });
 
 // --- DELETE /api/projects/:jobNo ---
-router.delete('/:jobNo', async (req, res) => {
+// Moves the job and its project (with files and tasks) to the trash; see services/projectTrash.js
+router.delete('/:jobNo', requirePermission('ledger:delete'), async (req, res) => {
     // 1. Get the jobNo from params (e.g., "UPS/0625/19536")
     const rawJobNo = req.params.jobNo;
 
     // 2. Sanitize: Replace / with _ to match how we stored it in the POST route
     const safeJobNo = rawJobNo.replace(/\//g, '_');
 
-    const connection = await pool.getConnection();
-
     try {
-        await connection.beginTransaction();
-
-        // 3. Delete from job_ledger (Using Job_No column)
-        // Note: Replace 'job_ledger' with ${TABLE_NAME} if you are using a variable
-        const [deleteLedger] = await connection.execute(
-            `DELETE FROM job_ledger WHERE Job_No = ?`, 
-            [safeJobNo]
-        );
-
-        // 4. Delete from projects (Using projectNo column)
-        const [deleteProject] = await connection.execute(
-            `DELETE FROM projects WHERE projectNo = ?`, 
-            [safeJobNo]
-        );
+        // 3. Trash the project; this also trashes its job_ledger entry
+        const trashed = await trashProject({ projectNo: safeJobNo, userId: req.user.id });
+
+        // 4. A job without a project only has its ledger entry trashed
+        let ledgerTrashed = trashed ? trashed.trashed.job_ledger > 0 : false;
+        if (!trashed) {
+            const [result] = await pool.execute(
+                `UPDATE ${TABLE_NAME} SET deleted_at = NOW(), deleted_by = ? WHERE Job_No = ? AND deleted_at IS NULL`,
+                [req.user.id, safeJobNo]
+            );
+            ledgerTrashed = result.affectedRows > 0;
+        }
 
         // 5. Check if anything was actually deleted
-        if (deleteLedger.affectedRows === 0 && deleteProject.affectedRows === 0) {
-            await connection.rollback();
+        if (!trashed && !ledgerTrashed) {
             return res.status(404).json({ error: `No records found for Job No: ${safeJobNo}` });
         }
 
-        await connection.commit();
+        await logActivity(
+            req.user.id,
+            'TRASH',
+            'JOB',
+            safeJobNo,
+            `Job${trashed ? ' and Project' : ''} ${safeJobNo} moved to trash.`,
+            { jobNo: safeJobNo, projectTrashed: Boolean(trashed) }
+        );
         
         res.status(200).json({ 
-            message: `Job and Project ${safeJobNo} deleted successfully` 
+            message: `Job${trashed ? ' and Project' : ''} ${safeJobNo} deleted successfully` 
         });
 
     } catch (err) {
-        await connection.rollback(); 
         console.error(`Error deleting job ${safeJobNo}:`, err);
         return res.status(500).json({ error: 'Failed to delete records from database' });
-    } finally {
-        connection.release(); 
     }
 });
 
@@ -0,0 +1,127 @@
+// routes/auth.js
+const express = require('express');
+const router = express.Router();
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const db = require('../db/connection');
+const { authenticate, formatUser } = require('../middleware/auth');
+const { logActivity } = require('../services/activityLogger');
+const {
+    signAccessToken,
+    issueRefreshToken,
+    rotateRefreshToken,
+    revokeRefreshToken
+} = require('../services/authTokens');
+
+// Compared against when the username is unknown so response timing does not reveal valid usernames
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('not-a-real-password', 10);
+
+// Builds the token payload returned by login and refresh
+const buildTokenResponse = (user, refreshToken) => {
+    const accessToken = signAccessToken(user);
+    const { exp } = jwt.decode(accessToken);
+
+    return {
+        accessToken,
+        refreshToken,
+        tokenType: 'Bearer',
+        expiresIn: exp - Math.floor(Date.now() / 1000),
+        user: formatUser(user)
+    };
+};
+
+// =========================================================
+// POST /api/auth/login - Exchange username/password for tokens
+// =========================================================
+router.post('/login', async (req, res) => {
+    const { username, password } = req.body || {};
+
+    if (!username || !password) {
+        return res.status(400).json({ error: 'Username and password are required' });
+    }
+
+    try {
+        const [users] = await db.execute(
+            'SELECT * FROM users WHERE username = ? AND is_active = 1',
+            [username]
+        );
+
+        const user = users[0];
+        const valid = await bcrypt.compare(password, user ? user.password_hash : DUMMY_PASSWORD_HASH);
+
+        if (!user || !valid) {
+            return res.status(401).json({ error: 'Invalid username or password' });
+        }
+
+        const refreshToken = await issueRefreshToken(user.id);
+        await db.execute('UPDATE users SET last_login_at = NOW() WHERE id = ?', [user.id]);
+
+        await logActivity(user.id, 'LOGIN', 'USER', user.id, `User ${user.username} logged in.`);
+
+        res.json(buildTokenResponse(user, refreshToken));
+    } catch (err) {
+        console.error('Error during login:', err);
+        return res.status(500).json({ error: 'Failed to log in' });
+    }
+});
+
+// =========================================================
+// POST /api/auth/refresh - Rotate a refresh token and issue a new access token
+// =========================================================
+router.post('/refresh', async (req, res) => {
+    const { refreshToken } = req.body || {};
+
+    if (!refreshToken) {
+        return res.status(400).json({ error: 'Refresh token is required' });
+    }
+
+    try {
+        const rotated = await rotateRefreshToken(refreshToken);
+        if (!rotated) {
+            return res.status(401).json({ error: 'Invalid or expired refresh token' });
+        }
+
+        const [users] = await db.execute(
+            'SELECT * FROM users WHERE id = ? AND is_active = 1',
+            [rotated.userId]
+        );
+
+        if (users.length === 0) {
+            await revokeRefreshToken(rotated.refreshToken);
+            return res.status(401).json({ error: 'User not found or inactive' });
+        }
+
+        res.json(buildTokenResponse(users[0], rotated.refreshToken));
+    } catch (err) {
+        console.error('Error refreshing token:', err);
+        return res.status(500).json({ error: 'Failed to refresh token' });
+    }
+});
+
+// =========================================================
+// POST /api/auth/logout - Revoke a refresh token
+// =========================================================
+router.post('/logout', async (req, res) => {
+    const { refreshToken } = req.body || {};
+
+    if (!refreshToken) {
+        return res.status(400).json({ error: 'Refresh token is required' });
+    }
+
+    try {
+        await revokeRefreshToken(refreshToken);
+        res.status(204).end();
+    } catch (err) {
+        console.error('Error during logout:', err);
+        return res.status(500).json({ error: 'Failed to log out' });
+    }
+});
+
+// =========================================================
+// GET /api/auth/me - Return the authenticated user
+// =========================================================
+router.get('/me', authenticate, (req, res) => {
+    res.json(req.user);
+});
+
+module.exports = router;
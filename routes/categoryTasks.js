@@ -0,0 +1,603 @@
+// routes/categoryTasks.js
+// Generic task router shared by every category in config/taskCategories.js
+const express = require('express');
+const pool = require('../db/connection');
+const { updateProjectCounts } = require('./projectUpdater');
+const { requirePermission, can } = require('../middleware/auth');
+const { logActivity } = require('../services/activityLogger');
+const { TaskAssignmentError, assignTask, getAssignmentHistory } = require('../services/taskAssignment');
+const {
+    TaskDependencyError,
+    addDependency,
+    removeDependency,
+    listDependencies,
+    assertPredecessorsClosed
+} = require('../services/taskDependencies');
+const { deleteTaskLinks } = require('../services/taskCleanup');
+const {
+    TaskTimeError,
+    toHours,
+    labourSecondsSql,
+    startTimer,
+    pauseTimer,
+    stopTimer,
+    addTimeEntry,
+    getTaskLabour,
+    getCategoryLabour
+} = require('../services/taskTime');
+const {
+    TASK_STATUSES,
+    DEFAULT_TASK_STATUS,
+    TASK_TRANSITIONS,
+    TaskStatusError,
+    normaliseTaskStatus,
+    getAllowedTaskTransitions,
+    checkTaskTransition,
+    counterDeltas
+} = require('../services/taskStatus');
+
+const BASE_FIELDS = ['title', 'description', 'priority', 'status', 'project_no', 'due_date'];
+
+/**
+ * Applies the total_/completed_ counter changes of a status change
+ * (null fromStatus for a new task, null toStatus for a deleted one).
+ */
+const applyCounterDeltas = async (projectNo, counterPrefix, fromStatus, toStatus) => {
+    const deltas = counterDeltas(fromStatus, toStatus);
+    for (const countType of ['total', 'completed']) {
+        if (deltas[countType] !== 0) {
+            await updateProjectCounts(projectNo, counterPrefix, countType, deltas[countType]);
+        }
+    }
+};
+
+/**
+ * Creates the CRUD router for one task category.
+ * @param {object} category - Entry from TASK_CATEGORIES.
+ * @returns {express.Router}
+ */
+const createTaskRouter = (category) => {
+    const router = express.Router();
+    const { table, counterPrefix, route, label } = category;
+    const extraColumns = category.extraFields.map(field => field.column);
+    const allowedFields = [...BASE_FIELDS, ...extraColumns];
+    const nullableFields = ['description', 'due_date', ...extraColumns];
+
+    // Task rows with the labour hours booked on them
+    const selectTasks = `SELECT t.*, (${labourSecondsSql(category.key)}) AS labour_seconds FROM ${table} t`;
+
+    // Utility function to format database results for the API response
+    const formatTask = (task) => {
+        const formatted = {
+            id: task.id,
+            title: task.title,
+            description: task.description,
+            priority: task.priority,
+            status: task.status,
+            allowedStatuses: getAllowedTaskTransitions(task.status),
+            projectNo: task.project_no,
+            dueDate: task.due_date,
+            assignedTo: task.assigned_to,
+            team: task.team,
+            assignedAt: task.assigned_at,
+            labourHours: toHours(task.labour_seconds),
+            createdAt: task.created_at
+        };
+
+        for (const field of category.extraFields) {
+            formatted[field.key] = task[field.column];
+        }
+
+        return formatted;
+    };
+
+    const logStatusChange = (userId, taskId, projectNo, { from, to }) => logActivity(
+        userId,
+        'STATUS_CHANGE',
+        'TASK',
+        taskId,
+        `Task ${taskId} (${label}) of project ${projectNo} changed from ${from} to ${to}.`,
+        { category: category.key, projectNo, oldStatus: from, newStatus: to }
+    );
+
+    // =========================================================
+    // GET / - Get all tasks of this category
+    // (Only approved tasks when the category is approvedOnly; ?projectNo=, ?assignedTo=
+    // (a user id, or 'none' for unassigned) and ?team= filter the list)
+    // =========================================================
+    router.get('/', requirePermission('tasks:read'), async (req, res) => {
+
+        let query = `${selectTasks} WHERE t.deleted_at IS NULL`;
+        const params = [];
+
+        if (category.approvedOnly) {
+            query += ` AND approve_status = 'Approved'`;
+        }
+
+        if (req.query.projectNo) {
+            query += ' AND project_no = ?';
+            params.push(req.query.projectNo);
+        }
+
+        if (req.query.assignedTo === 'none') {
+            query += ' AND assigned_to IS NULL';
+        } else if (req.query.assignedTo) {
+            query += ' AND assigned_to = ?';
+            params.push(parseInt(req.query.assignedTo) || 0);
+        }
+
+        if (req.query.team) {
+            query += ' AND team = ?';
+            params.push(req.query.team);
+        }
+
+        query += ' ORDER BY created_at DESC';
+
+        try {
+            const [results] = await pool.execute(query, params);
+            res.json(results.map(formatTask));
+        } catch (err) {
+            console.error(`Error fetching ${label} tasks:`, err);
+            return res.status(500).json({ error: `Failed to fetch ${label} tasks` });
+        }
+    });
+
+    // =========================================================
+    // GET /statuses - Task statuses and allowed transitions
+    // =========================================================
+    router.get('/statuses', requirePermission('tasks:read'), (req, res) => {
+        res.json({ statuses: TASK_STATUSES, defaultStatus: DEFAULT_TASK_STATUS, transitions: TASK_TRANSITIONS });
+    });
+
+    // =========================================================
+    // GET /labour - Labour booked in this category, per project
+    // (Optional ?projectNo= and ?from=/?to= work dates, YYYY-MM-DD)
+    // =========================================================
+    router.get('/labour', requirePermission('labour:read'), async (req, res) => {
+        const { projectNo, from, to } = req.query;
+
+        try {
+            const labour = await getCategoryLabour(category, { projectNo, from, to });
+            res.json(labour);
+        } catch (err) {
+            if (err instanceof TaskTimeError) {
+                return res.status(err.statusCode).json({ error: err.message });
+            }
+            console.error(`Error fetching ${label} labour:`, err);
+            return res.status(500).json({ error: `Failed to fetch ${label} labour` });
+        }
+    });
+
+    // =========================================================
+    // GET /:id - Get a single task
+    // =========================================================
+    router.get('/:id', requirePermission('tasks:read'), async (req, res) => {
+        const taskId = parseInt(req.params.id);
+
+        try {
+            const [rows] = await pool.execute(`${selectTasks} WHERE t.id = ? AND t.deleted_at IS NULL`, [taskId]);
+
+            if (rows.length === 0) {
+                return res.status(404).json({ error: 'Task not found' });
+            }
+
+            res.json(formatTask(rows[0]));
+        } catch (err) {
+            console.error(`Error fetching ${label} task ${taskId}:`, err);
+            return res.status(500).json({ error: `Failed to fetch ${label} task` });
+        }
+    });
+
+    // =========================================================
+    // POST / - Create a new task
+    // (Increments total_<prefix> unless cancelled, and completed_<prefix> if completed)
+    // =========================================================
+    router.post('/', requirePermission('tasks:write'), async (req, res) => {
+
+        if (!req.body) {
+            return res.status(400).json({ error: 'Request body is required' });
+        }
+
+        const { title, description, priority, status, project_no, due_date } = req.body;
+
+        if (!title || !title.trim()) {
+            return res.status(400).json({ error: 'Title is required' });
+        }
+
+        if (!project_no || !project_no.trim()) {
+            return res.status(400).json({ error: 'Project No is required' });
+        }
+
+        // Sanitize optional fields to convert empty strings/undefined to null
+        const sanitizedDescription = description === undefined || description === '' ? null : description;
+        const sanitizedDueDate = due_date === undefined || due_date === '' ? null : due_date;
+        const initialStatus = status ? normaliseTaskStatus(status) : DEFAULT_TASK_STATUS;
+
+        if (!initialStatus) {
+            return res.status(400).json({ error: `Unknown task status '${status}'. Valid statuses: ${TASK_STATUSES.join(', ')}` });
+        }
+
+        const insertSql = `INSERT INTO ${table} (${allowedFields.join(', ')})
+                           VALUES (${allowedFields.map(() => '?').join(', ')})`;
+
+        const bindValues = [
+            title,
+            sanitizedDescription,
+            priority === undefined ? null : priority,
+            initialStatus,
+            project_no,
+            sanitizedDueDate,
+            ...extraColumns.map(column => (req.body[column] === undefined || req.body[column] === '' ? null : req.body[column]))
+        ];
+
+        try {
+            // Create the task
+            const [insertResults] = await pool.execute(insertSql, bindValues);
+            const insertId = insertResults.insertId;
+
+            // Update project counts for the new task's status
+            await applyCounterDeltas(project_no, counterPrefix, null, initialStatus);
+
+            // Fetch and return the newly created task
+            const [rows] = await pool.execute(`${selectTasks} WHERE t.id = ? AND t.deleted_at IS NULL`, [insertId]);
+
+            if (rows.length === 0) {
+                return res.status(500).json({ error: 'Task created but failed to fetch.' });
+            }
+
+            res.status(201).json(formatTask(rows[0]));
+        } catch (err) {
+            console.error(`Error creating ${label} task:`, err);
+            return res.status(500).json({ error: `Failed to create ${label} task` });
+        }
+    });
+
+    // =========================================================
+    // PATCH /:id - Update a task
+    // (Status changes must follow TASK_TRANSITIONS and cannot start or finish a task
+    // whose predecessors are open; counters follow the status)
+    // =========================================================
+    router.patch('/:id', requirePermission('tasks:write'), async (req, res) => {
+
+        const taskId = parseInt(req.params.id);
+        const updates = req.body || {};
+
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({ error: 'Request body must contain fields to update.' });
+        }
+
+        let previousTask;
+
+        try {
+            // Fetch the existing task to determine its current status and project number
+            const [existingRows] = await pool.execute(`SELECT project_no, status FROM ${table} WHERE id = ? AND deleted_at IS NULL`, [taskId]);
+            if (existingRows.length === 0) {
+                return res.status(404).json({ error: 'Task not found' });
+            }
+            previousTask = existingRows[0];
+        } catch (err) {
+            console.error(`Error fetching existing ${label} task:`, err);
+            return res.status(500).json({ error: 'Database error before update' });
+        }
+
+        // Validate the status change and store the canonical value
+        let transition = null;
+        if (updates.status !== undefined) {
+            try {
+                transition = checkTaskTransition(previousTask.status, updates.status);
+            } catch (err) {
+                // checkTaskTransition only throws TaskStatusError
+                return res.status(err.statusCode).json({ error: err.message, ...err.details });
+            }
+            updates.status = transition.to;
+        }
+
+        if (transition && transition.changed) {
+            try {
+                await assertPredecessorsClosed(category, taskId, transition.to);
+            } catch (err) {
+                if (err instanceof TaskDependencyError) {
+                    return res.status(err.statusCode).json({ error: err.message, ...err.details });
+                }
+                console.error(`Error checking ${label} task dependencies:`, err);
+                return res.status(500).json({ error: 'Database error before update' });
+            }
+        }
+
+        // Prepare the dynamic UPDATE query
+        const fieldsToUpdate = [];
+        const updateValues = [];
+
+        for (const field of allowedFields) {
+            if (updates[field] !== undefined) {
+                fieldsToUpdate.push(`${field} = ?`);
+
+                const value = (updates[field] === '' && nullableFields.includes(field))
+                              ? null : updates[field];
+
+                updateValues.push(value);
+            }
+        }
+
+        if (fieldsToUpdate.length === 0) {
+            return res.status(400).json({ error: 'No valid fields provided for update.' });
+        }
+
+        const setClause = fieldsToUpdate.join(', ');
+        const updateSql = `UPDATE ${table} SET ${setClause} WHERE id = ?`;
+        const finalBindValues = [...updateValues, taskId];
+
+        try {
+            // Execute the task update
+            await pool.execute(updateSql, finalBindValues);
+
+            // Update project counts based on status change
+            if (transition && transition.changed) {
+                await applyCounterDeltas(previousTask.project_no, counterPrefix, previousTask.status, transition.to);
+                await logStatusChange(req.user.id, taskId, previousTask.project_no, transition);
+            }
+
+            // Fetch and return the updated row
+            const [rows] = await pool.execute(`${selectTasks} WHERE t.id = ? AND t.deleted_at IS NULL`, [taskId]);
+
+            res.json(formatTask(rows[0]));
+        } catch (err) {
+            console.error(`Error updating ${label} task or project counts:`, err);
+            return res.status(500).json({ error: `Failed to update ${label} task` });
+        }
+    });
+
+    // =========================================================
+    // PATCH /:id/assignment - Assign a task to a worker and/or team
+    // Body: { assignedTo?: userId|null, team?: string|null, note?: string }
+    // =========================================================
+    router.patch('/:id/assignment', requirePermission('tasks:write'), async (req, res) => {
+        const taskId = parseInt(req.params.id);
+        const { assignedTo, team, note } = req.body || {};
+
+        try {
+            const assignment = await assignTask({ category, taskId, assignedTo, team, note, userId: req.user.id });
+
+            const [rows] = await pool.execute(`${selectTasks} WHERE t.id = ? AND t.deleted_at IS NULL`, [taskId]);
+            res.json({ ...formatTask(rows[0]), changed: assignment.changed });
+        } catch (err) {
+            if (err instanceof TaskAssignmentError) {
+                return res.status(err.statusCode).json({ error: err.message });
+            }
+            console.error(`Error assigning ${label} task:`, err);
+            return res.status(500).json({ error: `Failed to assign ${label} task` });
+        }
+    });
+
+    // =========================================================
+    // GET /:id/assignments - Assignment history, newest first
+    // =========================================================
+    router.get('/:id/assignments', requirePermission('tasks:read'), async (req, res) => {
+        const taskId = parseInt(req.params.id);
+
+        try {
+            const history = await getAssignmentHistory(category, taskId);
+            res.json(history);
+        } catch (err) {
+            console.error(`Error fetching ${label} task assignments:`, err);
+            return res.status(500).json({ error: `Failed to fetch ${label} task assignments` });
+        }
+    });
+
+    // =========================================================
+    // GET /:id/dependencies - Tasks this task depends on, and tasks depending on it
+    // =========================================================
+    router.get('/:id/dependencies', requirePermission('tasks:read'), async (req, res) => {
+        const taskId = parseInt(req.params.id);
+
+        try {
+            const dependencies = await listDependencies(category, taskId);
+            res.json(dependencies);
+        } catch (err) {
+            console.error(`Error fetching ${label} task dependencies:`, err);
+            return res.status(500).json({ error: `Failed to fetch ${label} task dependencies` });
+        }
+    });
+
+    // =========================================================
+    // POST /:id/dependencies - Make this task depend on another task of the project
+    // Body: { dependsOnCategory: 'cutting', dependsOnTaskId: 12 } (any category)
+    // =========================================================
+    router.post('/:id/dependencies', requirePermission('tasks:write'), async (req, res) => {
+        const taskId = parseInt(req.params.id);
+        const { dependsOnCategory, dependsOnTaskId } = req.body || {};
+
+        try {
+            const dependency = await addDependency({
+                category,
+                taskId,
+                dependsOnCategory: dependsOnCategory || category.key,
+                dependsOnTaskId,
+                userId: req.user.id
+            });
+            res.status(201).json(dependency);
+        } catch (err) {
+            if (err instanceof TaskDependencyError) {
+                return res.status(err.statusCode).json({ error: err.message, ...err.details });
+            }
+            console.error(`Error adding ${label} task dependency:`, err);
+            return res.status(500).json({ error: `Failed to add ${label} task dependency` });
+        }
+    });
+
+    // =========================================================
+    // DELETE /:id/dependencies/:dependencyId - Remove one of this task's dependencies
+    // =========================================================
+    router.delete('/:id/dependencies/:dependencyId', requirePermission('tasks:write'), async (req, res) => {
+        const taskId = parseInt(req.params.id);
+        const dependencyId = parseInt(req.params.dependencyId);
+
+        try {
+            const dependency = await removeDependency({ category, taskId, dependencyId, userId: req.user.id });
+            res.json({ message: 'Dependency removed', dependency });
+        } catch (err) {
+            if (err instanceof TaskDependencyError) {
+                return res.status(err.statusCode).json({ error: err.message });
+            }
+            console.error(`Error removing ${label} task dependency:`, err);
+            return res.status(500).json({ error: `Failed to remove ${label} task dependency` });
+        }
+    });
+
+    // =========================================================
+    // POST /:id/timer/start|pause|stop - The current user's timer on a task
+    // (start also resumes a paused timer and pauses the user's other running timer;
+    // stop books the timed work as a time entry, body { note? })
+    // =========================================================
+    const timerActions = { start: startTimer, pause: pauseTimer, stop: stopTimer };
+
+    router.post('/:id/timer/:action', requirePermission('tasks:write'), async (req, res) => {
+        const taskId = parseInt(req.params.id);
+        const action = timerActions[req.params.action];
+
+        if (!action) {
+            return res.status(404).json({ error: `Unknown timer action '${req.params.action}'. Use start, pause or stop.` });
+        }
+
+        try {
+            const result = await action({ category, taskId, userId: req.user.id, note: (req.body || {}).note });
+            res.json(result);
+        } catch (err) {
+            if (err instanceof TaskTimeError) {
+                return res.status(err.statusCode).json({ error: err.message });
+            }
+            console.error(`Error on ${label} task timer ${req.params.action}:`, err);
+            return res.status(500).json({ error: `Failed to ${req.params.action} ${label} task timer` });
+        }
+    });
+
+    // =========================================================
+    // GET /:id/time - Labour on a task: total, per worker, entries and open timers
+    // =========================================================
+    router.get('/:id/time', requirePermission('tasks:read'), async (req, res) => {
+        const taskId = parseInt(req.params.id);
+
+        try {
+            const labour = await getTaskLabour(category, taskId);
+            res.json(labour);
+        } catch (err) {
+            console.error(`Error fetching ${label} task labour:`, err);
+            return res.status(500).json({ error: `Failed to fetch ${label} task labour` });
+        }
+    });
+
+    // =========================================================
+    // POST /:id/time - Book time on a task by hand
+    // Body: { minutes, workDate?: 'YYYY-MM-DD', note?, userId? }
+    // (Booking for another worker requires labour:manage)
+    // =========================================================
+    router.post('/:id/time', requirePermission('tasks:write'), async (req, res) => {
+        const taskId = parseInt(req.params.id);
+        const { minutes, workDate, note, userId } = req.body || {};
+        const workerId = userId === undefined || userId === null ? req.user.id : Number(userId);
+
+        if (workerId !== req.user.id && !can(req, 'labour:manage')) {
+            return res.status(403).json({ error: 'Booking time for another worker requires labour:manage.' });
+        }
+
+        try {
+            const entry = await addTimeEntry({ category, taskId, workerId, minutes, workDate, note, userId: req.user.id });
+            res.status(201).json(entry);
+        } catch (err) {
+            if (err instanceof TaskTimeError) {
+                return res.status(err.statusCode).json({ error: err.message });
+            }
+            console.error(`Error booking time on ${label} task:`, err);
+            return res.status(500).json({ error: `Failed to book time on ${label} task` });
+        }
+    });
+
+    // =========================================================
+    // POST /:id/complete - Mark a task as completed
+    // (Same transition and dependency rules as PATCH; a no-op for a completed task)
+    // =========================================================
+    router.post('/:id/complete', requirePermission('tasks:write'), async (req, res) => {
+
+        const taskId = parseInt(req.params.id);
+
+        try {
+            const [existingRows] = await pool.execute(`SELECT project_no, status FROM ${table} WHERE id = ? AND deleted_at IS NULL`, [taskId]);
+            if (existingRows.length === 0) {
+                return res.status(404).json({ error: 'Task not found' });
+            }
+            const task = existingRows[0];
+
+            const transition = checkTaskTransition(task.status, 'completed');
+            if (transition.changed) {
+                await assertPredecessorsClosed(category, taskId, transition.to);
+                await pool.execute(`UPDATE ${table} SET status = ? WHERE id = ?`, [transition.to, taskId]);
+                await applyCounterDeltas(task.project_no, counterPrefix, task.status, transition.to);
+                await logStatusChange(req.user.id, taskId, task.project_no, transition);
+            }
+
+            const [rows] = await pool.execute(`${selectTasks} WHERE t.id = ? AND t.deleted_at IS NULL`, [taskId]);
+            res.json(formatTask(rows[0]));
+        } catch (err) {
+            if (err instanceof TaskStatusError || err instanceof TaskDependencyError) {
+                return res.status(err.statusCode).json({ error: err.message, ...err.details });
+            }
+            console.error(`Error completing ${label} task:`, err);
+            return res.status(500).json({ error: `Failed to complete ${label} task` });
+        }
+    });
+
+    // =========================================================
+    // DELETE /:id - Delete a task
+    // (Takes the task out of total_<prefix> / completed_<prefix> and drops its dependencies,
+    // timers, assignment history and comments, all in one transaction)
+    // =========================================================
+    router.delete('/:id', requirePermission('tasks:delete'), async (req, res) => {
+
+        const taskId = parseInt(req.params.id);
+        const connection = await pool.getConnection();
+
+        try {
+            await connection.beginTransaction();
+
+            // Fetch the task's project number and status BEFORE deletion
+            const [existingRows] = await connection.query(
+                `SELECT project_no, status FROM ${table} WHERE id = ? AND deleted_at IS NULL FOR UPDATE`,
+                [taskId]
+            );
+            if (existingRows.length === 0) {
+                await connection.rollback();
+                return res.status(404).json({ error: 'Task not found' });
+            }
+            const taskToDelete = existingRows[0];
+
+            await connection.query(`DELETE FROM ${table} WHERE id = ?`, [taskId]);
+
+            // Update project counts for the removed task's status
+            const deltas = counterDeltas(taskToDelete.status, null);
+            for (const countType of ['total', 'completed']) {
+                if (deltas[countType] !== 0) {
+                    const column = `${countType}_${counterPrefix}`;
+                    await connection.query(
+                        `UPDATE projects SET ${column} = GREATEST(0, ${column} + ?) WHERE projectNo = ?`,
+                        [deltas[countType], taskToDelete.project_no]
+                    );
+                }
+            }
+
+            await deleteTaskLinks(connection, category.key, [taskId]);
+
+            await connection.commit();
+            res.status(200).json({ message: 'Task deleted successfully' });
+        } catch (err) {
+            await connection.rollback();
+            console.error(`Error deleting ${label} task or updating project counts:`, err);
+            return res.status(500).json({ error: `Failed to delete ${label} task` });
+        } finally {
+            connection.release();
+        }
+    });
+
+    return router;
+};
+
+module.exports = { createTaskRouter };
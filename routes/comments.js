@@ -0,0 +1,241 @@
+// routes/comments.js
+// Comment threads, mounted at /api/comments.
+//
+//   GET    /projects/:id | /tasks/:category/:id | /subtasks/:id | /panels/:id   the thread
+//   POST   (same paths)         { body, parentId?, fileIds? } as JSON, or multipart with files
+//   PATCH  /:id                 { body }          author only; the old body is kept
+//   DELETE /:id                 author, or comments:moderate
+//   GET    /:id/history         earlier bodies of an edited/deleted comment
+//   GET    /mentions            the current user's mentions (?all=true includes read ones)
+//   POST   /mentions/read       { commentIds? }   marks mentions read (all when omitted)
+//
+// Reading and posting on a thread needs the read permission of its target.
+const express = require('express');
+const router = express.Router();
+const { can } = require('../middleware/auth');
+const { createUploader, handleUploadErrors } = require('../middleware/upload');
+const { screenUploads } = require('../services/uploadValidation');
+const { releaseStorageKeys } = require('../services/storedFiles');
+const {
+    CommentError,
+    resolveCommentTarget,
+    createComment,
+    editComment,
+    deleteComment,
+    getComment,
+    getCommentHistory,
+    getCommentThread,
+    listMentions,
+    markMentionsRead
+} = require('../services/comments');
+
+const upload = createUploader();
+
+// URL segment -> comment target type
+const TARGET_PATHS = { projects: 'project', tasks: 'task', subtasks: 'subtask', panels: 'panel' };
+
+const sendCommentError = (res, err, action) => {
+    if (err instanceof CommentError) {
+        return res.status(err.statusCode).json({ error: err.message });
+    }
+    console.error(`❌ Error ${action}:`, err);
+    res.status(500).json({ error: `Failed ${action}`, details: err.message });
+};
+
+/**
+ * Resolves the thread's target from the URL and checks the user may see it.
+ * Answers the request itself (and returns null) when it cannot continue.
+ */
+async function resolveThreadTarget(req, res) {
+    const target = await resolveCommentTarget(
+        TARGET_PATHS[req.params.targetType],
+        parseInt(req.params.targetId),
+        req.params.category
+    );
+    if (!can(req, target.permission)) {
+        res.status(403).json({ error: 'You do not have permission to perform this action', required: [target.permission] });
+        return null;
+    }
+    return target;
+}
+
+// Multipart fields arrive as strings: '3', '4,5' or repeated fields
+const parseIdList = (value) => (value === undefined || value === ''
+    ? []
+    : [].concat(value).flatMap(item => String(item).split(',')).map(item => item.trim()).filter(Boolean).map(Number));
+
+// New files need files:upload before multer stores anything
+const checkUploadPermission = (req, res, next) => {
+    if (req.is('multipart/form-data') && !can(req, 'files:upload')) {
+        return res.status(403).json({ error: 'You do not have permission to perform this action', required: ['files:upload'] });
+    }
+    next();
+};
+
+// =========================================================
+// GET /api/comments/mentions - Comments mentioning the current user, newest first
+// =========================================================
+router.get('/mentions', async (req, res) => {
+    try {
+        const mentions = await listMentions(req.user.id, { unreadOnly: req.query.all !== 'true' });
+        res.json({ count: mentions.length, mentions });
+    } catch (err) {
+        sendCommentError(res, err, 'fetching mentions');
+    }
+});
+
+// =========================================================
+// POST /api/comments/mentions/read - Mark mentions as read
+// =========================================================
+router.post('/mentions/read', async (req, res) => {
+    const { commentIds } = req.body || {};
+
+    if (commentIds !== undefined && !Array.isArray(commentIds)) {
+        return res.status(400).json({ error: 'commentIds must be an array of comment ids.' });
+    }
+
+    try {
+        const marked = await markMentionsRead(req.user.id, commentIds);
+        res.json({ marked });
+    } catch (err) {
+        sendCommentError(res, err, 'marking mentions read');
+    }
+});
+
+const THREAD_PATHS = ['/:targetType(projects|subtasks|panels)/:targetId(\\d+)', '/:targetType(tasks)/:category/:targetId(\\d+)'];
+
+// =========================================================
+// GET /api/comments/<target> - A target's comment thread
+// =========================================================
+router.get(THREAD_PATHS, async (req, res) => {
+    try {
+        const target = await resolveThreadTarget(req, res);
+        if (!target) return;
+
+        const thread = await getCommentThread(target);
+        res.json({
+            target: { type: target.type, category: target.category || undefined, id: target.id, projectNo: target.projectNo },
+            ...thread
+        });
+    } catch (err) {
+        sendCommentError(res, err, 'fetching comments');
+    }
+});
+
+// =========================================================
+// POST /api/comments/<target> - Post a comment or reply
+// Uploaded files become uncategorised files of the target's project
+// =========================================================
+router.post(THREAD_PATHS, checkUploadPermission, handleUploadErrors(upload.array('files')), async (req, res) => {
+    const { body, parentId, fileIds } = req.body || {};
+    const uploadedFiles = req.files || [];
+    let accepted = [];
+
+    try {
+        const target = await resolveThreadTarget(req, res);
+        if (!target) {
+            await releaseStorageKeys(uploadedFiles.map(file => file.storageKey));
+            return;
+        }
+
+        const attachIds = parseIdList(fileIds);
+        if (attachIds.length > 0 && !can(req, 'files:read')) {
+            await releaseStorageKeys(uploadedFiles.map(file => file.storageKey));
+            return res.status(403).json({ error: 'You do not have permission to perform this action', required: ['files:read'] });
+        }
+
+        let rejected = [];
+        if (uploadedFiles.length > 0) {
+            ({ accepted, rejected } = await screenUploads(uploadedFiles, { projectNo: target.projectNo, userId: req.user.id }));
+            if (accepted.length === 0) {
+                return res.status(400).json({ error: 'None of the files were accepted.', rejected });
+            }
+        }
+
+        const comment = await createComment({
+            target,
+            parentId: parentId === undefined || parentId === null || parentId === '' ? null : parseInt(parentId),
+            body,
+            fileIds: attachIds,
+            uploads: accepted,
+            userId: req.user.id
+        });
+        res.status(201).json({ ...comment, ...(rejected.length > 0 && { rejected }) });
+    } catch (err) {
+        // Uploads are only ingested once the comment is valid
+        if (err instanceof CommentError) {
+            await releaseStorageKeys((accepted.length > 0 ? accepted : uploadedFiles).map(file => file.storageKey));
+        }
+        sendCommentError(res, err, 'posting comment');
+    }
+});
+
+/**
+ * Loads a comment and checks the user may see its thread.
+ * Answers the request itself (and returns null) when it cannot continue.
+ */
+async function findVisibleComment(req, res) {
+    const comment = await getComment(parseInt(req.params.id));
+
+    // Comments whose target is gone can only be managed by moderators
+    let permission = 'comments:moderate';
+    try {
+        ({ permission } = await resolveCommentTarget(comment.target.type, comment.target.id, comment.target.category));
+    } catch (err) {
+        if (!(err instanceof CommentError && err.statusCode === 404)) throw err;
+    }
+    if (!can(req, permission)) {
+        res.status(403).json({ error: 'You do not have permission to perform this action', required: [permission] });
+        return null;
+    }
+    return comment;
+}
+
+// =========================================================
+// PATCH /api/comments/:id - Edit a comment (author only)
+// =========================================================
+router.patch('/:id(\\d+)', async (req, res) => {
+    try {
+        if (!(await findVisibleComment(req, res))) return;
+
+        const comment = await editComment({ commentId: parseInt(req.params.id), body: (req.body || {}).body, userId: req.user.id });
+        res.json(comment);
+    } catch (err) {
+        sendCommentError(res, err, 'editing comment');
+    }
+});
+
+// =========================================================
+// DELETE /api/comments/:id - Delete a comment (author, or comments:moderate)
+// =========================================================
+router.delete('/:id(\\d+)', async (req, res) => {
+    try {
+        if (!(await findVisibleComment(req, res))) return;
+
+        const comment = await deleteComment({
+            commentId: parseInt(req.params.id),
+            userId: req.user.id,
+            canModerate: can(req, 'comments:moderate')
+        });
+        res.json({ message: 'Comment deleted', comment });
+    } catch (err) {
+        sendCommentError(res, err, 'deleting comment');
+    }
+});
+
+// =========================================================
+// GET /api/comments/:id/history - Earlier bodies of a comment
+// =========================================================
+router.get('/:id(\\d+)/history', async (req, res) => {
+    try {
+        const comment = await findVisibleComment(req, res);
+        if (!comment) return;
+
+        const history = await getCommentHistory(comment.id);
+        res.json({ comment, history });
+    } catch (err) {
+        sendCommentError(res, err, 'fetching comment history');
+    }
+});
+
+module.exports = router;
@@ -2,8 +2,9 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../db/connection');
+const { requirePermission } = require('../middleware/auth');
 
-router.post('/excel-data', async (req, res) => {
+router.post('/excel-data', requirePermission('excel:write'), async (req, res) => {
   try {
     const { data } = req.body;
     const tableName = 'excel_table';
@@ -12,6 +13,7 @@ router.post('/excel-data', async (req, res) => {
       return res.status(400).json({ error: 'Valid data array is required' });
     }
 
+    // Columns of excel_table (created by db/migrations/001_initial_schema.js)
     const validColumns = [
       'NO', 'WIDTH', 'LENGTH (mm)', 'QTY (Pcs)', 'Thk', 'Surface', 'APPLICATION', 'REMARKS', 'BATCH'
     ];
@@ -23,21 +25,7 @@ router.post('/excel-data', async (req, res) => {
       'QTY (Pcs)': 'QTY (Pcs)'
     };
 
-    // 3. CREATE TABLE
-    const columnDefinitions = validColumns
-      .map(col => `\`${col}\` TEXT NULL`)
-      .join(', ');
-
-    const createTableQuery = `
-      CREATE TABLE IF NOT EXISTS \`${tableName}\` (
-        id INT(11) AUTO_INCREMENT PRIMARY KEY,
-        ${columnDefinitions}
-      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
-    `;
-
-    await db.query(createTableQuery);
-
-    // 4. INSERT DATA
+    // INSERT DATA
     if (data.length > 0) {
       const columnNames = validColumns.map(col => `\`${col}\``).join(', ');
       const placeholders = validColumns.map(() => `?`).join(', ');
@@ -69,11 +57,10 @@ router.post('/excel-data', async (req, res) => {
 });
 
 // Get data from the table
-router.get('/excel-tables', async (req, res) => {
+router.get('/excel-tables', requirePermission('excel:read'), async (req, res) => {
   try {
     const tableName = 'excel_table';
     
-    // Check if the table exists first to avoid SQL errors if it's empty
     const [rows] = await db.query(`SELECT * FROM \`${tableName}\` ORDER BY id`);
     
     // Extract columns from the first row if they exist, excluding 'id'
@@ -97,11 +84,11 @@ router.get('/excel-tables', async (req, res) => {
   }
 });
 
-// Delete Table
-router.delete('/excel-data', async (req, res) => {
+// Clear Table (the table itself is owned by migrations and is never dropped here)
+router.delete('/excel-data', requirePermission('excel:write'), async (req, res) => {
   try {
-    await db.query(`DROP TABLE IF EXISTS excel_table`);
-    res.json({ message: 'Table excel_table deleted successfully' });
+    await db.query(`TRUNCATE TABLE excel_table`);
+    res.json({ message: 'Table excel_table cleared successfully' });
   } catch (error) {
     res.status(500).json({ error: 'Failed to delete table' });
   }
@@ -5,6 +5,9 @@ const multer = require('multer');
 const path = require('path');
 const db = require('../db/connection'); // Assuming your database connection
 const fs = require('fs'); // For checking/creating directories
+const { requirePermission } = require('../middleware/auth');
+const { createUploader, handleUploadErrors } = require('../middleware/upload');
+const { sanitiseFileName, screenUploads, discardFiles } = require('../services/uploadValidation');
 
 const UPLOAD_DIR = path.join(__dirname, '..', 'uploads'); // Root upload directory
 
@@ -18,7 +21,7 @@ const storage = multer.diskStorage({
         }
         
         // 2. Create a dedicated folder for the project (e.g., /uploads/J1001)
-        const projectDir = path.join(UPLOAD_DIR, projectNo);
+        const projectDir = path.join(UPLOAD_DIR, sanitiseFileName(projectNo));
         if (!fs.existsSync(projectDir)) {
             fs.mkdirSync(projectDir, { recursive: true });
         }
@@ -27,19 +30,21 @@ const storage = multer.diskStorage({
     filename: (req, file, cb) => {
         // 3. Create a unique filename (e.g., job123-timestamp.jpg)
         const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-        cb(null, path.basename(file.originalname, path.extname(file.originalname)) + '-' + uniqueSuffix + path.extname(file.originalname));
+        const safeName = sanitiseFileName(file.originalname);
+        cb(null, path.basename(safeName, path.extname(safeName)) + '-' + uniqueSuffix + path.extname(safeName));
     }
 });
 
-const upload = multer({ storage: storage });
+// Size/type rules per category: config/uploadPolicy.js
+const upload = createUploader({ storage: storage });
 // ----------------------------
 
 // routes/fileUpload.js (continued)
 
 // POST /api/files/upload
-router.post('/upload', upload.array('files'), async (req, res) => {
+router.post('/upload', requirePermission('files:upload'), handleUploadErrors(upload.array('files')), async (req, res) => {
     // 'files' must match the name used in MultiPhotoUploader's FormData key
-    const { projectNo } = req.body;
+    const { projectNo, category } = req.body;
     const uploadedFiles = req.files; // Array of file objects from Multer
 
     if (!uploadedFiles || uploadedFiles.length === 0) {
@@ -51,12 +56,18 @@ router.post('/upload', upload.array('files'), async (req, res) => {
         const [projectResult] = await db.query('SELECT id FROM projects WHERE projectNo = ?', [projectNo]);
 
         if (projectResult.length === 0) {
+            await discardFiles(uploadedFiles);
             return res.status(404).json({ error: `Project No. ${projectNo} not found.` });
         }
         const projectId = projectResult[0].id;
 
+        const { accepted, rejected } = await screenUploads(uploadedFiles, { category, projectNo, userId: req.user.id });
+        if (accepted.length === 0) {
+            return res.status(400).json({ error: 'None of the files were accepted.', rejected });
+        }
+
         // 2. Insert each file record into the project_files table
-        const fileInsertQueries = uploadedFiles.map(file => {
+        const fileInsertQueries = accepted.map(file => {
             const relativePath = path.join(path.basename(file.destination), file.filename);
             
             return db.query(
@@ -68,7 +79,8 @@ router.post('/upload', upload.array('files'), async (req, res) => {
         await Promise.all(fileInsertQueries);
 
         res.status(200).json({ 
-            message: `${uploadedFiles.length} files uploaded successfully for project ${projectNo}.` 
+            message: `${accepted.length} files uploaded successfully for project ${projectNo}.`,
+            rejected
         });
 
     } catch (err) {
@@ -0,0 +1,105 @@
+// routes/maintenanceRouter.js
+const express = require('express');
+const router = express.Router();
+const db = require('../db/connection');
+const { requirePermission } = require('../middleware/auth');
+const { reconcileProjectCounters } = require('../services/counterReconciliation');
+const { IntegrityCheckError, runIntegrityCheck } = require('../services/integrityCheck');
+
+// =========================================================
+// GET /api/admin/maintenance/counters - Dry-run counter check
+// Optional ?projectNo= to check a single project.
+// =========================================================
+router.get('/counters', requirePermission('maintenance:run'), async (req, res) => {
+    try {
+        const report = await reconcileProjectCounters({ projectNo: req.query.projectNo });
+        res.json(report);
+    } catch (err) {
+        console.error('❌ Error checking project counters:', err);
+        res.status(500).json({ error: 'Failed to check project counters', details: err.message });
+    }
+});
+
+// =========================================================
+// POST /api/admin/maintenance/counters/reconcile
+// Body: { fix: boolean, projectNo?: string }. Without fix=true this is a dry run.
+// =========================================================
+router.post('/counters/reconcile', requirePermission('maintenance:run'), async (req, res) => {
+    const { fix = false, projectNo } = req.body || {};
+
+    try {
+        const report = await reconcileProjectCounters({ fix: fix === true, projectNo, userId: req.user.id });
+        console.log(`🔧 Counter reconciliation: ${report.discrepancies.length} discrepancy(ies), ${report.fixedProjects} project(s) fixed`);
+        res.json(report);
+    } catch (err) {
+        console.error('❌ Error reconciling project counters:', err);
+        res.status(500).json({ error: 'Failed to reconcile project counters', details: err.message });
+    }
+});
+
+// =========================================================
+// GET /api/admin/maintenance/quarantine - Uploads held back by the file scanner
+// Optional ?projectNo= filter; newest first, at most 200.
+// =========================================================
+router.get('/quarantine', requirePermission('maintenance:run'), async (req, res) => {
+    try {
+        const params = [];
+        let query = 'SELECT * FROM quarantined_files';
+        if (req.query.projectNo) {
+            query += ' WHERE projectNo = ?';
+            params.push(req.query.projectNo);
+        }
+        query += ' ORDER BY created_at DESC, id DESC LIMIT 200';
+
+        const [files] = await db.query(query, params);
+        res.json({ count: files.length, files });
+    } catch (err) {
+        console.error('❌ Error listing quarantined files:', err);
+        res.status(500).json({ error: 'Failed to list quarantined files', details: err.message });
+    }
+});
+
+// =========================================================
+// GET /api/admin/maintenance/integrity - Dry-run integrity scan
+// Optional ?checks=file_task_links,orphaned_subtasks to run only some checks.
+// =========================================================
+router.get('/integrity', requirePermission('maintenance:run'), async (req, res) => {
+    try {
+        const report = await runIntegrityCheck({ checks: req.query.checks });
+        res.json(report);
+    } catch (err) {
+        if (err instanceof IntegrityCheckError) {
+            return res.status(err.statusCode).json({ error: err.message });
+        }
+        console.error('❌ Error running integrity check:', err);
+        res.status(500).json({ error: 'Failed to run integrity check', details: err.message });
+    }
+});
+
+// =========================================================
+// POST /api/admin/maintenance/integrity/repair
+// Body: { checks: string[] }. Only the listed checks are repaired; each check
+// rescans before repairing, so the response reflects the state just before the fix.
+// =========================================================
+router.post('/integrity/repair', requirePermission('maintenance:run'), async (req, res) => {
+    const { checks } = req.body || {};
+
+    if (!Array.isArray(checks) || checks.length === 0) {
+        return res.status(400).json({ error: 'checks must list the checks to repair.' });
+    }
+
+    try {
+        const report = await runIntegrityCheck({ checks, repair: true, userId: req.user.id });
+        const repaired = report.checks.reduce((sum, check) => sum + (check.repaired || 0), 0);
+        console.log(`🔧 Integrity repair: ${report.totalIssues} issue(s) found, ${repaired} repaired`);
+        res.json(report);
+    } catch (err) {
+        if (err instanceof IntegrityCheckError) {
+            return res.status(err.statusCode).json({ error: err.message });
+        }
+        console.error('❌ Error repairing integrity issues:', err);
+        res.status(500).json({ error: 'Failed to repair integrity issues', details: err.message });
+    }
+});
+
+module.exports = router;
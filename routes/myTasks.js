@@ -0,0 +1,47 @@
+// routes/myTasks.js
+// The signed-in user's work queue, mounted at /api/my-tasks.
+const express = require('express');
+const router = express.Router();
+const { requirePermission } = require('../middleware/auth');
+const { getAllowedTaskTransitions } = require('../services/taskStatus');
+const { listMyTasks } = require('../services/taskAssignment');
+
+// =========================================================
+// GET /api/my-tasks - Open tasks assigned to the current user
+// Merges the work-queue categories (config/taskCategories.js), ordered by due
+// date then priority. Optional ?category=panel,door to narrow the queue.
+// =========================================================
+router.get('/', requirePermission('tasks:read'), async (req, res) => {
+    const categories = req.query.category
+        ? String(req.query.category).split(',').map(key => key.trim()).filter(Boolean)
+        : undefined;
+
+    try {
+        const rows = await listMyTasks(req.user.id, { categories });
+        res.json({
+            count: rows.length,
+            tasks: rows.map(task => ({
+                category: task.category,
+                categoryLabel: task.category_label,
+                id: task.id,
+                title: task.title,
+                description: task.description,
+                priority: task.priority,
+                status: task.status,
+                allowedStatuses: getAllowedTaskTransitions(task.status),
+                projectNo: task.project_no,
+                projectName: task.project_name,
+                customer: task.customer,
+                dueDate: task.due_date,
+                team: task.team,
+                assignedAt: task.assigned_at,
+                createdAt: task.created_at
+            }))
+        });
+    } catch (err) {
+        console.error('❌ Error fetching my tasks:', err);
+        res.status(500).json({ error: 'Failed to fetch your tasks', details: err.message });
+    }
+});
+
+module.exports = router;
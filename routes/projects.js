@@ -1,52 +1,56 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../db/connection'); 
-const multer = require('multer'); 
 const path = require('path');    
+const { logActivity } = require('../services/activityLogger');
+const { requirePermission, can } = require('../middleware/auth');
+const { TASK_CATEGORIES, getTaskCategory } = require('../config/taskCategories');
+const { calculateCompletionPercentage, attachCompletion } = require('../services/projectCompletion');
+const { parseProjectListQuery } = require('../services/projectListQuery');
+const {
+    PROJECT_STATUSES,
+    DEFAULT_PROJECT_STATUS,
+    INITIAL_STATUSES,
+    TRANSITIONS,
+    ProjectStatusError,
+    normaliseProjectStatus,
+    transitionProjectStatus
+} = require('../services/projectLifecycle');
+const {
+    getRetentionDays,
+    trashProject,
+    restoreProject,
+    purgeTrashedProject,
+    listTrashedProjects
+} = require('../services/projectTrash');
+const { ProjectRenameError, sanitiseProjectNo, resolveProjectNo, findAliasOwner, renameProjectNumber } = require('../services/projectRename');
+const { sendFile } = require('../services/fileDownload');
+const { releaseStorageKeys } = require('../services/storedFiles');
+const { createUploader, handleUploadErrors } = require('../middleware/upload');
+const { screenUploads } = require('../services/uploadValidation');
+const { findUploadProject, ingestProjectFiles } = require('../services/fileIngest');
+const {
+    parseRevision,
+    formatRevision,
+    getDocument,
+    findRevisionFile,
+    addRevision,
+    afterRevisionDeleted
+} = require('../services/projectDocuments');
+const { PREVIEW_SIZES, DEFAULT_PREVIEW_SIZE, queuePreviews, sendPreview } = require('../services/filePreviews');
+const { getProjectDependencyGraph } = require('../services/taskDependencies');
+const { deleteTaskLinks } = require('../services/taskCleanup');
+const { TaskTimeError, getProjectLabourReport } = require('../services/taskTime');
+const { listArchiveFiles, streamProjectArchive } = require('../services/projectArchive');
+const { FileMoveError, moveFileCategory } = require('../services/fileCategoryMove');
+const { counterDeltas } = require('../services/taskStatus');
 
 // =========================================================
-// 📝 ACTIVITY LOGGING HELPER
+// MULTER CONFIGURATION (streams uploads into the file store)
+// Size/type rules per category: config/uploadPolicy.js
 // =========================================================
 
-/**
- * Inserts an activity record into the database.
- * @param {string} activityType - CRUD action (e.g., 'CREATE', 'UPDATE', 'DELETE', 'UPLOAD').
- * @param {string} resourceType - The table/object type (e.g., 'PROJECT', 'FILE').
- * @param {number|string} resourceId - The ID of the affected resource (e.g., Project ID or File ID).
- * @param {string} message - A human-readable description.
- * @param {object} [details={}] - Optional JSON object for specific details.
- */
-async function logActivity(activityType, resourceType, resourceId, message, details = {}) {
-    const userId = 1; // ⚠️ FIX THIS: Replace with actual authenticated user ID
-    
-    try {
-        const query = `
-            INSERT INTO activity_logs 
-            (timestamp, user_id, activity_type, resource_type, resource_id, message, details) 
-            VALUES (NOW(), ?, ?, ?, ?, ?, ?)
-        `;
-        const detailsJson = JSON.stringify(details);
-
-        await db.query(query, [
-            userId, 
-            activityType, 
-            resourceType, 
-            resourceId, 
-            message, 
-            detailsJson
-        ]);
-    } catch (err) {
-        // CRITICAL: Log the error but DO NOT throw it or break the main request chain.
-        console.error('CRITICAL: Activity logging failed:', err);
-    }
-}
-
-// =========================================================
-// MULTER CONFIGURATION (Memory Storage for BLOBs)
-// =========================================================
-
-const storage = multer.memoryStorage(); 
-const upload = multer({ storage: storage });
+const upload = createUploader();
 
 // =========================================================
 // 🗑️ FILE DELETION HELPERS
@@ -61,134 +65,40 @@ async function deleteAllProjectFiles(projectNo) {
     console.log(`Cleaned up all BLOB file records for project ${projectNo}.`);
 }
 
-// =========================================================
-// 📊 PROJECT COMPLETION CALCULATION
-// =========================================================
-
 /**
- * Calculate completion percentages for all task categories
+ * Query-string flag: '1' or 'true'.
  */
-async function calculateCompletionPercentage(projectNo) {
-    try {
-        // Initialize completion object
-        const completion = {
-            panelSlab: { completed: 0, total: 0, percentage: 0 },
-            cutting: { completed: 0, total: 0, percentage: 0 },
-            door: { completed: 0, total: 0, percentage: 0 },
-            stripCurtain: { completed: 0, total: 0, percentage: 0 },
-            accessories: { completed: 0, total: 0, percentage: 0 },
-            system: { completed: 0, total: 0, percentage: 0 }
-        };
-
-        // Calculate for each task type
-        const taskTypes = [
-            { table: 'panel_tasks', key: 'panelSlab' },
-            { table: 'cutting_tasks', key: 'cutting' },
-            { table: 'door_tasks', key: 'door' },
-            { table: 'strip_curtain_tasks', key: 'stripCurtain' },
-            { table: 'accessories_tasks', key: 'accessories' },
-            { table: 'system_tasks', key: 'system' }
-        ];
-
-        for (const taskType of taskTypes) {
-            const [results] = await db.query(
-                `SELECT 
-                    COUNT(*) as total,
-                    SUM(CASE WHEN status = 'Completed' OR status = 'Done' THEN 1 ELSE 0 END) as completed
-                FROM ${taskType.table} 
-                WHERE project_no = ?`,
-                [projectNo]
-            );
-
-            if (results[0]) {
-                completion[taskType.key].total = results[0].total || 0;
-                completion[taskType.key].completed = results[0].completed || 0;
-                completion[taskType.key].percentage = results[0].total > 0 
-                    ? Math.round((results[0].completed / results[0].total) * 100) 
-                    : 0;
-            }
-        }
-
-        return completion;
-    } catch (error) {
-        console.error('Error calculating completion:', error);
-        throw error;
-    }
-}
+const isTruthyFlag = (value) => value === '1' || value === 'true';
 
 // =========================================================
 // 📂 FILE ROUTES (MANAGEMENT)
 // =========================================================
 
-// Add this route for better compatibility
-
-router.get('/status/:status', async (req, res) => {
-    const { status } = req.params;
-    
-    try {
-        // Check if status column exists
-        const [columns] = await db.query(`
-            SELECT COLUMN_NAME 
-            FROM INFORMATION_SCHEMA.COLUMNS 
-            WHERE TABLE_NAME = 'projects' AND TABLE_SCHEMA = DATABASE()
-        `);
-
-        // Get projects by status
-        let query;
-        let params = [];
-        
-        if (status === 'active') {
-            query = "SELECT * FROM projects WHERE status = 'Active' ORDER BY created_at DESC, id DESC";
-        } else if (status === 'done') {
-            query = "SELECT * FROM projects WHERE status = 'Done' ORDER BY created_at DESC, id DESC";
-        } else if (status === 'approved') {
-            query = "SELECT * FROM projects WHERE status = 'Approved' ORDER BY created_at DESC, id DESC";
-        } else {
-            // For any other status, return empty
-            return res.json([]);
-        }
-        
-        const [projects] = await db.query(query, params);
-        
-        // Calculate completion for each project
-        const projectsWithCompletion = await Promise.all(
-            projects.map(async (project) => {
-                const completion = await calculateCompletionPercentage(project.projectNo);
-                return {
-                    ...project,
-                    completion: completion
-                };
-            })
-        );
-        
-        res.json(projectsWithCompletion);
-    } catch (err) {
-        console.error('Error fetching projects by status:', err);
-        res.status(500).json({ 
-            error: 'Failed to retrieve projects by status.',
-            details: err.message 
-        });
-    }
-});
-
-router.get('/:projectNo/files', async (req, res) => {
-    const { projectNo } = req.params;
+router.get('/:projectNo/files', requirePermission('files:read'), async (req, res) => {
     const { category } = req.query;
 
     try {
+        const projectNo = await resolveProjectNo(req.params.projectNo);
         let query = `
-            SELECT id, projectNo, file_name, file_size, mime_type, category, taskNo
+            SELECT id, projectNo, file_name, file_size, mime_type, category, taskNo, uploaded_by,
+                   document_id, revision_no, revision_notes, superseded_at, preview_status
             FROM project_files 
-            WHERE projectNo = ?
+            WHERE projectNo = ? AND deleted_at IS NULL
         `;
         const params = [projectNo];
 
+        // Only the latest revision of each document unless ?allRevisions=1
+        if (!isTruthyFlag(req.query.allRevisions)) {
+            query += ' AND superseded_at IS NULL';
+        }
+
         if (category && category !== 'all') {
             query += ' AND category = ?';
             params.push(category);
         }
 
-        const [files] = await db.query(query, params);
+        const [rows] = await db.query(query, params);
+        const files = rows.map(formatRevision);
         
         res.json({
             success: true,
@@ -206,19 +116,73 @@ router.get('/:projectNo/files', async (req, res) => {
     }
 });
 
+// --- GET /api/projects/:projectNo/files/archive: ZIP of the project's files ---
+// ?category=cutting,panel and ?taskNo=12,13 filter (comma separated); ?allRevisions=1 adds superseded
+// revisions. One folder per category plus manifest.csv; streamed, never buffered.
+router.get('/:projectNo/files/archive', requirePermission('files:read'), async (req, res) => {
+    const splitList = (value) => String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+    const categories = splitList(req.query.category).filter(category => category !== 'all');
+    const taskNos = splitList(req.query.taskNo).map(Number);
+    const allRevisions = isTruthyFlag(req.query.allRevisions);
+
+    if (taskNos.some(taskNo => !Number.isInteger(taskNo) || taskNo < 1)) {
+        return res.status(400).json({ error: 'taskNo must be a comma-separated list of task IDs.' });
+    }
+
+    try {
+        const projectNo = await resolveProjectNo(req.params.projectNo);
+        const [projectResult] = await db.query('SELECT id FROM projects WHERE projectNo = ? AND deleted_at IS NULL', [projectNo]);
+        if (projectResult.length === 0) {
+            return res.status(404).json({ error: `Project No. ${projectNo} not found.` });
+        }
+
+        const files = await listArchiveFiles({ projectNo, categories, taskNos, allRevisions });
+        if (files.length === 0) {
+            return res.status(404).json({ error: 'No files match the selected filters.' });
+        }
+
+        const { included, missing, aborted } = await streamProjectArchive(res, { projectNo, files, allRevisions });
+
+        await logActivity(
+            req.user.id,
+            'DOWNLOAD',
+            'FILE',
+            projectResult[0].id,
+            `Downloaded ZIP of ${included} file(s) for project ${projectNo}${aborted ? ' (cancelled)' : ''}.`,
+            { projectNo, categories, taskNos, allRevisions, included, missing, aborted }
+        );
+
+    } catch (err) {
+        console.error('Error building file archive:', err);
+        if (res.headersSent) {
+            return res.destroy(err);
+        }
+        res.status(500).json({
+            error: 'Failed to build file archive.',
+            details: err.message
+        });
+    }
+});
+
 // Also update the existing /files/:projectNo route to return consistent format
-router.get('/files/:projectNo', async (req, res) => {
-    const { projectNo } = req.params;
+router.get('/files/:projectNo', requirePermission('files:read'), async (req, res) => {
     const { category } = req.query;
 
     try {
+        const projectNo = await resolveProjectNo(req.params.projectNo);
         let query = `
-            SELECT id, projectNo, file_name, file_size, mime_type, category, taskNo
+            SELECT id, projectNo, file_name, file_size, mime_type, category, taskNo, uploaded_by,
+                   document_id, revision_no, revision_notes, superseded_at, preview_status
             FROM project_files 
-            WHERE projectNo = ?
+            WHERE projectNo = ? AND deleted_at IS NULL
         `;
         const params = [projectNo];
 
+        // Only the latest revision of each document unless ?allRevisions=1
+        if (!isTruthyFlag(req.query.allRevisions)) {
+            query += ' AND superseded_at IS NULL';
+        }
+
         if (category && category !== 'all') {
             query += ' AND category = ?';
             params.push(category);
@@ -226,7 +190,7 @@ router.get('/files/:projectNo', async (req, res) => {
 
         const [files] = await db.query(query, params);
         
-        res.json(files); // Fix: Return the array directly, not wrapped in object
+        res.json(files.map(formatRevision)); // Fix: Return the array directly, not wrapped in object
 
     } catch (err) {
         console.error('Error fetching files:', err);
@@ -238,7 +202,7 @@ router.get('/files/:projectNo', async (req, res) => {
     }
 });
 
-router.post('/upload', upload.array('files'), async (req, res) => {
+router.post('/upload', requirePermission('files:upload'), handleUploadErrors(upload.array('files')), async (req, res) => {
     const { projectNo, category } = req.body;
     const uploadedFiles = req.files;
 
@@ -246,184 +210,36 @@ router.post('/upload', upload.array('files'), async (req, res) => {
         return res.status(400).json({ error: "No files selected for upload." });
     }
 
-    // Define the task table map for quick lookup
-    const taskTableMap = {
-        'panel': 'panel_tasks',
-        'cutting': 'cutting_tasks',
-        'door': 'door_tasks',
-        'strip_curtain': 'strip_curtain_tasks',
-        'accessories': 'accessories_tasks',
-        'system': 'system_tasks',
-        'transportation': 'transportation_tasks',
-        'quotation': 'quotation_tasks'
-    };
-
-    // Define category-specific task titles and descriptions
-    const getCategoryDetails = (cat, customer, fileName) => {
-        // Updated to use fileName in the description for better tracking
-        const baseDescription = `File '${fileName}' uploaded for projectNo ${projectNo}.`;
-        
-        const details = {
-            'panel': { title: `Panel Task: ${fileName}`, description: baseDescription },
-            'cutting': { title: `Cutting Task: ${fileName}`, description: baseDescription },
-            'door': { title: `Door Task: ${fileName}`, description: baseDescription },
-            'strip_curtain': { title: `Strip Curtain Task: ${fileName}`, description: baseDescription },
-            'accessories': { title: `Accessories Task: ${fileName}`, description: baseDescription },
-            'system': { title: `System Task: ${fileName}`, description: baseDescription },
-            'transportation': { title: `Transport Task: ${fileName}`, description: baseDescription },
-            'quotation': { title: `Quotation Task: ${fileName}`, description: baseDescription }
-        };
-        
-        return details[cat] || {
-            title: `${cat.charAt(0).toUpperCase() + cat.slice(1)} Task: ${fileName}`,
-            description: baseDescription
-        };
-    };
-
-    // Map category to the correct total column for projects table
-    const categoryToColumn = {
-        'cutting': 'total_cutting',
-        'panel': 'total_panel',
-        'door': 'total_door',
-        'strip_curtain': 'total_strip_curtain',
-        'accessories': 'total_accessories',
-        'system': 'total_system',
-        'transportation': 'total_transportation',
-        'quotation': 'total_quotation'
-    };
-
-    let tasksCreatedCount = 0;
-    let successfulUploadsCount = 0;
-    let lastTaskId = null;
-    let taskMessage = '';
-
     try {
         // 1. Basic Project existence check
-        const [projectResult] = await db.query('SELECT id, customer, status, requestedDelivery FROM projects WHERE projectNo = ?', [projectNo]);
-        if (projectResult.length === 0) {
+        const project = await findUploadProject(projectNo);
+        if (!project) {
+            await releaseStorageKeys(uploadedFiles.map(file => file.storageKey));
             return res.status(404).json({ error: `Project No. ${projectNo} not found.` });
         }
-        
-        const projectId = projectResult[0].id;
-        const customer = projectResult[0].customer;
-        const projectStatus = projectResult[0].status;
-        const projectDueDate = projectResult[0].requestedDelivery;
-        
-        // 2. Process each file sequentially to link the created task ID to the project_files record
-        const taskTable = taskTableMap[category];
-        const totalColumn = categoryToColumn[category];
-
-        for (const file of uploadedFiles) {
-            try {
-                const fileData = file.buffer;
-                if (!fileData || fileData.length === 0) {
-                    console.error(`Skipping file: ${file.originalname} due to empty buffer.`);
-                    continue; // Skip to the next file
-                }
-                
-                // --- FILE INSERTION ---
-                // FIX: Use AUTO_INCREMENT properly by not specifying id in INSERT
-                const fileInsertQuery = `
-                    INSERT INTO project_files 
-                    (projectNo, file_name, file_size, mime_type, file_data, category) 
-                    VALUES (?, ?, ?, ?, ?, ?)
-                `.trim();
-                
-                const [fileResult] = await db.query(fileInsertQuery, [
-                    projectNo, 
-                    file.originalname, 
-                    file.size, 
-                    file.mimetype, 
-                    fileData,
-                    category || null
-                ]);
-                
-                const projectFileId = fileResult.insertId;
-                successfulUploadsCount++;
-
-                // --- TASK CREATION (Conditional) ---
-                let createdTaskId = null;
-
-                if (category && taskTable) 
-                {
-                    
-                    const details = getCategoryDetails(category, customer, file.originalname);
-                    let approveStatus = 'Pending';
-                    if (projectStatus === 'Approved') {
-                        approveStatus = 'Approved';
-                    }
-                    
-                      const taskInsertQuery = `
-                        INSERT INTO ${taskTable} 
-                        (title, description, priority, status, project_no, due_date, created_at, approve_status) 
-                        VALUES (?, ?, ?, ?, ?, ?, NOW(), ?)
-                    `;
-                    
-                    const taskInsertValues = [
-                        details.title,
-                        details.description, 
-                        'empty', 
-                        'pending', 
-                        projectNo,
-                        projectDueDate,
-                        approveStatus
-                    ];
-                    
-                    const [taskResult] = await db.query(taskInsertQuery, taskInsertValues);
-                    createdTaskId = taskResult.insertId;
-                    tasksCreatedCount++;
-                    lastTaskId = createdTaskId;
-                    
-                    // --- TASK ID LINKING (The requested FIX) ---
-                    await db.query(
-                        `UPDATE project_files SET taskNo = ? WHERE id = ?`,
-                        [createdTaskId, projectFileId]
-                    );
-                    console.log(`Linked Task ID ${createdTaskId} to File ID ${projectFileId}`);
-                }
-                
-            } catch (fileError) {
-                console.error(`Failed to process file ${file.originalname}:`, fileError);
-                // Continue with next file, but log the error
-            }
-        } // End of file loop
 
-        // 4. INCREMENT TOTAL COUNT for the WHOLE BATCH (Increment by the number of successful task creations)
-        if (totalColumn && tasksCreatedCount > 0) {
-            await db.query(
-                `UPDATE projects SET ${totalColumn} = ${totalColumn} + ? WHERE projectNo = ?`,
-                [tasksCreatedCount, projectNo]
-            );
-            console.log(`Incremented ${totalColumn} by ${tasksCreatedCount} for project ${projectNo}`);
-            taskMessage = `Successfully created and linked ${tasksCreatedCount} tasks.`;
-        }
-        
-        // 5. Log the successful uploads (Log should reflect overall success)
-        const fileNames = uploadedFiles.map(f => f.originalname).join(', ');
-        
-        const logMessage = category 
-            ? `${successfulUploadsCount} file(s) uploaded to ${category} category for project ${projectNo}: ${fileNames}. ${tasksCreatedCount} task(s) created.`
-            : `${successfulUploadsCount} file(s) uploaded for project ${projectNo}: ${fileNames}`;
-        
-        const logDetails = { 
-            projectNo: projectNo,
-            customer: customer,
-            count: successfulUploadsCount,
-            category: category || 'uncategorized',
-            tasksCreated: tasksCreatedCount,
-            lastTaskId: lastTaskId
-        };
-        
-        await logActivity(
-            'UPLOAD', 
-            'FILE', 
-            projectId, // Log against the Project ID
-            logMessage,
-            logDetails
-        );
+        // 2. Policy checks (size, type, content sniffing, scanner); rejected files are reported per file
+        const { accepted: acceptedFiles, rejected: rejectedFiles } = await screenUploads(uploadedFiles, {
+            category,
+            projectNo,
+            userId: req.user.id
+        });
 
-        // 6. Prepare response
+        // 3. File rows, category tasks, documents, counters and the activity log (services/fileIngest.js)
+        const { successfulUploadsCount, tasksCreatedCount, lastTaskId } = await ingestProjectFiles({
+            project,
+            category,
+            files: acceptedFiles,
+            userId: req.user.id,
+            rejected: rejectedFiles
+        });
+        const taskMessage = tasksCreatedCount > 0 ? `Successfully created and linked ${tasksCreatedCount} tasks.` : '';
+
+        // 4. Prepare response
         if (successfulUploadsCount === 0) {
+             if (rejectedFiles.length > 0) {
+                 return res.status(400).json({ error: 'None of the files were accepted.', rejected: rejectedFiles });
+             }
              return res.status(500).json({ error: 'No files were successfully processed and uploaded to the database.' });
         }
         
@@ -432,6 +248,9 @@ router.post('/upload', upload.array('files'), async (req, res) => {
         if (tasksCreatedCount > 0) {
             responseMessage += ` ${tasksCreatedCount} corresponding task(s) created and linked.`;
         }
+        if (rejectedFiles.length > 0) {
+            responseMessage += ` ${rejectedFiles.length} file(s) rejected.`;
+        }
 
         res.status(200).json({ 
             message: responseMessage,
@@ -439,7 +258,8 @@ router.post('/upload', upload.array('files'), async (req, res) => {
             count: successfulUploadsCount,
             tasksCreated: tasksCreatedCount,
             taskMessage: taskMessage,
-            lastTaskId: lastTaskId
+            lastTaskId: lastTaskId,
+            rejected: rejectedFiles
         });
 
     } catch (err) {
@@ -451,36 +271,13 @@ router.post('/upload', upload.array('files'), async (req, res) => {
     }
 });
 
-router.delete('/file/:id', async (req, res) => {
+router.delete('/file/:id', requirePermission('files:delete'), async (req, res) => {
     const fileId = req.params.id;
 
-    // Define maps for quick lookup (based on your previous logic)
-    const categoryToColumn = {
-        'cutting': 'total_cutting',
-        'panel': 'total_panel',
-        'door': 'total_door',
-        'strip_curtain': 'total_strip_curtain',
-        'accessories': 'total_accessories',
-        'system': 'system_tasks',
-        'transportation': 'transportation_tasks',
-        'quotation': 'quotation_tasks'
-    };
-    
-    const taskTableMap = {
-        'panel': 'panel_tasks',
-        'cutting': 'cutting_tasks',
-        'door': 'door_tasks',
-        'strip_curtain': 'strip_curtain_tasks',
-        'accessories': 'accessories_tasks',
-        'system': 'system_tasks',
-        'transportation': 'transportation_tasks',
-        'quotation': 'quotation_tasks'
-    };
-
     try {
         // 1. Get file details (name, projectNo, category, AND taskNo) BEFORE deletion
         const [fileInfoResult] = await db.query(
-            'SELECT file_name, projectNo, category, taskNo FROM project_files WHERE id = ?', 
+            'SELECT file_name, projectNo, category, taskNo, storage_key, document_id, revision_no FROM project_files WHERE id = ? AND deleted_at IS NULL', 
             [fileId]
         );
 
@@ -489,7 +286,15 @@ router.delete('/file/:id', async (req, res) => {
         }
         
         // Destructure all needed properties, including taskNo
-        const { file_name: fileName, projectNo, category, taskNo } = fileInfoResult[0];
+        const {
+            file_name: fileName,
+            projectNo,
+            category,
+            taskNo,
+            storage_key: storageKey,
+            document_id: documentId,
+            revision_no: revisionNo
+        } = fileInfoResult[0];
 
         // 2. Delete the file record from the database
         const [deleteResult] = await db.query('DELETE FROM project_files WHERE id = ?', [fileId]);
@@ -498,50 +303,61 @@ router.delete('/file/:id', async (req, res) => {
             // This should not happen if fileInfoResult was found, but keep for robustness.
             return res.status(404).json({ error: 'File record not found for deletion.' });
         }
+
+        // 3. Remove the stored content unless another file row shares it
+        await releaseStorageKeys([storageKey]);
+        await db.query('DELETE FROM comment_attachments WHERE file_id = ?', [fileId]);
+
+        // Deleting one revision of a document that has others keeps the document and its task;
+        // a deleted latest revision hands "latest" back to the previous one
+        const { remainingRevisions } = await afterRevisionDeleted(db, documentId);
         
         let taskDeleted = false;
         let taskTableName = '';
 
         // --- Task and Project Totals Management ---
-        if (category) {
-            const totalColumn = categoryToColumn[category];
-            taskTableName = taskTableMap[category];
-            
-            // A. Decrement the project's total file count
-            if (totalColumn) {
-                // Decrement the total by 1, ensuring it doesn't drop below 0
-                await db.query(
-                    `UPDATE projects SET ${totalColumn} = GREATEST(0, ${totalColumn} - 1) WHERE projectNo = ?`,
-                    [projectNo]
-                );
-                console.log(`Decremented ${totalColumn} file count for project ${projectNo}`);
-            }
+        const taskCategory = category && getTaskCategory(category);
+        if (taskCategory && remainingRevisions === 0 && taskNo) {
+            taskTableName = taskCategory.table;
+
+            // Targeted Task Deletion Logic: Delete task using the stored taskNo (the task's primary key)
+            const [linkedTasks] = await db.query(`SELECT status FROM ${taskTableName} WHERE id = ?`, [taskNo]);
+            const [taskDeleteResult] = await db.query(
+                `DELETE FROM ${taskTableName} WHERE id = ?`,
+                [taskNo]
+            );
 
-            // B. Targeted Task Deletion Logic: Delete task using the stored taskNo
-            if (taskTableName && taskNo) {
-                
-                // Delete the specific task linked to this file's taskNo (which is the task's primary key)
-                const [taskDeleteResult] = await db.query(
-                    `DELETE FROM ${taskTableName} WHERE id = ?`,
-                    [taskNo]
-                );
-
-                if (taskDeleteResult.affectedRows > 0) {
-                    taskDeleted = true;
-                    console.log(`Successfully deleted linked task (ID: ${taskNo}) from ${taskTableName}.`);
-                } else {
-                    console.log(`Warning: File was deleted, but linked task (ID: ${taskNo}) not found in ${taskTableName}.`);
+            if (taskDeleteResult.affectedRows > 0) {
+                taskDeleted = true;
+                console.log(`Successfully deleted linked task (ID: ${taskNo}) from ${taskTableName}.`);
+
+                await deleteTaskLinks(db, taskCategory.key, [taskNo]);
+
+                // Take the task out of the project's total_/completed_ counters
+                const deltas = counterDeltas(linkedTasks[0].status, null);
+                for (const countType of ['total', 'completed']) {
+                    if (deltas[countType] !== 0) {
+                        const column = `${countType}_${taskCategory.counterPrefix}`;
+                        await db.query(
+                            `UPDATE projects SET ${column} = GREATEST(0, ${column} + ?) WHERE projectNo = ?`,
+                            [deltas[countType], projectNo]
+                        );
+                        console.log(`Decremented ${column} for project ${projectNo}`);
+                    }
                 }
+            } else {
+                console.log(`Warning: File was deleted, but linked task (ID: ${taskNo}) not found in ${taskTableName}.`);
             }
         }
         
         // 4. Log the successful deletion
         await logActivity(
+            req.user.id,
             'DELETE', 
             'FILE', 
             fileId, 
             `Deleted file: '${fileName}' from project ${projectNo} (Category: ${category || 'N/A'}). Linked Task ID: ${taskNo || 'N/A'}.`,
-            { projectNo: projectNo, category: category, taskDeleted: taskDeleted, taskNo: taskNo }
+            { projectNo: projectNo, category: category, taskDeleted: taskDeleted, taskNo: taskNo, documentId: documentId, revisionNo: revisionNo }
         );
 
         // 5. Prepare response
@@ -556,7 +372,9 @@ router.delete('/file/:id', async (req, res) => {
             message: responseMessage,
             fileId: fileId,
             taskDeleted: taskDeleted,
-            taskNo: taskNo
+            taskNo: taskNo,
+            documentId: documentId,
+            remainingRevisions: remainingRevisions
         });
 
     } catch (err) {
@@ -568,57 +386,187 @@ router.delete('/file/:id', async (req, res) => {
     }
 });
 
+// --- PATCH /api/projects/file/:id/category: Move a file (and its linked task) to another category ---
+// Body: { category }. All revisions of the file's document move; the task keeps its status and subtasks.
+router.patch('/file/:id/category', requirePermission('files:upload', 'files:delete'), async (req, res) => {
+    const { category } = req.body || {};
+
+    if (!category) {
+        return res.status(400).json({ error: 'category is required.' });
+    }
+
+    try {
+        const moved = await moveFileCategory({ fileId: req.params.id, category, userId: req.user.id });
+        console.log(`📂 Moved file ${moved.fileId} from ${moved.fromCategory || 'uncategorized'} to ${moved.toCategory} (task ${moved.previousTaskId || 'new'} -> ${moved.taskId})`);
+        res.json({
+            message: `File moved to the ${moved.toCategory} category.`,
+            ...moved
+        });
+    } catch (err) {
+        if (err instanceof FileMoveError) {
+            return res.status(err.statusCode).json({ error: err.message });
+        }
+        console.error(`Error moving file ID ${req.params.id}:`, err);
+        res.status(500).json({ error: 'Failed to move file to the new category.', details: err.message });
+    }
+});
+
 // =========================================================
-// 📋 PROJECT ROUTES (CRUD) WITH STATUS SUPPORT
+// 📑 DOCUMENT REVISIONS (Rev A, B, C...)
 // =========================================================
 
-// --- GET /api/projects: Fetch all projects ---
-router.get('/', async (req, res) => {
+// --- GET /api/projects/documents/:documentId: A document and all its revisions, newest first ---
+router.get('/documents/:documentId', requirePermission('files:read'), async (req, res) => {
     try {
-        // Check if we need to add status column (for backward compatibility)
-        const [columns] = await db.query(`
-            SELECT COLUMN_NAME 
-            FROM INFORMATION_SCHEMA.COLUMNS 
-            WHERE TABLE_NAME = 'projects' AND TABLE_SCHEMA = DATABASE()
-        `);
-        
-        const hasStatusColumn = columns.some(col => col.COLUMN_NAME === 'status');
-        
-        let query = 'SELECT * FROM projects ORDER BY created_at DESC, id DESC';
-        
-        if (hasStatusColumn) {
-            query = 'SELECT *, status FROM projects ORDER BY created_at DESC, id DESC';
+        const document = await getDocument(req.params.documentId);
+        if (!document) {
+            return res.status(404).json({ error: 'Document not found.' });
         }
-        
-        const [projects] = await db.query(query);
-        
-        // Calculate completion for each project
-        const projectsWithCompletion = await Promise.all(
-            projects.map(async (project) => {
-                try {
-                    const completion = await calculateCompletionPercentage(project.projectNo);
-                    return {
-                        ...project,
-                        completion: completion
-                    };
-                } catch (error) {
-                    console.error(`Error calculating completion for project ${project.projectNo}:`, error);
-                    return {
-                        ...project,
-                        completion: {
-                            panelSlab: { completed: 0, total: 0, percentage: 0 },
-                            cutting: { completed: 0, total: 0, percentage: 0 },
-                            door: { completed: 0, total: 0, percentage: 0 },
-                            stripCurtain: { completed: 0, total: 0, percentage: 0 },
-                            accessories: { completed: 0, total: 0, percentage: 0 },
-                            system: { completed: 0, total: 0, percentage: 0 }
-                        }
-                    };
-                }
-            })
-        );
-        
-        res.json(projectsWithCompletion);
+        res.json(document);
+    } catch (err) {
+        console.error('Error fetching document:', err);
+        res.status(500).json({ error: 'Failed to retrieve document.', details: err.message });
+    }
+});
+
+/**
+ * Streams one revision of a document (see sendFile for caching and ranges).
+ * @param {string} revisionParam - Revision number, letter ('C', 'rev-c') or 'latest'.
+ */
+async function sendDocumentRevision(req, res, revisionParam) {
+    const revision = parseRevision(revisionParam);
+    if (!revision) {
+        return res.status(400).json({ error: `Invalid revision '${revisionParam}'. Use a number, a letter (A, B, ...) or 'latest'.` });
+    }
+
+    const file = await findRevisionFile(req.params.documentId, revision);
+    if (!file) {
+        return res.status(404).json({ error: 'Revision not found.' });
+    }
+    await sendFile(req, res, file);
+}
+
+// --- GET /api/projects/documents/:documentId/file: Download the latest revision ---
+router.get('/documents/:documentId/file', requirePermission('files:read'), async (req, res) => {
+    try {
+        await sendDocumentRevision(req, res, 'latest');
+    } catch (err) {
+        console.error('Error serving document:', err);
+        res.status(500).json({ error: 'Failed to serve file.', details: err.message });
+    }
+});
+
+// --- GET /api/projects/documents/:documentId/revisions/:rev/file: Download a specific revision ---
+router.get('/documents/:documentId/revisions/:rev/file', requirePermission('files:read'), async (req, res) => {
+    try {
+        await sendDocumentRevision(req, res, req.params.rev);
+    } catch (err) {
+        console.error('Error serving document revision:', err);
+        res.status(500).json({ error: 'Failed to serve file.', details: err.message });
+    }
+});
+
+// --- POST /api/projects/documents/:documentId/revisions: Supersede with a new revision (no new task) ---
+router.post('/documents/:documentId/revisions', requirePermission('files:upload'), handleUploadErrors(upload.single('file')), async (req, res) => {
+    const file = req.file;
+
+    if (!file) {
+        return res.status(400).json({ error: 'A file is required.' });
+    }
+
+    try {
+        const document = await getDocument(req.params.documentId);
+        if (!document) {
+            await releaseStorageKeys([file.storageKey]);
+            return res.status(404).json({ error: 'Document not found.' });
+        }
+
+        const { rejected } = await screenUploads([file], {
+            category: document.category,
+            projectNo: document.projectNo,
+            userId: req.user.id
+        });
+        if (rejected.length > 0) {
+            return res.status(400).json({ error: rejected[0].error, rejected });
+        }
+
+        const revision = await addRevision({
+            documentId: req.params.documentId,
+            file,
+            notes: req.body.notes,
+            userId: req.user.id
+        });
+
+        if (!revision) {
+            await releaseStorageKeys([file.storageKey]);
+            return res.status(404).json({ error: 'Document not found.' });
+        }
+
+        res.status(201).json({
+            message: `Rev ${revision.revisionLabel} of '${revision.file_name}' uploaded.`,
+            revision
+        });
+
+        queuePreviews([revision.id]);
+    } catch (err) {
+        console.error('Error uploading document revision:', err);
+        await releaseStorageKeys([file.storageKey]);
+        res.status(500).json({ error: 'Failed to upload revision.', details: err.message });
+    }
+});
+
+// =========================================================
+// 📋 PROJECT ROUTES (CRUD) WITH STATUS SUPPORT
+// =========================================================
+
+/**
+ * Runs a filtered project listing and sends it.
+ * Responds with a plain array (the original shape) unless page/pageSize is
+ * given, in which case it responds with { data, pagination }.
+ * @param {object} req
+ * @param {object} res
+ * @param {object} query - List parameters, see services/projectListQuery.js
+ */
+async function sendProjectList(req, res, query) {
+    const listQuery = parseProjectListQuery(query);
+    if (listQuery.error) {
+        return res.status(400).json({ error: listQuery.error });
+    }
+
+    const { whereSql, params, orderBySql, pagination } = listQuery;
+    let sql = `SELECT * FROM projects ${whereSql} ${orderBySql}`;
+    const queryParams = [...params];
+
+    if (pagination) {
+        sql += ' LIMIT ? OFFSET ?';
+        queryParams.push(pagination.pageSize, pagination.offset);
+    }
+
+    const [projects] = await db.query(sql, queryParams);
+
+    // Completion for every listed project in one grouped query
+    const data = await attachCompletion(projects);
+
+    if (!pagination) {
+        return res.json(data);
+    }
+
+    const [[{ total }]] = await db.query(`SELECT COUNT(*) AS total FROM projects ${whereSql}`, params);
+    res.json({
+        data,
+        pagination: {
+            page: pagination.page,
+            pageSize: pagination.pageSize,
+            total,
+            totalPages: Math.ceil(total / pagination.pageSize)
+        }
+    });
+}
+
+// --- GET /api/projects: List projects (search, filter, sort, paginate) ---
+router.get('/', requirePermission('projects:read'), async (req, res) => {
+    try {
+        await sendProjectList(req, res, req.query);
     } catch (err) {
         console.error('Database GET Error:', err);
         res.status(500).json({ 
@@ -628,8 +576,22 @@ router.get('/', async (req, res) => {
     }
 });
 
+// --- GET /api/projects/status/:status: List projects in one status ---
+// Takes 'In Production' or 'in_production' alike, plus the search/sort/page parameters of GET /api/projects
+router.get('/status/:status', requirePermission('projects:read'), async (req, res) => {
+    try {
+        await sendProjectList(req, res, { ...req.query, status: req.params.status });
+    } catch (err) {
+        console.error('Error fetching projects by status:', err);
+        res.status(500).json({ 
+            error: 'Failed to retrieve projects by status.',
+            details: err.message 
+        });
+    }
+});
+
 // --- POST /api/projects: Create a new project ---
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('projects:write'), async (req, res) => {
     let { 
         drawingDate, 
         projectNo,
@@ -643,7 +605,7 @@ router.post('/', async (req, res) => {
         sell,
         cost,
         margin,
-        status = 'active',
+        status = DEFAULT_PROJECT_STATUS,
     } = req.body;
 
     console.log('Received project data:', req.body);
@@ -652,6 +614,11 @@ router.post('/', async (req, res) => {
         return res.status(400).json({ error: 'Project Number and Customer are required fields.' });
     }
 
+    const initialStatus = normaliseProjectStatus(status);
+    if (!INITIAL_STATUSES.includes(initialStatus)) {
+        return res.status(400).json({ error: `New projects must start as one of: ${INITIAL_STATUSES.join(', ')}` });
+    }
+
     // --- SANITIZATION: Replace / with _ ---
     // This ensures filenames and database keys are safe for URLs and file systems
     const safeProjectNo = projectNo.replace(/\//g, '_'); 
@@ -661,43 +628,23 @@ router.post('/', async (req, res) => {
     try {
         await connection.beginTransaction();
 
-        const [columns] = await connection.query(`
-            SELECT COLUMN_NAME 
-            FROM INFORMATION_SCHEMA.COLUMNS 
-            WHERE TABLE_NAME = 'projects' AND TABLE_SCHEMA = DATABASE()
-        `);
-        
-        const columnNames = columns.map(col => col.COLUMN_NAME);
-        
+        // An old number of a renamed project still resolves to that project
+        const aliasOwner = await findAliasOwner(safeProjectNo, connection);
+        if (aliasOwner) {
+            await connection.rollback();
+            return res.status(409).json({ error: `Project Number '${safeProjectNo}' is a former number of project ${aliasOwner}.` });
+        }
+
         // Use safeProjectNo for the database entry
-        let projectsColumns = ['drawingDate', 'projectNo', 'customer', 'poPayment', 'requestedDelivery', 'remark', 'status', 'created_at'];
-        let projectsPlaceholders = ['?', '?', '?', '?', '?', '?', '?', 'NOW()'];
-        let projectsValues = [drawingDate, safeProjectNo, customer, poPayment, requestedDelivery, remark, status];
+        const projectsColumns = ['drawingDate', 'projectNo', 'projectName', 'customer', 'salesman', 'poPayment', 'requestedDelivery', 'remark', 'status', 'created_at'];
+        const projectsPlaceholders = ['?', '?', '?', '?', '?', '?', '?', '?', '?', 'NOW()'];
+        const projectsValues = [drawingDate, safeProjectNo, projectName || '', customer, salesman || '', poPayment, requestedDelivery, remark, initialStatus];
 
-        if (columnNames.includes('projectName')) {
-            projectsColumns.push('projectName');
-            projectsPlaceholders.push('?');
-            projectsValues.push(projectName || '');
-        }
-        
-        if (columnNames.includes('salesman')) {
-            projectsColumns.push('salesman');
+        TASK_CATEGORIES.forEach(({ counterPrefix }) => {
+            const field = `completed_${counterPrefix}`;
+            projectsColumns.push(field);
             projectsPlaceholders.push('?');
-            projectsValues.push(salesman || '');
-        }
-
-        const completionFields = [
-            'completed_cutting', 'completed_panel', 'completed_door', 
-            'completed_strip_curtain', 'completed_accessories', 
-            'completed_system', 'completed_transportation', 'completed_quotation'
-        ];
-
-        completionFields.forEach(field => {
-            if (columnNames.includes(field)) {
-                projectsColumns.push(field);
-                projectsPlaceholders.push('?');
-                projectsValues.push(req.body[field] || 0);
-            }
+            projectsValues.push(req.body[field] || 0);
         });
 
         const projectsQuery = `INSERT INTO projects 
@@ -706,40 +653,45 @@ router.post('/', async (req, res) => {
 
         const [projectsResult] = await connection.query(projectsQuery, projectsValues);
 
-        const [tables] = await connection.query(`
-            SELECT TABLE_NAME FROM INFORMATION_SCHEMA.TABLES 
-            WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'job_ledger'
-        `);
+        const [existingRecords] = await connection.query(
+            'SELECT Job_No FROM job_ledger WHERE Job_No = ?',
+            [safeProjectNo]
+        );
         
-        if (tables.length > 0) {
-            const [existingRecords] = await connection.query(
-                'SELECT Job_No FROM job_ledger WHERE Job_No = ?',
-                [safeProjectNo]
-            );
-            
-            if (existingRecords.length === 0) {
-                const ledgerData = {
-                    Job_No: safeProjectNo,
-                    Customer_Name: customer,
-                    Date_Entry: drawingDate || new Date().toISOString().split('T')[0],
-                    Sales_Amount: sales || 0,
-                    Sell_Price: sell || 0,
-                    Cost: cost || 0,
-                    Margin: margin || 0,
-                    Remarks: remark || null
-                };
-
-                const sqlColumns = Object.keys(ledgerData).join(', ');
-                const placeholders = Object.keys(ledgerData).map(() => '?').join(', ');
-                const ledgerValues = Object.values(ledgerData);
-
-                await connection.query(`INSERT INTO job_ledger (${sqlColumns}) VALUES (${placeholders})`, ledgerValues);
-            }
+        if (existingRecords.length === 0) {
+            // Cost and margin are only accepted from roles allowed to see them
+            const canSetFinancials = can(req, 'ledger:financials');
+            const ledgerData = {
+                Job_No: safeProjectNo,
+                Customer_Name: customer,
+                Date_Entry: drawingDate || new Date().toISOString().split('T')[0],
+                Sales_Amount: sales || 0,
+                Sell_Price: sell || 0,
+                Cost: canSetFinancials ? (cost || 0) : 0,
+                Margin: canSetFinancials ? (margin || 0) : 0,
+                Remarks: remark || null
+            };
+
+            const sqlColumns = Object.keys(ledgerData).join(', ');
+            const placeholders = Object.keys(ledgerData).map(() => '?').join(', ');
+            const ledgerValues = Object.values(ledgerData);
+
+            await connection.query(`INSERT INTO job_ledger (${sqlColumns}) VALUES (${placeholders})`, ledgerValues);
         }
 
         await connection.commit();
         
         const [newProject] = await connection.query('SELECT * FROM projects WHERE id = ?', [projectsResult.insertId]);
+
+        await logActivity(
+            req.user.id,
+            'CREATE', 
+            'PROJECT', 
+            projectsResult.insertId, 
+            `Project ${safeProjectNo} created for ${customer}.`,
+            { projectNo: safeProjectNo, customer: customer }
+        );
+
         res.status(201).json(newProject[0]);
 
     } catch (err) {
@@ -755,56 +707,30 @@ router.post('/', async (req, res) => {
     }
 });
 
-// --- PATCH /api/projects/:id/status: Update project status ---
-router.patch('/:id/status', async (req, res) => {
+// --- GET /api/projects/lifecycle: Statuses and allowed transitions ---
+router.get('/lifecycle', requirePermission('projects:read'), (req, res) => {
+    res.json({ statuses: PROJECT_STATUSES, initialStatuses: INITIAL_STATUSES, transitions: TRANSITIONS });
+});
+
+// --- PATCH /api/projects/:id/status: Move project to another lifecycle status ---
+router.patch('/:id/status', requirePermission('projects:write'), async (req, res) => {
     const { id } = req.params;
-    const { status} = req.body;
+    const { status, reason } = req.body;
 
     if (!status) {
         return res.status(400).json({ error: 'Status is required.' });
     }
 
     try {
-        // Check if status column exists
-        const [columns] = await db.query(`
-            SELECT COLUMN_NAME 
-            FROM INFORMATION_SCHEMA.COLUMNS 
-            WHERE TABLE_NAME = 'projects' AND TABLE_SCHEMA = DATABASE()
-        `);
-        
-        // Update the project status
-        const updateQuery = `
-            UPDATE projects 
-            SET status = ?, 
-                status = status,
-                updated_at = NOW()
-            WHERE id = ?
-        `;
-        
-        await db.query(updateQuery, [status || null, id]);
-        
-        // Get updated project
-        const [updatedProject] = await db.query('SELECT * FROM projects WHERE id = ?', [id]);
-
-        if (updatedProject.length === 0) {
-            return res.status(404).json({ error: 'Project not found after status update attempt.' });
-        }
-        
-        // Log the status update
-        await logActivity(
-            'UPDATE', 
-            'PROJECT', 
-            id, 
-            `Project ${updatedProject[0].projectNo} status updated to ${status}.`,
-            { 
-                oldStatus: updatedProject[0].status,
-                newStatus: status,
-            }
-        );
+        const { project } = await transitionProjectStatus({ projectId: id, status, reason, userId: req.user.id });
 
+        const [updatedProject] = await db.query('SELECT * FROM projects WHERE id = ?', [project.id]);
         res.status(200).json(updatedProject[0]);
 
     } catch (err) {
+        if (err instanceof ProjectStatusError) {
+            return res.status(err.statusCode).json({ error: err.message, ...err.details });
+        }
         console.error('Error updating project status:', err);
         res.status(500).json({ 
             error: 'Failed to update project status.',
@@ -814,7 +740,7 @@ router.patch('/:id/status', async (req, res) => {
 });
 
 // --- PUT /api/projects/:id: Update a project ---
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission('projects:write'), async (req, res) => {
     const { id } = req.params;
     const updateFields = req.body;
 
@@ -832,28 +758,49 @@ router.put('/:id', async (req, res) => {
         return res.status(400).json({ error: 'No valid fields provided for update.' });
     }
 
+    const connection = await db.getConnection();
+
     try {
+        await connection.beginTransaction();
+
         // Get current project data for logging
-        const [currentProject] = await db.query('SELECT projectNo FROM projects WHERE id = ?', [id]);
+        const [currentProject] = await connection.query('SELECT projectNo FROM projects WHERE id = ? AND deleted_at IS NULL', [id]);
         
         if (currentProject.length === 0) {
+            await connection.rollback();
             return res.status(404).json({ error: 'Project not found.' });
         }
 
-        // Build SET clause for query
-        const setClause = Object.keys(fieldsToUpdate)
-            .map(field => `${field} = ?`)
-            .join(', ');
-        
-        const query = `UPDATE projects SET ${setClause}, updated_at = NOW() WHERE id = ?`;
-        const values = [...Object.values(fieldsToUpdate), id];
+        // A new project number is renamed everywhere it is referenced (files, tasks, ledger, panels, ...)
+        const { projectNo: newProjectNo, ...otherFields } = fieldsToUpdate;
+        if (newProjectNo !== undefined && sanitiseProjectNo(newProjectNo) !== currentProject[0].projectNo) {
+            await renameProjectNumber({
+                connection,
+                oldProjectNo: currentProject[0].projectNo,
+                newProjectNo,
+                userId: req.user.id
+            });
+        }
+
+        if (Object.keys(otherFields).length > 0) {
+            // Build SET clause for query
+            const setClause = Object.keys(otherFields)
+                .map(field => `${field} = ?`)
+                .join(', ');
+            
+            const query = `UPDATE projects SET ${setClause}, updated_at = NOW() WHERE id = ?`;
+            const values = [...Object.values(otherFields), id];
 
-        await db.query(query, values);
+            await connection.query(query, values);
+        }
+
+        await connection.commit();
         
         const [updatedProject] = await db.query('SELECT * FROM projects WHERE id = ?', [id]);
 
         // Log the project update
         await logActivity(
+            req.user.id,
             'UPDATE', 
             'PROJECT', 
             id, 
@@ -864,202 +811,118 @@ router.put('/:id', async (req, res) => {
         res.status(200).json(updatedProject[0]);
 
     } catch (err) {
+        await connection.rollback();
+        if (err instanceof ProjectRenameError) {
+            return res.status(err.statusCode).json({ error: err.message });
+        }
         console.error('Error updating project:', err);
         res.status(500).json({ 
             error: 'Failed to update project data in the database.',
             details: err.message
         });
+    } finally {
+        connection.release();
     }
 });
 
-// --- DELETE /api/projects/:id: Delete a project AND all associated files ---
-router.delete('/:id', async (req, res) => {
-    const { id } = req.params; 
-
-    // List of all task tables to delete from
-    const taskTables = [
-        'panel_tasks',
-        'cutting_tasks', 
-        'door_tasks',
-        'strip_curtain_tasks',
-        'accessories_tasks',
-        'system_tasks',
-        'transportation_tasks',
-        'quotation_tasks'
-    ];
-
-    // Get database connection for transaction
-    const connection = await db.getConnection();
-    
-    try {
-        await connection.beginTransaction();
+// =========================================================
+// 🗑️ TRASH (SOFT DELETE, RESTORE, PURGE)
+// =========================================================
 
-        console.log(`🗑️ Starting deletion of project ID: ${id}`);
+// --- DELETE /api/projects/:id: Move a project and its files, tasks and ledger entry to the trash ---
+router.delete('/:id', requirePermission('projects:delete'), async (req, res) => {
+    const { id } = req.params;
 
-        // 1. Get the project details before deletion
-        const [projectResult] = await connection.query(
-            'SELECT id, projectNo, customer FROM projects WHERE id = ?', 
-            [id]
-        );
-        
-        if (projectResult.length === 0) {
-            await connection.rollback();
-            connection.release();
-            console.log(`❌ Project not found with ID: ${id}`);
+    try {
+        const result = await trashProject({ projectId: id, userId: req.user.id });
+
+        if (!result) {
             return res.status(404).json({ 
                 error: 'Project not found with that ID.',
                 projectId: id 
             });
         }
-        
-        const { projectNo, customer } = projectResult[0];
-        
-        console.log(`📊 Project to delete: ${projectNo} (Customer: ${customer})`);
 
-        // 2. Delete all associated files from project_files table
-        console.log(`🗂️ Deleting associated files for project ${projectNo}...`);
-        const [fileDeleteResult] = await connection.query(
-            'DELETE FROM project_files WHERE projectNo = ?', 
-            [projectNo]
-        );
-        console.log(`✅ Deleted ${fileDeleteResult.affectedRows} file(s) from project_files`);
+        const { project, trashed } = result;
+        const trashedTasks = Object.entries(trashed)
+            .filter(([table]) => table.endsWith('_tasks'))
+            .reduce((sum, [, count]) => sum + count, 0);
 
-        // 3. Delete tasks from ALL category task tables
-        console.log(`📋 Deleting tasks from all category tables...`);
-        let totalTasksDeleted = 0;
-        
-        for (const table of taskTables) {
-            try {
-                // Check if table exists
-                const [tableExists] = await connection.query(
-                    `SELECT COUNT(*) as count FROM information_schema.tables 
-                     WHERE table_schema = DATABASE() AND table_name = ?`,
-                    [table]
-                );
-                
-                if (tableExists[0].count > 0) {
-                    const [deleteResult] = await connection.query(
-                        `DELETE FROM ${table} WHERE project_no = ?`,
-                        [projectNo]
-                    );
-                    
-                    if (deleteResult.affectedRows > 0) {
-                        console.log(`   ✅ Deleted ${deleteResult.affectedRows} task(s) from ${table}`);
-                        totalTasksDeleted += deleteResult.affectedRows;
-                    }
-                } else {
-                    console.log(`   ℹ️ Table ${table} doesn't exist, skipping`);
-                }
-            } catch (tableError) {
-                console.warn(`   ⚠️ Error deleting from ${table}:`, tableError.message);
-                // Continue with other tables even if one fails
-            }
-        }
-        
-        console.log(`✅ Total tasks deleted: ${totalTasksDeleted} from ${taskTables.length} tables`);
+        console.log(`🗑️ Project ${project.projectNo} moved to trash`);
 
-        // 4. Delete from job_ledger table if exists
-        try {
-            const [jobLedgerResult] = await connection.query(
-                'DELETE FROM job_ledger WHERE Job_No = ?',
-                [projectNo]
-            );
-            if (jobLedgerResult.affectedRows > 0) {
-                console.log(`✅ Deleted ${jobLedgerResult.affectedRows} record(s) from job_ledger`);
-            }
-        } catch (ledgerError) {
-            console.log(`ℹ️ job_ledger table doesn't exist or error: ${ledgerError.message}`);
-        }
-
-        // 5. Delete from activity_logs related to this project
-        try {
-            const [logsDeleteResult] = await connection.query(
-                'DELETE FROM activity_logs WHERE resource_id = ? AND resource_type = "PROJECT"',
-                [id]
-            );
-            if (logsDeleteResult.affectedRows > 0) {
-                console.log(`✅ Deleted ${logsDeleteResult.affectedRows} activity log(s) for project`);
-            }
-        } catch (logsError) {
-            console.log(`ℹ️ Error deleting activity logs: ${logsError.message}`);
-        }
-
-        // 6. Finally, delete the project from projects table
-        console.log(`🏗️ Deleting project from projects table...`);
-        const [projectDeleteResult] = await connection.query(
-            'DELETE FROM projects WHERE id = ?',
-            [id]
-        );
-
-        if (projectDeleteResult.affectedRows === 0) {
-            await connection.rollback();
-            connection.release();
-            console.log(`❌ Failed to delete project from projects table`);
-            return res.status(500).json({ 
-                error: 'Failed to delete project from database.',
-                projectId: id 
-            });
-        }
-
-        console.log(`✅ Successfully deleted project ${projectNo} from projects table`);
-
-        // 7. Commit the transaction
-        await connection.commit();
-        console.log(`✅ Transaction committed successfully`);
-
-        // 8. Log the project deletion (outside transaction since logging should not fail the operation)
-        try {
-            await logActivity(
-                'DELETE', 
-                'PROJECT', 
-                id, 
-                `Project ${projectNo} for ${customer} deleted with all associated files and tasks.`,
-                { 
-                    projectNo: projectNo, 
-                    customer: customer,
-                    filesDeleted: fileDeleteResult.affectedRows,
-                    tasksDeleted: totalTasksDeleted,
-                    taskTables: taskTables
-                }
-            );
-            console.log(`📝 Activity logged successfully`);
-        } catch (logError) {
-            console.warn(`⚠️ Failed to log activity:`, logError.message);
-            // Don't fail the response if logging fails
-        }
-        
-        // 9. Prepare success response
-        const successMessage = `Project ${projectNo} (${customer}) deleted successfully. ` +
-                              `Removed ${fileDeleteResult.affectedRows} files and ${totalTasksDeleted} tasks.`;
-        
-        console.log(`🎉 ${successMessage}`);
-        
         res.status(200).json({ 
             success: true,
-            message: successMessage,
-            projectNo: projectNo,
-            customer: customer,
-            deletedFiles: fileDeleteResult.affectedRows,
-            deletedTasks: totalTasksDeleted,
-            taskTables: taskTables,
+            message: `Project ${project.projectNo} (${project.customer}) moved to trash. ` +
+                     `It can be restored for ${getRetentionDays()} day(s).`,
+            projectNo: project.projectNo,
+            customer: project.customer,
+            deletedFiles: trashed.project_files,
+            deletedTasks: trashedTasks,
+            deletedAt: project.deleted_at,
             timestamp: new Date().toISOString()
         });
-
     } catch (err) {
-        // 10. Rollback on any error
-        await connection.rollback();
-        console.error('❌ Error in project deletion transaction:', err);
-        
+        console.error('❌ Error moving project to trash:', err);
         res.status(500).json({
             error: 'Failed to delete project and all associated data.',
             details: err.message,
             projectId: id,
             timestamp: new Date().toISOString()
         });
-    } finally {
-        // Always release the connection
-        connection.release();
-        console.log(`🔗 Database connection released`);
+    }
+});
+
+// --- GET /api/projects/trash: List trashed projects ---
+router.get('/trash', requirePermission('projects:delete'), async (req, res) => {
+    try {
+        res.json({
+            retentionDays: getRetentionDays(),
+            projects: await listTrashedProjects()
+        });
+    } catch (err) {
+        console.error('Error fetching trashed projects:', err);
+        res.status(500).json({ error: 'Failed to retrieve trashed projects.', details: err.message });
+    }
+});
+
+// --- POST /api/projects/:id/restore: Restore a trashed project ---
+router.post('/:id/restore', requirePermission('projects:delete'), async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const result = await restoreProject({ projectId: id, userId: req.user.id });
+
+        if (!result) {
+            return res.status(404).json({ error: 'Project not found in trash.', projectId: id });
+        }
+
+        const [restoredProject] = await db.query('SELECT * FROM projects WHERE id = ?', [id]);
+        res.status(200).json({ project: restoredProject[0], restored: result.restored });
+    } catch (err) {
+        console.error('Error restoring project:', err);
+        res.status(500).json({ error: 'Failed to restore project.', details: err.message });
+    }
+});
+
+// --- DELETE /api/projects/trash/:id: Permanently delete a trashed project now ---
+router.delete('/trash/:id', requirePermission('projects:purge'), async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const result = await purgeTrashedProject({ projectId: id, userId: req.user.id });
+
+        if (!result) {
+            return res.status(404).json({ error: 'Project not found in trash.', projectId: id });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: `Project ${result.project.projectNo} permanently deleted.`,
+            deleted: result.deleted
+        });
+    } catch (err) {
+        console.error('Error purging project:', err);
+        res.status(500).json({ error: 'Failed to permanently delete project.', details: err.message });
     }
 });
 // FIXED: This route should return an array, not an object
@@ -1094,33 +957,31 @@ router.delete('/:id', async (req, res) => {
 //     }
 // });
 
-// --- GET /api/projects/file/blob/:id: Stream file BLOB data ---
-router.get('/file/blob/:id', async (req, res) => {
+// --- GET /api/projects/file/blob/:id: Stream file content ---
+// Supports Range requests, ETag/Last-Modified revalidation and ?download=1 (see services/fileDownload.js).
+// Rows not yet moved by scripts/migrateFileBlobs.js are served from file_data.
+router.get('/file/blob/:id', requirePermission('files:read'), async (req, res) => {
     const fileId = req.params.id;
 
     try {
         const [fileResult] = await db.query(
-            'SELECT file_name, mime_type, file_data FROM project_files WHERE id = ?', 
+            `SELECT file_name, mime_type, storage_key, sha256, created_at,
+                    IF(storage_key IS NULL, file_data, NULL) AS file_data
+             FROM project_files WHERE id = ? AND deleted_at IS NULL`, 
             [fileId]
         );
 
         if (fileResult.length === 0) {
             return res.status(404).json({ error: 'File not found.' });
         }
-        
-        const file = fileResult[0];
 
-        if (!file.file_data) {
-            return res.status(404).json({ error: 'File data is empty or missing.' });
-        }
-
-        res.setHeader('Content-Type', file.mime_type || 'application/octet-stream');
-        res.setHeader('Content-Disposition', `inline; filename="${file.file_name}"`);
-        
-        res.send(file.file_data);
+        await sendFile(req, res, fileResult[0]);
 
     } catch (err) {
         console.error(`Error retrieving file BLOB ID ${fileId}:`, err);
+        if (res.headersSent) {
+            return res.destroy(err);
+        }
         res.status(500).json({ 
             error: 'Failed to retrieve file BLOB from the database.',
             details: err.message
@@ -1128,14 +989,94 @@ router.get('/file/blob/:id', async (req, res) => {
     }
 });
 
+// --- GET /api/projects/file/:id/thumbnail: Preview image (?size=small|medium|large) ---
+// Responds 202 with Retry-After while the preview is still being generated.
+router.get('/file/:id/thumbnail', requirePermission('files:read'), async (req, res) => {
+    const fileId = req.params.id;
+    const size = req.query.size || DEFAULT_PREVIEW_SIZE;
+
+    if (!Object.prototype.hasOwnProperty.call(PREVIEW_SIZES, size)) {
+        return res.status(400).json({ error: `Invalid size '${size}'. Allowed: ${Object.keys(PREVIEW_SIZES).join(', ')}` });
+    }
+
+    try {
+        const [fileResult] = await db.query(
+            `SELECT id, file_name, mime_type, storage_key, preview_status, preview_error
+             FROM project_files WHERE id = ? AND deleted_at IS NULL`,
+            [fileId]
+        );
+
+        if (fileResult.length === 0) {
+            return res.status(404).json({ error: 'File not found.' });
+        }
+
+        await sendPreview(req, res, fileResult[0], size);
+
+    } catch (err) {
+        console.error(`Error retrieving thumbnail for file ID ${fileId}:`, err);
+        if (res.headersSent) {
+            return res.destroy(err);
+        }
+        res.status(500).json({ error: 'Failed to retrieve thumbnail.', details: err.message });
+    }
+});
+
+// --- GET /api/projects/:projectNo/task-graph: Task dependency graph across categories ---
+router.get('/:projectNo/task-graph', requirePermission('tasks:read'), async (req, res) => {
+    try {
+        const projectNo = await resolveProjectNo(req.params.projectNo);
+
+        const [projectCheck] = await db.query(
+            'SELECT id FROM projects WHERE projectNo = ? AND deleted_at IS NULL',
+            [projectNo]
+        );
+
+        if (projectCheck.length === 0) {
+            return res.status(404).json({ error: `Project with number ${projectNo} not found` });
+        }
+
+        const graph = await getProjectDependencyGraph(projectNo);
+        res.json(graph);
+    } catch (error) {
+        console.error('Error fetching task dependency graph:', error);
+        res.status(500).json({ error: 'Failed to fetch task dependency graph', details: error.message });
+    }
+});
+
+// --- GET /api/projects/:projectNo/labour: Labour report (hours per category, worker and task) ---
+// Optional ?from=/?to= work dates (YYYY-MM-DD)
+router.get('/:projectNo/labour', requirePermission('labour:read'), async (req, res) => {
+    try {
+        const projectNo = await resolveProjectNo(req.params.projectNo);
+
+        const [projectCheck] = await db.query(
+            'SELECT id FROM projects WHERE projectNo = ? AND deleted_at IS NULL',
+            [projectNo]
+        );
+
+        if (projectCheck.length === 0) {
+            return res.status(404).json({ error: `Project with number ${projectNo} not found` });
+        }
+
+        const report = await getProjectLabourReport(projectNo, { from: req.query.from, to: req.query.to });
+        res.json(report);
+    } catch (error) {
+        if (error instanceof TaskTimeError) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('Error fetching project labour report:', error);
+        res.status(500).json({ error: 'Failed to fetch project labour report', details: error.message });
+    }
+});
+
 // --- GET /api/projects/completion/:projectNo: Get completion percentages ---
-router.get('/completion/:projectNo', async (req, res) => {
+router.get('/completion/:projectNo', requirePermission('projects:read'), async (req, res) => {
     try {
-        const { projectNo } = req.params;
+        const projectNo = await resolveProjectNo(req.params.projectNo);
 
         // Validate project exists first
         const [projectCheck] = await db.query(
-            'SELECT id FROM projects WHERE projectNo = ?',
+            'SELECT id FROM projects WHERE projectNo = ? AND deleted_at IS NULL',
             [projectNo]
         );
 
@@ -2,9 +2,10 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../db/connection');
+const { requirePermission } = require('../middleware/auth');
 
 // POST /api/subtasks - Create a new sub-task
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('subtasks:write'), async (req, res) => {
     try {
         const { title, status, project_id, category_task_id, category } = req.body;
         
@@ -45,7 +46,7 @@ router.post('/', async (req, res) => {
 });
 
 // DELETE /api/subtasks/:id - Delete a sub-task
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('subtasks:write'), async (req, res) => {
     try {
         const { id } = req.params;
         
@@ -66,9 +67,9 @@ router.delete('/:id', async (req, res) => {
     }
 });
 
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('subtasks:read'), async (req, res) => {
     try {
-        const [subtasks] = await db.execute('SELECT * FROM subtasks');
+        const [subtasks] = await db.execute('SELECT * FROM subtasks WHERE deleted_at IS NULL');
         res.json(subtasks);
     } catch (error) {
         console.error('Error fetching subtasks:', error);
@@ -76,11 +77,11 @@ router.get('/', async (req, res) => {
     }
 });
 
-router.get('/task/:taskId', async (req, res) => {
+router.get('/task/:taskId', requirePermission('subtasks:read'), async (req, res) => {
     try {
         const { taskId } = req.params;
         const [subtasks] = await db.execute(
-            'SELECT * FROM subtasks WHERE category_task_id = ? AND category = ?',
+            'SELECT * FROM subtasks WHERE category_task_id = ? AND category = ? AND deleted_at IS NULL',
             [taskId, 'Accessories']
         );
         res.json(subtasks);
@@ -90,13 +91,13 @@ router.get('/task/:taskId', async (req, res) => {
     }
 });
 
-router.patch('/:id/done', async (req, res) => {
+router.patch('/:id/done', requirePermission('subtasks:write'), async (req, res) => {
     try {
         const { id } = req.params;
         
         // Check if subtask exists
         const [existing] = await db.execute(
-            'SELECT * FROM subtasks WHERE id = ?',
+            'SELECT * FROM subtasks WHERE id = ? AND deleted_at IS NULL',
             [id]
         );
         
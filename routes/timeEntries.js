@@ -0,0 +1,74 @@
+// routes/timeEntries.js
+// Workers' time logs across category tasks, mounted at /api/time-entries.
+// Timers and manual entries on a task live on the task routers (POST /:id/timer/*, /:id/time).
+const express = require('express');
+const router = express.Router();
+const { requirePermission, can } = require('../middleware/auth');
+const {
+    TaskTimeError,
+    listWorkerTimeEntries,
+    listUserTimers,
+    deleteTimeEntry
+} = require('../services/taskTime');
+
+// =========================================================
+// GET /api/time-entries - A worker's time log, newest first
+// ?userId= (defaults to the current user; others need labour:read),
+// ?from=/?to= work dates (YYYY-MM-DD) and ?projectNo=
+// =========================================================
+router.get('/', requirePermission('tasks:read'), async (req, res) => {
+    const workerId = req.query.userId ? parseInt(req.query.userId) : req.user.id;
+    const { from, to, projectNo } = req.query;
+
+    if (!Number.isInteger(workerId) || workerId < 1) {
+        return res.status(400).json({ error: 'userId must be a user id' });
+    }
+    if (workerId !== req.user.id && !can(req, 'labour:read')) {
+        return res.status(403).json({ error: "Viewing another worker's time requires labour:read." });
+    }
+
+    try {
+        const log = await listWorkerTimeEntries(workerId, { from, to, projectNo });
+        res.json(log);
+    } catch (err) {
+        if (err instanceof TaskTimeError) {
+            return res.status(err.statusCode).json({ error: err.message });
+        }
+        console.error('❌ Error fetching time entries:', err);
+        res.status(500).json({ error: 'Failed to fetch time entries', details: err.message });
+    }
+});
+
+// =========================================================
+// GET /api/time-entries/timers - The current user's running and paused timers
+// =========================================================
+router.get('/timers', requirePermission('tasks:read'), async (req, res) => {
+    try {
+        const timers = await listUserTimers(req.user.id);
+        res.json(timers);
+    } catch (err) {
+        console.error('❌ Error fetching timers:', err);
+        res.status(500).json({ error: 'Failed to fetch timers', details: err.message });
+    }
+});
+
+// =========================================================
+// DELETE /api/time-entries/:id - Delete a time entry
+// (Own entries; other workers' entries require labour:manage)
+// =========================================================
+router.delete('/:id', requirePermission('tasks:write'), async (req, res) => {
+    const entryId = parseInt(req.params.id);
+
+    try {
+        const entry = await deleteTimeEntry({ entryId, userId: req.user.id, canManage: can(req, 'labour:manage') });
+        res.json({ message: 'Time entry deleted', entry });
+    } catch (err) {
+        if (err instanceof TaskTimeError) {
+            return res.status(err.statusCode).json({ error: err.message });
+        }
+        console.error('❌ Error deleting time entry:', err);
+        res.status(500).json({ error: 'Failed to delete time entry', details: err.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,121 @@
+// routes/uploadSessions.js
+// Resumable chunked uploads, mounted at /api/projects/uploads.
+//
+//   POST   /                      { projectNo, category?, fileName, fileSize, sha256?, partSize? }
+//   PUT    /:uploadId/parts/:partNo  raw body (application/octet-stream), optional X-Part-SHA256
+//   GET    /:uploadId             received and missing parts
+//   POST   /:uploadId/complete    assemble, verify and create the project file + task
+//   DELETE /:uploadId             abort and discard the parts
+//
+// Sessions belong to the user who created them.
+const express = require('express');
+const router = express.Router();
+const { requirePermission } = require('../middleware/auth');
+const {
+    UploadSessionError,
+    createUploadSession,
+    getUploadSession,
+    writePart,
+    completeUploadSession,
+    abortUploadSession
+} = require('../services/uploadSessions');
+
+const sendSessionError = (res, err, action) => {
+    if (err instanceof UploadSessionError) {
+        return res.status(err.statusCode).json({ error: err.message, ...err.details });
+    }
+    console.error(`❌ Error ${action}:`, err);
+    res.status(500).json({ error: `Failed ${action}`, details: err.message });
+};
+
+// =========================================================
+// POST /api/projects/uploads - Start a chunked upload
+// =========================================================
+router.post('/', requirePermission('files:upload'), async (req, res) => {
+    const { projectNo, category, fileName, fileSize, sha256, partSize } = req.body || {};
+
+    if (!projectNo || !fileName || !fileSize) {
+        return res.status(400).json({ error: 'projectNo, fileName and fileSize are required.' });
+    }
+
+    try {
+        const session = await createUploadSession({
+            projectNo,
+            category: category || null,
+            fileName,
+            fileSize,
+            sha256,
+            partSize: partSize || undefined,
+            userId: req.user.id
+        });
+        console.log(`📤 Upload session ${session.uploadId} started for ${session.fileName} (${session.totalParts} part(s))`);
+        res.status(201).json(session);
+    } catch (err) {
+        sendSessionError(res, err, 'to start upload session');
+    }
+});
+
+// =========================================================
+// PUT /api/projects/uploads/:uploadId/parts/:partNo - Upload one part
+// =========================================================
+router.put('/:uploadId/parts/:partNo', requirePermission('files:upload'), async (req, res) => {
+    try {
+        const part = await writePart({
+            uploadId: req.params.uploadId,
+            partNo: req.params.partNo,
+            userId: req.user.id,
+            stream: req,
+            sha256: req.get('x-part-sha256')
+        });
+        res.json(part);
+    } catch (err) {
+        sendSessionError(res, err, 'to store upload part');
+    }
+});
+
+// =========================================================
+// GET /api/projects/uploads/:uploadId - Session status
+// =========================================================
+router.get('/:uploadId', requirePermission('files:upload'), async (req, res) => {
+    try {
+        res.json(await getUploadSession(req.params.uploadId, req.user.id));
+    } catch (err) {
+        sendSessionError(res, err, 'to fetch upload session');
+    }
+});
+
+// =========================================================
+// POST /api/projects/uploads/:uploadId/complete - Assemble and ingest
+// =========================================================
+router.post('/:uploadId/complete', requirePermission('files:upload'), async (req, res) => {
+    try {
+        const { session, fileId, tasksCreated, taskId } = await completeUploadSession({
+            uploadId: req.params.uploadId,
+            userId: req.user.id
+        });
+        console.log(`✅ Upload session ${session.uploadId} completed as file ${fileId}`);
+        res.status(201).json({
+            message: `${session.fileName} uploaded successfully.`,
+            fileId,
+            tasksCreated,
+            taskId,
+            session
+        });
+    } catch (err) {
+        sendSessionError(res, err, 'to complete upload session');
+    }
+});
+
+// =========================================================
+// DELETE /api/projects/uploads/:uploadId - Abort
+// =========================================================
+router.delete('/:uploadId', requirePermission('files:upload'), async (req, res) => {
+    try {
+        await abortUploadSession({ uploadId: req.params.uploadId, userId: req.user.id });
+        res.json({ message: 'Upload session aborted.' });
+    } catch (err) {
+        sendSessionError(res, err, 'to abort upload session');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,130 @@
+// routes/users.js
+const express = require('express');
+const router = express.Router();
+const bcrypt = require('bcryptjs');
+const db = require('../db/connection');
+const { requirePermission, formatUser } = require('../middleware/auth');
+const { logActivity } = require('../services/activityLogger');
+const { ROLES, ROLE_PERMISSIONS } = require('../services/permissions');
+
+const USER_COLUMNS = 'id, username, display_name, email, role, is_active, last_login_at, created_at';
+
+const formatUserRow = (user) => ({
+    ...formatUser(user),
+    isActive: Boolean(user.is_active),
+    lastLoginAt: user.last_login_at,
+    createdAt: user.created_at
+});
+
+// =========================================================
+// GET /api/users/roles - The role/permission matrix
+// =========================================================
+router.get('/roles', requirePermission('users:manage'), (req, res) => {
+    res.json(ROLES.map(role => ({ role, permissions: ROLE_PERMISSIONS[role] })));
+});
+
+// =========================================================
+// GET /api/users - List users
+// =========================================================
+router.get('/', requirePermission('users:manage'), async (req, res) => {
+    try {
+        const [users] = await db.execute(`SELECT ${USER_COLUMNS} FROM users ORDER BY username`);
+        res.json(users.map(formatUserRow));
+    } catch (err) {
+        console.error('Error fetching users:', err);
+        return res.status(500).json({ error: 'Failed to fetch users' });
+    }
+});
+
+// =========================================================
+// POST /api/users - Create a user
+// =========================================================
+router.post('/', requirePermission('users:manage'), async (req, res) => {
+    const { username, password, displayName, email, role = 'production' } = req.body || {};
+
+    if (!username || !password) {
+        return res.status(400).json({ error: 'Username and password are required' });
+    }
+
+    if (!ROLES.includes(role)) {
+        return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+
+    try {
+        const passwordHash = await bcrypt.hash(password, 10);
+        const [result] = await db.execute(
+            'INSERT INTO users (username, password_hash, display_name, email, role) VALUES (?, ?, ?, ?, ?)',
+            [username, passwordHash, displayName || null, email || null, role]
+        );
+
+        await logActivity(req.user.id, 'CREATE', 'USER', result.insertId, `User ${username} created with role ${role}.`, { role });
+
+        const [rows] = await db.execute(`SELECT ${USER_COLUMNS} FROM users WHERE id = ?`, [result.insertId]);
+        res.status(201).json(formatUserRow(rows[0]));
+    } catch (err) {
+        if (err.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ error: `User '${username}' already exists.` });
+        }
+        console.error('Error creating user:', err);
+        return res.status(500).json({ error: 'Failed to create user' });
+    }
+});
+
+// =========================================================
+// PATCH /api/users/:id - Change role, active flag, profile or password
+// =========================================================
+router.patch('/:id', requirePermission('users:manage'), async (req, res) => {
+    const userId = parseInt(req.params.id);
+    const { displayName, email, role, isActive, password } = req.body || {};
+
+    if (role !== undefined && !ROLES.includes(role)) {
+        return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+
+    if (userId === req.user.id && (role !== undefined && role !== req.user.role || isActive === false)) {
+        return res.status(400).json({ error: 'You cannot change your own role or deactivate yourself' });
+    }
+
+    const fieldsToUpdate = [];
+    const updateValues = [];
+
+    if (displayName !== undefined) { fieldsToUpdate.push('display_name = ?'); updateValues.push(displayName || null); }
+    if (email !== undefined) { fieldsToUpdate.push('email = ?'); updateValues.push(email || null); }
+    if (role !== undefined) { fieldsToUpdate.push('role = ?'); updateValues.push(role); }
+    if (isActive !== undefined) { fieldsToUpdate.push('is_active = ?'); updateValues.push(isActive ? 1 : 0); }
+    if (password) { fieldsToUpdate.push('password_hash = ?'); updateValues.push(await bcrypt.hash(password, 10)); }
+
+    if (fieldsToUpdate.length === 0) {
+        return res.status(400).json({ error: 'No valid fields provided for update.' });
+    }
+
+    try {
+        const [result] = await db.execute(
+            `UPDATE users SET ${fieldsToUpdate.join(', ')} WHERE id = ?`,
+            [...updateValues, userId]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        // Deactivated users lose their sessions immediately
+        if (isActive === false) {
+            await db.execute('UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL', [userId]);
+        }
+
+        await logActivity(req.user.id, 'UPDATE', 'USER', userId, `User ${userId} updated.`, {
+            fieldsUpdated: fieldsToUpdate.map(f => f.split(' ')[0]).filter(f => f !== 'password_hash'),
+            passwordChanged: Boolean(password),
+            role
+        });
+
+        const [rows] = await db.execute(`SELECT ${USER_COLUMNS} FROM users WHERE id = ?`, [userId]);
+        res.json(formatUserRow(rows[0]));
+    } catch (err) {
+        console.error('Error updating user:', err);
+        return res.status(500).json({ error: 'Failed to update user' });
+    }
+});
+
+module.exports = router;
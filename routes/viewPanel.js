@@ -2,6 +2,7 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../db/connection');
+const { requirePermission } = require('../middleware/auth');
 
 // Helper function to generate reference number
 const generateReferenceNumber = async () => {
@@ -50,9 +51,9 @@ const executeTransaction = async (callback) => {
 // ============================================
 
 // GET /api/panels - Get all panels
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('panels:read'), async (req, res) => {
     try {
-        const [panels] = await db.execute('SELECT * FROM panels ORDER BY created_at DESC');
+        const [panels] = await db.execute('SELECT * FROM panels WHERE deleted_at IS NULL ORDER BY created_at DESC');
         res.json(panels);
     } catch (error) {
         console.error('Error fetching panels:', error);
@@ -64,10 +65,10 @@ router.get('/', async (req, res) => {
 });
 
 // GET /api/panels/:id - Get single panel by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission('panels:read'), async (req, res) => {
     try {
         const { id } = req.params;
-        const [panels] = await db.execute('SELECT * FROM panels WHERE id = ?', [id]);
+        const [panels] = await db.execute('SELECT * FROM panels WHERE id = ? AND deleted_at IS NULL', [id]);
         
         if (panels.length === 0) {
             return res.status(404).json({ error: 'Panel not found' });
@@ -84,7 +85,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // POST /api/panels - Create a new panel
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('panels:write'), async (req, res) => {
     try {
         const {
             reference_number,
@@ -158,7 +159,7 @@ router.post('/', async (req, res) => {
         
         // Return the created panel
         const [panel] = await db.execute(
-            'SELECT * FROM panels WHERE id = ?',
+            'SELECT * FROM panels WHERE id = ? AND deleted_at IS NULL',
             [result.insertId]
         );
         
@@ -174,7 +175,7 @@ router.post('/', async (req, res) => {
 });
 
 // PUT /api/panels/:id - Update panel
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission('panels:write'), async (req, res) => {
     try {
         const { id } = req.params;
         const updateFields = req.body;
@@ -250,7 +251,7 @@ router.put('/:id', async (req, res) => {
         
         fields.push('updated_at = NOW()');
         
-        const query = `UPDATE panels SET ${fields.join(', ')} WHERE id = ?`;
+        const query = `UPDATE panels SET ${fields.join(', ')} WHERE id = ? AND deleted_at IS NULL`;
         values.push(id);
         
         const [result] = await db.execute(query, values);
@@ -259,7 +260,7 @@ router.put('/:id', async (req, res) => {
             return res.status(404).json({ error: 'Panel not found' });
         }
         
-        const [updatedPanel] = await db.execute('SELECT * FROM panels WHERE id = ?', [id]);
+        const [updatedPanel] = await db.execute('SELECT * FROM panels WHERE id = ? AND deleted_at IS NULL', [id]);
         
         res.json(updatedPanel[0]);
         
@@ -273,7 +274,7 @@ router.put('/:id', async (req, res) => {
 });
 
 // DELETE /api/panels/:id - Delete panel
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('panels:delete'), async (req, res) => {
     try {
         const { id } = req.params;
         
@@ -310,12 +311,12 @@ router.delete('/:id', async (req, res) => {
 // ============================================
 
 // GET /api/panels/:panelId/production-records - Get all production records for a panel
-router.get('/:panelId/production-records', async (req, res) => {
+router.get('/:panelId/production-records', requirePermission('panels:read'), async (req, res) => {
     try {
         const { panelId } = req.params;
         
         // Check if panel exists
-        const [panel] = await db.execute('SELECT id FROM panels WHERE id = ?', [panelId]);
+        const [panel] = await db.execute('SELECT id FROM panels WHERE id = ? AND deleted_at IS NULL', [panelId]);
         if (panel.length === 0) {
             return res.status(404).json({ error: 'Panel not found' });
         }
@@ -336,7 +337,7 @@ router.get('/:panelId/production-records', async (req, res) => {
 });
 
 // POST /api/panels/:panelId/production-records - Create a new production record
-router.post('/:panelId/production-records', async (req, res) => {
+router.post('/:panelId/production-records', requirePermission('production:write'), async (req, res) => {
     try {
         const { panelId } = req.params;
         const {
@@ -358,7 +359,7 @@ router.post('/:panelId/production-records', async (req, res) => {
         
         // Check if panel exists and get panel details
         const [panel] = await db.execute(
-            'SELECT id, job_no, brand, estimated_delivery FROM panels WHERE id = ?',
+            'SELECT id, job_no, brand, estimated_delivery FROM panels WHERE id = ? AND deleted_at IS NULL',
             [panelId]
         );
         
@@ -406,7 +407,7 @@ router.post('/:panelId/production-records', async (req, res) => {
 });
 
 // POST /api/panels/:panelId/production-with-balance - Create production record with balance update
-router.post('/:panelId/production-with-balance', async (req, res) => {
+router.post('/:panelId/production-with-balance', requirePermission('production:write'), async (req, res) => {
     try {
         const { panelId } = req.params;
         const {
@@ -431,7 +432,7 @@ router.post('/:panelId/production-with-balance', async (req, res) => {
         const result = await executeTransaction(async (connection) => {
             // Check if panel exists and get current balance
             const [panel] = await connection.execute(
-                'SELECT id, balance, qty, job_no, brand, estimated_delivery, reference_number FROM panels WHERE id = ?',
+                'SELECT id, balance, qty, job_no, brand, estimated_delivery, reference_number FROM panels WHERE id = ? AND deleted_at IS NULL',
                 [panelId]
             );
             
@@ -508,7 +509,7 @@ router.post('/:panelId/production-with-balance', async (req, res) => {
 
 // In your backend (Node.js example)
 // Add this route to your viewPanel.js or main routes file
-router.patch('/production-records/:id/status', async (req, res) => {
+router.patch('/production-records/:id/status', requirePermission('production:write'), async (req, res) => {
     try {
         const { id } = req.params;
         const { status } = req.body;
@@ -524,7 +525,7 @@ router.patch('/production-records/:id/status', async (req, res) => {
         }
         
         const [result] = await db.execute(
-            'UPDATE production_records SET status = ?, updated_at = NOW() WHERE id = ?',
+            'UPDATE production_records SET status = ?, updated_at = NOW() WHERE id = ? AND deleted_at IS NULL',
             [status, id]
         );
         
@@ -549,7 +550,7 @@ router.patch('/production-records/:id/status', async (req, res) => {
 });
 
 // PUT /api/panels/:panelId/production-records/:recordId - Update production record
-router.put('/:panelId/production-records/:recordId', async (req, res) => {
+router.put('/:panelId/production-records/:recordId', requirePermission('production:write'), async (req, res) => {
     try {
         const { panelId, recordId } = req.params;
         const updateFields = req.body;
@@ -560,7 +561,7 @@ router.put('/:panelId/production-records/:recordId', async (req, res) => {
         }
         
         // Check if panel exists
-        const [panel] = await db.execute('SELECT id FROM panels WHERE id = ?', [panelId]);
+        const [panel] = await db.execute('SELECT id FROM panels WHERE id = ? AND deleted_at IS NULL', [panelId]);
         if (panel.length === 0) {
             return res.status(404).json({ error: 'Panel not found' });
         }
@@ -629,14 +630,14 @@ router.put('/:panelId/production-records/:recordId', async (req, res) => {
 });
 
 // DELETE /api/panels/:panelId/production-records/:recordId - Delete production record
-router.delete('/:panelId/production-records/:recordId', async (req, res) => {
+router.delete('/:panelId/production-records/:recordId', requirePermission('production:write'), async (req, res) => {
     try {
         const { panelId, recordId } = req.params;
         
         const result = await executeTransaction(async (connection) => {
             // Check if panel exists
             const [panel] = await connection.execute(
-                'SELECT id, balance FROM panels WHERE id = ?',
+                'SELECT id, balance FROM panels WHERE id = ? AND deleted_at IS NULL',
                 [panelId]
             );
             
@@ -696,14 +697,14 @@ router.delete('/:panelId/production-records/:recordId', async (req, res) => {
 });
 
 // DELETE /api/panels/:panelId/production/:recordId/with-balance - Delete production record and restore balance
-router.delete('/:panelId/production/:recordId/with-balance', async (req, res) => {
+router.delete('/:panelId/production/:recordId/with-balance', requirePermission('production:write'), async (req, res) => {
     try {
         const { panelId, recordId } = req.params;
         
         const result = await executeTransaction(async (connection) => {
             // Check if panel exists
             const [panel] = await connection.execute(
-                'SELECT id, balance FROM panels WHERE id = ?',
+                'SELECT id, balance FROM panels WHERE id = ? AND deleted_at IS NULL',
                 [panelId]
             );
             
@@ -767,13 +768,13 @@ router.delete('/:panelId/production/:recordId/with-balance', async (req, res) =>
 // ============================================
 
 // GET /api/panels/:panelId/production-summary - Get production summary including current balance
-router.get('/:panelId/production-summary', async (req, res) => {
+router.get('/:panelId/production-summary', requirePermission('panels:read'), async (req, res) => {
     try {
         const { panelId } = req.params;
         
         // Check if panel exists and get details
         const [panel] = await db.execute(
-            'SELECT id, qty, balance, production_meter, status FROM panels WHERE id = ?',
+            'SELECT id, qty, balance, production_meter, status FROM panels WHERE id = ? AND deleted_at IS NULL',
             [panelId]
         );
         
@@ -817,7 +818,7 @@ router.get('/:panelId/production-summary', async (req, res) => {
 });
 
 // PUT /api/panels/:id/balance - Update panel balance directly
-router.put('/:id/balance', async (req, res) => {
+router.put('/:id/balance', requirePermission('panels:write'), async (req, res) => {
     try {
         const { id } = req.params;
         const { balance } = req.body;
@@ -827,7 +828,7 @@ router.put('/:id/balance', async (req, res) => {
         }
         
         // Check if panel exists
-        const [panel] = await db.execute('SELECT id FROM panels WHERE id = ?', [id]);
+        const [panel] = await db.execute('SELECT id FROM panels WHERE id = ? AND deleted_at IS NULL', [id]);
         if (panel.length === 0) {
             return res.status(404).json({ error: 'Panel not found' });
         }
@@ -838,7 +839,7 @@ router.put('/:id/balance', async (req, res) => {
         );
         
         const [updatedPanel] = await db.execute(
-            'SELECT id, balance, qty FROM panels WHERE id = ?',
+            'SELECT id, balance, qty FROM panels WHERE id = ? AND deleted_at IS NULL',
             [id]
         );
         
@@ -859,12 +860,12 @@ router.put('/:id/balance', async (req, res) => {
 });
 
 // GET /api/panels/:id/balance-history - Get balance history from production records
-router.get('/:id/balance-history', async (req, res) => {
+router.get('/:id/balance-history', requirePermission('panels:read'), async (req, res) => {
     try {
         const { id } = req.params;
         
         // Check if panel exists
-        const [panel] = await db.execute('SELECT id FROM panels WHERE id = ?', [id]);
+        const [panel] = await db.execute('SELECT id FROM panels WHERE id = ? AND deleted_at IS NULL', [id]);
         if (panel.length === 0) {
             return res.status(404).json({ error: 'Panel not found' });
         }
@@ -891,22 +892,22 @@ router.get('/:id/balance-history', async (req, res) => {
 });
 
 // GET /api/panels/stats/summary - Get overall statistics
-router.get('/stats/summary', async (req, res) => {
+router.get('/stats/summary', requirePermission('panels:read'), async (req, res) => {
     try {
         // Get total panels count
-        const [totalPanels] = await db.execute('SELECT COUNT(*) as count FROM panels');
+        const [totalPanels] = await db.execute('SELECT COUNT(*) as count FROM panels WHERE deleted_at IS NULL');
         
         // Get total quantity
-        const [totalQty] = await db.execute('SELECT SUM(qty) as total FROM panels');
+        const [totalQty] = await db.execute('SELECT SUM(qty) as total FROM panels WHERE deleted_at IS NULL');
         
         // Get total produced (sum of all production records)
-        const [totalProduced] = await db.execute('SELECT SUM(number_of_panels) as total FROM production_records');
+        const [totalProduced] = await db.execute('SELECT SUM(number_of_panels) as total FROM production_records WHERE deleted_at IS NULL');
         
         // Get total balance
-        const [totalBalance] = await db.execute('SELECT SUM(balance) as total FROM panels');
+        const [totalBalance] = await db.execute('SELECT SUM(balance) as total FROM panels WHERE deleted_at IS NULL');
         
         // Get total production meter
-        const [totalProductionMeter] = await db.execute('SELECT SUM(production_meter) as total FROM panels');
+        const [totalProductionMeter] = await db.execute('SELECT SUM(production_meter) as total FROM panels WHERE deleted_at IS NULL');
         
         // Get balance statistics
         const [balanceStats] = await db.execute(`
@@ -916,6 +917,7 @@ router.get('/stats/summary', async (req, res) => {
                 COUNT(CASE WHEN balance < 0 THEN 1 END) as negative,
                 COUNT(CASE WHEN balance <= qty * 0.1 AND balance > 0 THEN 1 END) as low
             FROM panels
+            WHERE deleted_at IS NULL
         `);
         
         // Get status statistics
@@ -925,6 +927,7 @@ router.get('/stats/summary', async (req, res) => {
                 COUNT(CASE WHEN status = 'in_progress' THEN 1 END) as in_progress,
                 COUNT(CASE WHEN status = 'completed' THEN 1 END) as completed
             FROM panels
+            WHERE deleted_at IS NULL
         `);
         
         res.json({
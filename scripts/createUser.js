@@ -0,0 +1,41 @@
+// scripts/createUser.js
+// Usage: npm run user:create -- <username> <password> [role] [displayName] [email]
+
+const bcrypt = require('bcryptjs');
+const db = require('../db/connection');
+const { ROLES } = require('../services/permissions');
+
+async function main() {
+    const [username, password, role = 'admin', displayName, email] = process.argv.slice(2);
+
+    if (!username || !password) {
+        console.error('Usage: npm run user:create -- <username> <password> [role] [displayName] [email]');
+        process.exitCode = 1;
+        return;
+    }
+
+    if (!ROLES.includes(role)) {
+        console.error(`Role must be one of: ${ROLES.join(', ')}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    const passwordHash = await bcrypt.hash(password, 10);
+
+    try {
+        const [result] = await db.execute(
+            'INSERT INTO users (username, password_hash, display_name, email, role) VALUES (?, ?, ?, ?, ?)',
+            [username, passwordHash, displayName || null, email || null, role]
+        );
+        console.log(`✅ Created ${role} user '${username}' with id ${result.insertId}`);
+    } catch (err) {
+        if (err.code === 'ER_DUP_ENTRY') {
+            console.error(`❌ User '${username}' already exists.`);
+        } else {
+            console.error('❌ Failed to create user:', err.message);
+        }
+        process.exitCode = 1;
+    }
+}
+
+main().finally(() => db.end());
@@ -0,0 +1,87 @@
+// scripts/migrateFileBlobs.js
+// Moves project_files.file_data BLOBs into the file store (services/fileStore.js).
+// Usage: npm run files:migrate-blobs -- [--batch-size 50] [--keep-blobs] [--dry-run]
+//
+// Rows are processed one at a time so only one BLOB is held in memory. Each row
+// is updated with its storage key and SHA-256 and its BLOB is cleared (unless
+// --keep-blobs). Re-running only picks up rows that have not been moved yet.
+
+const db = require('../db/connection');
+const { getFileStore } = require('../services/fileStore');
+
+function parseArgs(argv) {
+    const options = { batchSize: 50, keepBlobs: false, dryRun: false };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--batch-size') options.batchSize = parseInt(argv[++i], 10);
+        else if (argv[i] === '--keep-blobs') options.keepBlobs = true;
+        else if (argv[i] === '--dry-run') options.dryRun = true;
+        else throw new Error(`Unknown option '${argv[i]}'`);
+    }
+    if (!Number.isInteger(options.batchSize) || options.batchSize < 1) {
+        throw new Error('--batch-size must be a positive integer');
+    }
+    return options;
+}
+
+async function main() {
+    const { batchSize, keepBlobs, dryRun } = parseArgs(process.argv.slice(2));
+    const store = getFileStore();
+
+    const [[{ pending }]] = await db.query(
+        'SELECT COUNT(*) AS pending FROM project_files WHERE storage_key IS NULL AND file_data IS NOT NULL'
+    );
+    console.log(`📦 ${pending} file(s) to move into ${store.root}${dryRun ? ' (dry run)' : ''}`);
+    if (dryRun || pending === 0) return;
+
+    let lastId = 0;
+    let moved = 0;
+    let deduplicated = 0;
+    let failed = 0;
+
+    for (;;) {
+        // Only ids here; each BLOB is loaded individually below
+        const [batch] = await db.query(
+            `SELECT id FROM project_files
+             WHERE storage_key IS NULL AND file_data IS NOT NULL AND id > ?
+             ORDER BY id LIMIT ?`,
+            [lastId, batchSize]
+        );
+        if (batch.length === 0) break;
+
+        for (const { id } of batch) {
+            lastId = id;
+            try {
+                const [[row]] = await db.query('SELECT file_data FROM project_files WHERE id = ?', [id]);
+                const { storageKey, sha256, size, created } = await store.putBuffer(row.file_data);
+
+                await db.query(
+                    `UPDATE project_files
+                     SET storage_key = ?, sha256 = ?, file_size = ?${keepBlobs ? '' : ', file_data = NULL'}
+                     WHERE id = ?`,
+                    [storageKey, sha256, size, id]
+                );
+
+                moved++;
+                if (!created) deduplicated++;
+            } catch (err) {
+                failed++;
+                console.error(`❌ File ID ${id}: ${err.message}`);
+            }
+        }
+
+        console.log(`   ...${moved}/${pending} moved`);
+    }
+
+    console.log(`✅ Moved ${moved} file(s) (${deduplicated} duplicate(s) shared existing content), ${failed} failed.`);
+    if (!keepBlobs && moved > 0) {
+        console.log('ℹ️ Run OPTIMIZE TABLE project_files to reclaim the space used by the cleared BLOBs.');
+    }
+    if (failed > 0) process.exitCode = 1;
+}
+
+main()
+    .catch(err => {
+        console.error('❌ BLOB migration failed:', err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => db.end());
@@ -4,11 +4,21 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
+const http = require('http');
+const { authenticate } = require('./middleware/auth');
+const { TASK_CATEGORIES } = require('./config/taskCategories');
+const { migrateUp } = require('./db/migrate');
+const { scheduleJob, stopAllJobs } = require('./services/scheduler');
+const { reconcileProjectCounters } = require('./services/counterReconciliation');
+const { purgeExpiredTrash, getRetentionDays } = require('./services/projectTrash');
+const { backfillPreviews } = require('./services/filePreviews');
+const { purgeExpiredUploadSessions } = require('./services/uploadSessions');
+const { runIntegrityCheck } = require('./services/integrityCheck');
 
 // Import routes with error handling
-let projectRoutes, panelTasksRoutes, doorTasksRouter, accessoriesTasksRouter, cuttingTasksRouter;
-let stripCurtainTasksRouter, systemTasksRouter, adminProjectRoutes, activityLogsRouter;
-let subTasksRouter, excelDataRouter, panelsRouter;
+let projectRoutes, categoryTaskRoutes, adminProjectRoutes, activityLogsRouter;
+let subTasksRouter, excelDataRouter, panelsRouter, authRouter, usersRouter, maintenanceRouter;
+let uploadSessionsRouter, myTasksRouter, timeEntriesRouter, commentsRouter;
 
 // Helper function to load modules safely
 function loadModule(modulePath, fallbackName) {
@@ -32,18 +42,36 @@ function loadModule(modulePath, fallbackName) {
 }
 
 // Load routes
+authRouter = loadModule('./routes/auth', 'auth');
+usersRouter = loadModule('./routes/users', 'users');
 projectRoutes = loadModule('./routes/projects', 'projectRoutes'); // Remove the "Routes" suffix
-panelTasksRoutes = loadModule('./routes/panelTasks', 'panelTasks');
-doorTasksRouter = loadModule('./routes/doorTasks', 'doorTasks');
-accessoriesTasksRouter = loadModule('./routes/accessoriesTasks', 'accessoriesTasks');
-cuttingTasksRouter = loadModule('./routes/cuttingTasks', 'cuttingTasks');
-stripCurtainTasksRouter = loadModule('./routes/stripCurtainTasksRouter', 'stripCurtainTasks');
-systemTasksRouter = loadModule('./routes/systemTasksRouter', 'systemTasks');
+uploadSessionsRouter = loadModule('./routes/uploadSessions', 'uploadSessions');
+categoryTaskRoutes = loadModule('./routes/categoryTasks', 'categoryTasks');
 adminProjectRoutes = loadModule('./routes/adminProjectRoutes', 'adminProjects');
 activityLogsRouter = loadModule('./routes/activityLogsRouter', 'activityLogs');
 subTasksRouter = loadModule('./routes/subtasks', 'subtasks');
 excelDataRouter = loadModule('./routes/excelData', 'excelData');
 panelsRouter = loadModule('./routes/viewPanel', 'panelsRouter');
+maintenanceRouter = loadModule('./routes/maintenanceRouter', 'maintenance');
+myTasksRouter = loadModule('./routes/myTasks', 'myTasks');
+timeEntriesRouter = loadModule('./routes/timeEntries', 'timeEntries');
+commentsRouter = loadModule('./routes/comments', 'comments');
+
+// One task router per category with a route in config/taskCategories.js
+// (e.g. 'strip_curtain' -> stripCurtainTasks at /api/strip-curtain-tasks)
+const taskRouters = TASK_CATEGORIES
+    .filter(category => category.route)
+    .map(category => ({
+        name: category.key.replace(/_(\w)/g, (match, letter) => letter.toUpperCase()) + 'Tasks',
+        route: category.route,
+        router: categoryTaskRoutes.createTaskRouter
+            ? categoryTaskRoutes.createTaskRouter(category)
+            : categoryTaskRoutes // loadModule fallback router
+    }));
+
+if (!process.env.JWT_SECRET) {
+    console.warn('⚠️ JWT_SECRET is not set: logins will fail and all /api routes will return 401.');
+}
 
 const app = express();
 
@@ -56,7 +84,9 @@ app.use(cors({
         ? (process.env.ALLOWED_ORIGINS ? process.env.ALLOWED_ORIGINS.split(',') : [])
         : '*',
     credentials: true,
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS']
+    methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
+    // Let the frontend read download metadata (file name, partial content, caching)
+    exposedHeaders: ['Content-Disposition', 'Content-Range', 'Accept-Ranges', 'ETag', 'Last-Modified']
 }));
 
 // Body parsers
@@ -88,14 +118,11 @@ app.get('/', (req, res) => {
         status: 'running',
         health: '/health',
         api_documentation: {
+            auth: '/api/auth',
+            users: '/api/users',
             projects: '/api/projects',
             panels: '/api/panels', // API endpoint
-            panelTasks: '/api/panel-tasks',
-            doorTasks: '/api/door-tasks',
-            accessoriesTasks: '/api/accessories-tasks',
-            cuttingTasks: '/api/cutting-tasks',
-            stripCurtainTasks: '/api/strip-curtain-tasks',
-            systemTasks: '/api/system-tasks',
+            ...Object.fromEntries(taskRouters.map(({ name, route }) => [name, route])),
             activityLogs: '/api/activity-logs',
             subtasks: '/api/subtasks',
         },
@@ -108,18 +135,23 @@ app.get('/', (req, res) => {
 // Serve static files (if you have any)
 app.use(express.static('public'));
 
+// Authentication: login/refresh/logout are public, every other /api route requires a valid access token
+app.use('/api/auth', authRouter);
+app.use('/api', authenticate);
+
 // API Routes
+app.use('/api/users', usersRouter);
+app.use('/api/projects/uploads', uploadSessionsRouter); // before projectRoutes' /:projectNo routes
 app.use('/api/projects', projectRoutes);
 app.use('/api/panels', panelsRouter); // API endpoints at /api/panels
-app.use('/api/panel-tasks', panelTasksRoutes);
-app.use('/api/door-tasks', doorTasksRouter);
-app.use('/api/accessories-tasks', accessoriesTasksRouter);
-app.use('/api/cutting-tasks', cuttingTasksRouter);
-app.use('/api/strip-curtain-tasks', stripCurtainTasksRouter);
-app.use('/api/system-tasks', systemTasksRouter);
+taskRouters.forEach(({ route, router }) => app.use(route, router));
 app.use('/api/admin/projects', adminProjectRoutes);
+app.use('/api/admin/maintenance', maintenanceRouter);
 app.use('/api/activity-logs', activityLogsRouter);
 app.use('/api/subtasks', subTasksRouter);
+app.use('/api/my-tasks', myTasksRouter);
+app.use('/api/time-entries', timeEntriesRouter);
+app.use('/api/comments', commentsRouter);
 app.use('/api', excelDataRouter);
 
 // FIXED: 404 handler
@@ -131,15 +163,13 @@ app.use((req, res, next) => {
             '/',
             '/health',
             '/view-panels', // Added HTML view
+            '/api/auth',
+            '/api/users',
             '/api/projects',
             '/api/panels',
-            '/api/panel-tasks',
-            '/api/door-tasks',
-            '/api/accessories-tasks',
-            '/api/cutting-tasks',
-            '/api/strip-curtain-tasks',
-            '/api/system-tasks',
+            ...taskRouters.map(({ route }) => route),
             '/api/projects/status/approved',
+            '/api/admin/maintenance',
             '/api/activity-logs',
             '/api/subtasks',
         ]
@@ -174,8 +204,82 @@ process.on('uncaughtException', (error) => {
     process.exit(1);
 });
 
-// Start server
-const server = app.listen(PORT, '0.0.0.0', () => {
+// Start server (after applying pending migrations unless MIGRATE_ON_START=false)
+const server = http.createServer(app);
+
+async function runStartupMigrations() {
+    if (process.env.MIGRATE_ON_START === 'false') {
+        return;
+    }
+
+    try {
+        const applied = await migrateUp();
+        console.log(applied.length
+            ? `✅ Applied ${applied.length} migration(s): ${applied.join(', ')}`
+            : '✅ Database schema is up to date');
+    } catch (err) {
+        console.error('❌ Database migrations failed:', err.message);
+        console.log('Run "npm run migrate" manually once the database is reachable.');
+    }
+}
+
+// Background jobs. COUNTER_RECONCILE_INTERVAL_MINUTES=0 disables the counter check;
+// COUNTER_RECONCILE_AUTOFIX=true writes corrected counters instead of only reporting.
+// TRASH_PURGE_INTERVAL_HOURS=0 disables purging trashed projects older than TRASH_RETENTION_DAYS.
+// PREVIEW_BACKFILL_INTERVAL_MINUTES=0 disables generating missing file thumbnails.
+// UPLOAD_SESSION_CLEANUP_INTERVAL_MINUTES=0 disables expiring abandoned chunked uploads.
+// STORE_SWEEP_INTERVAL_MINUTES=0 disables removing file store objects no file references
+// (rejected and deleted uploads; objects are kept for an hour after their last use).
+function startScheduledJobs() {
+    const intervalMinutes = parseFloat(process.env.COUNTER_RECONCILE_INTERVAL_MINUTES ?? '60');
+    const autoFix = process.env.COUNTER_RECONCILE_AUTOFIX === 'true';
+
+    scheduleJob('counter-reconciliation', intervalMinutes * 60 * 1000, async () => {
+        const report = await reconcileProjectCounters({ fix: autoFix });
+        if (report.discrepancies.length > 0) {
+            console.warn(`⚠️ Project counters: ${report.discrepancies.length} discrepancy(ies) across ${report.checkedProjects} project(s)` +
+                (autoFix ? `, fixed ${report.fixedProjects} project(s)` : ''));
+        }
+    });
+
+    const purgeIntervalHours = parseFloat(process.env.TRASH_PURGE_INTERVAL_HOURS ?? '24');
+
+    scheduleJob('trash-purge', purgeIntervalHours * 60 * 60 * 1000, async () => {
+        const { purgedProjects, purgedRows } = await purgeExpiredTrash();
+        if (purgedProjects.length > 0 || purgedRows > 0) {
+            console.log(`🧹 Purged ${purgedProjects.length} project(s) and ${purgedRows} other row(s) trashed more than ${getRetentionDays()} day(s) ago`);
+        }
+    });
+
+    const previewIntervalMinutes = parseFloat(process.env.PREVIEW_BACKFILL_INTERVAL_MINUTES ?? '15');
+
+    scheduleJob('preview-backfill', previewIntervalMinutes * 60 * 1000, async () => {
+        const processed = await backfillPreviews();
+        if (processed > 0) {
+            console.log(`🖼️ Processed previews for ${processed} file(s)`);
+        }
+    });
+
+    const sessionCleanupMinutes = parseFloat(process.env.UPLOAD_SESSION_CLEANUP_INTERVAL_MINUTES ?? '60');
+
+    scheduleJob('upload-session-cleanup', sessionCleanupMinutes * 60 * 1000, async () => {
+        const expired = await purgeExpiredUploadSessions();
+        if (expired > 0) {
+            console.log(`🧹 Expired ${expired} abandoned upload session(s)`);
+        }
+    });
+
+    const storeSweepMinutes = parseFloat(process.env.STORE_SWEEP_INTERVAL_MINUTES ?? '60');
+
+    scheduleJob('store-sweep', storeSweepMinutes * 60 * 1000, async () => {
+        const [result] = (await runIntegrityCheck({ checks: ['orphaned_store_objects'], repair: true })).checks;
+        if (result.repaired > 0) {
+            console.log(`🧹 Removed ${result.repaired} unreferenced file store object(s)`);
+        }
+    });
+}
+
+runStartupMigrations().then(() => server.listen(PORT, '0.0.0.0', () => {
     console.log(`
 ===========================================
 🚀 Server running on port: ${PORT}
@@ -190,23 +294,28 @@ const server = app.listen(PORT, '0.0.0.0', () => {
     
     // Log loaded modules
     console.log('\n📦 Loaded modules:');
+    console.log('- authRouter:', authRouter ? '✓' : '✗');
+    console.log('- usersRouter:', usersRouter ? '✓' : '✗');
     console.log('- projectRoutes:', projectRoutes ? '✓' : '✗');
+    console.log('- uploadSessionsRouter:', uploadSessionsRouter ? '✓' : '✗');
     console.log('- panelsRouter:', panelsRouter ? '✓' : '✗');
-    console.log('- panelTasksRoutes:', panelTasksRoutes ? '✓' : '✗');
-    console.log('- doorTasksRouter:', doorTasksRouter ? '✓' : '✗');
-    console.log('- accessoriesTasksRouter:', accessoriesTasksRouter ? '✓' : '✗');
-    console.log('- cuttingTasksRouter:', cuttingTasksRouter ? '✓' : '✗');
-    console.log('- stripCurtainTasksRouter:', stripCurtainTasksRouter ? '✓' : '✗');
-    console.log('- systemTasksRouter:', systemTasksRouter ? '✓' : '✗');
+    taskRouters.forEach(({ name, router }) => console.log(`- ${name}:`, router ? '✓' : '✗'));
     console.log('- adminProjectRoutes:', adminProjectRoutes ? '✓' : '✗');
     console.log('- activityLogsRouter:', activityLogsRouter ? '✓' : '✗');
     console.log('- subTasksRouter:', subTasksRouter ? '✓' : '✗');
     console.log('- excelDataRouter:', excelDataRouter ? '✓' : '✗');
-});
+    console.log('- maintenanceRouter:', maintenanceRouter ? '✓' : '✗');
+    console.log('- myTasksRouter:', myTasksRouter ? '✓' : '✗');
+    console.log('- timeEntriesRouter:', timeEntriesRouter ? '✓' : '✗');
+    console.log('- commentsRouter:', commentsRouter ? '✓' : '✗');
+
+    startScheduledJobs();
+}));
 
 // Graceful shutdown for Render
 process.on('SIGTERM', () => {
     console.log('SIGTERM received, shutting down gracefully...');
+    stopAllJobs();
     server.close(() => {
         console.log('Server closed');
         process.exit(0);
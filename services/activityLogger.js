@@ -0,0 +1,38 @@
+// services/activityLogger.js
+
+const db = require('../db/connection');
+
+/**
+ * Inserts an activity record into the database.
+ * @param {number|null} userId - ID of the authenticated user (req.user.id), or null for system actions.
+ * @param {string} activityType - CRUD action (e.g., 'CREATE', 'UPDATE', 'DELETE', 'UPLOAD').
+ * @param {string} resourceType - The table/object type (e.g., 'PROJECT', 'FILE').
+ * @param {number|string} resourceId - The ID of the affected resource (e.g., Project ID or File ID).
+ * @param {string} message - A human-readable description.
+ * @param {object} [details={}] - Optional JSON object for specific details.
+ * @param {object} [connection=db] - A connection in a transaction, so the entry commits or rolls back with it.
+ */
+async function logActivity(userId, activityType, resourceType, resourceId, message, details = {}, connection = db) {
+    try {
+        const query = `
+            INSERT INTO activity_logs
+            (timestamp, user_id, activity_type, resource_type, resource_id, message, details)
+            VALUES (NOW(), ?, ?, ?, ?, ?, ?)
+        `;
+        const detailsJson = JSON.stringify(details);
+
+        await connection.query(query, [
+            userId || null,
+            activityType,
+            resourceType,
+            resourceId,
+            message,
+            detailsJson
+        ]);
+    } catch (err) {
+        // CRITICAL: Log the error but DO NOT throw it or break the main request chain.
+        console.error('CRITICAL: Activity logging failed:', err);
+    }
+}
+
+module.exports = { logActivity };
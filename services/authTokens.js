@@ -0,0 +1,109 @@
+// services/authTokens.js
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('../db/connection');
+
+const ACCESS_TOKEN_TTL = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const getSecret = () => {
+    if (!process.env.JWT_SECRET) {
+        throw new Error('JWT_SECRET is not configured');
+    }
+    return process.env.JWT_SECRET;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Signs a short-lived access token for the given user.
+ * @param {object} user - Row from the users table.
+ * @returns {string} Signed JWT.
+ */
+const signAccessToken = (user) => jwt.sign(
+    { sub: String(user.id), username: user.username },
+    getSecret(),
+    { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+/**
+ * Verifies an access token and returns its payload. Throws on invalid or expired tokens.
+ * @param {string} token - The bearer token from the Authorization header.
+ */
+const verifyAccessToken = (token) => jwt.verify(token, getSecret());
+
+/**
+ * Creates a new opaque refresh token for a user. Only its hash is stored.
+ * @param {number} userId - The user the token belongs to.
+ * @param {object} [connection=db] - Optional connection when called inside a transaction.
+ * @returns {Promise<string>} The raw refresh token to hand to the client.
+ */
+const issueRefreshToken = async (userId, connection = db) => {
+    const token = crypto.randomBytes(48).toString('hex');
+
+    await connection.execute(
+        `INSERT INTO refresh_tokens (user_id, token_hash, expires_at)
+         VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? DAY))`,
+        [userId, hashToken(token), REFRESH_TOKEN_TTL_DAYS]
+    );
+
+    return token;
+};
+
+/**
+ * Revokes a refresh token and issues a replacement (rotation).
+ * @param {string} token - The raw refresh token presented by the client.
+ * @returns {Promise<{userId: number, refreshToken: string}|null>} null if the token is unknown, revoked or expired.
+ */
+const rotateRefreshToken = async (token) => {
+    const connection = await db.getConnection();
+
+    try {
+        await connection.beginTransaction();
+
+        const [rows] = await connection.execute(
+            `SELECT id, user_id FROM refresh_tokens
+             WHERE token_hash = ? AND revoked_at IS NULL AND expires_at > NOW()
+             FOR UPDATE`,
+            [hashToken(token)]
+        );
+
+        if (rows.length === 0) {
+            await connection.rollback();
+            return null;
+        }
+
+        await connection.execute('UPDATE refresh_tokens SET revoked_at = NOW() WHERE id = ?', [rows[0].id]);
+        const refreshToken = await issueRefreshToken(rows[0].user_id, connection);
+
+        await connection.commit();
+        return { userId: rows[0].user_id, refreshToken };
+    } catch (err) {
+        await connection.rollback();
+        throw err;
+    } finally {
+        connection.release();
+    }
+};
+
+/**
+ * Revokes a single refresh token (logout).
+ * @param {string} token - The raw refresh token presented by the client.
+ * @returns {Promise<boolean>} true if an active token was revoked.
+ */
+const revokeRefreshToken = async (token) => {
+    const [result] = await db.execute(
+        'UPDATE refresh_tokens SET revoked_at = NOW() WHERE token_hash = ? AND revoked_at IS NULL',
+        [hashToken(token)]
+    );
+    return result.affectedRows > 0;
+};
+
+module.exports = {
+    signAccessToken,
+    verifyAccessToken,
+    issueRefreshToken,
+    rotateRefreshToken,
+    revokeRefreshToken
+};
@@ -0,0 +1,524 @@
+// services/comments.js
+// Comment threads on projects, category tasks, subtasks and panels. Replies
+// point at their parent comment on the same target. Editing or deleting a
+// comment keeps the earlier body in comment_revisions; deleted comments stay in
+// the thread as placeholders so replies keep their place. @username mentions
+// of active users are recorded per comment and stay unread until the user marks
+// them read. Attachments are project files of the target's project, either
+// existing ones or uploads ingested as uncategorised files.
+
+const db = require('../db/connection');
+const { getTaskCategory } = require('../config/taskCategories');
+const { ingestProjectFiles, findUploadProject } = require('./fileIngest');
+const { logActivity } = require('./activityLogger');
+
+const MAX_BODY_LENGTH = 5000;
+
+// Most comments returned for one thread
+const MAX_THREAD_COMMENTS = 1000;
+
+// @username; a trailing '.' or '-' is punctuation, not part of the name
+const MENTION_PATTERN = /(^|[^\w@.])@([A-Za-z0-9._-]*[A-Za-z0-9_])/g;
+
+/**
+ * What comments can be attached to. Each type resolves a target id to its row
+ * and project number; permission is needed to read and post on the thread.
+ * Task targets also carry the category key.
+ */
+const COMMENT_TARGETS = {
+    project: {
+        permission: 'projects:read',
+        find: (id) => db.query('SELECT id, projectNo AS project_no FROM projects WHERE id = ? AND deleted_at IS NULL', [id])
+    },
+    task: {
+        permission: 'tasks:read',
+        find: (id, category) => db.query(`SELECT id, project_no FROM ${category.table} WHERE id = ? AND deleted_at IS NULL`, [id])
+    },
+    subtask: {
+        permission: 'subtasks:read',
+        find: (id) => db.query('SELECT id, project_id AS project_no FROM subtasks WHERE id = ? AND deleted_at IS NULL', [id])
+    },
+    panel: {
+        permission: 'panels:read',
+        find: (id) => db.query('SELECT id, job_no AS project_no FROM panels WHERE id = ? AND deleted_at IS NULL', [id])
+    }
+};
+
+/**
+ * Error raised for invalid comments and targets (statusCode 400/403/404/409).
+ */
+class CommentError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'CommentError';
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * Usernames mentioned in a comment body, without duplicates.
+ * @param {string} body
+ * @returns {string[]}
+ */
+function parseMentions(body) {
+    const usernames = new Set();
+    for (const match of String(body || '').matchAll(MENTION_PATTERN)) {
+        usernames.add(match[2].toLowerCase());
+    }
+    return [...usernames];
+}
+
+/**
+ * Resolves a comment target.
+ * @param {string} type - Key of COMMENT_TARGETS.
+ * @param {number} id
+ * @param {string} [categoryKey] - Category of a task target.
+ * @returns {Promise<{type: string, category: string, id: number, projectNo: string|null, permission: string}>}
+ * @throws {CommentError} 400 for an unknown type or category, 404 if the target does not exist.
+ */
+async function resolveCommentTarget(type, id, categoryKey) {
+    const definition = COMMENT_TARGETS[type];
+    if (!definition) {
+        throw new CommentError(`Unknown comment target '${type}'. Valid targets: ${Object.keys(COMMENT_TARGETS).join(', ')}`);
+    }
+    const category = type === 'task' ? getTaskCategory(categoryKey) : null;
+    if (type === 'task' && !category) {
+        throw new CommentError(`Unknown task category '${categoryKey}'.`);
+    }
+
+    const [rows] = await definition.find(id, category);
+    if (rows.length === 0) {
+        throw new CommentError(`${category ? `${category.label} task` : type} ${id} not found`, 404);
+    }
+    return {
+        type,
+        category: category ? category.key : '',
+        id: rows[0].id,
+        projectNo: rows[0].project_no || null,
+        permission: definition.permission
+    };
+}
+
+function checkBody(body, { allowEmpty = false } = {}) {
+    const text = typeof body === 'string' ? body.trim() : '';
+    if (!text && !allowEmpty) {
+        throw new CommentError('Comment body is required.');
+    }
+    if (text.length > MAX_BODY_LENGTH) {
+        throw new CommentError(`Comment body must be at most ${MAX_BODY_LENGTH} characters.`);
+    }
+    return text;
+}
+
+/**
+ * Looks up the active users a body mentions, leaving out the author.
+ * @returns {Promise<Array<{id: number, username: string}>>}
+ */
+async function findMentionedUsers(connection, body, authorId) {
+    const usernames = parseMentions(body);
+    if (usernames.length === 0) return [];
+    const [users] = await connection.query(
+        'SELECT id, username FROM users WHERE username IN (?) AND is_active = 1',
+        [usernames]
+    );
+    return users.filter(user => user.id !== authorId);
+}
+
+/**
+ * Checks that file ids are live files of the target's project.
+ * @returns {Promise<number[]>}
+ */
+async function checkAttachableFiles(fileIds, projectNo) {
+    const ids = [...new Set((fileIds || []).map(Number))];
+    if (ids.length === 0) return [];
+    if (ids.some(id => !Number.isInteger(id) || id < 1)) {
+        throw new CommentError('fileIds must be project file ids.');
+    }
+    if (!projectNo) {
+        throw new CommentError('Files can only be attached to comments on targets that belong to a project.');
+    }
+    const [files] = await db.query(
+        'SELECT id FROM project_files WHERE id IN (?) AND projectNo = ? AND deleted_at IS NULL',
+        [ids, projectNo]
+    );
+    const found = new Set(files.map(file => file.id));
+    const missing = ids.filter(id => !found.has(id));
+    if (missing.length > 0) {
+        throw new CommentError(`Files not found in project ${projectNo}: ${missing.join(', ')}`, 404);
+    }
+    return ids;
+}
+
+async function inTransaction(callback) {
+    const connection = await db.getConnection();
+    try {
+        await connection.beginTransaction();
+        const result = await callback(connection);
+        await connection.commit();
+        return result;
+    } catch (err) {
+        await connection.rollback();
+        throw err;
+    } finally {
+        connection.release();
+    }
+}
+
+/**
+ * Posts a comment (or a reply) on a target.
+ * Uploaded files become uncategorised files of the target's project; they are
+ * only ingested once the comment has been validated, so a CommentError means
+ * they were not used and the caller should release them.
+ * @param {object} params
+ * @param {object} params.target - From resolveCommentTarget.
+ * @param {number} [params.parentId] - Comment being replied to.
+ * @param {string} params.body - May be empty when files are attached.
+ * @param {number[]} [params.fileIds] - Existing project files to attach.
+ * @param {object[]} [params.uploads] - Screened uploads (see services/uploadValidation.js).
+ * @param {number} params.userId
+ * @returns {Promise<object>} The new comment.
+ * @throws {CommentError}
+ */
+async function createComment({ target, parentId, body, fileIds, uploads = [], userId }) {
+    const hasFiles = (fileIds && fileIds.length > 0) || uploads.length > 0;
+    const text = checkBody(body, { allowEmpty: hasFiles });
+
+    if (parentId !== undefined && parentId !== null) {
+        const [parents] = await db.query(
+            'SELECT id, deleted_at FROM comments WHERE id = ? AND target_type = ? AND target_category = ? AND target_id = ?',
+            [parentId, target.type, target.category, target.id]
+        );
+        if (parents.length === 0) {
+            throw new CommentError(`Comment ${parentId} not found in this thread`, 404);
+        }
+        if (parents[0].deleted_at) {
+            throw new CommentError('Cannot reply to a deleted comment.', 409);
+        }
+    }
+
+    const attachedIds = await checkAttachableFiles(fileIds, target.projectNo);
+    let project = null;
+    if (uploads.length > 0) {
+        project = target.projectNo && await findUploadProject(target.projectNo);
+        if (!project) {
+            throw new CommentError('Files can only be uploaded to comments on targets that belong to a live project.');
+        }
+    }
+
+    // From here on the uploads become project files
+    if (project) {
+        const { fileIds: uploadedIds } = await ingestProjectFiles({ project, category: null, files: uploads, userId });
+        attachedIds.push(...uploadedIds);
+    }
+
+    const commentId = await inTransaction(async (conn) => {
+        const [inserted] = await conn.query(
+            `INSERT INTO comments (target_type, target_category, target_id, project_no, parent_id, body, author_id)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [target.type, target.category, target.id, target.projectNo, parentId || null, text, userId]
+        );
+        const id = inserted.insertId;
+
+        const mentioned = await findMentionedUsers(conn, text, userId);
+        if (mentioned.length > 0) {
+            await conn.query('INSERT INTO comment_mentions (comment_id, user_id) VALUES ?', [mentioned.map(user => [id, user.id])]);
+        }
+        if (attachedIds.length > 0) {
+            await conn.query('INSERT INTO comment_attachments (comment_id, file_id) VALUES ?', [attachedIds.map(fileId => [id, fileId])]);
+        }
+        return id;
+    });
+
+    return getComment(commentId);
+}
+
+async function loadComment(commentId) {
+    const [rows] = await db.query('SELECT * FROM comments WHERE id = ?', [commentId]);
+    if (rows.length === 0) {
+        throw new CommentError('Comment not found', 404);
+    }
+    return rows[0];
+}
+
+/**
+ * Edits a comment's body; the previous body is kept as a revision and the
+ * mentions follow the new body. Only the author can edit.
+ * @param {object} params
+ * @param {number} params.commentId
+ * @param {string} params.body
+ * @param {number} params.userId
+ * @returns {Promise<object>} The updated comment.
+ * @throws {CommentError}
+ */
+async function editComment({ commentId, body, userId }) {
+    const comment = await loadComment(commentId);
+    if (comment.deleted_at) {
+        throw new CommentError('A deleted comment cannot be edited.', 409);
+    }
+    if (comment.author_id !== userId) {
+        throw new CommentError('Only the author can edit a comment.', 403);
+    }
+    const [attachments] = await db.query('SELECT COUNT(*) AS count FROM comment_attachments WHERE comment_id = ?', [commentId]);
+    const text = checkBody(body, { allowEmpty: attachments[0].count > 0 });
+    if (text === comment.body) {
+        return getComment(commentId);
+    }
+
+    await inTransaction(async (conn) => {
+        await conn.query(
+            `INSERT INTO comment_revisions (comment_id, action, body, changed_by) VALUES (?, 'edit', ?, ?)`,
+            [commentId, comment.body, userId]
+        );
+        await conn.query('UPDATE comments SET body = ?, edited_at = NOW() WHERE id = ?', [text, commentId]);
+
+        // Newly mentioned users get an unread mention; users no longer mentioned lose theirs
+        const mentioned = await findMentionedUsers(conn, text, comment.author_id);
+        const mentionedIds = mentioned.map(user => user.id);
+        await conn.query(
+            `DELETE FROM comment_mentions WHERE comment_id = ?${mentionedIds.length > 0 ? ' AND user_id NOT IN (?)' : ''}`,
+            mentionedIds.length > 0 ? [commentId, mentionedIds] : [commentId]
+        );
+        if (mentionedIds.length > 0) {
+            await conn.query(
+                'INSERT IGNORE INTO comment_mentions (comment_id, user_id) VALUES ?',
+                [mentionedIds.map(id => [commentId, id])]
+            );
+        }
+    });
+
+    return getComment(commentId);
+}
+
+/**
+ * Deletes a comment: the body moves to the revision history and the comment
+ * stays in the thread as a placeholder. Authors can delete their own comments;
+ * others need canModerate.
+ * @param {object} params
+ * @param {number} params.commentId
+ * @param {number} params.userId
+ * @param {boolean} params.canModerate
+ * @returns {Promise<object>} The deleted comment (placeholder).
+ * @throws {CommentError}
+ */
+async function deleteComment({ commentId, userId, canModerate }) {
+    const comment = await loadComment(commentId);
+    if (comment.deleted_at) {
+        throw new CommentError('Comment is already deleted.', 409);
+    }
+    if (comment.author_id !== userId && !canModerate) {
+        throw new CommentError('You can only delete your own comments.', 403);
+    }
+
+    await inTransaction(async (conn) => {
+        await conn.query(
+            `INSERT INTO comment_revisions (comment_id, action, body, changed_by) VALUES (?, 'delete', ?, ?)`,
+            [commentId, comment.body, userId]
+        );
+        await conn.query(`UPDATE comments SET body = '', deleted_at = NOW(), deleted_by = ? WHERE id = ?`, [userId, commentId]);
+    });
+
+    if (comment.author_id !== userId) {
+        await logActivity(
+            userId,
+            'DELETE',
+            'COMMENT',
+            commentId,
+            `Comment ${commentId} by user ${comment.author_id} on ${comment.target_type} ${comment.target_id} deleted.`,
+            { targetType: comment.target_type, targetCategory: comment.target_category || null,
+              targetId: comment.target_id, projectNo: comment.project_no, authorId: comment.author_id }
+        );
+    }
+
+    return getComment(commentId);
+}
+
+/**
+ * Earlier bodies of a comment, oldest first.
+ * @param {number} commentId
+ * @returns {Promise<object[]>}
+ */
+async function getCommentHistory(commentId) {
+    const [rows] = await db.query(
+        `SELECT r.id, r.action, r.body, r.changed_by, u.display_name AS changed_by_name, r.changed_at
+         FROM comment_revisions r
+         LEFT JOIN users u ON u.id = r.changed_by
+         WHERE r.comment_id = ?
+         ORDER BY r.changed_at, r.id`,
+        [commentId]
+    );
+    return rows.map(row => ({
+        id: row.id,
+        action: row.action,
+        body: row.body,
+        changedBy: row.changed_by,
+        changedByName: row.changed_by_name,
+        changedAt: row.changed_at
+    }));
+}
+
+/**
+ * Formats comment rows with their mentions and attachments.
+ */
+async function describeComments(rows) {
+    if (rows.length === 0) return [];
+    const ids = rows.map(row => row.id);
+
+    const [mentions] = await db.query(
+        `SELECT m.comment_id, m.user_id, u.username, u.display_name
+         FROM comment_mentions m JOIN users u ON u.id = m.user_id
+         WHERE m.comment_id IN (?)`,
+        [ids]
+    );
+    const [attachments] = await db.query(
+        `SELECT a.comment_id, f.id, f.file_name, f.file_size, f.mime_type
+         FROM comment_attachments a JOIN project_files f ON f.id = a.file_id AND f.deleted_at IS NULL
+         WHERE a.comment_id IN (?)
+         ORDER BY a.id`,
+        [ids]
+    );
+
+    return rows.map(row => ({
+        id: row.id,
+        parentId: row.parent_id,
+        target: { type: row.target_type, category: row.target_category || undefined, id: row.target_id },
+        projectNo: row.project_no,
+        body: row.deleted_at ? null : row.body,
+        authorId: row.author_id,
+        authorName: row.author_name,
+        createdAt: row.created_at,
+        editedAt: row.edited_at,
+        deleted: Boolean(row.deleted_at),
+        deletedAt: row.deleted_at,
+        mentions: mentions
+            .filter(mention => mention.comment_id === row.id)
+            .map(mention => ({ userId: mention.user_id, username: mention.username, displayName: mention.display_name })),
+        attachments: row.deleted_at ? [] : attachments
+            .filter(attachment => attachment.comment_id === row.id)
+            .map(attachment => ({
+                fileId: attachment.id,
+                fileName: attachment.file_name,
+                fileSize: attachment.file_size,
+                mimeType: attachment.mime_type,
+                url: `/api/projects/file/blob/${attachment.id}`
+            }))
+    }));
+}
+
+const COMMENT_SELECT = `SELECT c.*, u.display_name AS author_name FROM comments c LEFT JOIN users u ON u.id = c.author_id`;
+
+/**
+ * One comment with mentions and attachments.
+ * @param {number} commentId
+ * @returns {Promise<object>}
+ * @throws {CommentError} 404
+ */
+async function getComment(commentId) {
+    const [rows] = await db.query(`${COMMENT_SELECT} WHERE c.id = ?`, [commentId]);
+    if (rows.length === 0) {
+        throw new CommentError('Comment not found', 404);
+    }
+    return (await describeComments(rows))[0];
+}
+
+/**
+ * The comment thread of a target: top-level comments oldest first, each with
+ * its replies nested under replies.
+ * @param {object} target - From resolveCommentTarget.
+ * @returns {Promise<{count: number, comments: object[]}>}
+ */
+async function getCommentThread(target) {
+    const [rows] = await db.query(
+        `${COMMENT_SELECT}
+         WHERE c.target_type = ? AND c.target_category = ? AND c.target_id = ?
+         ORDER BY c.created_at, c.id
+         LIMIT ${MAX_THREAD_COMMENTS}`,
+        [target.type, target.category, target.id]
+    );
+    const comments = await describeComments(rows);
+
+    const byId = new Map(comments.map(comment => [comment.id, { ...comment, replies: [] }]));
+    const roots = [];
+    for (const comment of byId.values()) {
+        const parent = comment.parentId && byId.get(comment.parentId);
+        (parent ? parent.replies : roots).push(comment);
+    }
+    return { count: comments.length, comments: roots };
+}
+
+/**
+ * Comments mentioning a user, newest first. Mentions in deleted comments are left out.
+ * @param {number} userId
+ * @param {object} [options]
+ * @param {boolean} [options.unreadOnly=true]
+ * @returns {Promise<object[]>} Comments with readAt.
+ */
+async function listMentions(userId, { unreadOnly = true } = {}) {
+    const [rows] = await db.query(
+        `SELECT c.*, u.display_name AS author_name, m.read_at
+         FROM comment_mentions m
+         JOIN comments c ON c.id = m.comment_id AND c.deleted_at IS NULL
+         LEFT JOIN users u ON u.id = c.author_id
+         WHERE m.user_id = ?${unreadOnly ? ' AND m.read_at IS NULL' : ''}
+         ORDER BY c.created_at DESC, c.id DESC
+         LIMIT 500`,
+        [userId]
+    );
+    const comments = await describeComments(rows);
+    return comments.map((comment, index) => ({ ...comment, readAt: rows[index].read_at }));
+}
+
+/**
+ * Marks a user's mentions as read.
+ * @param {number} userId
+ * @param {number[]} [commentIds] - Only these comments; all unread mentions when omitted.
+ * @returns {Promise<number>} Mentions marked.
+ */
+async function markMentionsRead(userId, commentIds) {
+    const ids = commentIds ? commentIds.map(Number).filter(Number.isInteger) : null;
+    if (ids && ids.length === 0) return 0;
+    const [result] = await db.query(
+        `UPDATE comment_mentions SET read_at = NOW() WHERE user_id = ? AND read_at IS NULL${ids ? ' AND comment_id IN (?)' : ''}`,
+        ids ? [userId, ids] : [userId]
+    );
+    return result.affectedRows;
+}
+
+/**
+ * Hard-deletes the threads of deleted targets with their revisions, mentions and attachments.
+ * @param {object} connection - Pool or a connection in the caller's transaction.
+ * @param {string} type - Key of COMMENT_TARGETS.
+ * @param {string|null} categoryKey - Category of task targets.
+ * @param {number[]} targetIds
+ * @returns {Promise<number>} Comments deleted.
+ */
+async function deleteTargetComments(connection, type, categoryKey, targetIds) {
+    if (targetIds.length === 0) return 0;
+
+    const params = [type, categoryKey || '', targetIds];
+    for (const table of ['comment_revisions', 'comment_mentions', 'comment_attachments']) {
+        await connection.query(
+            `DELETE x FROM ${table} x JOIN comments c ON c.id = x.comment_id
+             WHERE c.target_type = ? AND c.target_category = ? AND c.target_id IN (?)`,
+            params
+        );
+    }
+    const [result] = await connection.query(
+        'DELETE FROM comments WHERE target_type = ? AND target_category = ? AND target_id IN (?)',
+        params
+    );
+    return result.affectedRows;
+}
+
+module.exports = {
+    CommentError,
+    resolveCommentTarget,
+    createComment,
+    editComment,
+    deleteComment,
+    getComment,
+    getCommentHistory,
+    getCommentThread,
+    listMentions,
+    markMentionsRead,
+    deleteTargetComments
+};
@@ -0,0 +1,114 @@
+// services/counterReconciliation.js
+// Recomputes the projects.total_* / completed_* counters from the category task
+// tables. The counters are maintained incrementally by updateProjectCounts(),
+// which swallows errors, so they can drift from the real task counts.
+
+const db = require('../db/connection');
+const { TASK_CATEGORIES } = require('../config/taskCategories');
+const { completedStatusSql, countedStatusSql } = require('./taskStatus');
+const { logActivity } = require('./activityLogger');
+
+/**
+ * Counts tasks per project for one category (cancelled and trashed tasks are not counted).
+ * @param {object} category - Entry from TASK_CATEGORIES.
+ * @param {string} [projectNo] - Restrict to a single project.
+ * @returns {Promise<Map<string, {total: number, completed: number}>>}
+ */
+async function countTasksByProject(category, projectNo) {
+    const [rows] = await db.query(
+        `SELECT project_no,
+                SUM(CASE WHEN ${countedStatusSql()} THEN 1 ELSE 0 END) AS total,
+                SUM(CASE WHEN ${completedStatusSql()} THEN 1 ELSE 0 END) AS completed
+         FROM ${category.table}
+         WHERE deleted_at IS NULL${projectNo ? ' AND project_no = ?' : ''}
+         GROUP BY project_no`,
+        projectNo ? [projectNo] : []
+    );
+
+    return new Map(rows.map(row => [row.project_no, {
+        total: Number(row.total) || 0,
+        completed: Number(row.completed) || 0
+    }]));
+}
+
+/**
+ * Compares every project's stored counters with the task tables and
+ * optionally overwrites the stored values with the recomputed ones.
+ * @param {object} [options]
+ * @param {boolean} [options.fix=false] - Write the recomputed counters back.
+ * @param {string} [options.projectNo] - Only check this project.
+ * @param {number|null} [options.userId=null] - User running the fix (for the activity log).
+ * @returns {Promise<{checkedAt: string, checkedProjects: number, discrepancies: Array<{projectNo: string, column: string, stored: number, actual: number}>, fixedProjects: number}>}
+ */
+async function reconcileProjectCounters({ fix = false, projectNo, userId = null } = {}) {
+    const counterColumns = TASK_CATEGORIES.flatMap(category => [
+        `total_${category.counterPrefix}`,
+        `completed_${category.counterPrefix}`
+    ]);
+
+    const [projects] = await db.query(
+        `SELECT projectNo, ${counterColumns.join(', ')} FROM projects ${projectNo ? 'WHERE projectNo = ?' : ''}`,
+        projectNo ? [projectNo] : []
+    );
+
+    const countsByCategory = new Map();
+    for (const category of TASK_CATEGORIES) {
+        countsByCategory.set(category.key, await countTasksByProject(category, projectNo));
+    }
+
+    const discrepancies = [];
+    const updatesByProject = new Map();
+
+    for (const project of projects) {
+        for (const category of TASK_CATEGORIES) {
+            const actualCounts = countsByCategory.get(category.key).get(project.projectNo) || { total: 0, completed: 0 };
+
+            for (const countType of ['total', 'completed']) {
+                const column = `${countType}_${category.counterPrefix}`;
+                const stored = Number(project[column]) || 0;
+                const actual = actualCounts[countType];
+
+                if (stored !== actual) {
+                    discrepancies.push({ projectNo: project.projectNo, column, stored, actual });
+                    if (!updatesByProject.has(project.projectNo)) {
+                        updatesByProject.set(project.projectNo, {});
+                    }
+                    updatesByProject.get(project.projectNo)[column] = actual;
+                }
+            }
+        }
+    }
+
+    if (fix && updatesByProject.size > 0) {
+        const connection = await db.getConnection();
+        try {
+            await connection.beginTransaction();
+            for (const [no, updates] of updatesByProject) {
+                const columns = Object.keys(updates);
+                await connection.query(
+                    `UPDATE projects SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE projectNo = ?`,
+                    [...columns.map(column => updates[column]), no]
+                );
+            }
+            await connection.commit();
+        } catch (err) {
+            await connection.rollback();
+            throw err;
+        } finally {
+            connection.release();
+        }
+
+        await logActivity(userId, 'RECONCILE', 'PROJECT', projectNo || null,
+            `Project counters corrected for ${updatesByProject.size} project(s).`,
+            { discrepancies });
+    }
+
+    return {
+        checkedAt: new Date().toISOString(),
+        checkedProjects: projects.length,
+        discrepancies,
+        fixedProjects: fix ? updatesByProject.size : 0
+    };
+}
+
+module.exports = { reconcileProjectCounters };
@@ -0,0 +1,229 @@
+// services/fileCategoryMove.js
+// Moving a file to another category. The file's whole document (every
+// revision) changes category, and the linked category task moves with it: it is
+// copied into the target category's task table with its status, approval,
+// dates and assignee, its subtasks, assignment history, dependencies, booked
+// time and comments are re-pointed at the new row, and the old row is removed.
+// The projects.total_* / completed_* counters of both categories are adjusted in
+// the same transaction.
+
+const db = require('../db/connection');
+const { FILE_TYPES, getUploadPolicy } = require('../config/uploadPolicy');
+const { TASK_CATEGORIES, getTaskCategory } = require('../config/taskCategories');
+const { DEFAULT_TASK_STATUS, APPROVE_STATUSES, counterDeltas } = require('./taskStatus');
+const { hasPassedApproval } = require('./projectLifecycle');
+const { fileTypeForName } = require('./uploadValidation');
+const { logActivity } = require('./activityLogger');
+
+// Columns copied when a task changes table
+const TASK_COLUMNS = [
+    'title', 'description', 'priority', 'status', 'project_no', 'due_date', 'approve_status', 'created_at',
+    'assigned_to', 'team', 'assigned_at'
+];
+
+/**
+ * Error raised for invalid moves (statusCode 400/404).
+ */
+class FileMoveError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'FileMoveError';
+        this.statusCode = statusCode;
+    }
+}
+
+// Upload task titles start with the category's taskTitle ('Panel Task: plan.pdf')
+const retitleTask = (title, from, to) => (from && title && title.startsWith(`${from.taskTitle}: `)
+    ? `${to.taskTitle}: ${title.slice(from.taskTitle.length + 2)}`
+    : title);
+
+const adjustCounter = async (conn, projectNo, column, delta) => {
+    if (delta === 0) return;
+    await conn.query(
+        `UPDATE projects SET ${column} = GREATEST(0, ${column} + ?) WHERE projectNo = ?`,
+        [delta, projectNo]
+    );
+};
+
+/**
+ * Moves a file (with its revisions and linked task) to another category.
+ * A file without a live linked task gets a new one in the target category,
+ * as if it had been uploaded there.
+ * @param {object} params
+ * @param {number|string} params.fileId - Any revision of the document.
+ * @param {string} params.category - Target category key from TASK_CATEGORIES.
+ * @param {number} params.userId
+ * @returns {Promise<{fileId: number, documentId: number|null, projectNo: string, fromCategory: string|null, toCategory: string, movedFiles: number, previousTaskId: number|null, taskId: number, movedSubtasks: number}>}
+ * @throws {FileMoveError}
+ */
+async function moveFileCategory({ fileId, category, userId }) {
+    const target = getTaskCategory(category);
+    if (!target) {
+        throw new FileMoveError(`category must be one of: ${TASK_CATEGORIES.map(entry => entry.key).join(', ')}.`);
+    }
+
+    const conn = await db.getConnection();
+    let result;
+
+    try {
+        await conn.beginTransaction();
+
+        const [files] = await conn.query(
+            'SELECT id, projectNo, file_name, category, taskNo, document_id FROM project_files WHERE id = ? AND deleted_at IS NULL FOR UPDATE',
+            [fileId]
+        );
+        const file = files[0];
+        if (!file) {
+            throw new FileMoveError('File not found.', 404);
+        }
+        if (file.category === target.key) {
+            throw new FileMoveError(`File is already in the ${target.label} category.`);
+        }
+
+        const source = file.category ? getTaskCategory(file.category) : null;
+        const { projectNo } = file;
+
+        // Every revision of the document moves together
+        const [revisions] = file.document_id
+            ? await conn.query(
+                'SELECT id, file_name FROM project_files WHERE document_id = ? AND deleted_at IS NULL FOR UPDATE',
+                [file.document_id]
+            )
+            : [[file]];
+
+        const policy = getUploadPolicy(target.key);
+        const refused = revisions.filter(revision => !policy.allowedTypes.includes(fileTypeForName(revision.file_name)));
+        if (refused.length > 0) {
+            const allowed = policy.allowedTypes.flatMap(type => FILE_TYPES[type].extensions);
+            throw new FileMoveError(`'${refused[0].file_name}' is not an accepted file type for the ${target.label} category. ` +
+                `Allowed: ${allowed.join(', ')}.`);
+        }
+
+        const [projects] = await conn.query('SELECT id, status FROM projects WHERE projectNo = ? FOR UPDATE', [projectNo]);
+        const project = projects[0];
+        if (!project) {
+            throw new FileMoveError(`Project No. ${projectNo} not found.`, 404);
+        }
+
+        const [tasks] = source && file.taskNo
+            ? await conn.query(`SELECT * FROM ${source.table} WHERE id = ? AND deleted_at IS NULL FOR UPDATE`, [file.taskNo])
+            : [[]];
+        const task = tasks[0];
+
+        let taskId;
+        let movedSubtasks = 0;
+        let taskStatus = DEFAULT_TASK_STATUS;
+
+        if (task) {
+            const values = TASK_COLUMNS.map(column => (column === 'title' ? retitleTask(task.title, source, target) : task[column]));
+            const [inserted] = await conn.query(
+                `INSERT INTO ${target.table} (${TASK_COLUMNS.join(', ')}) VALUES (${TASK_COLUMNS.map(() => '?').join(', ')})`,
+                values
+            );
+            taskId = inserted.insertId;
+            taskStatus = task.status;
+
+            await conn.query(`DELETE FROM ${source.table} WHERE id = ?`, [task.id]);
+
+            // subtasks.category holds the category key or label ('strip_curtain', 'Strip Curtain')
+            const [subtasks] = await conn.query(
+                `UPDATE subtasks SET category_task_id = ?, category = ?
+                 WHERE category_task_id = ? AND project_id = ? AND LOWER(REPLACE(category, ' ', '_')) IN (?, ?)`,
+                [taskId, target.key, task.id, projectNo, source.key, source.table]
+            );
+            movedSubtasks = subtasks.affectedRows;
+
+            // Assignment history, booked time and timers follow the task
+            for (const table of ['task_assignments', 'task_time_entries', 'task_timers']) {
+                await conn.query(
+                    `UPDATE ${table} SET category = ?, task_id = ? WHERE category = ? AND task_id = ?`,
+                    [target.key, taskId, source.key, task.id]
+                );
+            }
+            await conn.query(
+                'UPDATE task_dependencies SET task_category = ?, task_id = ? WHERE task_category = ? AND task_id = ?',
+                [target.key, taskId, source.key, task.id]
+            );
+            await conn.query(
+                'UPDATE task_dependencies SET depends_on_category = ?, depends_on_task_id = ? WHERE depends_on_category = ? AND depends_on_task_id = ?',
+                [target.key, taskId, source.key, task.id]
+            );
+            await conn.query(
+                `UPDATE comments SET target_category = ?, target_id = ? WHERE target_type = 'task' AND target_category = ? AND target_id = ?`,
+                [target.key, taskId, source.key, task.id]
+            );
+
+            const removed = counterDeltas(task.status, null);
+            await adjustCounter(conn, projectNo, `total_${source.counterPrefix}`, removed.total);
+            await adjustCounter(conn, projectNo, `completed_${source.counterPrefix}`, removed.completed);
+        } else {
+            const [inserted] = await conn.query(
+                `INSERT INTO ${target.table}
+                 (title, description, priority, status, project_no, due_date, created_at, approve_status)
+                 SELECT ?, ?, 'empty', ?, projectNo, requestedDelivery, NOW(), ? FROM projects WHERE id = ?`,
+                [
+                    `${target.taskTitle}: ${file.file_name}`,
+                    `File '${file.file_name}' uploaded for projectNo ${projectNo}.`,
+                    DEFAULT_TASK_STATUS,
+                    hasPassedApproval(project.status) ? APPROVE_STATUSES.approved : APPROVE_STATUSES.pending,
+                    project.id
+                ]
+            );
+            taskId = inserted.insertId;
+        }
+
+        const added = counterDeltas(null, taskStatus);
+        await adjustCounter(conn, projectNo, `total_${target.counterPrefix}`, added.total);
+        await adjustCounter(conn, projectNo, `completed_${target.counterPrefix}`, added.completed);
+
+        const revisionIds = revisions.map(revision => revision.id);
+        await conn.query(
+            `UPDATE project_files SET category = ?, taskNo = ? WHERE id IN (${revisionIds.map(() => '?').join(', ')})`,
+            [target.key, taskId, ...revisionIds]
+        );
+        if (file.document_id) {
+            await conn.query(
+                'UPDATE project_documents SET category = ?, task_id = ?, updated_at = NOW() WHERE id = ?',
+                [target.key, taskId, file.document_id]
+            );
+        }
+
+        await conn.commit();
+
+        result = {
+            fileId: file.id,
+            documentId: file.document_id,
+            projectNo,
+            fileName: file.file_name,
+            fromCategory: file.category,
+            toCategory: target.key,
+            movedFiles: revisionIds.length,
+            previousTaskId: task ? task.id : null,
+            taskId,
+            movedSubtasks
+        };
+    } catch (err) {
+        await conn.rollback();
+        throw err;
+    } finally {
+        conn.release();
+    }
+
+    const { fileName, ...summary } = result;
+
+    await logActivity(
+        userId,
+        'MOVE',
+        'FILE',
+        summary.fileId,
+        `Moved '${fileName}' in project ${summary.projectNo} from ${summary.fromCategory || 'uncategorized'} to ${summary.toCategory}. ` +
+            (summary.previousTaskId
+                ? `Task ${summary.previousTaskId} is now ${target.label} task ${summary.taskId}.`
+                : `Created ${target.label} task ${summary.taskId}.`),
+        summary
+    );
+
+    return summary;
+}
+
+module.exports = { FileMoveError, moveFileCategory };
@@ -0,0 +1,102 @@
+// services/fileDownload.js
+// Sends a project file with HTTP caching and Range support:
+//   - ETag (the content SHA-256) and Last-Modified, answering 304 when the client copy is current
+//   - Accept-Ranges / single byte-range requests (206, 416), honouring If-Range
+//   - RFC 5987 Content-Disposition so quotes and non-ASCII names survive
+//   - inline by default, attachment with ?download=1
+
+const crypto = require('crypto');
+const contentDisposition = require('content-disposition');
+const { getFileStore } = require('./fileStore');
+
+/**
+ * Builds the Content-Disposition header value.
+ * @param {string} fileName
+ * @param {boolean} asAttachment
+ * @returns {string}
+ */
+const buildContentDisposition = (fileName, asAttachment) =>
+    contentDisposition(fileName || 'file', { type: asAttachment ? 'attachment' : 'inline' });
+
+/**
+ * Sends a file. Works for rows in the file store (storage_key) and for rows
+ * still holding a file_data BLOB.
+ * @param {object} req
+ * @param {object} res
+ * @param {object} file - { file_name, mime_type, storage_key, sha256, file_data, created_at }
+ * @returns {Promise<void>}
+ */
+async function sendFile(req, res, file) {
+    const store = file.storage_key ? getFileStore() : null;
+    let size;
+
+    if (store) {
+        const stats = await store.stat(file.storage_key);
+        if (!stats) {
+            console.error(`❌ Stored content ${file.storage_key} for '${file.file_name}' is missing.`);
+            return res.status(404).json({ error: 'File data is empty or missing.' });
+        }
+        size = stats.size;
+    } else {
+        if (!file.file_data) {
+            return res.status(404).json({ error: 'File data is empty or missing.' });
+        }
+        size = file.file_data.length;
+    }
+
+    const sha256 = file.sha256 || (file.file_data && crypto.createHash('sha256').update(file.file_data).digest('hex'));
+    const etag = `"${sha256}"`;
+    const asAttachment = req.query.download === '1' || req.query.download === 'true';
+
+    res.setHeader('Content-Type', file.mime_type || 'application/octet-stream');
+    res.setHeader('Content-Disposition', buildContentDisposition(file.file_name, asAttachment));
+    res.setHeader('Accept-Ranges', 'bytes');
+    res.setHeader('ETag', etag);
+    res.setHeader('Cache-Control', 'private, no-cache');
+    if (file.created_at) {
+        res.setHeader('Last-Modified', new Date(file.created_at).toUTCString());
+    }
+
+    // If-None-Match / If-Modified-Since against the headers set above
+    if (req.fresh) {
+        return res.status(304).end();
+    }
+
+    // A Range request only applies if the client's copy (If-Range) is still current
+    const ifRange = req.headers['if-range'];
+    const rangeApplies = req.headers.range && (!ifRange || ifRange === etag);
+    const ranges = rangeApplies ? req.range(size, { combine: true }) : undefined;
+
+    if (ranges === -1) {
+        res.setHeader('Content-Range', `bytes */${size}`);
+        return res.status(416).end();
+    }
+
+    // Multiple ranges are answered with the whole file, which RFC 9110 allows
+    let start = 0;
+    let end = size - 1;
+    if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+        ({ start, end } = ranges[0]);
+        res.status(206);
+        res.setHeader('Content-Range', `bytes ${start}-${end}/${size}`);
+    }
+
+    res.setHeader('Content-Length', size === 0 ? 0 : end - start + 1);
+
+    if (req.method === 'HEAD' || size === 0) {
+        return res.end();
+    }
+
+    if (!store) {
+        return res.end(file.file_data.subarray(start, end + 1));
+    }
+
+    const stream = store.createReadStream(file.storage_key, { start, end });
+    stream.on('error', (err) => {
+        console.error(`Error streaming '${file.file_name}':`, err);
+        res.destroy(err);
+    });
+    stream.pipe(res);
+}
+
+module.exports = { sendFile, buildContentDisposition };
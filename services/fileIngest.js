@@ -0,0 +1,145 @@
+// services/fileIngest.js
+// Turns screened uploads whose content is already in the file store into
+// project files: the project_files row, the category task (one per file, for
+// categories in config/taskCategories.js), the document at Rev A, the project's
+// total_* counter, the activity log entry and background previews.
+// Shared by the multipart upload and the chunked upload completion.
+
+const db = require('../db/connection');
+const { getTaskCategory } = require('../config/taskCategories');
+const { logActivity } = require('./activityLogger');
+const { releaseStorageKeys } = require('./storedFiles');
+const { createDocumentForFile } = require('./projectDocuments');
+const { queuePreviews } = require('./filePreviews');
+const { DEFAULT_TASK_STATUS, APPROVE_STATUSES } = require('./taskStatus');
+const { hasPassedApproval } = require('./projectLifecycle');
+
+/**
+ * Looks up a live project for an upload.
+ * @param {string} projectNo
+ * @returns {Promise<object|null>} { id, projectNo, customer, status, requestedDelivery }
+ */
+async function findUploadProject(projectNo) {
+    const [rows] = await db.query(
+        'SELECT id, projectNo, customer, status, requestedDelivery FROM projects WHERE projectNo = ? AND deleted_at IS NULL',
+        [projectNo]
+    );
+    return rows[0] || null;
+}
+
+/**
+ * Creates project files (and their category tasks) for accepted uploads.
+ * Files that fail are skipped and their stored content released.
+ * @param {object} params
+ * @param {object} params.project - From findUploadProject.
+ * @param {string|null} params.category
+ * @param {object[]} params.files - { originalname, size, mimetype, storageKey, sha256 }
+ * @param {number} params.userId
+ * @param {object[]} [params.rejected=[]] - Rejections to record in the activity log.
+ * @returns {Promise<{fileIds: number[], successfulUploadsCount: number, tasksCreatedCount: number, lastTaskId: number|null}>}
+ */
+async function ingestProjectFiles({ project, category, files, userId, rejected = [] }) {
+    const { projectNo } = project;
+    const taskCategory = category && getTaskCategory(category);
+    const totalColumn = taskCategory && `total_${taskCategory.counterPrefix}`;
+
+    const fileIds = [];
+    let tasksCreatedCount = 0;
+    let lastTaskId = null;
+
+    // Stored content of files that did not end up in project_files (removed after the loop)
+    const unusedStorageKeys = [];
+
+    for (const file of files) {
+        try {
+            // Content is already in the file store; the row only references it
+            const [fileResult] = await db.query(
+                `INSERT INTO project_files
+                 (projectNo, file_name, file_size, mime_type, storage_key, sha256, category, uploaded_by)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                [projectNo, file.originalname, file.size, file.mimetype, file.storageKey, file.sha256, category || null, userId]
+            );
+            const projectFileId = fileResult.insertId;
+            fileIds.push(projectFileId);
+
+            let createdTaskId = null;
+
+            if (taskCategory) {
+                const approveStatus = hasPassedApproval(project.status) ? APPROVE_STATUSES.approved : APPROVE_STATUSES.pending;
+                const [taskResult] = await db.query(
+                    `INSERT INTO ${taskCategory.table}
+                     (title, description, priority, status, project_no, due_date, created_at, approve_status)
+                     VALUES (?, ?, ?, ?, ?, ?, NOW(), ?)`,
+                    [
+                        `${taskCategory.taskTitle}: ${file.originalname}`,
+                        `File '${file.originalname}' uploaded for projectNo ${projectNo}.`,
+                        'empty',
+                        DEFAULT_TASK_STATUS,
+                        projectNo,
+                        project.requestedDelivery,
+                        approveStatus
+                    ]
+                );
+                createdTaskId = taskResult.insertId;
+                tasksCreatedCount++;
+                lastTaskId = createdTaskId;
+
+                await db.query('UPDATE project_files SET taskNo = ? WHERE id = ?', [createdTaskId, projectFileId]);
+                console.log(`Linked Task ID ${createdTaskId} to File ID ${projectFileId}`);
+            }
+
+            // Each upload starts a new document at Rev A; later revisions go through
+            // POST /documents/:documentId/revisions and reuse this task
+            await createDocumentForFile(db, {
+                fileId: projectFileId,
+                projectNo,
+                category: category || null,
+                title: file.originalname,
+                taskId: createdTaskId,
+                userId
+            });
+        } catch (fileError) {
+            console.error(`Failed to process file ${file.originalname}:`, fileError);
+            unusedStorageKeys.push(file.storageKey);
+        }
+    }
+
+    await releaseStorageKeys(unusedStorageKeys);
+
+    if (totalColumn && tasksCreatedCount > 0) {
+        await db.query(
+            `UPDATE projects SET ${totalColumn} = ${totalColumn} + ? WHERE projectNo = ?`,
+            [tasksCreatedCount, projectNo]
+        );
+        console.log(`Incremented ${totalColumn} by ${tasksCreatedCount} for project ${projectNo}`);
+    }
+
+    const successfulUploadsCount = fileIds.length;
+    const fileNames = files.map(f => f.originalname).join(', ');
+
+    await logActivity(
+        userId,
+        'UPLOAD',
+        'FILE',
+        project.id, // Log against the Project ID
+        category
+            ? `${successfulUploadsCount} file(s) uploaded to ${category} category for project ${projectNo}: ${fileNames}. ${tasksCreatedCount} task(s) created.`
+            : `${successfulUploadsCount} file(s) uploaded for project ${projectNo}: ${fileNames}`,
+        {
+            projectNo,
+            customer: project.customer,
+            count: successfulUploadsCount,
+            category: category || 'uncategorized',
+            tasksCreated: tasksCreatedCount,
+            lastTaskId,
+            rejected
+        }
+    );
+
+    // Thumbnails are generated in the background (GET /file/:id/thumbnail)
+    queuePreviews(fileIds);
+
+    return { fileIds, successfulUploadsCount, tasksCreatedCount, lastTaskId };
+}
+
+module.exports = { findUploadProject, ingestProjectFiles };
@@ -0,0 +1,284 @@
+// services/filePreviews.js
+// Thumbnails for uploaded drawings and photos. JPEG/PNG uploads are resized;
+// PDFs get a raster of their first page (needs pdftoppm from poppler-utils).
+// Previews are generated in the background after upload, one file at a time,
+// and cached in the file store next to the original (see fileStore.js
+// derivatives), so identical content is only rendered once.
+//
+// project_files.preview_status: NULL = not generated yet, 'ready', 'failed', 'unsupported'.
+//
+// Configure with:
+//   PDFTOPPM_PATH  pdftoppm binary (default 'pdftoppm' on the PATH)
+
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const fsp = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const db = require('../db/connection');
+const { getFileStore } = require('./fileStore');
+
+const execFileAsync = promisify(execFile);
+
+// Longest edge in pixels for each ?size= option
+const PREVIEW_SIZES = { small: 160, medium: 480, large: 1024 };
+const DEFAULT_PREVIEW_SIZE = 'small';
+
+const IMAGE_MIME_TYPES = ['image/jpeg', 'image/jpg', 'image/png'];
+const PDF_RENDER_TIMEOUT_MS = 60 * 1000;
+
+const previewName = (size) => `preview-${size}.jpg`;
+
+/**
+ * What a preview is rendered from: 'image', 'pdf' or null (no preview for this type).
+ * Uses the stored mime type and falls back to the file extension.
+ * @param {{mime_type?: string, file_name?: string}} file
+ * @returns {'image'|'pdf'|null}
+ */
+function previewSourceType(file) {
+    const mimeType = String(file.mime_type || '').toLowerCase();
+    const extension = path.extname(file.file_name || '').toLowerCase();
+
+    if (IMAGE_MIME_TYPES.includes(mimeType) || ['.jpg', '.jpeg', '.png'].includes(extension)) return 'image';
+    if (mimeType === 'application/pdf' || extension === '.pdf') return 'pdf';
+    return null;
+}
+
+let pdfRendererAvailable;
+
+/**
+ * Whether pdftoppm can be run (checked once per process).
+ * @returns {Promise<boolean>}
+ */
+async function canRenderPdf() {
+    if (pdfRendererAvailable === undefined) {
+        try {
+            await execFileAsync(process.env.PDFTOPPM_PATH || 'pdftoppm', ['-v'], { timeout: 10000 });
+            pdfRendererAvailable = true;
+        } catch (err) {
+            pdfRendererAvailable = err.code !== 'ENOENT';
+            if (!pdfRendererAvailable) {
+                console.warn('⚠️ pdftoppm not found: PDF previews are disabled until poppler-utils is installed.');
+            }
+        }
+    }
+    return pdfRendererAvailable;
+}
+
+/**
+ * Renders the first page of a stored PDF to a PNG buffer.
+ * @param {string} pdfPath
+ * @returns {Promise<Buffer>}
+ */
+async function renderPdfFirstPage(pdfPath) {
+    const workDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'preview-'));
+    const outputPrefix = path.join(workDir, 'page');
+
+    try {
+        await execFileAsync(process.env.PDFTOPPM_PATH || 'pdftoppm', [
+            '-f', '1', '-l', '1', '-singlefile', '-png',
+            '-scale-to', String(PREVIEW_SIZES.large),
+            pdfPath, outputPrefix
+        ], { timeout: PDF_RENDER_TIMEOUT_MS });
+        return await fsp.readFile(`${outputPrefix}.png`);
+    } finally {
+        await fsp.rm(workDir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Renders and caches every preview size for a stored object.
+ * @param {string} storageKey
+ * @param {'image'|'pdf'} sourceType
+ */
+async function renderPreviews(storageKey, sourceType) {
+    // Loaded on first use so a missing native build only disables previews
+    const sharp = require('sharp');
+    const store = getFileStore();
+    const objectPath = store.objectPath(storageKey);
+    const source = sourceType === 'pdf' ? await renderPdfFirstPage(objectPath) : objectPath;
+
+    for (const [size, pixels] of Object.entries(PREVIEW_SIZES)) {
+        const buffer = await sharp(source, { limitInputPixels: 100 * 1000 * 1000 })
+            .rotate() // honour EXIF orientation of site photos
+            .resize({ width: pixels, height: pixels, fit: 'inside', withoutEnlargement: true })
+            .flatten({ background: '#ffffff' })
+            .jpeg({ quality: 80 })
+            .toBuffer();
+        await store.putDerivative(storageKey, previewName(size), buffer);
+    }
+}
+
+/**
+ * Whether every preview size is already cached for a stored object.
+ */
+async function hasAllPreviews(storageKey) {
+    const store = getFileStore();
+    for (const size of Object.keys(PREVIEW_SIZES)) {
+        if (!(await store.statDerivative(storageKey, previewName(size)))) return false;
+    }
+    return true;
+}
+
+/**
+ * Generates previews for one project file and records the outcome.
+ * @param {number} fileId
+ */
+async function generateFilePreview(fileId) {
+    const [rows] = await db.query(
+        'SELECT id, file_name, mime_type, storage_key FROM project_files WHERE id = ? AND deleted_at IS NULL',
+        [fileId]
+    );
+    const file = rows[0];
+    // Rows still holding a BLOB are picked up after scripts/migrateFileBlobs.js has run
+    if (!file || !file.storage_key) return;
+
+    const sourceType = previewSourceType(file);
+    if (!sourceType) {
+        await db.query("UPDATE project_files SET preview_status = 'unsupported' WHERE id = ?", [fileId]);
+        return;
+    }
+    if (sourceType === 'pdf' && !(await canRenderPdf())) return;
+
+    try {
+        if (!(await hasAllPreviews(file.storage_key))) {
+            await renderPreviews(file.storage_key, sourceType);
+        }
+        // Every row with the same content shares the cached previews
+        await db.query(
+            "UPDATE project_files SET preview_status = 'ready', preview_error = NULL WHERE storage_key = ?",
+            [file.storage_key]
+        );
+    } catch (err) {
+        console.error(`❌ Preview generation failed for file ID ${fileId} ('${file.file_name}'):`, err.message);
+        await db.query(
+            "UPDATE project_files SET preview_status = 'failed', preview_error = ? WHERE id = ?",
+            [err.message.slice(0, 255), fileId]
+        );
+    }
+}
+
+// Background queue: one file at a time so rendering never competes with itself for CPU
+const queue = [];
+const queuedIds = new Set();
+let draining = null;
+
+async function drainQueue() {
+    while (queue.length > 0) {
+        const fileId = queue.shift();
+        try {
+            await generateFilePreview(fileId);
+        } catch (err) {
+            console.error(`❌ Preview job for file ID ${fileId} failed:`, err.message);
+        } finally {
+            queuedIds.delete(fileId);
+        }
+    }
+}
+
+/**
+ * Queues preview generation for project files. Returns immediately; the
+ * returned promise resolves once the queue has been worked off (never rejects).
+ * @param {number[]} fileIds
+ * @returns {Promise<void>}
+ */
+function queuePreviews(fileIds) {
+    for (const fileId of fileIds) {
+        if (!queuedIds.has(fileId)) {
+            queuedIds.add(fileId);
+            queue.push(fileId);
+        }
+    }
+    if (!draining && queue.length > 0) {
+        draining = drainQueue().finally(() => { draining = null; });
+    }
+    return draining || Promise.resolve();
+}
+
+/**
+ * Generates previews for files that do not have one yet (uploaded before
+ * previews existed, or while the server restarted mid-queue).
+ * @param {number} [limit=100]
+ * @returns {Promise<number>} Number of files processed.
+ */
+async function backfillPreviews(limit = 100) {
+    const patterns = ['%.jpg', '%.jpeg', '%.png'];
+    const mimeTypes = [...IMAGE_MIME_TYPES];
+    if (await canRenderPdf()) {
+        patterns.push('%.pdf');
+        mimeTypes.push('application/pdf');
+    }
+
+    const [rows] = await db.query(
+        `SELECT id FROM project_files
+         WHERE preview_status IS NULL AND storage_key IS NOT NULL AND deleted_at IS NULL
+           AND (LOWER(mime_type) IN (?) OR ${patterns.map(() => 'LOWER(file_name) LIKE ?').join(' OR ')})
+         ORDER BY id DESC LIMIT ?`,
+        [mimeTypes, ...patterns, limit]
+    );
+
+    await queuePreviews(rows.map(row => row.id));
+    return rows.length;
+}
+
+/**
+ * Sends a cached preview, or 202 while it is still being generated.
+ * @param {object} req
+ * @param {object} res
+ * @param {object} file - { id, file_name, mime_type, storage_key, preview_status, preview_error }
+ * @param {string} size - A PREVIEW_SIZES key.
+ */
+async function sendPreview(req, res, file, size) {
+    if (!previewSourceType(file) || file.preview_status === 'unsupported') {
+        return res.status(404).json({ error: 'No preview is available for this file type.', previewStatus: 'unsupported' });
+    }
+    if (file.preview_status === 'failed') {
+        return res.status(404).json({ error: 'Preview generation failed for this file.', previewStatus: 'failed', details: file.preview_error });
+    }
+    if (!file.storage_key) {
+        return res.status(404).json({ error: 'No preview is available until the file has been moved to the file store.' });
+    }
+
+    const store = getFileStore();
+    const name = previewName(size);
+    const stats = file.preview_status === 'ready' ? await store.statDerivative(file.storage_key, name) : null;
+
+    if (!stats) {
+        if (previewSourceType(file) === 'pdf' && !(await canRenderPdf())) {
+            return res.status(404).json({ error: 'PDF previews are not available on this server.', previewStatus: 'unsupported' });
+        }
+        queuePreviews([file.id]);
+        res.setHeader('Retry-After', '5');
+        return res.status(202).json({ message: 'Preview is being generated.', previewStatus: 'pending' });
+    }
+
+    // Previews are derived from content-addressed objects, so they never change for a key
+    res.setHeader('Content-Type', 'image/jpeg');
+    res.setHeader('Content-Length', stats.size);
+    res.setHeader('ETag', `"${file.storage_key.split('/').pop()}-${size}"`);
+    res.setHeader('Cache-Control', 'private, max-age=86400');
+
+    if (req.fresh) {
+        return res.status(304).end();
+    }
+    if (req.method === 'HEAD') {
+        return res.end();
+    }
+
+    const stream = store.createDerivativeReadStream(file.storage_key, name);
+    stream.on('error', (err) => {
+        console.error(`Error streaming preview for '${file.file_name}':`, err);
+        res.destroy(err);
+    });
+    stream.pipe(res);
+}
+
+module.exports = {
+    PREVIEW_SIZES,
+    DEFAULT_PREVIEW_SIZE,
+    previewSourceType,
+    generateFilePreview,
+    queuePreviews,
+    backfillPreviews,
+    sendPreview
+};
@@ -0,0 +1,110 @@
+// services/fileScanner.js
+// Pluggable malware scanner for uploads. A scanner is an object with
+//   scan({ filePath, fileName, size, mimeType }) -> Promise<{ verdict, reason }>
+// where verdict is 'clean' or 'suspicious'. Suspicious files are quarantined
+// by services/uploadValidation.js.
+//
+// Configure with:
+//   FILE_SCANNER  'local' (default): built-in heuristics, a stand-in until a real
+//                 engine is wired up
+//                 'none': accept everything
+//                 any other value: path (relative to the project root) of a module
+//                 exporting a scanner, e.g. './scanners/clamav'
+
+const fs = require('fs');
+const path = require('path');
+
+// Standard anti-virus test file (https://www.eicar.org)
+const EICAR_SIGNATURE = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!';
+const LOCAL_SCAN_BYTES = 4 * 1024 * 1024;
+
+// Native executables and scripts have no business in drawing/document uploads
+const EXECUTABLE_SIGNATURES = [
+    { bytes: Buffer.from('MZ'), name: 'Windows executable' },
+    { bytes: Buffer.from([0x7f, 0x45, 0x4c, 0x46]), name: 'ELF executable' },
+    { bytes: Buffer.from([0xcf, 0xfa, 0xed, 0xfe]), name: 'Mach-O executable' },
+    { bytes: Buffer.from([0xca, 0xfe, 0xba, 0xbe]), name: 'Mach-O/Java executable' },
+    { bytes: Buffer.from('#!'), name: 'script' }
+];
+
+// PDF features that run code or other programs when the file is opened
+const PDF_ACTIVE_CONTENT = ['/JavaScript', '/Launch'];
+
+/**
+ * Reads up to maxBytes from the start of a file.
+ */
+async function readStart(filePath, maxBytes) {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        const buffer = Buffer.alloc(maxBytes);
+        const { bytesRead } = await handle.read(buffer, 0, maxBytes, 0);
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * Built-in heuristics: the EICAR test string, executables, and PDFs with
+ * JavaScript or launch actions. Only the first few MB of a file are inspected.
+ */
+const localScanner = {
+    name: 'local',
+
+    async scan({ filePath, mimeType }) {
+        const content = await readStart(filePath, LOCAL_SCAN_BYTES);
+        const text = content.toString('latin1');
+
+        if (text.includes(EICAR_SIGNATURE)) {
+            return { verdict: 'suspicious', reason: 'EICAR test signature' };
+        }
+
+        const executable = EXECUTABLE_SIGNATURES.find(signature =>
+            content.subarray(0, signature.bytes.length).equals(signature.bytes));
+        if (executable) {
+            return { verdict: 'suspicious', reason: `Content is a ${executable.name}` };
+        }
+
+        if (mimeType === 'application/pdf') {
+            const feature = PDF_ACTIVE_CONTENT.find(marker => text.includes(marker));
+            if (feature) {
+                return { verdict: 'suspicious', reason: `PDF contains ${feature} actions` };
+            }
+        }
+
+        return { verdict: 'clean', reason: null };
+    }
+};
+
+const noopScanner = {
+    name: 'none',
+    async scan() {
+        return { verdict: 'clean', reason: null };
+    }
+};
+
+let scanner = null;
+
+/**
+ * Returns the configured scanner (created on first use).
+ * @returns {{name: string, scan: Function}}
+ */
+function getFileScanner() {
+    if (!scanner) {
+        const setting = process.env.FILE_SCANNER || 'local';
+        if (setting === 'local') {
+            scanner = localScanner;
+        } else if (setting === 'none') {
+            scanner = noopScanner;
+        } else {
+            const custom = require(path.resolve(__dirname, '..', setting));
+            if (typeof custom.scan !== 'function') {
+                throw new Error(`FILE_SCANNER module '${setting}' does not export a scan() function`);
+            }
+            scanner = { name: custom.name || setting, scan: custom.scan.bind(custom) };
+        }
+    }
+    return scanner;
+}
+
+module.exports = { getFileScanner, localScanner };
@@ -0,0 +1,227 @@
+// services/fileStore.js
+// Content-addressed file storage. Files are stored once per SHA-256 digest
+// under a storage key like 'sha256/ab/cd/abcd…'; uploading the same content
+// twice reuses the existing object. project_files rows hold the storage key.
+// Derivatives of an object (e.g. preview thumbnails) are cached next to it
+// under derived/ab/cd/<digest>/<name> and removed together with it.
+//
+// Only a local-disk backend exists today. Configure with:
+//   FILE_STORE_DRIVER  'local' (default)
+//   FILE_STORE_ROOT    Directory for stored files (default /data/files when the
+//                      Render disk is mounted at /data, otherwise ./uploads/files)
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+
+const STORAGE_KEY_PATTERN = /^sha256\/([0-9a-f]{2})\/([0-9a-f]{2})\/([0-9a-f]{64})$/;
+const DERIVATIVE_NAME_PATTERN = /^[a-z0-9][a-z0-9_.-]*$/;
+
+/**
+ * Builds the storage key for a SHA-256 digest.
+ * @param {string} sha256 - Hex digest.
+ * @returns {string}
+ */
+const storageKeyFor = (sha256) => `sha256/${sha256.slice(0, 2)}/${sha256.slice(2, 4)}/${sha256}`;
+
+/**
+ * Local-disk backend: objects live at <root>/sha256/ab/cd/<digest>.
+ * Writes stream into <root>/tmp first and are renamed into place once the
+ * digest is known, so a partially written file is never visible under a key.
+ */
+class LocalDiskStore {
+    constructor(root) {
+        this.root = root;
+        this.tmpDir = path.join(root, 'tmp');
+    }
+
+    objectPath(storageKey) {
+        if (!STORAGE_KEY_PATTERN.test(storageKey)) {
+            throw new Error(`Invalid storage key '${storageKey}'`);
+        }
+        return path.join(this.root, ...storageKey.split('/'));
+    }
+
+    /**
+     * Streams content into the store.
+     * @param {Readable} readable
+     * @returns {Promise<{storageKey: string, sha256: string, size: number, created: boolean}>}
+     *          created is false when identical content was already stored.
+     */
+    async put(readable) {
+        await fsp.mkdir(this.tmpDir, { recursive: true });
+        const tmpPath = path.join(this.tmpDir, `${crypto.randomUUID()}.part`);
+
+        const hash = crypto.createHash('sha256');
+        let size = 0;
+        const hasher = new Transform({
+            transform(chunk, encoding, callback) {
+                hash.update(chunk);
+                size += chunk.length;
+                callback(null, chunk);
+            }
+        });
+
+        try {
+            await pipeline(readable, hasher, fs.createWriteStream(tmpPath));
+
+            const sha256 = hash.digest('hex');
+            const storageKey = storageKeyFor(sha256);
+            const finalPath = this.objectPath(storageKey);
+
+            // Touching the existing copy keeps it from being released before this upload's row is written
+            if (await this.touch(storageKey)) {
+                await fsp.unlink(tmpPath);
+                return { storageKey, sha256, size, created: false };
+            }
+
+            await fsp.mkdir(path.dirname(finalPath), { recursive: true });
+            await fsp.rename(tmpPath, finalPath);
+            return { storageKey, sha256, size, created: true };
+        } catch (err) {
+            await fsp.rm(tmpPath, { force: true });
+            throw err;
+        }
+    }
+
+    /**
+     * Stores an in-memory buffer (used when migrating BLOBs out of MySQL).
+     * @param {Buffer} buffer
+     */
+    putBuffer(buffer) {
+        return this.put(Readable.from([buffer]));
+    }
+
+    /**
+     * Opens a stored object for reading.
+     * @param {string} storageKey
+     * @param {{start?: number, end?: number}} [range] - Inclusive byte range.
+     * @returns {fs.ReadStream}
+     */
+    createReadStream(storageKey, range = {}) {
+        return fs.createReadStream(this.objectPath(storageKey), range);
+    }
+
+    /**
+     * @param {string} storageKey
+     * @returns {Promise<{size: number, modifiedAt: Date}|null>} null if the object is missing.
+     */
+    async stat(storageKey) {
+        try {
+            const stats = await fsp.stat(this.objectPath(storageKey));
+            return { size: stats.size, modifiedAt: stats.mtime };
+        } catch (err) {
+            if (err.code === 'ENOENT') return null;
+            throw err;
+        }
+    }
+
+    async exists(storageKey) {
+        return (await this.stat(storageKey)) !== null;
+    }
+
+    /**
+     * Sets an object's modification time to now.
+     * @param {string} storageKey
+     * @returns {Promise<boolean>} false if the object is missing.
+     */
+    async touch(storageKey) {
+        const now = new Date();
+        try {
+            await fsp.utimes(this.objectPath(storageKey), now, now);
+            return true;
+        } catch (err) {
+            if (err.code === 'ENOENT') return false;
+            throw err;
+        }
+    }
+
+    /**
+     * Deletes an object and its derivatives. Callers must make sure nothing references it any more.
+     * @param {string} storageKey
+     */
+    async remove(storageKey) {
+        await fsp.rm(this.objectPath(storageKey), { force: true });
+        await fsp.rm(this.derivativeDir(storageKey), { recursive: true, force: true });
+    }
+
+    derivativeDir(storageKey) {
+        this.objectPath(storageKey); // validates the key
+        return path.join(this.root, 'derived', ...storageKey.split('/').slice(1));
+    }
+
+    derivativePath(storageKey, name) {
+        if (!DERIVATIVE_NAME_PATTERN.test(name)) {
+            throw new Error(`Invalid derivative name '${name}'`);
+        }
+        return path.join(this.derivativeDir(storageKey), name);
+    }
+
+    /**
+     * Stores a derivative (e.g. 'preview-small.jpg') of an object, replacing any previous one.
+     * @param {string} storageKey
+     * @param {string} name
+     * @param {Buffer} buffer
+     */
+    async putDerivative(storageKey, name, buffer) {
+        const finalPath = this.derivativePath(storageKey, name);
+        await fsp.mkdir(this.tmpDir, { recursive: true });
+        const tmpPath = path.join(this.tmpDir, `${crypto.randomUUID()}.part`);
+
+        try {
+            await fsp.writeFile(tmpPath, buffer);
+            await fsp.mkdir(path.dirname(finalPath), { recursive: true });
+            await fsp.rename(tmpPath, finalPath);
+        } catch (err) {
+            await fsp.rm(tmpPath, { force: true });
+            throw err;
+        }
+    }
+
+    /**
+     * @returns {Promise<{size: number, modifiedAt: Date}|null>} null if the derivative is missing.
+     */
+    async statDerivative(storageKey, name) {
+        try {
+            const stats = await fsp.stat(this.derivativePath(storageKey, name));
+            return { size: stats.size, modifiedAt: stats.mtime };
+        } catch (err) {
+            if (err.code === 'ENOENT') return null;
+            throw err;
+        }
+    }
+
+    createDerivativeReadStream(storageKey, name) {
+        return fs.createReadStream(this.derivativePath(storageKey, name));
+    }
+}
+
+let defaultStore = null;
+
+const defaultRoot = () => (fs.existsSync('/data')
+    ? '/data/files'
+    : path.join(__dirname, '..', 'uploads', 'files'));
+
+/**
+ * Returns the configured file store (created on first use).
+ * @returns {LocalDiskStore}
+ */
+function getFileStore() {
+    if (!defaultStore) {
+        const driver = process.env.FILE_STORE_DRIVER || 'local';
+        if (driver !== 'local') {
+            throw new Error(`Unknown FILE_STORE_DRIVER '${driver}'. Supported drivers: local`);
+        }
+        defaultStore = new LocalDiskStore(process.env.FILE_STORE_ROOT || defaultRoot());
+    }
+    return defaultStore;
+}
+
+module.exports = {
+    LocalDiskStore,
+    storageKeyFor,
+    getFileStore
+};
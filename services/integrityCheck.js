@@ -0,0 +1,471 @@
+// services/integrityCheck.js
+// Scans for data left dangling by deletes, renames, moves and abandoned
+// uploads, and repairs what can be repaired without guessing. Each check
+// reports what it found; repair only runs for the checks that are asked for.
+//
+// Checks:
+//   file_task_links        project_files.taskNo / project_documents.task_id pointing
+//                          at a task that no longer exists -> link cleared
+//   unknown_project_no     tasks, files, documents and subtasks whose project number
+//                          matches no project -> rewritten when it is an old (aliased)
+//                          number, otherwise only reported
+//   orphaned_subtasks      subtasks whose category task is gone -> deleted
+//   orphaned_dependencies  task dependencies with a task that is gone -> deleted
+//   missing_content        live files whose content is not in the file store (report only)
+//   orphaned_store_objects file store objects no project_files row references -> removed
+//   orphaned_upload_parts  part folders of chunked uploads that are no longer open -> removed
+//   legacy_upload_folders  folders under uploads/ written by the unmounted
+//                          routes/fileUpload.js -> moved to quarantine/legacy-uploads when no
+//                          project_files.file_path points into them, otherwise only reported
+//   project_counters       projects.total_* / completed_* (services/counterReconciliation.js)
+
+const fsp = require('fs/promises');
+const path = require('path');
+const db = require('../db/connection');
+const { TASK_CATEGORIES } = require('../config/taskCategories');
+const { getFileStore } = require('./fileStore');
+const { ORPHAN_GRACE_MS, releaseStorageKeys } = require('./storedFiles');
+const { reconcileProjectCounters } = require('./counterReconciliation');
+const { logActivity } = require('./activityLogger');
+const { columnExists } = require('../db/schemaHelpers');
+
+// Directory routes/fileUpload.js wrote project folders into
+const LEGACY_UPLOAD_DIR = path.join(__dirname, '..', 'uploads');
+
+// Where repaired legacy folders are moved to, under the file store root
+const LEGACY_QUARANTINE_DIR = path.join('quarantine', 'legacy-uploads');
+
+// Most items listed per check; counts always cover everything found
+const MAX_REPORTED_ITEMS = 200;
+
+// Tables holding a project number, besides projects itself
+const PROJECT_NO_COLUMNS = [
+    ...TASK_CATEGORIES.map(category => ({ table: category.table, column: 'project_no' })),
+    { table: 'project_files', column: 'projectNo' },
+    { table: 'project_documents', column: 'projectNo' },
+    { table: 'subtasks', column: 'project_id' }
+];
+
+// subtasks.category holds the category key or label ('strip_curtain', 'Strip Curtain')
+const subtaskCategorySql = "LOWER(REPLACE(s.category, ' ', '_'))";
+
+const placeholders = (values) => values.map(() => '?').join(', ');
+
+/**
+ * Error raised for invalid check names (statusCode 400).
+ */
+class IntegrityCheckError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'IntegrityCheckError';
+        this.statusCode = statusCode;
+    }
+}
+
+async function listDir(dir) {
+    try {
+        return await fsp.readdir(dir, { withFileTypes: true });
+    } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+    }
+}
+
+const isRecent = (stats) => Date.now() - stats.mtimeMs < ORPHAN_GRACE_MS;
+
+/**
+ * Legacy folders that project_files.file_path still points into. routes/fileUpload.js
+ * stored '<folder>/<file name>'; databases without the column reference none.
+ * @returns {Promise<Set<string>>}
+ */
+async function referencedLegacyFolders() {
+    if (!(await columnExists(db, 'project_files', 'file_path'))) return new Set();
+
+    const [rows] = await db.query('SELECT DISTINCT file_path FROM project_files WHERE file_path IS NOT NULL');
+    const folders = new Set();
+    for (const { file_path: filePath } of rows) {
+        const parts = String(filePath).split(/[\\/]+/).filter(Boolean);
+        const uploadsIndex = parts.lastIndexOf('uploads');
+        const folder = parts[uploadsIndex + 1];
+        if (folder) folders.add(folder);
+    }
+    return folders;
+}
+
+// Renames a folder, copying it when the target is on another file system
+async function moveFolder(from, to) {
+    await fsp.mkdir(path.dirname(to), { recursive: true });
+    try {
+        await fsp.rename(from, to);
+    } catch (err) {
+        if (err.code !== 'EXDEV') throw err;
+        await fsp.cp(from, to, { recursive: true, errorOnExist: true, force: false });
+        await fsp.rm(from, { recursive: true, force: true });
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Checks. find() returns every problem found; repair(items) fixes the
+// repairable ones and returns how many it fixed.
+// ---------------------------------------------------------------------------
+
+const CHECKS = {
+    file_task_links: {
+        description: 'Files and documents linked to a category task that no longer exists',
+        async find() {
+            const items = [];
+            for (const category of TASK_CATEGORIES) {
+                const [files] = await db.query(
+                    `SELECT f.id AS fileId, f.projectNo, f.category, f.taskNo, f.document_id AS documentId
+                     FROM project_files f
+                     LEFT JOIN ${category.table} t ON t.id = f.taskNo AND t.deleted_at IS NULL
+                     WHERE f.category = ? AND f.taskNo IS NOT NULL AND f.deleted_at IS NULL AND t.id IS NULL`,
+                    [category.key]
+                );
+                items.push(...files);
+            }
+
+            // A task link on a file whose category has no task table can never resolve
+            const [uncategorised] = await db.query(
+                `SELECT id AS fileId, projectNo, category, taskNo, document_id AS documentId
+                 FROM project_files
+                 WHERE taskNo IS NOT NULL AND deleted_at IS NULL
+                   AND (category IS NULL OR category NOT IN (${placeholders(TASK_CATEGORIES)}))`,
+                TASK_CATEGORIES.map(category => category.key)
+            );
+            return [...items, ...uncategorised];
+        },
+        async repair(items) {
+            const fileIds = items.map(item => item.fileId);
+            const documentIds = [...new Set(items.map(item => item.documentId).filter(Boolean))];
+            if (fileIds.length === 0) return 0;
+
+            const [result] = await db.query(
+                `UPDATE project_files SET taskNo = NULL WHERE id IN (${placeholders(fileIds)})`,
+                fileIds
+            );
+            if (documentIds.length > 0) {
+                await db.query(
+                    `UPDATE project_documents SET task_id = NULL WHERE id IN (${placeholders(documentIds)})`,
+                    documentIds
+                );
+            }
+            return result.affectedRows;
+        }
+    },
+
+    unknown_project_no: {
+        description: 'Tasks, files, documents and subtasks whose project number matches no project',
+        async find() {
+            const items = [];
+            for (const { table, column } of PROJECT_NO_COLUMNS) {
+                const [rows] = await db.query(
+                    `SELECT x.${column} AS projectNo, COUNT(*) AS rowCount, a.projectNo AS currentProjectNo
+                     FROM ${table} x
+                     LEFT JOIN projects p ON p.projectNo = x.${column}
+                     LEFT JOIN project_aliases a ON a.alias = x.${column}
+                     WHERE p.id IS NULL
+                     GROUP BY x.${column}, a.projectNo`
+                );
+                items.push(...rows.map(row => ({
+                    table,
+                    projectNo: row.projectNo,
+                    rows: Number(row.rowCount),
+                    currentProjectNo: row.currentProjectNo || null,
+                    repairable: Boolean(row.currentProjectNo)
+                })));
+            }
+            return items;
+        },
+        async repair(items) {
+            let repaired = 0;
+            for (const item of items.filter(entry => entry.repairable)) {
+                const { column } = PROJECT_NO_COLUMNS.find(entry => entry.table === item.table);
+                const [result] = await db.query(
+                    `UPDATE ${item.table} SET ${column} = ? WHERE ${column} = ?`,
+                    [item.currentProjectNo, item.projectNo]
+                );
+                repaired += result.affectedRows;
+            }
+            return repaired;
+        }
+    },
+
+    orphaned_subtasks: {
+        description: 'Subtasks whose category task no longer exists',
+        async find() {
+            const items = [];
+            for (const category of TASK_CATEGORIES) {
+                const [rows] = await db.query(
+                    `SELECT s.id, s.project_id AS projectNo, s.category, s.category_task_id AS categoryTaskId
+                     FROM subtasks s
+                     LEFT JOIN ${category.table} t ON t.id = s.category_task_id
+                     WHERE ${subtaskCategorySql} IN (?, ?) AND t.id IS NULL`,
+                    [category.key, category.table]
+                );
+                items.push(...rows.map(row => ({ ...row, repairable: true })));
+            }
+
+            // Without a recognisable category the owning table is unknown; only
+            // report those that match no task in any table
+            const keys = TASK_CATEGORIES.flatMap(category => [category.key, category.table]);
+            const [unknown] = await db.query(
+                `SELECT s.id, s.project_id AS projectNo, s.category, s.category_task_id AS categoryTaskId
+                 FROM subtasks s
+                 WHERE (s.category IS NULL OR ${subtaskCategorySql} NOT IN (${placeholders(keys)}))
+                   ${TASK_CATEGORIES.map(category =>
+                       `AND NOT EXISTS (SELECT 1 FROM ${category.table} t WHERE t.id = s.category_task_id)`).join(' ')}`,
+                keys
+            );
+            return [...items, ...unknown.map(row => ({ ...row, repairable: false }))];
+        },
+        async repair(items) {
+            const ids = items.filter(item => item.repairable).map(item => item.id);
+            if (ids.length === 0) return 0;
+            const [result] = await db.query(`DELETE FROM subtasks WHERE id IN (${placeholders(ids)})`, ids);
+            return result.affectedRows;
+        }
+    },
+
+    orphaned_dependencies: {
+        description: 'Task dependencies whose task or predecessor no longer exists',
+        async find() {
+            const found = new Map();
+            for (const category of TASK_CATEGORIES) {
+                for (const [categoryColumn, idColumn] of [['task_category', 'task_id'], ['depends_on_category', 'depends_on_task_id']]) {
+                    const [rows] = await db.query(
+                        `SELECT d.id, d.project_no AS projectNo, d.task_category AS taskCategory, d.task_id AS taskId,
+                                d.depends_on_category AS dependsOnCategory, d.depends_on_task_id AS dependsOnTaskId
+                         FROM task_dependencies d
+                         LEFT JOIN ${category.table} t ON t.id = d.${idColumn}
+                         WHERE d.${categoryColumn} = ? AND t.id IS NULL`,
+                        [category.key]
+                    );
+                    rows.forEach(row => found.set(row.id, row));
+                }
+            }
+
+            const keys = TASK_CATEGORIES.map(category => category.key);
+            const [unknown] = await db.query(
+                `SELECT id, project_no AS projectNo, task_category AS taskCategory, task_id AS taskId,
+                        depends_on_category AS dependsOnCategory, depends_on_task_id AS dependsOnTaskId
+                 FROM task_dependencies
+                 WHERE task_category NOT IN (${placeholders(keys)}) OR depends_on_category NOT IN (${placeholders(keys)})`,
+                [...keys, ...keys]
+            );
+            unknown.forEach(row => found.set(row.id, row));
+            return [...found.values()];
+        },
+        async repair(items) {
+            const ids = items.map(item => item.id);
+            if (ids.length === 0) return 0;
+            const [result] = await db.query(`DELETE FROM task_dependencies WHERE id IN (${placeholders(ids)})`, ids);
+            return result.affectedRows;
+        }
+    },
+
+    missing_content: {
+        description: 'Live files whose content is missing from the file store',
+        async find() {
+            const store = getFileStore();
+            const [files] = await db.query(
+                `SELECT id AS fileId, projectNo, file_name AS fileName, storage_key AS storageKey,
+                        file_data IS NOT NULL AS hasBlob
+                 FROM project_files WHERE deleted_at IS NULL`
+            );
+
+            const items = [];
+            for (const file of files) {
+                if (file.storageKey) {
+                    if (!(await store.exists(file.storageKey))) {
+                        items.push({ fileId: file.fileId, projectNo: file.projectNo, fileName: file.fileName, storageKey: file.storageKey });
+                    }
+                } else if (!Number(file.hasBlob)) {
+                    items.push({ fileId: file.fileId, projectNo: file.projectNo, fileName: file.fileName, storageKey: null });
+                }
+            }
+            return items;
+        }
+    },
+
+    orphaned_store_objects: {
+        description: 'File store objects that no file references',
+        async find() {
+            const store = getFileStore();
+            const [rows] = await db.query('SELECT DISTINCT storage_key FROM project_files WHERE storage_key IS NOT NULL');
+            const referenced = new Set(rows.map(row => row.storage_key));
+
+            const items = [];
+            const objectsRoot = path.join(store.root, 'sha256');
+            for (const first of await listDir(objectsRoot)) {
+                if (!first.isDirectory()) continue;
+                for (const second of await listDir(path.join(objectsRoot, first.name))) {
+                    if (!second.isDirectory()) continue;
+                    const dir = path.join(objectsRoot, first.name, second.name);
+                    for (const entry of await listDir(dir)) {
+                        const storageKey = `sha256/${first.name}/${second.name}/${entry.name}`;
+                        if (!entry.isFile() || referenced.has(storageKey)) continue;
+
+                        const stats = await fsp.stat(path.join(dir, entry.name));
+                        if (!isRecent(stats)) {
+                            items.push({ storageKey, size: stats.size, modifiedAt: stats.mtime });
+                        }
+                    }
+                }
+            }
+            return items;
+        },
+        async repair(items) {
+            // Re-checked per key: an upload may have claimed or touched identical content since the scan
+            return releaseStorageKeys(items.map(item => item.storageKey));
+        }
+    },
+
+    orphaned_upload_parts: {
+        description: 'Part folders of chunked uploads that are no longer open',
+        async find() {
+            const sessionsRoot = path.join(getFileStore().root, 'sessions');
+            const dirs = (await listDir(sessionsRoot)).filter(entry => entry.isDirectory());
+            if (dirs.length === 0) return [];
+
+            const ids = dirs.map(entry => entry.name);
+            const [open] = await db.query(
+                `SELECT id FROM upload_sessions WHERE id IN (${placeholders(ids)}) AND status IN ('open', 'completing')`,
+                ids
+            );
+            const openIds = new Set(open.map(row => row.id));
+
+            const items = [];
+            for (const uploadId of ids.filter(id => !openIds.has(id))) {
+                const stats = await fsp.stat(path.join(sessionsRoot, uploadId));
+                if (!isRecent(stats)) {
+                    items.push({ uploadId, modifiedAt: stats.mtime });
+                }
+            }
+            return items;
+        },
+        async repair(items) {
+            const sessionsRoot = path.join(getFileStore().root, 'sessions');
+            for (const { uploadId } of items) {
+                await fsp.rm(path.join(sessionsRoot, uploadId), { recursive: true, force: true });
+            }
+            return items.length;
+        }
+    },
+
+    legacy_upload_folders: {
+        description: 'Project folders under uploads/ from the retired disk upload route',
+        async find() {
+            const storeRoot = path.resolve(getFileStore().root);
+            const referenced = await referencedLegacyFolders();
+            const items = [];
+
+            for (const entry of await listDir(LEGACY_UPLOAD_DIR)) {
+                const folder = path.resolve(LEGACY_UPLOAD_DIR, entry.name);
+                // The file store's default root lives under uploads/ too
+                if (!entry.isDirectory() || storeRoot === folder || storeRoot.startsWith(folder + path.sep)) continue;
+
+                let files = 0;
+                let bytes = 0;
+                for (const file of await listDir(folder)) {
+                    if (file.isFile()) {
+                        files++;
+                        bytes += (await fsp.stat(path.join(folder, file.name))).size;
+                    }
+                }
+                const inUse = referenced.has(entry.name);
+                items.push({ folder: entry.name, files, bytes, referenced: inUse, repairable: !inUse });
+            }
+            return items;
+        },
+        async repair(items) {
+            const quarantineDir = path.join(getFileStore().root, LEGACY_QUARANTINE_DIR);
+            const movable = items.filter(item => item.repairable);
+            for (const { folder } of movable) {
+                await moveFolder(path.join(LEGACY_UPLOAD_DIR, folder), path.join(quarantineDir, `${folder}-${Date.now()}`));
+            }
+            return movable.length;
+        }
+    },
+
+    project_counters: {
+        description: 'Project total/completed task counters that differ from the task tables',
+        async find() {
+            const { discrepancies } = await reconcileProjectCounters();
+            return discrepancies;
+        },
+        async repair(items, userId) {
+            if (items.length === 0) return 0;
+            const { fixedProjects } = await reconcileProjectCounters({ fix: true, userId });
+            return fixedProjects;
+        }
+    }
+};
+
+const CHECK_NAMES = Object.keys(CHECKS);
+
+/**
+ * Validates a list of check names (all checks when empty).
+ * @param {string[]|string|undefined} checks - Array or comma-separated list.
+ * @returns {string[]}
+ * @throws {IntegrityCheckError}
+ */
+function resolveCheckNames(checks) {
+    const names = (Array.isArray(checks) ? checks : String(checks || '').split(','))
+        .map(name => String(name).trim())
+        .filter(Boolean);
+    const unknown = names.filter(name => !CHECKS[name]);
+    if (unknown.length > 0) {
+        throw new IntegrityCheckError(`Unknown check(s): ${unknown.join(', ')}. Available: ${CHECK_NAMES.join(', ')}.`);
+    }
+    return names.length > 0 ? names : CHECK_NAMES;
+}
+
+/**
+ * Runs integrity checks and optionally repairs what they found.
+ * @param {object} [options]
+ * @param {string[]|string} [options.checks] - Check names (default: all).
+ * @param {boolean} [options.repair=false] - Apply the repair of each selected check.
+ * @param {number|null} [options.userId=null] - User running the repair (for the activity log).
+ * @returns {Promise<{checkedAt: string, repair: boolean, totalIssues: number, checks: object[]}>}
+ * @throws {IntegrityCheckError}
+ */
+async function runIntegrityCheck({ checks, repair = false, userId = null } = {}) {
+    const names = resolveCheckNames(checks);
+    const results = [];
+
+    for (const name of names) {
+        const check = CHECKS[name];
+        const items = await check.find();
+        const result = {
+            check: name,
+            description: check.description,
+            count: items.length,
+            repairable: Boolean(check.repair),
+            items: items.slice(0, MAX_REPORTED_ITEMS)
+        };
+        if (repair && check.repair) {
+            result.repaired = await check.repair(items, userId);
+        }
+        results.push(result);
+    }
+
+    const totalIssues = results.reduce((sum, result) => sum + result.count, 0);
+
+    if (repair) {
+        const repaired = results.filter(result => result.repaired > 0);
+        if (repaired.length > 0) {
+            await logActivity(userId, 'REPAIR', 'INTEGRITY', null,
+                `Integrity repair: ${repaired.map(result => `${result.check} (${result.repaired})`).join(', ')}.`,
+                { checks: names, repaired: Object.fromEntries(repaired.map(result => [result.check, result.repaired])) });
+        }
+    }
+
+    return { checkedAt: new Date().toISOString(), repair, totalIssues, checks: results };
+}
+
+module.exports = {
+    CHECK_NAMES,
+    IntegrityCheckError,
+    runIntegrityCheck
+};
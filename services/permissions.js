@@ -0,0 +1,67 @@
+// services/permissions.js
+
+// Roles a user can hold (users.role)
+const ROLES = ['admin', 'sales', 'production', 'store', 'driver'];
+
+/**
+ * Permission matrix: role -> list of permissions.
+ * Permissions are '<resource>:<action>' strings checked by requirePermission().
+ * 'admin' holds the wildcard and is allowed everything.
+ */
+const ROLE_PERMISSIONS = {
+    admin: ['*'],
+    sales: [
+        'projects:read', 'projects:write',
+        'files:read', 'files:upload', 'files:delete',
+        'ledger:read', 'ledger:financials', 'ledger:write',
+        'tasks:read',
+        'subtasks:read',
+        'panels:read',
+        'labour:read',
+        'excel:read', 'excel:write'
+    ],
+    production: [
+        'projects:read',
+        'files:read',
+        'ledger:read',
+        'tasks:read', 'tasks:write',
+        'subtasks:read', 'subtasks:write',
+        'panels:read', 'panels:write',
+        'production:write',
+        'labour:read',
+        'excel:read'
+    ],
+    store: [
+        'projects:read',
+        'files:read',
+        'tasks:read', 'tasks:write',
+        'subtasks:read', 'subtasks:write',
+        'panels:read'
+    ],
+    driver: [
+        'projects:read',
+        'files:read',
+        'tasks:read',
+        'panels:read'
+    ]
+};
+
+/**
+ * Checks whether a role grants a permission.
+ * @param {string} role - One of ROLES.
+ * @param {string} permission - e.g. 'projects:delete'.
+ * @returns {boolean}
+ */
+const hasPermission = (role, permission) => {
+    const granted = ROLE_PERMISSIONS[role] || [];
+    return granted.includes('*') || granted.includes(permission);
+};
+
+/**
+ * Lists the permissions held by a role (wildcard kept as-is for admin).
+ * @param {string} role - One of ROLES.
+ * @returns {string[]}
+ */
+const getPermissions = (role) => [...(ROLE_PERMISSIONS[role] || [])];
+
+module.exports = { ROLES, ROLE_PERMISSIONS, hasPermission, getPermissions };
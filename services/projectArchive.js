@@ -0,0 +1,208 @@
+// services/projectArchive.js
+// Streams a ZIP of project files: one folder per category plus a manifest.csv.
+// Entries are added one at a time and each file is only opened when the
+// archiver is ready for it, so memory use stays flat regardless of archive size.
+
+const archiver = require('archiver');
+const { once } = require('events');
+const db = require('../db/connection');
+const { getFileStore } = require('./fileStore');
+const { buildContentDisposition } = require('./fileDownload');
+const { revisionLabel } = require('./projectDocuments');
+
+const MANIFEST_NAME = 'manifest.csv';
+const UNCATEGORISED_FOLDER = 'uncategorized';
+
+// Already-compressed formats are stored as-is instead of being deflated again
+const STORED_MIME_TYPES = ['image/jpeg', 'image/png', 'application/zip', 'application/x-zip-compressed'];
+
+/**
+ * Makes a name safe as a single ZIP path segment.
+ * @param {string} name
+ * @returns {string}
+ */
+const safeSegment = (name) => String(name || '')
+    .replace(/[\\/:*?"<>|\x00-\x1f]/g, '_')
+    .replace(/^\.+/, '_')
+    .trim() || 'file';
+
+/**
+ * Adds ' (2)', ' (3)', ... before the extension until the path is unused.
+ */
+function uniquePath(usedPaths, folder, fileName) {
+    const dot = fileName.lastIndexOf('.');
+    const base = dot > 0 ? fileName.slice(0, dot) : fileName;
+    const extension = dot > 0 ? fileName.slice(dot) : '';
+
+    let candidate = `${folder}/${fileName}`;
+    for (let n = 2; usedPaths.has(candidate.toLowerCase()); n++) {
+        candidate = `${folder}/${base} (${n})${extension}`;
+    }
+    usedPaths.add(candidate.toLowerCase());
+    return candidate;
+}
+
+const csvValue = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Waits until the archiver has taken the entry just appended, it failed, or the client went away.
+ */
+function waitForEntry(archive, clientGone) {
+    return new Promise((resolve, reject) => {
+        const cleanup = () => {
+            archive.off('entry', onEntry);
+            archive.off('error', onError);
+        };
+        const onEntry = () => { cleanup(); resolve(); };
+        const onError = (err) => { cleanup(); reject(err); };
+
+        archive.on('entry', onEntry);
+        archive.on('error', onError);
+        clientGone.then(() => { cleanup(); resolve(); });
+    });
+}
+
+/**
+ * Lists the files that go into a project archive (file content is not loaded).
+ * @param {object} params
+ * @param {string} params.projectNo
+ * @param {string[]} [params.categories] - Only these categories ('uncategorized' matches NULL).
+ * @param {number[]} [params.taskNos] - Only files linked to these tasks.
+ * @param {boolean} [params.allRevisions=false] - Include superseded revisions.
+ * @returns {Promise<object[]>}
+ */
+async function listArchiveFiles({ projectNo, categories = [], taskNos = [], allRevisions = false }) {
+    let query = `
+        SELECT id, file_name, file_size, mime_type, storage_key, sha256, category, taskNo,
+               revision_no, superseded_at, created_at
+        FROM project_files
+        WHERE projectNo = ? AND deleted_at IS NULL
+    `;
+    const params = [projectNo];
+
+    if (!allRevisions) {
+        query += ' AND superseded_at IS NULL';
+    }
+    if (categories.length > 0) {
+        const named = categories.filter(category => category !== UNCATEGORISED_FOLDER);
+        const clauses = [];
+        if (named.length > 0) {
+            clauses.push('category IN (?)');
+            params.push(named);
+        }
+        if (named.length < categories.length) {
+            clauses.push('category IS NULL');
+        }
+        query += ` AND (${clauses.join(' OR ')})`;
+    }
+    if (taskNos.length > 0) {
+        query += ' AND taskNo IN (?)';
+        params.push(taskNos);
+    }
+
+    query += ' ORDER BY category, file_name, revision_no, id';
+
+    const [files] = await db.query(query, params);
+    return files;
+}
+
+/**
+ * Opens the content of one file: a store stream, or the BLOB for rows not yet migrated.
+ * @returns {Promise<Readable|Buffer|null>} null when the content is missing.
+ */
+async function openFileContent(store, file) {
+    if (file.storage_key) {
+        return (await store.exists(file.storage_key)) ? store.createReadStream(file.storage_key) : null;
+    }
+    const [[row]] = await db.query('SELECT file_data FROM project_files WHERE id = ?', [file.id]);
+    return row && row.file_data ? row.file_data : null;
+}
+
+/**
+ * Streams a ZIP of the given files to the response.
+ * Missing content does not abort the download; it is flagged in the manifest.
+ * @param {object} res
+ * @param {object} params
+ * @param {string} params.projectNo
+ * @param {object[]} params.files - Rows from listArchiveFiles.
+ * @param {boolean} [params.allRevisions=false] - Add the revision label to file names.
+ * @returns {Promise<{included: number, missing: number, aborted: boolean}>}
+ */
+async function streamProjectArchive(res, { projectNo, files, allRevisions = false }) {
+    const store = getFileStore();
+    const archive = archiver('zip', { zlib: { level: 6 } });
+    const usedPaths = new Set([MANIFEST_NAME]);
+    const manifest = [['path', 'file_id', 'file_name', 'category', 'task_no', 'revision', 'size', 'sha256', 'uploaded_at', 'status']];
+
+    let aborted = false;
+    const clientGone = once(res, 'close').then(() => {
+        if (!res.writableFinished) {
+            aborted = true;
+            archive.abort();
+        }
+    });
+    archive.on('warning', (err) => console.warn(`⚠️ Archive warning for project ${projectNo}:`, err.message));
+    archive.on('error', (err) => {
+        console.error(`❌ Archive for project ${projectNo} failed:`, err.message);
+        res.destroy(err);
+    });
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', buildContentDisposition(`${safeSegment(projectNo)}-files.zip`, true));
+    res.setHeader('Cache-Control', 'private, no-store');
+    archive.pipe(res);
+
+    let included = 0;
+    let missing = 0;
+
+    for (const file of files) {
+        if (aborted) break;
+
+        const folder = safeSegment(file.category || UNCATEGORISED_FOLDER);
+        let fileName = safeSegment(file.file_name);
+        const label = revisionLabel(file.revision_no);
+        if (allRevisions && label) {
+            const dot = fileName.lastIndexOf('.');
+            fileName = dot > 0
+                ? `${fileName.slice(0, dot)} (Rev ${label})${fileName.slice(dot)}`
+                : `${fileName} (Rev ${label})`;
+        }
+        const entryPath = uniquePath(usedPaths, folder, fileName);
+
+        const content = await openFileContent(store, file);
+        if (content) {
+            archive.append(content, {
+                name: entryPath,
+                date: file.created_at ? new Date(file.created_at) : new Date(),
+                store: STORED_MIME_TYPES.includes(String(file.mime_type).toLowerCase())
+            });
+            await waitForEntry(archive, clientGone);
+            if (aborted) break;
+            included++;
+        } else {
+            missing++;
+        }
+
+        manifest.push([
+            entryPath, file.id, file.file_name, file.category || '', file.taskNo || '', label || '',
+            file.file_size, file.sha256 || '', file.created_at ? new Date(file.created_at).toISOString() : '',
+            content ? 'included' : 'missing'
+        ]);
+    }
+
+    if (!aborted) {
+        archive.append(manifest.map(row => row.map(csvValue).join(',')).join('\r\n') + '\r\n', { name: MANIFEST_NAME });
+        await archive.finalize();
+    }
+
+    return { included, missing, aborted };
+}
+
+module.exports = {
+    UNCATEGORISED_FOLDER,
+    listArchiveFiles,
+    streamProjectArchive
+};
@@ -0,0 +1,101 @@
+// services/projectCompletion.js
+// Per-category task completion for projects, computed for a whole page of
+// projects in a single grouped query instead of one COUNT per table per project.
+
+const db = require('../db/connection');
+const { TASK_CATEGORIES } = require('../config/taskCategories');
+const { completedStatusSql, countedStatusSql } = require('./taskStatus');
+
+// Categories that appear in the completion breakdown, keyed by completionKey
+const COMPLETION_CATEGORIES = TASK_CATEGORIES.filter(category => category.completionKey);
+
+/**
+ * Builds a completion object with every category at zero
+ */
+function emptyCompletion() {
+    return Object.fromEntries(
+        COMPLETION_CATEGORIES.map(category => [category.completionKey, { completed: 0, total: 0, percentage: 0 }])
+    );
+}
+
+/**
+ * Calculates the completion breakdown for many projects at once.
+ * Runs one UNION ALL query over every category table, grouped by project.
+ * @param {string[]} projectNos
+ * @returns {Promise<Map<string, object>>} projectNo -> completion object (every projectNo is present).
+ */
+async function calculateCompletionForProjects(projectNos) {
+    const uniqueProjectNos = [...new Set(projectNos)];
+    const completionByProject = new Map(uniqueProjectNos.map(projectNo => [projectNo, emptyCompletion()]));
+
+    if (uniqueProjectNos.length === 0 || COMPLETION_CATEGORIES.length === 0) {
+        return completionByProject;
+    }
+
+    const query = COMPLETION_CATEGORIES.map(category => `
+        SELECT ? AS completion_key, project_no,
+               SUM(CASE WHEN ${countedStatusSql()} THEN 1 ELSE 0 END) AS total,
+               SUM(CASE WHEN ${completedStatusSql()} THEN 1 ELSE 0 END) AS completed
+        FROM ${category.table}
+        WHERE project_no IN (?) AND deleted_at IS NULL
+        GROUP BY project_no`
+    ).join('\n        UNION ALL');
+    const params = COMPLETION_CATEGORIES.flatMap(category => [category.completionKey, uniqueProjectNos]);
+
+    const [rows] = await db.query(query, params);
+
+    for (const row of rows) {
+        const completion = completionByProject.get(row.project_no);
+        if (!completion) continue;
+
+        const total = Number(row.total) || 0;
+        const completed = Number(row.completed) || 0;
+        completion[row.completion_key] = {
+            completed,
+            total,
+            percentage: total > 0 ? Math.round((completed / total) * 100) : 0
+        };
+    }
+
+    return completionByProject;
+}
+
+/**
+ * Calculate completion percentages for all task categories of one project
+ * @param {string} projectNo
+ * @returns {Promise<object>}
+ */
+async function calculateCompletionPercentage(projectNo) {
+    const completionByProject = await calculateCompletionForProjects([projectNo]);
+    return completionByProject.get(projectNo);
+}
+
+/**
+ * Adds a `completion` property to each project row.
+ * Falls back to zeroed completion if the aggregate query fails, so a broken
+ * task table does not take the project list down with it.
+ * @param {object[]} projects - Rows from the projects table.
+ * @returns {Promise<object[]>}
+ */
+async function attachCompletion(projects) {
+    let completionByProject;
+    try {
+        completionByProject = await calculateCompletionForProjects(projects.map(project => project.projectNo));
+    } catch (error) {
+        console.error('Error calculating project completion:', error);
+        completionByProject = new Map();
+    }
+
+    return projects.map(project => ({
+        ...project,
+        completion: completionByProject.get(project.projectNo) || emptyCompletion()
+    }));
+}
+
+module.exports = {
+    COMPLETION_CATEGORIES,
+    emptyCompletion,
+    calculateCompletionForProjects,
+    calculateCompletionPercentage,
+    attachCompletion
+};
@@ -0,0 +1,227 @@
+// services/projectDocuments.js
+// Documents group the revisions of one drawing/file. Each project_files row
+// belongs to a document and carries a revision number (1 = Rev A). The latest
+// revision has superseded_at = NULL; older ones are stamped when replaced.
+// A document keeps the category task created for its first upload, so new
+// revisions do not spawn new tasks.
+
+const db = require('../db/connection');
+const { logActivity } = require('./activityLogger');
+
+// Columns returned for a revision in listings
+const REVISION_COLUMNS = `id, projectNo, file_name, file_size, mime_type, category, taskNo, uploaded_by,
+    document_id, revision_no, revision_notes, superseded_at, created_at`;
+
+/**
+ * Revision number to letter label: 1 -> 'A', 26 -> 'Z', 27 -> 'AA'.
+ * @param {number} revisionNo
+ * @returns {string|null}
+ */
+function revisionLabel(revisionNo) {
+    if (!Number.isInteger(revisionNo) || revisionNo < 1) return null;
+    let label = '';
+    for (let n = revisionNo; n > 0; n = Math.floor((n - 1) / 26)) {
+        label = String.fromCharCode(65 + ((n - 1) % 26)) + label;
+    }
+    return label;
+}
+
+/**
+ * Parses a revision reference from a URL: '3', 'C', 'rev-c' or 'latest'.
+ * @param {string} value
+ * @returns {number|'latest'|null}
+ */
+function parseRevision(value) {
+    const text = String(value || '').trim().toUpperCase().replace(/^REV[\s_-]?/, '');
+    if (text === 'LATEST') return 'latest';
+    if (/^\d+$/.test(text)) return parseInt(text, 10) || null;
+    if (/^[A-Z]+$/.test(text)) {
+        return [...text].reduce((number, char) => number * 26 + (char.charCodeAt(0) - 64), 0);
+    }
+    return null;
+}
+
+/**
+ * Adds revisionLabel to a project_files row.
+ */
+const formatRevision = (file) => ({
+    ...file,
+    revisionLabel: revisionLabel(file.revision_no),
+    isLatest: file.superseded_at === null || file.superseded_at === undefined
+});
+
+/**
+ * Creates a document for a newly uploaded file and makes the file its first revision.
+ * @param {object} connection - Connection or pool.
+ * @param {object} params
+ * @param {number} params.fileId - project_files.id of the uploaded file.
+ * @param {string} params.projectNo
+ * @param {string|null} params.category
+ * @param {string} params.title - Usually the original file name.
+ * @param {number|null} params.taskId - Category task created for the upload, if any.
+ * @param {number|null} params.userId
+ * @returns {Promise<number>} The new document id.
+ */
+async function createDocumentForFile(connection, { fileId, projectNo, category, title, taskId, userId }) {
+    const [result] = await connection.query(
+        'INSERT INTO project_documents (projectNo, category, title, task_id, created_by) VALUES (?, ?, ?, ?, ?)',
+        [projectNo, category || null, title, taskId || null, userId || null]
+    );
+    await connection.query(
+        'UPDATE project_files SET document_id = ?, revision_no = 1 WHERE id = ?',
+        [result.insertId, fileId]
+    );
+    return result.insertId;
+}
+
+/**
+ * Fetches a live document with all its revisions, newest first.
+ * @param {number|string} documentId
+ * @returns {Promise<object|null>}
+ */
+async function getDocument(documentId) {
+    const [documents] = await db.query(
+        'SELECT * FROM project_documents WHERE id = ? AND deleted_at IS NULL',
+        [documentId]
+    );
+    if (documents.length === 0) return null;
+
+    const [revisions] = await db.query(
+        `SELECT ${REVISION_COLUMNS} FROM project_files
+         WHERE document_id = ? AND deleted_at IS NULL ORDER BY revision_no DESC`,
+        [documentId]
+    );
+
+    const formatted = revisions.map(formatRevision);
+    return {
+        ...documents[0],
+        latestRevision: formatted.find(revision => revision.isLatest) || formatted[0] || null,
+        revisions: formatted
+    };
+}
+
+/**
+ * Finds the project_files row for a document revision (for downloads).
+ * @param {number|string} documentId
+ * @param {number|'latest'} revision
+ * @returns {Promise<object|null>} Row with file_name, mime_type, storage_key, sha256, created_at, file_data.
+ */
+async function findRevisionFile(documentId, revision) {
+    const [rows] = await db.query(
+        `SELECT f.id, f.file_name, f.mime_type, f.storage_key, f.sha256, f.created_at, f.revision_no,
+                IF(f.storage_key IS NULL, f.file_data, NULL) AS file_data
+         FROM project_files f
+         JOIN project_documents d ON d.id = f.document_id AND d.deleted_at IS NULL
+         WHERE f.document_id = ? AND f.deleted_at IS NULL
+           AND ${revision === 'latest' ? 'f.superseded_at IS NULL' : 'f.revision_no = ?'}
+         ORDER BY f.revision_no DESC LIMIT 1`,
+        revision === 'latest' ? [documentId] : [documentId, revision]
+    );
+    return rows[0] || null;
+}
+
+/**
+ * Adds an uploaded file as the next revision of a document ("supersede").
+ * No category task is created; the revision inherits the document's task.
+ * @param {object} params
+ * @param {number|string} params.documentId
+ * @param {object} params.file - Multer file from the file store upload engine.
+ * @param {string} [params.notes] - Revision notes.
+ * @param {number|null} params.userId
+ * @returns {Promise<object|null>} The new revision row, or null if the document does not exist.
+ */
+async function addRevision({ documentId, file, notes, userId }) {
+    const connection = await db.getConnection();
+    let revision;
+
+    try {
+        await connection.beginTransaction();
+
+        const [documents] = await connection.query(
+            'SELECT * FROM project_documents WHERE id = ? AND deleted_at IS NULL FOR UPDATE',
+            [documentId]
+        );
+        if (documents.length === 0) {
+            await connection.rollback();
+            return null;
+        }
+        const document = documents[0];
+
+        const [[{ lastRevision }]] = await connection.query(
+            'SELECT COALESCE(MAX(revision_no), 0) AS lastRevision FROM project_files WHERE document_id = ?',
+            [documentId]
+        );
+        const revisionNo = lastRevision + 1;
+
+        await connection.query(
+            'UPDATE project_files SET superseded_at = NOW() WHERE document_id = ? AND superseded_at IS NULL',
+            [documentId]
+        );
+
+        const [result] = await connection.query(
+            `INSERT INTO project_files
+             (projectNo, file_name, file_size, mime_type, storage_key, sha256, category, taskNo,
+              document_id, revision_no, revision_notes, uploaded_by)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [document.projectNo, file.originalname, file.size, file.mimetype, file.storageKey, file.sha256,
+                document.category, document.task_id, documentId, revisionNo, notes || null, userId || null]
+        );
+
+        await connection.query('UPDATE project_documents SET updated_at = NOW() WHERE id = ?', [documentId]);
+        await connection.commit();
+
+        const [rows] = await db.query(`SELECT ${REVISION_COLUMNS} FROM project_files WHERE id = ?`, [result.insertId]);
+        revision = formatRevision(rows[0]);
+    } catch (err) {
+        await connection.rollback();
+        throw err;
+    } finally {
+        connection.release();
+    }
+
+    await logActivity(userId, 'REVISE', 'DOCUMENT', documentId,
+        `Rev ${revision.revisionLabel} of '${revision.file_name}' uploaded for project ${revision.projectNo}.`,
+        { projectNo: revision.projectNo, fileId: revision.id, revisionNo: revision.revision_no, notes: notes || null });
+
+    return revision;
+}
+
+/**
+ * Bookkeeping after a revision's file row was deleted: if it was the latest
+ * revision the previous one becomes latest again, and a document left with no
+ * revisions is deleted.
+ * @param {object} connection - Connection or pool.
+ * @param {number|null} documentId
+ * @returns {Promise<{documentDeleted: boolean, remainingRevisions: number}>}
+ */
+async function afterRevisionDeleted(connection, documentId) {
+    if (!documentId) {
+        return { documentDeleted: true, remainingRevisions: 0 };
+    }
+
+    const [remaining] = await connection.query(
+        'SELECT id, superseded_at FROM project_files WHERE document_id = ? ORDER BY revision_no DESC',
+        [documentId]
+    );
+
+    if (remaining.length === 0) {
+        await connection.query('DELETE FROM project_documents WHERE id = ?', [documentId]);
+        return { documentDeleted: true, remainingRevisions: 0 };
+    }
+
+    if (!remaining.some(file => file.superseded_at === null)) {
+        await connection.query('UPDATE project_files SET superseded_at = NULL WHERE id = ?', [remaining[0].id]);
+    }
+    return { documentDeleted: false, remainingRevisions: remaining.length };
+}
+
+module.exports = {
+    revisionLabel,
+    parseRevision,
+    formatRevision,
+    createDocumentForFile,
+    getDocument,
+    findRevisionFile,
+    addRevision,
+    afterRevisionDeleted
+};
@@ -0,0 +1,197 @@
+// services/projectLifecycle.js
+// Project status state machine.
+//
+//   Draft -> Active -> Approved -> In Production -> Delivered -> Done
+//
+// Any open status can be put On Hold (and resumed to any open status) or
+// Cancelled. A cancelled project can be reinstated as Draft. Done is final.
+//
+// Guards:
+//   Approved  - the job ledger entry for the project must be signed
+//   Done      - every category task of the project must be completed or cancelled
+
+const db = require('../db/connection');
+const { TASK_CATEGORIES } = require('../config/taskCategories');
+const { openStatusSql } = require('./taskStatus');
+const { logActivity } = require('./activityLogger');
+
+const PROJECT_STATUSES = ['Draft', 'Active', 'Approved', 'In Production', 'Delivered', 'Done', 'On Hold', 'Cancelled'];
+
+const DEFAULT_PROJECT_STATUS = 'Active';
+
+// Statuses a new project may be created with
+const INITIAL_STATUSES = ['Draft', 'Active'];
+
+// Statuses of a project whose approval has been signed off
+const APPROVED_STATUSES = ['Approved', 'In Production', 'Delivered', 'Done'];
+
+const TRANSITIONS = {
+    'Draft': ['Active', 'On Hold', 'Cancelled'],
+    'Active': ['Draft', 'Approved', 'On Hold', 'Cancelled'],
+    'Approved': ['Active', 'In Production', 'On Hold', 'Cancelled'],
+    'In Production': ['Delivered', 'Done', 'On Hold', 'Cancelled'],
+    'Delivered': ['In Production', 'Done'],
+    'Done': [],
+    'On Hold': ['Draft', 'Active', 'Approved', 'In Production', 'Delivered', 'Cancelled'],
+    'Cancelled': ['Draft']
+};
+
+/**
+ * Error raised for unknown statuses, disallowed transitions and failed guards.
+ * statusCode is picked up by the routes (and by the global error handler).
+ */
+class ProjectStatusError extends Error {
+    constructor(message, statusCode = 409, details = {}) {
+        super(message);
+        this.name = 'ProjectStatusError';
+        this.statusCode = statusCode;
+        this.details = details;
+    }
+}
+
+/**
+ * Maps user input ('in_production', 'ON HOLD', 'active') to a canonical status.
+ * @param {string} status
+ * @returns {string|null} Canonical status, or null if unknown.
+ */
+function normaliseProjectStatus(status) {
+    const key = String(status || '').trim().toLowerCase().replace(/[\s_-]+/g, ' ');
+    return PROJECT_STATUSES.find(candidate => candidate.toLowerCase() === key) || null;
+}
+
+/**
+ * Whether a project has been approved (and may since have moved on to production).
+ * Tasks created for such projects are approved straight away.
+ * @param {string} status
+ * @returns {boolean}
+ */
+const hasPassedApproval = (status) => APPROVED_STATUSES.includes(normaliseProjectStatus(status));
+
+/**
+ * Statuses reachable from a status.
+ * @param {string} fromStatus
+ * @returns {string[]}
+ */
+const getAllowedTransitions = (fromStatus) => TRANSITIONS[normaliseProjectStatus(fromStatus)] || [];
+
+const canTransition = (fromStatus, toStatus) => getAllowedTransitions(fromStatus).includes(toStatus);
+
+async function countOpenTasks(connection, projectNo) {
+    const query = TASK_CATEGORIES.map(category =>
+        `SELECT COUNT(*) AS open_tasks FROM ${category.table} WHERE project_no = ? AND ${openStatusSql()}`
+    ).join(' UNION ALL ');
+
+    const [rows] = await connection.query(query, TASK_CATEGORIES.map(() => projectNo));
+    return rows.reduce((sum, row) => sum + Number(row.open_tasks), 0);
+}
+
+async function hasSignedLedgerEntry(connection, projectNo) {
+    const [rows] = await connection.query(
+        'SELECT 1 FROM job_ledger WHERE Job_No = ? AND Signature_Data IS NOT NULL LIMIT 1',
+        [projectNo]
+    );
+    return rows.length > 0;
+}
+
+// Guard checks keyed by target status; each returns an error message or null
+const GUARDS = {
+    'Approved': async (connection, project) => (await hasSignedLedgerEntry(connection, project.projectNo))
+        ? null
+        : 'Project cannot be approved until its job ledger entry is signed',
+    'Done': async (connection, project) => {
+        const openTasks = await countOpenTasks(connection, project.projectNo);
+        return openTasks > 0
+            ? `Project cannot be marked Done while ${openTasks} task(s) are still open`
+            : null;
+    }
+};
+
+/**
+ * Moves a project to a new status, enforcing the allowed transitions and guards.
+ * Pass a connection to run inside an existing transaction; the project row is
+ * locked with SELECT ... FOR UPDATE either way.
+ * @param {object} params
+ * @param {number|string} [params.projectId] - projects.id (one of projectId/projectNo is required).
+ * @param {string} [params.projectNo]
+ * @param {string} params.status - Target status (any casing; see normaliseProjectStatus).
+ * @param {number|null} params.userId - User making the change (for the audit entry).
+ * @param {string} [params.reason] - Optional note stored with the audit entry.
+ * @param {object} [params.connection] - mysql2 connection already in a transaction.
+ * @returns {Promise<{project: object, oldStatus: string, newStatus: string, changed: boolean}>}
+ * @throws {ProjectStatusError}
+ */
+async function transitionProjectStatus({ projectId, projectNo, status, userId, reason, connection }) {
+    const newStatus = normaliseProjectStatus(status);
+    if (!newStatus) {
+        throw new ProjectStatusError(`Unknown status '${status}'. Valid statuses: ${PROJECT_STATUSES.join(', ')}`, 400);
+    }
+
+    const ownConnection = !connection;
+    const conn = connection || await db.getConnection();
+
+    try {
+        if (ownConnection) await conn.beginTransaction();
+
+        const [rows] = await conn.query(
+            `SELECT * FROM projects WHERE ${projectId !== undefined ? 'id' : 'projectNo'} = ? AND deleted_at IS NULL FOR UPDATE`,
+            [projectId !== undefined ? projectId : projectNo]
+        );
+        if (rows.length === 0) {
+            throw new ProjectStatusError('Project not found.', 404);
+        }
+
+        const project = rows[0];
+        const oldStatus = normaliseProjectStatus(project.status) || project.status;
+
+        if (oldStatus === newStatus) {
+            if (ownConnection) await conn.commit();
+            return { project, oldStatus, newStatus, changed: false };
+        }
+
+        if (!canTransition(oldStatus, newStatus)) {
+            throw new ProjectStatusError(`Cannot change project status from ${oldStatus} to ${newStatus}`, 409, {
+                from: oldStatus,
+                to: newStatus,
+                allowed: getAllowedTransitions(oldStatus)
+            });
+        }
+
+        const guard = GUARDS[newStatus];
+        const guardError = guard ? await guard(conn, project) : null;
+        if (guardError) {
+            throw new ProjectStatusError(guardError, 409, { from: oldStatus, to: newStatus });
+        }
+
+        await conn.query('UPDATE projects SET status = ?, updated_at = NOW() WHERE id = ?', [newStatus, project.id]);
+        await logActivity(
+            userId,
+            'STATUS_CHANGE',
+            'PROJECT',
+            project.id,
+            `Project ${project.projectNo} status changed from ${oldStatus} to ${newStatus}.`,
+            { projectNo: project.projectNo, oldStatus, newStatus, ...(reason && { reason }) },
+            conn
+        );
+        if (ownConnection) await conn.commit();
+
+        return { project: { ...project, status: newStatus }, oldStatus, newStatus, changed: true };
+    } catch (err) {
+        if (ownConnection) await conn.rollback();
+        throw err;
+    } finally {
+        if (ownConnection) conn.release();
+    }
+}
+
+module.exports = {
+    PROJECT_STATUSES,
+    DEFAULT_PROJECT_STATUS,
+    INITIAL_STATUSES,
+    TRANSITIONS,
+    ProjectStatusError,
+    normaliseProjectStatus,
+    hasPassedApproval,
+    getAllowedTransitions,
+    canTransition,
+    transitionProjectStatus
+};
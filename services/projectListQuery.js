@@ -0,0 +1,123 @@
+// services/projectListQuery.js
+// Turns GET /api/projects query parameters into a WHERE / ORDER BY / LIMIT clause.
+//
+// Supported parameters:
+//   search                        Free text matched against projectNo, customer, projectName, salesman
+//   status                        Comma-separated lifecycle statuses in any casing, with spaces or
+//                                 underscores, e.g. "approved,in_production"
+//   requestedDeliveryFrom/To      Inclusive YYYY-MM-DD range on requestedDelivery
+//   drawingDateFrom/To            Inclusive YYYY-MM-DD range on drawingDate
+//   sort                          Comma-separated fields, '-' prefix for descending (default "-created_at")
+//   page, pageSize                1-based page pagination (pageSize default 50, max 200)
+
+const { PROJECT_STATUSES, normaliseProjectStatus } = require('./projectLifecycle');
+
+const SEARCH_COLUMNS = ['projectNo', 'customer', 'projectName', 'salesman'];
+
+const SORT_COLUMNS = [
+    'projectNo', 'projectName', 'customer', 'salesman', 'status',
+    'drawingDate', 'requestedDelivery', 'created_at', 'updated_at'
+];
+
+const DATE_RANGES = [
+    { column: 'requestedDelivery', from: 'requestedDeliveryFrom', to: 'requestedDeliveryTo' },
+    { column: 'drawingDate', from: 'drawingDateFrom', to: 'drawingDateTo' }
+];
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const splitList = (value) => String(value)
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+
+// Escapes LIKE wildcards so a search for "50%" matches literally
+const escapeLike = (value) => value.replace(/[\\%_]/g, char => `\\${char}`);
+
+const parsePositiveInt = (value) => {
+    const number = Number(value);
+    return Number.isInteger(number) && number > 0 ? number : null;
+};
+
+/**
+ * Parses the list query parameters.
+ * @param {object} query - req.query
+ * @returns {{error: string}|{whereSql: string, params: Array, orderBySql: string, pagination: {page: number, pageSize: number, offset: number}|null}}
+ */
+function parseProjectListQuery(query = {}) {
+    // Trashed projects are only listed through GET /api/projects/trash
+    const conditions = ['deleted_at IS NULL'];
+    const params = [];
+
+    const search = typeof query.search === 'string' ? query.search.trim() : '';
+    if (search) {
+        const pattern = `%${escapeLike(search)}%`;
+        conditions.push(`(${SEARCH_COLUMNS.map(column => `${column} LIKE ?`).join(' OR ')})`);
+        params.push(...SEARCH_COLUMNS.map(() => pattern));
+    }
+
+    if (query.status !== undefined && query.status !== '') {
+        const requested = splitList(query.status);
+        const unknown = requested.filter(status => !normaliseProjectStatus(status));
+        if (unknown.length > 0) {
+            return { error: `Unknown status '${unknown[0]}'. Valid statuses: ${PROJECT_STATUSES.join(', ')}` };
+        }
+        if (requested.length > 0) {
+            // Stored statuses are the normalised lifecycle values, so the status index applies
+            conditions.push('status IN (?)');
+            params.push([...new Set(requested.map(normaliseProjectStatus))]);
+        }
+    }
+
+    for (const range of DATE_RANGES) {
+        for (const [param, operator] of [[range.from, '>='], [range.to, '<=']]) {
+            const value = query[param];
+            if (value === undefined || value === '') continue;
+
+            if (!DATE_PATTERN.test(value) || Number.isNaN(Date.parse(value))) {
+                return { error: `${param} must be a date in YYYY-MM-DD format` };
+            }
+            conditions.push(`${range.column} ${operator} ?`);
+            params.push(value);
+        }
+    }
+
+    const sortFields = query.sort ? splitList(query.sort) : ['-created_at'];
+    const orderBy = [];
+    for (const field of sortFields) {
+        const descending = field.startsWith('-');
+        const column = descending ? field.slice(1) : field;
+        if (!SORT_COLUMNS.includes(column)) {
+            return { error: `Cannot sort by '${column}'. Sortable fields: ${SORT_COLUMNS.join(', ')}` };
+        }
+        orderBy.push(`${column} ${descending ? 'DESC' : 'ASC'}`);
+    }
+    // Stable order between pages
+    orderBy.push(`id ${sortFields[0].startsWith('-') ? 'DESC' : 'ASC'}`);
+
+    let pagination = null;
+    if (query.page !== undefined || query.pageSize !== undefined) {
+        const page = query.page !== undefined ? parsePositiveInt(query.page) : 1;
+        const pageSize = query.pageSize !== undefined ? parsePositiveInt(query.pageSize) : DEFAULT_PAGE_SIZE;
+
+        if (!page) {
+            return { error: 'page must be a positive integer' };
+        }
+        if (!pageSize || pageSize > MAX_PAGE_SIZE) {
+            return { error: `pageSize must be an integer between 1 and ${MAX_PAGE_SIZE}` };
+        }
+        pagination = { page, pageSize, offset: (page - 1) * pageSize };
+    }
+
+    return {
+        whereSql: `WHERE ${conditions.join(' AND ')}`,
+        params,
+        orderBySql: `ORDER BY ${orderBy.join(', ')}`,
+        pagination
+    };
+}
+
+module.exports = { parseProjectListQuery, SORT_COLUMNS, MAX_PAGE_SIZE };
@@ -0,0 +1,185 @@
+// services/projectRename.js
+// Changing a project/job number. The number is the join key between projects,
+// files, the job ledger, category tasks, subtasks, panels and production
+// records, so a rename has to rewrite all of them in one transaction. The old
+// number is kept in project_aliases so links using it keep working.
+
+const db = require('../db/connection');
+const { getTaskTables } = require('../config/taskCategories');
+const { logActivity } = require('./activityLogger');
+
+// Every column that stores a project number
+const getProjectNoReferences = () => [
+    { table: 'projects', column: 'projectNo' },
+    { table: 'project_files', column: 'projectNo' },
+    { table: 'project_documents', column: 'projectNo' },
+    { table: 'upload_sessions', column: 'projectNo' },
+    { table: 'job_ledger', column: 'Job_No' },
+    ...getTaskTables().map(table => ({ table, column: 'project_no' })),
+    { table: 'subtasks', column: 'project_id' },
+    { table: 'task_assignments', column: 'project_no' },
+    { table: 'task_dependencies', column: 'project_no' },
+    { table: 'task_timers', column: 'project_no' },
+    { table: 'task_time_entries', column: 'project_no' },
+    { table: 'comments', column: 'project_no' },
+    { table: 'panels', column: 'job_no' },
+    { table: 'production_records', column: 'job_no' }
+];
+
+// Keys in activity_logs.details that hold a project number
+const LOG_DETAIL_KEYS = ['projectNo', 'jobNo'];
+
+/**
+ * Error raised for invalid or conflicting renames (statusCode 400/404/409).
+ */
+class ProjectRenameError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'ProjectRenameError';
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * Applies the same sanitisation as project creation ('/' becomes '_').
+ * @param {string} projectNo
+ * @returns {string}
+ */
+const sanitiseProjectNo = (projectNo) => String(projectNo || '').trim().replace(/\//g, '_');
+
+/**
+ * Resolves a project number that may be an old (renamed) number.
+ * @param {string} projectNo
+ * @param {object} [connection=db]
+ * @returns {Promise<string>} The current project number (the input if it is not an alias).
+ */
+async function resolveProjectNo(projectNo, connection = db) {
+    return (await findAliasOwner(projectNo, connection)) || projectNo;
+}
+
+/**
+ * Finds the project an old (renamed) number now belongs to.
+ * A number that is an alias must not be reused by a new project or ledger row:
+ * links using it would resolve to the renamed project instead.
+ * @param {string} projectNo
+ * @param {object} [connection=db]
+ * @returns {Promise<string|null>} The current project number, or null if it is not an alias.
+ */
+async function findAliasOwner(projectNo, connection = db) {
+    const [rows] = await connection.query('SELECT projectNo FROM project_aliases WHERE alias = ?', [projectNo]);
+    return rows.length > 0 ? rows[0].projectNo : null;
+}
+
+// A number is free when no project or ledger row uses it and it is not another project's alias
+async function numberInUse(connection, projectNo, renamingProjectNo) {
+    const [rows] = await connection.query(
+        `SELECT 1 FROM projects WHERE projectNo = ?
+         UNION ALL
+         SELECT 1 FROM job_ledger WHERE Job_No = ?
+         UNION ALL
+         SELECT 1 FROM project_aliases WHERE alias = ? AND projectNo <> ?`,
+        [projectNo, projectNo, projectNo, renamingProjectNo]
+    );
+    return rows.length > 0;
+}
+
+/**
+ * Renames a project/job number everywhere it is referenced.
+ * Pass a connection to run inside an existing transaction.
+ * @param {object} params
+ * @param {string} params.oldProjectNo
+ * @param {string} params.newProjectNo - Sanitised before use.
+ * @param {number|null} params.userId
+ * @param {object} [params.connection] - mysql2 connection already in a transaction.
+ * @returns {Promise<{oldProjectNo: string, newProjectNo: string, updated: object}>}
+ * @throws {ProjectRenameError}
+ */
+async function renameProjectNumber({ oldProjectNo, newProjectNo, userId, connection }) {
+    const newNo = sanitiseProjectNo(newProjectNo);
+
+    if (!newNo) {
+        throw new ProjectRenameError('A new project number is required.');
+    }
+    if (newNo === oldProjectNo) {
+        throw new ProjectRenameError('The new project number is the same as the current one.');
+    }
+
+    const ownConnection = !connection;
+    const conn = connection || await db.getConnection();
+    let projectId = null;
+    const updated = {};
+
+    try {
+        if (ownConnection) await conn.beginTransaction();
+
+        const [projects] = await conn.query('SELECT id FROM projects WHERE projectNo = ? FOR UPDATE', [oldProjectNo]);
+        const [ledger] = await conn.query('SELECT Record_ID FROM job_ledger WHERE Job_No = ? FOR UPDATE', [oldProjectNo]);
+        if (projects.length === 0 && ledger.length === 0) {
+            throw new ProjectRenameError(`Project ${oldProjectNo} not found.`, 404);
+        }
+        projectId = projects.length > 0 ? projects[0].id : null;
+
+        if (await numberInUse(conn, newNo, oldProjectNo)) {
+            throw new ProjectRenameError(`Project number '${newNo}' is already in use.`, 409);
+        }
+
+        for (const { table, column } of getProjectNoReferences()) {
+            const [result] = await conn.query(`UPDATE ${table} SET ${column} = ? WHERE ${column} = ?`, [newNo, oldProjectNo]);
+            updated[table] = result.affectedRows;
+        }
+
+        // Keep earlier log entries findable under the new number
+        const [jobLogs] = await conn.query(
+            `UPDATE activity_logs SET resource_id = ? WHERE resource_type = 'JOB' AND resource_id = ?`,
+            [newNo, oldProjectNo]
+        );
+        let detailLogs = 0;
+        for (const key of LOG_DETAIL_KEYS) {
+            const [result] = await conn.query(
+                `UPDATE activity_logs SET details = JSON_SET(details, '$.${key}', ?)
+                 WHERE JSON_UNQUOTE(JSON_EXTRACT(details, '$.${key}')) = ?`,
+                [newNo, oldProjectNo]
+            );
+            detailLogs += result.affectedRows;
+        }
+        updated.activity_logs = jobLogs.affectedRows + detailLogs;
+
+        // Aliases: the old number (and anything that pointed at it) now resolves to the new one.
+        // Renaming back to a former number turns that alias back into the real number
+        // (numberInUse has already refused aliases of other projects).
+        await conn.query('DELETE FROM project_aliases WHERE alias = ? AND projectNo = ?', [newNo, oldProjectNo]);
+        await conn.query('UPDATE project_aliases SET projectNo = ? WHERE projectNo = ?', [newNo, oldProjectNo]);
+        await conn.query(
+            'INSERT INTO project_aliases (alias, projectNo, created_by) VALUES (?, ?, ?)',
+            [oldProjectNo, newNo, userId || null]
+        );
+
+        // Written on the transaction so it rolls back with the rename
+        await logActivity(
+            userId,
+            'RENAME',
+            'PROJECT',
+            projectId || newNo,
+            `Project number changed from ${oldProjectNo} to ${newNo}.`,
+            { oldProjectNo, newProjectNo: newNo, updated },
+            conn
+        );
+
+        if (ownConnection) await conn.commit();
+    } catch (err) {
+        if (ownConnection) await conn.rollback();
+        throw err;
+    } finally {
+        if (ownConnection) conn.release();
+    }
+
+    return { oldProjectNo, newProjectNo: newNo, updated };
+}
+
+module.exports = {
+    ProjectRenameError,
+    sanitiseProjectNo,
+    resolveProjectNo,
+    findAliasOwner,
+    renameProjectNumber
+};
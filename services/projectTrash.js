@@ -0,0 +1,295 @@
+// services/projectTrash.js
+// Soft delete for projects. Trashing a project stamps deleted_at/deleted_by on
+// the project and on its files, category tasks, subtasks, panels, production
+// records and job ledger entry; restoring clears the stamp on exactly the rows
+// that were trashed with it. Trashed projects are hard-deleted once they are
+// older than the retention period.
+
+const db = require('../db/connection');
+const { TASK_CATEGORIES, getTaskTables } = require('../config/taskCategories');
+const { logActivity } = require('./activityLogger');
+const { releaseStorageKeys } = require('./storedFiles');
+const { deleteTaskLinks } = require('./taskCleanup');
+const { deleteTargetComments } = require('./comments');
+
+const DEFAULT_RETENTION_DAYS = 30;
+
+/**
+ * Days a project stays in the trash before it is purged (TRASH_RETENTION_DAYS).
+ * @returns {number}
+ */
+function getRetentionDays() {
+    const days = parseInt(process.env.TRASH_RETENTION_DAYS, 10);
+    return Number.isInteger(days) && days >= 0 ? days : DEFAULT_RETENTION_DAYS;
+}
+
+// Tables holding rows that belong to a project, and the column with the project number
+const getChildTables = () => [
+    { table: 'project_files', column: 'projectNo' },
+    { table: 'project_documents', column: 'projectNo' },
+    ...getTaskTables().map(table => ({ table, column: 'project_no' })),
+    { table: 'subtasks', column: 'project_id' },
+    // production_records before panels: they reference panels.id
+    { table: 'production_records', column: 'job_no' },
+    { table: 'panels', column: 'job_no' },
+    { table: 'job_ledger', column: 'Job_No' }
+];
+
+/**
+ * Runs a callback in a transaction on a dedicated connection.
+ */
+async function inTransaction(callback) {
+    const connection = await db.getConnection();
+    try {
+        await connection.beginTransaction();
+        const result = await callback(connection);
+        await connection.commit();
+        return result;
+    } catch (err) {
+        await connection.rollback();
+        throw err;
+    } finally {
+        connection.release();
+    }
+}
+
+/**
+ * Moves a project and its children to the trash.
+ * @param {object} params
+ * @param {number|string} [params.projectId]
+ * @param {string} [params.projectNo] - Used when projectId is not given.
+ * @param {number|null} params.userId
+ * @returns {Promise<{project: object, trashed: object}|null>} null if there is no live project.
+ */
+async function trashProject({ projectId, projectNo, userId }) {
+    // DATETIME has second precision; keep the JS value identical to the stored one
+    const deletedAt = new Date();
+    deletedAt.setMilliseconds(0);
+
+    const result = await inTransaction(async (connection) => {
+        const [rows] = await connection.query(
+            `SELECT * FROM projects WHERE ${projectId !== undefined ? 'id' : 'projectNo'} = ? AND deleted_at IS NULL FOR UPDATE`,
+            [projectId !== undefined ? projectId : projectNo]
+        );
+        if (rows.length === 0) {
+            return null;
+        }
+
+        const project = rows[0];
+        const trashed = {};
+
+        for (const { table, column } of getChildTables()) {
+            const [update] = await connection.query(
+                `UPDATE ${table} SET deleted_at = ?, deleted_by = ? WHERE ${column} = ? AND deleted_at IS NULL`,
+                [deletedAt, userId || null, project.projectNo]
+            );
+            trashed[table] = update.affectedRows;
+        }
+
+        await connection.query(
+            'UPDATE projects SET deleted_at = ?, deleted_by = ? WHERE id = ?',
+            [deletedAt, userId || null, project.id]
+        );
+
+        return { project: { ...project, deleted_at: deletedAt, deleted_by: userId || null }, trashed };
+    });
+
+    if (result) {
+        await logActivity(userId, 'TRASH', 'PROJECT', result.project.id,
+            `Project ${result.project.projectNo} moved to trash.`,
+            { projectNo: result.project.projectNo, trashed: result.trashed });
+    }
+
+    return result;
+}
+
+/**
+ * Restores a trashed project and the children that were trashed with it.
+ * @param {object} params
+ * @param {number|string} params.projectId
+ * @param {number|null} params.userId
+ * @returns {Promise<{project: object, restored: object}|null>} null if the project is not in the trash.
+ */
+async function restoreProject({ projectId, userId }) {
+    const result = await inTransaction(async (connection) => {
+        const [rows] = await connection.query(
+            'SELECT * FROM projects WHERE id = ? AND deleted_at IS NOT NULL FOR UPDATE',
+            [projectId]
+        );
+        if (rows.length === 0) {
+            return null;
+        }
+
+        const project = rows[0];
+        const restored = {};
+
+        for (const { table, column } of getChildTables()) {
+            const [update] = await connection.query(
+                `UPDATE ${table} SET deleted_at = NULL, deleted_by = NULL WHERE ${column} = ? AND deleted_at = ?`,
+                [project.projectNo, project.deleted_at]
+            );
+            restored[table] = update.affectedRows;
+        }
+
+        await connection.query('UPDATE projects SET deleted_at = NULL, deleted_by = NULL WHERE id = ?', [project.id]);
+
+        return { project: { ...project, deleted_at: null, deleted_by: null }, restored };
+    });
+
+    if (result) {
+        await logActivity(userId, 'RESTORE', 'PROJECT', result.project.id,
+            `Project ${result.project.projectNo} restored from trash.`,
+            { projectNo: result.project.projectNo, restored: result.restored });
+    }
+
+    return result;
+}
+
+/**
+ * Hard-deletes a trashed project and everything that belongs to it.
+ * Activity logs are kept so the project's history survives the purge.
+ * @returns {Promise<{deleted: object, storageKeys: string[]}>} Row counts per table and the
+ *          file store keys the deleted files referenced (released after commit).
+ */
+async function purgeProjectRows(connection, project) {
+    const [files] = await connection.query(
+        'SELECT DISTINCT storage_key FROM project_files WHERE projectNo = ? AND storage_key IS NOT NULL',
+        [project.projectNo]
+    );
+
+    // Records of the project's panels may carry a different job_no; they would block deleting the panels
+    await connection.query(
+        'DELETE pr FROM production_records pr JOIN panels p ON p.id = pr.panel_id WHERE p.job_no = ?',
+        [project.projectNo]
+    );
+
+    const deleted = {};
+    for (const { table, column } of getChildTables()) {
+        const [result] = await connection.query(`DELETE FROM ${table} WHERE ${column} = ?`, [project.projectNo]);
+        deleted[table] = result.affectedRows;
+    }
+    for (const table of ['task_dependencies', 'task_timers', 'task_time_entries', 'task_assignments']) {
+        const [result] = await connection.query(`DELETE FROM ${table} WHERE project_no = ?`, [project.projectNo]);
+        deleted[table] = result.affectedRows;
+    }
+    for (const table of ['comment_revisions', 'comment_mentions', 'comment_attachments']) {
+        await connection.query(
+            `DELETE x FROM ${table} x JOIN comments c ON c.id = x.comment_id WHERE c.project_no = ?`,
+            [project.projectNo]
+        );
+    }
+    const [comments] = await connection.query('DELETE FROM comments WHERE project_no = ?', [project.projectNo]);
+    deleted.comments = comments.affectedRows;
+    await connection.query('DELETE FROM projects WHERE id = ?', [project.id]);
+    return { deleted, storageKeys: files.map(file => file.storage_key) };
+}
+
+/**
+ * Permanently deletes one trashed project now, without waiting for retention.
+ * @param {object} params
+ * @param {number|string} params.projectId
+ * @param {number|null} params.userId
+ * @returns {Promise<{project: object, deleted: object}|null>} null if the project is not in the trash.
+ */
+async function purgeTrashedProject({ projectId, userId }) {
+    const result = await inTransaction(async (connection) => {
+        const [rows] = await connection.query(
+            'SELECT * FROM projects WHERE id = ? AND deleted_at IS NOT NULL FOR UPDATE',
+            [projectId]
+        );
+        if (rows.length === 0) {
+            return null;
+        }
+        return { project: rows[0], ...(await purgeProjectRows(connection, rows[0])) };
+    });
+
+    if (result) {
+        await releaseStorageKeys(result.storageKeys);
+        await logActivity(userId, 'PURGE', 'PROJECT', result.project.id,
+            `Project ${result.project.projectNo} permanently deleted from trash.`,
+            { projectNo: result.project.projectNo, deleted: result.deleted });
+    }
+
+    return result;
+}
+
+/**
+ * Purges every trashed project (and stray trashed child rows) older than the retention period.
+ * @param {number} [retentionDays=getRetentionDays()]
+ * @returns {Promise<{purgedProjects: string[], purgedRows: number}>}
+ */
+async function purgeExpiredTrash(retentionDays = getRetentionDays()) {
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+
+    const [expired] = await db.query(
+        'SELECT id, projectNo FROM projects WHERE deleted_at IS NOT NULL AND deleted_at < ?',
+        [cutoff]
+    );
+
+    const purgedProjects = [];
+    for (const { id } of expired) {
+        const result = await purgeTrashedProject({ projectId: id, userId: null });
+        if (result) purgedProjects.push(result.project.projectNo);
+    }
+
+    // Child rows trashed on their own (e.g. a job ledger entry without a project)
+    const { purgedRows, storageKeys } = await inTransaction(async (connection) => {
+        const [strayFiles] = await connection.query(
+            'SELECT DISTINCT storage_key FROM project_files WHERE deleted_at IS NOT NULL AND deleted_at < ? AND storage_key IS NOT NULL',
+            [cutoff]
+        );
+
+        // What hangs off the trashed tasks, subtasks and panels goes with them
+        for (const category of TASK_CATEGORIES) {
+            const [tasks] = await connection.query(
+                `SELECT id FROM ${category.table} WHERE deleted_at IS NOT NULL AND deleted_at < ?`,
+                [cutoff]
+            );
+            await deleteTaskLinks(connection, category.key, tasks.map(task => task.id));
+        }
+        for (const [type, table] of [['subtask', 'subtasks'], ['panel', 'panels']]) {
+            const [rows] = await connection.query(`SELECT id FROM ${table} WHERE deleted_at IS NOT NULL AND deleted_at < ?`, [cutoff]);
+            await deleteTargetComments(connection, type, null, rows.map(row => row.id));
+        }
+        // Records of a trashed panel may belong to a live job; they would block deleting the panel
+        await connection.query(
+            'DELETE pr FROM production_records pr JOIN panels p ON p.id = pr.panel_id WHERE p.deleted_at IS NOT NULL AND p.deleted_at < ?',
+            [cutoff]
+        );
+
+        let deletedRows = 0;
+        for (const { table } of getChildTables()) {
+            const [result] = await connection.query(`DELETE FROM ${table} WHERE deleted_at IS NOT NULL AND deleted_at < ?`, [cutoff]);
+            deletedRows += result.affectedRows;
+        }
+        return { purgedRows: deletedRows, storageKeys: strayFiles.map(file => file.storage_key) };
+    });
+    await releaseStorageKeys(storageKeys);
+
+    return { purgedProjects, purgedRows };
+}
+
+/**
+ * Lists trashed projects, newest first, with the date each will be purged.
+ * @returns {Promise<object[]>}
+ */
+async function listTrashedProjects() {
+    const retentionDays = getRetentionDays();
+    const [projects] = await db.query(
+        'SELECT * FROM projects WHERE deleted_at IS NOT NULL ORDER BY deleted_at DESC, id DESC'
+    );
+
+    return projects.map(project => ({
+        ...project,
+        purgeAfter: new Date(new Date(project.deleted_at).getTime() + retentionDays * 24 * 60 * 60 * 1000)
+    }));
+}
+
+module.exports = {
+    getRetentionDays,
+    trashProject,
+    restoreProject,
+    purgeTrashedProject,
+    purgeExpiredTrash,
+    listTrashedProjects
+};
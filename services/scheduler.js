@@ -0,0 +1,66 @@
+// services/scheduler.js
+// Minimal in-process interval jobs. A run is skipped while the previous run of
+// the same job is still going, and timers do not keep the process alive.
+
+const jobs = new Map();
+
+/**
+ * Runs a job every intervalMs milliseconds.
+ * @param {string} name - Unique job name (used in logs).
+ * @param {number} intervalMs - Interval between runs; 0 or less disables the job.
+ * @param {Function} task - Async function to run.
+ * @param {object} [options]
+ * @param {boolean} [options.runImmediately=false] - Also run once straight away.
+ * @returns {boolean} Whether the job was scheduled.
+ */
+function scheduleJob(name, intervalMs, task, { runImmediately = false } = {}) {
+    if (!(intervalMs > 0)) {
+        console.log(`⏸️  Scheduled job '${name}' is disabled`);
+        return false;
+    }
+
+    if (jobs.has(name)) {
+        throw new Error(`Scheduled job '${name}' is already registered`);
+    }
+
+    const job = { running: false, timer: null };
+
+    const run = async () => {
+        if (job.running) {
+            console.warn(`⚠️ Skipping '${name}': previous run still in progress`);
+            return;
+        }
+
+        job.running = true;
+        try {
+            await task();
+        } catch (err) {
+            console.error(`❌ Scheduled job '${name}' failed:`, err.message);
+        } finally {
+            job.running = false;
+        }
+    };
+
+    job.timer = setInterval(run, intervalMs);
+    job.timer.unref();
+    jobs.set(name, job);
+
+    if (runImmediately) {
+        run();
+    }
+
+    console.log(`⏰ Scheduled job '${name}' every ${Math.round(intervalMs / 1000)}s`);
+    return true;
+}
+
+/**
+ * Stops every scheduled job (used on shutdown).
+ */
+function stopAllJobs() {
+    for (const job of jobs.values()) {
+        clearInterval(job.timer);
+    }
+    jobs.clear();
+}
+
+module.exports = { scheduleJob, stopAllJobs };
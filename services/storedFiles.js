@@ -0,0 +1,103 @@
+// services/storedFiles.js
+// Glue between project_files rows and the content-addressed file store.
+
+const { Transform } = require('stream');
+const db = require('../db/connection');
+const { getFileStore } = require('./fileStore');
+
+// Store objects and part folders younger than this may belong to an upload in progress:
+// a duplicate upload touches the existing object before its project_files row exists
+const ORPHAN_GRACE_MS = 60 * 60 * 1000;
+
+/**
+ * Deletes stored objects that no project_files row references any more.
+ * Safe to call with keys that are still in use (they are skipped) and with nulls.
+ * Objects modified within ORPHAN_GRACE_MS are left for the store sweep (server.js).
+ * @param {Array<string|null>} storageKeys
+ * @returns {Promise<number>} Number of objects removed.
+ */
+async function releaseStorageKeys(storageKeys) {
+    const store = getFileStore();
+    let removed = 0;
+
+    for (const storageKey of new Set(storageKeys.filter(Boolean))) {
+        const [rows] = await db.query('SELECT 1 FROM project_files WHERE storage_key = ? LIMIT 1', [storageKey]);
+        if (rows.length > 0) continue;
+
+        const stats = await store.stat(storageKey);
+        if (stats && Date.now() - stats.modifiedAt.getTime() >= ORPHAN_GRACE_MS) {
+            await store.remove(storageKey);
+            removed++;
+        }
+    }
+
+    return removed;
+}
+
+// Bytes kept from the start of each upload for content sniffing (services/uploadValidation.js)
+const SNIFF_BYTES = 4100;
+
+// Bytes received so far per request, for the request size ceiling
+const requestBytes = new WeakMap();
+
+/**
+ * Multer storage engine that streams uploads straight into the file store
+ * instead of buffering them in memory. Sets file.storageKey, file.sha256,
+ * file.size (bytes received) and file.head (the first bytes, for sniffing).
+ *
+ * Content beyond maxFileSize, or beyond maxRequestSize for the request as a
+ * whole, is read but not stored: such files get file.truncated = true and no
+ * storageKey, and are rejected by upload validation.
+ * @param {object} [limits]
+ * @param {number} [limits.maxFileSize=Infinity] - Bytes.
+ * @param {number} [limits.maxRequestSize=Infinity] - Bytes.
+ */
+function createUploadStorage({ maxFileSize = Infinity, maxRequestSize = Infinity } = {}) {
+    return {
+        _handleFile(req, file, callback) {
+            let received = 0;
+            let truncated = false;
+            const headChunks = [];
+            let headLength = 0;
+
+            const limiter = new Transform({
+                transform(chunk, encoding, done) {
+                    received += chunk.length;
+                    requestBytes.set(req, (requestBytes.get(req) || 0) + chunk.length);
+
+                    if (headLength < SNIFF_BYTES) {
+                        const part = chunk.subarray(0, SNIFF_BYTES - headLength);
+                        headChunks.push(part);
+                        headLength += part.length;
+                    }
+
+                    if (truncated || received > maxFileSize || requestBytes.get(req) > maxRequestSize) {
+                        truncated = true;
+                        return done(); // keep draining the upload, stop storing it
+                    }
+                    done(null, chunk);
+                }
+            });
+            file.stream.on('error', err => limiter.destroy(err));
+
+            getFileStore().put(file.stream.pipe(limiter))
+                .then(async ({ storageKey, sha256 }) => {
+                    const head = Buffer.concat(headChunks);
+                    if (truncated) {
+                        await releaseStorageKeys([storageKey]);
+                        return callback(null, { storageKey: null, sha256: null, size: received, head, truncated });
+                    }
+                    callback(null, { storageKey, sha256, size: received, head, truncated });
+                })
+                .catch(callback);
+        },
+        // Called by multer when the request fails after some files were stored
+        _removeFile(req, file, callback) {
+            releaseStorageKeys([file.storageKey])
+                .then(() => callback(null))
+                .catch(callback);
+        }
+    };
+}
+
+module.exports = { ORPHAN_GRACE_MS, releaseStorageKeys, createUploadStorage };
@@ -0,0 +1,213 @@
+// services/taskAssignment.js
+// Who is working on a category task. Every task has an optional assignee
+// (users.id) and team; each change is recorded in task_assignments so a task's
+// hand-overs can be traced. listMyTasks() builds the "my work" queue across the
+// categories flagged workQueue in config/taskCategories.js.
+
+const db = require('../db/connection');
+const { TASK_CATEGORIES, getTaskCategory } = require('../config/taskCategories');
+const { APPROVE_STATUSES, openStatusSql } = require('./taskStatus');
+const { logActivity } = require('./activityLogger');
+
+const MAX_TEAM_LENGTH = 50;
+const MAX_NOTE_LENGTH = 255;
+
+// Known priorities, most urgent first; anything else (including 'empty') sorts last
+const PRIORITY_ORDER = ['urgent', 'high', 'medium', 'normal', 'low'];
+
+/**
+ * Error raised for invalid assignments (statusCode 400/404).
+ */
+class TaskAssignmentError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'TaskAssignmentError';
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * SQL expression ranking a priority column by PRIORITY_ORDER (unknown = last).
+ * @param {string} [column='priority']
+ * @returns {string}
+ */
+const priorityRankSql = (column = 'priority') =>
+    `CASE LOWER(${column}) ${PRIORITY_ORDER.map((priority, index) => `WHEN '${priority}' THEN ${index + 1}`).join(' ')} ELSE ${PRIORITY_ORDER.length + 1} END`;
+
+function normaliseTeam(team) {
+    if (team === null) return null;
+    const value = String(team).trim();
+    if (value.length > MAX_TEAM_LENGTH) {
+        throw new TaskAssignmentError(`team must be at most ${MAX_TEAM_LENGTH} characters.`);
+    }
+    return value || null;
+}
+
+async function findAssignableUser(connection, userId) {
+    const id = Number(userId);
+    if (!Number.isInteger(id) || id < 1) {
+        throw new TaskAssignmentError('assignedTo must be a user id or null.');
+    }
+    const [users] = await connection.query('SELECT id, is_active FROM users WHERE id = ?', [id]);
+    if (users.length === 0) {
+        throw new TaskAssignmentError(`User ${id} not found.`, 404);
+    }
+    if (!users[0].is_active) {
+        throw new TaskAssignmentError(`User ${id} is inactive and cannot be assigned tasks.`);
+    }
+    return id;
+}
+
+/**
+ * Assigns (or unassigns) a task and records the change.
+ * Omitted fields keep their current value; null clears them.
+ * @param {object} params
+ * @param {object} params.category - Entry from TASK_CATEGORIES.
+ * @param {number} params.taskId
+ * @param {number|null} [params.assignedTo] - users.id, or null to unassign.
+ * @param {string|null} [params.team]
+ * @param {string} [params.note] - Stored with the history entry.
+ * @param {number} params.userId - User making the change.
+ * @returns {Promise<{taskId: number, assignedTo: number|null, team: string|null, previousAssignedTo: number|null, previousTeam: string|null, changed: boolean}>}
+ * @throws {TaskAssignmentError}
+ */
+async function assignTask({ category, taskId, assignedTo, team, note, userId }) {
+    if (assignedTo === undefined && team === undefined) {
+        throw new TaskAssignmentError('Provide assignedTo and/or team.');
+    }
+    const noteText = note ? String(note).trim().slice(0, MAX_NOTE_LENGTH) : null;
+
+    const conn = await db.getConnection();
+    let result;
+
+    try {
+        await conn.beginTransaction();
+
+        const [tasks] = await conn.query(
+            `SELECT id, project_no, assigned_to, team FROM ${category.table} WHERE id = ? AND deleted_at IS NULL FOR UPDATE`,
+            [taskId]
+        );
+        const task = tasks[0];
+        if (!task) {
+            throw new TaskAssignmentError('Task not found', 404);
+        }
+
+        const newAssignee = assignedTo === undefined
+            ? task.assigned_to
+            : (assignedTo === null ? null : await findAssignableUser(conn, assignedTo));
+        const newTeam = team === undefined ? task.team : normaliseTeam(team);
+
+        result = {
+            taskId: task.id,
+            projectNo: task.project_no,
+            assignedTo: newAssignee,
+            team: newTeam,
+            previousAssignedTo: task.assigned_to,
+            previousTeam: task.team,
+            changed: newAssignee !== task.assigned_to || newTeam !== task.team
+        };
+
+        if (result.changed) {
+            // assigned_at tracks when the current assignee took the task over
+            await conn.query(
+                `UPDATE ${category.table}
+                 SET assigned_to = ?, team = ?${newAssignee !== task.assigned_to ? ', assigned_at = NOW()' : ''}
+                 WHERE id = ?`,
+                [newAssignee, newTeam, task.id]
+            );
+            await conn.query(
+                `INSERT INTO task_assignments
+                 (category, task_id, project_no, assigned_to, team, previous_assigned_to, previous_team, note, assigned_by)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [category.key, task.id, task.project_no, newAssignee, newTeam, task.assigned_to, task.team, noteText, userId || null]
+            );
+        }
+
+        await conn.commit();
+    } catch (err) {
+        await conn.rollback();
+        throw err;
+    } finally {
+        conn.release();
+    }
+
+    if (result.changed) {
+        await logActivity(
+            userId,
+            'ASSIGN',
+            'TASK',
+            result.taskId,
+            `Task ${result.taskId} (${category.label}) of project ${result.projectNo} ` +
+                (result.assignedTo ? `assigned to user ${result.assignedTo}` : 'unassigned') +
+                (result.team ? ` (team ${result.team}).` : '.'),
+            { category: category.key, ...result, ...(noteText && { note: noteText }) }
+        );
+    }
+
+    return result;
+}
+
+/**
+ * Assignment history of a task, newest first, with user names.
+ * @param {object} category - Entry from TASK_CATEGORIES.
+ * @param {number} taskId
+ * @returns {Promise<object[]>}
+ */
+async function getAssignmentHistory(category, taskId) {
+    const [rows] = await db.query(
+        `SELECT a.id, a.assigned_to, assignee.display_name AS assigned_to_name, a.team,
+                a.previous_assigned_to, previous.display_name AS previous_assigned_to_name, a.previous_team,
+                a.note, a.assigned_by, assigner.display_name AS assigned_by_name, a.created_at
+         FROM task_assignments a
+         LEFT JOIN users assignee ON assignee.id = a.assigned_to
+         LEFT JOIN users previous ON previous.id = a.previous_assigned_to
+         LEFT JOIN users assigner ON assigner.id = a.assigned_by
+         WHERE a.category = ? AND a.task_id = ?
+         ORDER BY a.created_at DESC, a.id DESC`,
+        [category.key, taskId]
+    );
+    return rows;
+}
+
+/**
+ * Open tasks assigned to a user across the work-queue categories, soonest due
+ * first (tasks without a due date last), then by priority and age.
+ * Categories that are approvedOnly only contribute tasks of approved projects.
+ * @param {number} userId
+ * @param {object} [options]
+ * @param {string[]} [options.categories] - Restrict to these category keys.
+ * @returns {Promise<object[]>} Task rows with category, project_name and customer.
+ */
+async function listMyTasks(userId, { categories } = {}) {
+    const queueCategories = TASK_CATEGORIES.filter(category =>
+        category.workQueue && (!categories || categories.includes(category.key)));
+    if (queueCategories.length === 0) return [];
+
+    const query = queueCategories.map(category => `
+        SELECT ? AS category, t.id, t.title, t.description, t.priority, t.status, t.project_no, t.due_date,
+               t.team, t.assigned_at, t.created_at, p.projectName AS project_name, p.customer,
+               t.due_date IS NULL AS no_due_date, ${priorityRankSql('t.priority')} AS priority_rank
+        FROM ${category.table} t
+        LEFT JOIN projects p ON p.projectNo = t.project_no
+        WHERE t.assigned_to = ? AND t.deleted_at IS NULL AND ${openStatusSql('t.status')}
+              ${category.approvedOnly ? 'AND t.approve_status = ?' : ''}`
+    ).join('\n        UNION ALL') + `
+        ORDER BY no_due_date, due_date, priority_rank, created_at`;
+
+    const params = queueCategories.flatMap(category => [
+        category.key,
+        userId,
+        ...(category.approvedOnly ? [APPROVE_STATUSES.approved] : [])
+    ]);
+
+    const [rows] = await db.query(query, params);
+    return rows.map(row => ({ ...row, category_label: getTaskCategory(row.category).label }));
+}
+
+module.exports = {
+    PRIORITY_ORDER,
+    TaskAssignmentError,
+    assignTask,
+    getAssignmentHistory,
+    listMyTasks
+};
@@ -0,0 +1,27 @@
+// services/taskCleanup.js
+// Rows keyed by a category task's (category, id) that have to go when task rows
+// are hard-deleted: dependencies in both directions, timers, assignment history
+// and comment threads. Booked time entries are kept for the labour reports.
+
+const { deleteTaskDependencies } = require('./taskDependencies');
+const { deleteTargetComments } = require('./comments');
+
+/**
+ * Deletes what hangs off deleted category tasks.
+ * @param {object} connection - Pool or a connection in the caller's transaction.
+ * @param {string} categoryKey
+ * @param {number[]} taskIds
+ */
+async function deleteTaskLinks(connection, categoryKey, taskIds) {
+    if (taskIds.length === 0) return;
+
+    for (const taskId of taskIds) {
+        await deleteTaskDependencies(connection, categoryKey, taskId);
+    }
+    for (const table of ['task_timers', 'task_assignments']) {
+        await connection.query(`DELETE FROM ${table} WHERE category = ? AND task_id IN (?)`, [categoryKey, taskIds]);
+    }
+    await deleteTargetComments(connection, 'task', categoryKey, taskIds);
+}
+
+module.exports = { deleteTaskLinks };
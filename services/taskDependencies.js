@@ -0,0 +1,426 @@
+// services/taskDependencies.js
+// Finish-to-start dependencies between category tasks. A task depends on its
+// predecessors, which may sit in other category tables of the same project
+// (cutting before panel, panel before system). Links that would close a cycle
+// are refused, and a task cannot move to in_progress, qc or completed while a
+// predecessor is still open. Deleted, trashed and cancelled predecessors do not
+// block. Tasks are referred to as 'category:id' (e.g. 'panel:12').
+
+const db = require('../db/connection');
+const { TASK_CATEGORIES, getTaskCategory } = require('../config/taskCategories');
+const { normaliseTaskStatus, isCompletedStatus, isCountedStatus } = require('./taskStatus');
+const { logActivity } = require('./activityLogger');
+
+// Statuses a task can only move to once its predecessors are closed
+const GATED_STATUSES = ['in_progress', 'qc', 'completed'];
+
+/**
+ * Error raised for invalid or conflicting dependencies (statusCode 400/404/409).
+ */
+class TaskDependencyError extends Error {
+    constructor(message, statusCode = 400, details = {}) {
+        super(message);
+        this.name = 'TaskDependencyError';
+        this.statusCode = statusCode;
+        this.details = details;
+    }
+}
+
+const taskRef = (categoryKey, taskId) => `${categoryKey}:${taskId}`;
+
+const categoryLabel = (categoryKey) => (getTaskCategory(categoryKey) || {}).label || categoryKey;
+
+// Same rule as openStatusSql(): open until completed or cancelled
+const isOpenStatus = (status) => !isCompletedStatus(status) && isCountedStatus(status);
+
+/**
+ * Map of task ref -> refs of the tasks it depends on.
+ */
+function buildDependsOnMap(links) {
+    const dependsOn = new Map();
+    for (const link of links) {
+        const ref = taskRef(link.task_category, link.task_id);
+        if (!dependsOn.has(ref)) dependsOn.set(ref, []);
+        dependsOn.get(ref).push(taskRef(link.depends_on_category, link.depends_on_task_id));
+    }
+    return dependsOn;
+}
+
+/**
+ * Follows existing links from one task to another.
+ * @returns {string[]|null} Refs from start to goal, or null if goal is not reachable.
+ */
+function findDependencyPath(links, start, goal) {
+    const dependsOn = buildDependsOnMap(links);
+    const parents = new Map([[start, null]]);
+    const stack = [start];
+
+    while (stack.length > 0) {
+        const ref = stack.pop();
+        if (ref === goal) {
+            const path = [];
+            for (let step = goal; step !== null; step = parents.get(step)) {
+                path.unshift(step);
+            }
+            return path;
+        }
+        for (const next of dependsOn.get(ref) || []) {
+            if (!parents.has(next)) {
+                parents.set(next, ref);
+                stack.push(next);
+            }
+        }
+    }
+    return null;
+}
+
+async function findLiveTask(connection, category, taskId, lock = false) {
+    const [rows] = await connection.query(
+        `SELECT id, title, status, project_no FROM ${category.table} WHERE id = ? AND deleted_at IS NULL${lock ? ' FOR UPDATE' : ''}`,
+        [taskId]
+    );
+    return rows[0] || null;
+}
+
+/**
+ * Loads the live tasks behind a list of (category, id) pairs.
+ * @returns {Promise<Map<string, object>>} Keyed by task ref; deleted tasks are absent.
+ */
+async function loadTasks(connection, pairs) {
+    const idsByCategory = new Map();
+    for (const { category, taskId } of pairs) {
+        if (!idsByCategory.has(category)) idsByCategory.set(category, new Set());
+        idsByCategory.get(category).add(taskId);
+    }
+
+    const tasks = new Map();
+    for (const [key, ids] of idsByCategory) {
+        const category = getTaskCategory(key);
+        if (!category) continue;
+        const [rows] = await connection.query(
+            `SELECT id, title, status FROM ${category.table} WHERE id IN (?) AND deleted_at IS NULL`,
+            [[...ids]]
+        );
+        rows.forEach(row => tasks.set(taskRef(key, row.id), row));
+    }
+    return tasks;
+}
+
+function describeLinkedTask(dependencyId, categoryKey, taskId, tasks) {
+    const task = tasks.get(taskRef(categoryKey, taskId));
+    return {
+        dependencyId,
+        ref: taskRef(categoryKey, taskId),
+        category: categoryKey,
+        categoryLabel: categoryLabel(categoryKey),
+        taskId,
+        title: task ? task.title : null,
+        status: task ? task.status : null,
+        open: task ? isOpenStatus(task.status) : false,
+        deleted: !task
+    };
+}
+
+/**
+ * Makes a task depend on another task of the same project.
+ * @param {object} params
+ * @param {object} params.category - Entry from TASK_CATEGORIES of the dependent task.
+ * @param {number} params.taskId
+ * @param {string} params.dependsOnCategory - Category key of the predecessor.
+ * @param {number} params.dependsOnTaskId
+ * @param {number} params.userId
+ * @returns {Promise<{id: number, projectNo: string, task: string, dependsOn: string}>}
+ * @throws {TaskDependencyError} 409 for a duplicate or a link that would create a cycle.
+ */
+async function addDependency({ category, taskId, dependsOnCategory, dependsOnTaskId, userId }) {
+    const predecessorCategory = getTaskCategory(dependsOnCategory);
+    if (!predecessorCategory) {
+        throw new TaskDependencyError(
+            `Unknown task category '${dependsOnCategory}'. Valid categories: ${TASK_CATEGORIES.map(entry => entry.key).join(', ')}`
+        );
+    }
+    const predecessorId = Number(dependsOnTaskId);
+    if (!Number.isInteger(predecessorId) || predecessorId < 1) {
+        throw new TaskDependencyError('dependsOnTaskId must be a task id.');
+    }
+    if (predecessorCategory.key === category.key && predecessorId === taskId) {
+        throw new TaskDependencyError('A task cannot depend on itself.');
+    }
+
+    const from = taskRef(category.key, taskId);
+    const to = taskRef(predecessorCategory.key, predecessorId);
+
+    const conn = await db.getConnection();
+    let dependency;
+
+    try {
+        await conn.beginTransaction();
+
+        const task = await findLiveTask(conn, category, taskId, true);
+        if (!task) {
+            throw new TaskDependencyError('Task not found', 404);
+        }
+        const predecessor = await findLiveTask(conn, predecessorCategory, predecessorId, true);
+        if (!predecessor) {
+            throw new TaskDependencyError(`${predecessorCategory.label} task ${predecessorId} not found`, 404);
+        }
+        if (predecessor.project_no !== task.project_no) {
+            throw new TaskDependencyError('Dependencies can only link tasks of the same project.', 400,
+                { projectNo: task.project_no, dependsOnProjectNo: predecessor.project_no });
+        }
+
+        // Locking the project's links keeps concurrent additions from closing a cycle together
+        const [links] = await conn.query(
+            `SELECT task_category, task_id, depends_on_category, depends_on_task_id
+             FROM task_dependencies WHERE project_no = ? FOR UPDATE`,
+            [task.project_no]
+        );
+
+        const exists = links.some(link =>
+            taskRef(link.task_category, link.task_id) === from &&
+            taskRef(link.depends_on_category, link.depends_on_task_id) === to);
+        if (exists) {
+            throw new TaskDependencyError(`${from} already depends on ${to}.`, 409);
+        }
+
+        const path = findDependencyPath(links, to, from);
+        if (path) {
+            throw new TaskDependencyError(`${from} cannot depend on ${to}: it would create a cycle.`, 409,
+                { cycle: [from, ...path] });
+        }
+
+        const [inserted] = await conn.query(
+            `INSERT INTO task_dependencies
+             (project_no, task_category, task_id, depends_on_category, depends_on_task_id, created_by)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [task.project_no, category.key, taskId, predecessorCategory.key, predecessorId, userId || null]
+        );
+        dependency = { id: inserted.insertId, projectNo: task.project_no, task: from, dependsOn: to };
+
+        await conn.commit();
+    } catch (err) {
+        await conn.rollback();
+        throw err;
+    } finally {
+        conn.release();
+    }
+
+    await logActivity(
+        userId,
+        'LINK',
+        'TASK',
+        taskId,
+        `Task ${taskId} (${category.label}) of project ${dependency.projectNo} now depends on ` +
+            `${predecessorCategory.label} task ${predecessorId}.`,
+        { category: category.key, ...dependency }
+    );
+
+    return dependency;
+}
+
+/**
+ * Removes one of a task's dependencies.
+ * @param {object} params
+ * @param {object} params.category - Entry from TASK_CATEGORIES of the dependent task.
+ * @param {number} params.taskId
+ * @param {number} params.dependencyId
+ * @param {number} params.userId
+ * @returns {Promise<{id: number, projectNo: string, task: string, dependsOn: string}>}
+ * @throws {TaskDependencyError} 404 if the task has no such dependency.
+ */
+async function removeDependency({ category, taskId, dependencyId, userId }) {
+    const [rows] = await db.query(
+        'SELECT * FROM task_dependencies WHERE id = ? AND task_category = ? AND task_id = ?',
+        [dependencyId, category.key, taskId]
+    );
+    if (rows.length === 0) {
+        throw new TaskDependencyError('Dependency not found', 404);
+    }
+    const link = rows[0];
+
+    await db.query('DELETE FROM task_dependencies WHERE id = ?', [link.id]);
+
+    const dependency = {
+        id: link.id,
+        projectNo: link.project_no,
+        task: taskRef(link.task_category, link.task_id),
+        dependsOn: taskRef(link.depends_on_category, link.depends_on_task_id)
+    };
+    await logActivity(
+        userId,
+        'UNLINK',
+        'TASK',
+        taskId,
+        `Task ${taskId} (${category.label}) of project ${link.project_no} no longer depends on ` +
+            `${categoryLabel(link.depends_on_category)} task ${link.depends_on_task_id}.`,
+        { category: category.key, ...dependency }
+    );
+
+    return dependency;
+}
+
+/**
+ * A task's predecessors (tasks it depends on) and successors (tasks depending on it).
+ * @param {object} category - Entry from TASK_CATEGORIES.
+ * @param {number} taskId
+ * @returns {Promise<{predecessors: object[], successors: object[], blocked: boolean}>}
+ */
+async function listDependencies(category, taskId) {
+    const [predecessorLinks] = await db.query(
+        'SELECT id, depends_on_category, depends_on_task_id FROM task_dependencies WHERE task_category = ? AND task_id = ? ORDER BY id',
+        [category.key, taskId]
+    );
+    const [successorLinks] = await db.query(
+        'SELECT id, task_category, task_id FROM task_dependencies WHERE depends_on_category = ? AND depends_on_task_id = ? ORDER BY id',
+        [category.key, taskId]
+    );
+
+    const tasks = await loadTasks(db, [
+        ...predecessorLinks.map(link => ({ category: link.depends_on_category, taskId: link.depends_on_task_id })),
+        ...successorLinks.map(link => ({ category: link.task_category, taskId: link.task_id }))
+    ]);
+
+    const predecessors = predecessorLinks.map(link =>
+        describeLinkedTask(link.id, link.depends_on_category, link.depends_on_task_id, tasks));
+    const successors = successorLinks.map(link =>
+        describeLinkedTask(link.id, link.task_category, link.task_id, tasks));
+
+    return { predecessors, successors, blocked: predecessors.some(predecessor => predecessor.open) };
+}
+
+/**
+ * Predecessors of a task that are still open.
+ * @param {object} category - Entry from TASK_CATEGORIES.
+ * @param {number} taskId
+ * @returns {Promise<object[]>}
+ */
+async function findOpenPredecessors(category, taskId) {
+    const [links] = await db.query(
+        'SELECT id, depends_on_category, depends_on_task_id FROM task_dependencies WHERE task_category = ? AND task_id = ?',
+        [category.key, taskId]
+    );
+    if (links.length === 0) return [];
+
+    const tasks = await loadTasks(db, links.map(link => ({ category: link.depends_on_category, taskId: link.depends_on_task_id })));
+    return links
+        .map(link => describeLinkedTask(link.id, link.depends_on_category, link.depends_on_task_id, tasks))
+        .filter(predecessor => predecessor.open);
+}
+
+/**
+ * Refuses a status change that starts or finishes a task whose predecessors are open.
+ * @param {object} category - Entry from TASK_CATEGORIES.
+ * @param {number} taskId
+ * @param {string} toStatus
+ * @throws {TaskDependencyError} 409 with blockedBy listing the open predecessors.
+ */
+async function assertPredecessorsClosed(category, taskId, toStatus) {
+    const status = normaliseTaskStatus(toStatus);
+    if (!GATED_STATUSES.includes(status)) return;
+
+    const blockedBy = await findOpenPredecessors(category, taskId);
+    if (blockedBy.length > 0) {
+        throw new TaskDependencyError(
+            `Task cannot move to ${status} while predecessor tasks are open: ${blockedBy.map(task => task.ref).join(', ')}`,
+            409,
+            { blockedBy }
+        );
+    }
+}
+
+/**
+ * Removes every link to or from a task (called when the task is deleted).
+ * @param {object} connection - Pool or transaction connection.
+ * @param {string} categoryKey
+ * @param {number} taskId
+ * @returns {Promise<number>} Links removed.
+ */
+async function deleteTaskDependencies(connection, categoryKey, taskId) {
+    const [result] = await connection.query(
+        `DELETE FROM task_dependencies
+         WHERE (task_category = ? AND task_id = ?) OR (depends_on_category = ? AND depends_on_task_id = ?)`,
+        [categoryKey, taskId, categoryKey, taskId]
+    );
+    return result.affectedRows;
+}
+
+/**
+ * The dependency graph of a project: every live task as a node, links as edges
+ * from predecessor to successor, and an order in which the tasks can be done.
+ * Links to deleted or trashed tasks are left out.
+ * @param {string} projectNo
+ * @returns {Promise<{projectNo: string, nodes: object[], edges: object[], order: string[]}>}
+ */
+async function getProjectDependencyGraph(projectNo) {
+    const [tasks] = await db.query(
+        TASK_CATEGORIES.map(category =>
+            `SELECT ? AS category, id, title, status, priority, due_date, assigned_to
+             FROM ${category.table} WHERE project_no = ? AND deleted_at IS NULL`
+        ).join('\n UNION ALL '),
+        TASK_CATEGORIES.flatMap(category => [category.key, projectNo])
+    );
+    const [links] = await db.query(
+        'SELECT id, task_category, task_id, depends_on_category, depends_on_task_id FROM task_dependencies WHERE project_no = ? ORDER BY id',
+        [projectNo]
+    );
+
+    const categoryOrder = TASK_CATEGORIES.map(category => category.key);
+    tasks.sort((a, b) => categoryOrder.indexOf(a.category) - categoryOrder.indexOf(b.category) || a.id - b.id);
+
+    const nodes = new Map(tasks.map(task => [taskRef(task.category, task.id), {
+        ref: taskRef(task.category, task.id),
+        category: task.category,
+        categoryLabel: categoryLabel(task.category),
+        id: task.id,
+        title: task.title,
+        status: task.status,
+        priority: task.priority,
+        dueDate: task.due_date,
+        assignedTo: task.assigned_to,
+        dependsOn: [],
+        blockedBy: []
+    }]));
+
+    const edges = [];
+    const successors = new Map();
+    for (const link of links) {
+        const from = taskRef(link.depends_on_category, link.depends_on_task_id);
+        const to = taskRef(link.task_category, link.task_id);
+        const predecessor = nodes.get(from);
+        const successor = nodes.get(to);
+        if (!predecessor || !successor) continue;
+
+        edges.push({ id: link.id, from, to });
+        successor.dependsOn.push(from);
+        if (isOpenStatus(predecessor.status)) successor.blockedBy.push(from);
+        if (!successors.has(from)) successors.set(from, []);
+        successors.get(from).push(to);
+    }
+
+    // Topological order (addDependency keeps the links acyclic)
+    const waiting = new Map([...nodes.values()].map(node => [node.ref, node.dependsOn.length]));
+    const order = [...nodes.keys()].filter(ref => waiting.get(ref) === 0);
+    for (let i = 0; i < order.length; i++) {
+        for (const next of successors.get(order[i]) || []) {
+            waiting.set(next, waiting.get(next) - 1);
+            if (waiting.get(next) === 0) order.push(next);
+        }
+    }
+
+    return {
+        projectNo,
+        nodes: [...nodes.values()].map(node => ({ ...node, blocked: node.blockedBy.length > 0 })),
+        edges,
+        order
+    };
+}
+
+module.exports = {
+    TaskDependencyError,
+    addDependency,
+    removeDependency,
+    listDependencies,
+    assertPredecessorsClosed,
+    deleteTaskDependencies,
+    getProjectDependencyGraph
+};
@@ -0,0 +1,184 @@
+// services/taskStatus.js
+// Status model shared by every category task table.
+//
+//   pending -> in_progress -> qc -> completed
+//
+// Work can be blocked (and unblocked) while it is pending or in progress, QC can
+// send a task back to in_progress, and a completed task can be reopened.
+// Anything not yet completed can be cancelled; a cancelled task can be
+// reinstated as pending.
+//
+// Counting: cancelled tasks are left out of the projects.total_* counters and
+// completion percentages; completed tasks count as done. A task is "open" until
+// it is completed or cancelled.
+
+const TASK_STATUSES = ['pending', 'in_progress', 'blocked', 'qc', 'completed', 'cancelled'];
+
+const DEFAULT_TASK_STATUS = 'pending';
+
+const TASK_TRANSITIONS = {
+    pending: ['in_progress', 'blocked', 'completed', 'cancelled'],
+    in_progress: ['pending', 'blocked', 'qc', 'completed', 'cancelled'],
+    blocked: ['pending', 'in_progress', 'cancelled'],
+    qc: ['in_progress', 'blocked', 'completed', 'cancelled'],
+    completed: ['in_progress', 'qc'],
+    cancelled: ['pending']
+};
+
+// Status values that count a category task as completed
+const COMPLETED_STATUSES = ['completed'];
+
+// Statuses left out of task totals
+const UNCOUNTED_STATUSES = ['cancelled'];
+
+// Legacy free-text values that are not just a spelling variant of a status
+const STATUS_ALIASES = {
+    done: 'completed',
+    complete: 'completed',
+    finished: 'completed',
+    inprogress: 'in_progress',
+    started: 'in_progress',
+    on_hold: 'blocked',
+    hold: 'blocked',
+    quality_check: 'qc',
+    qa: 'qc',
+    review: 'qc',
+    canceled: 'cancelled',
+    empty: 'pending',
+    new: 'pending',
+    open: 'pending',
+    todo: 'pending'
+};
+
+// Values of the category tasks' approve_status column
+const APPROVE_STATUSES = { pending: 'Pending', approved: 'Approved' };
+
+/**
+ * Error raised for unknown statuses and disallowed transitions.
+ */
+class TaskStatusError extends Error {
+    constructor(message, statusCode = 409, details = {}) {
+        super(message);
+        this.name = 'TaskStatusError';
+        this.statusCode = statusCode;
+        this.details = details;
+    }
+}
+
+/**
+ * Maps user input and legacy values ('Completed', 'In Progress', 'done') to a canonical status.
+ * @param {string} status
+ * @returns {string|null} Canonical status, or null if unknown.
+ */
+function normaliseTaskStatus(status) {
+    const key = String(status || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+    if (TASK_STATUSES.includes(key)) return key;
+    return STATUS_ALIASES[key] || null;
+}
+
+/**
+ * Statuses reachable from a status. A legacy value that cannot be normalised
+ * may move to any status, so bad data can always be corrected.
+ * @param {string} fromStatus
+ * @returns {string[]}
+ */
+function getAllowedTaskTransitions(fromStatus) {
+    const from = normaliseTaskStatus(fromStatus);
+    return from ? TASK_TRANSITIONS[from] : TASK_STATUSES;
+}
+
+/**
+ * Validates a status change.
+ * @param {string} fromStatus - Current (possibly legacy) status.
+ * @param {string} toStatus - Requested status (any casing).
+ * @returns {{from: string, to: string, changed: boolean}} Canonical statuses.
+ * @throws {TaskStatusError} 400 for an unknown status, 409 for a disallowed transition.
+ */
+function checkTaskTransition(fromStatus, toStatus) {
+    const to = normaliseTaskStatus(toStatus);
+    if (!to) {
+        throw new TaskStatusError(`Unknown task status '${toStatus}'. Valid statuses: ${TASK_STATUSES.join(', ')}`, 400);
+    }
+
+    const from = normaliseTaskStatus(fromStatus) || fromStatus;
+    if (from === to) {
+        return { from, to, changed: false };
+    }
+
+    const allowed = getAllowedTaskTransitions(fromStatus);
+    if (!allowed.includes(to)) {
+        throw new TaskStatusError(`Cannot change task status from ${from} to ${to}`, 409, { from, to, allowed });
+    }
+    return { from, to, changed: true };
+}
+
+/**
+ * Whether a task status counts as completed.
+ * @param {string|null} status
+ * @returns {boolean}
+ */
+const isCompletedStatus = (status) => COMPLETED_STATUSES.includes(normaliseTaskStatus(status));
+
+/**
+ * Whether a task with this status counts towards the project's task totals.
+ * @param {string|null} status
+ * @returns {boolean}
+ */
+const isCountedStatus = (status) => !UNCOUNTED_STATUSES.includes(normaliseTaskStatus(status));
+
+/**
+ * Changes to a project's total/completed counters when a task goes from one
+ * status to another. Pass null for a task being created or deleted.
+ * @param {string|null} fromStatus
+ * @param {string|null} toStatus
+ * @returns {{total: number, completed: number}} Each -1, 0 or 1.
+ */
+function counterDeltas(fromStatus, toStatus) {
+    const counted = (status) => (status !== null && isCountedStatus(status) ? 1 : 0);
+    const completed = (status) => (status !== null && isCompletedStatus(status) ? 1 : 0);
+    return {
+        total: counted(toStatus) - counted(fromStatus),
+        completed: completed(toStatus) - completed(fromStatus)
+    };
+}
+
+const sqlList = (values) => values.map(value => `'${value}'`).join(', ');
+
+/**
+ * SQL predicate matching completed tasks, for COUNT/SUM expressions.
+ * @param {string} [column='status'] - Column (optionally table-qualified) holding the status.
+ * @returns {string} e.g. "status IN ('completed')"
+ */
+const completedStatusSql = (column = 'status') => `${column} IN (${sqlList(COMPLETED_STATUSES)})`;
+
+/**
+ * SQL predicate matching tasks that count towards task totals.
+ * @param {string} [column='status']
+ * @returns {string} e.g. "status NOT IN ('cancelled')"
+ */
+const countedStatusSql = (column = 'status') => `${column} NOT IN (${sqlList(UNCOUNTED_STATUSES)})`;
+
+/**
+ * SQL predicate matching open tasks (neither completed nor cancelled).
+ * @param {string} [column='status']
+ * @returns {string}
+ */
+const openStatusSql = (column = 'status') => `${column} NOT IN (${sqlList([...COMPLETED_STATUSES, ...UNCOUNTED_STATUSES])})`;
+
+module.exports = {
+    TASK_STATUSES,
+    DEFAULT_TASK_STATUS,
+    TASK_TRANSITIONS,
+    COMPLETED_STATUSES,
+    APPROVE_STATUSES,
+    TaskStatusError,
+    normaliseTaskStatus,
+    getAllowedTaskTransitions,
+    checkTaskTransition,
+    isCompletedStatus,
+    isCountedStatus,
+    counterDeltas,
+    completedStatusSql,
+    countedStatusSql,
+    openStatusSql
+};
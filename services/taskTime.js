@@ -0,0 +1,578 @@
+// services/taskTime.js
+// Labour time booked against category tasks. A worker runs a timer on a task
+// (start, pause, start again to resume, stop) or enters time by hand. Stopping
+// a timer books one task_time_entries row, so the entries are the only source
+// of the labour rollups; time on a timer that has not been stopped yet is not
+// counted. A worker has at most one running timer: starting one pauses the rest.
+
+const db = require('../db/connection');
+const { TASK_CATEGORIES, getTaskCategory } = require('../config/taskCategories');
+const { isCompletedStatus, isCountedStatus } = require('./taskStatus');
+const { logActivity } = require('./activityLogger');
+
+// Longest manual entry, in minutes
+const MAX_ENTRY_MINUTES = 24 * 60;
+const MAX_NOTE_LENGTH = 255;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Columns of task_timers tt plus the seconds the timer has run, including the running stretch
+const TIMER_COLUMNS = `tt.id, tt.category, tt.task_id, tt.project_no, tt.user_id, tt.state, tt.started_at,
+    tt.elapsed_seconds + IF(tt.state = 'running', TIMESTAMPDIFF(SECOND, tt.resumed_at, NOW()), 0) AS seconds,
+    NOW() AS now`;
+
+const PAUSE_TIMER_SQL = `UPDATE task_timers
+    SET elapsed_seconds = elapsed_seconds + TIMESTAMPDIFF(SECOND, resumed_at, NOW()), state = 'paused', resumed_at = NULL
+    WHERE id = ?`;
+
+/**
+ * Error raised for invalid timer actions and time entries (statusCode 400/403/404/409).
+ */
+class TaskTimeError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'TaskTimeError';
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * Seconds as hours, rounded to two decimals.
+ * @param {number|string|null} seconds
+ * @returns {number}
+ */
+const toHours = (seconds) => Math.round((Number(seconds) || 0) / 36) / 100;
+
+/**
+ * SQL subquery summing the booked seconds of a task, for use as a column.
+ * @param {string} categoryKey
+ * @param {string} [idColumn='t.id'] - Column holding the task id.
+ * @returns {string}
+ */
+const labourSecondsSql = (categoryKey, idColumn = 't.id') =>
+    `SELECT COALESCE(SUM(e.duration_seconds), 0) FROM task_time_entries e
+     WHERE e.category = '${categoryKey}' AND e.task_id = ${idColumn}`;
+
+const categoryLabel = (categoryKey) => (getTaskCategory(categoryKey) || {}).label || categoryKey;
+
+function localDate(date = new Date()) {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Validates optional from/to work-date filters (inclusive, YYYY-MM-DD).
+ * @returns {{sql: string, params: string[]}} Conditions on e.work_date.
+ * @throws {TaskTimeError}
+ */
+function dateRange({ from, to } = {}) {
+    const conditions = [];
+    const params = [];
+    for (const [name, value, operator] of [['from', from, '>='], ['to', to, '<=']]) {
+        if (value === undefined || value === '') continue;
+        if (!DATE_PATTERN.test(value) || Number.isNaN(Date.parse(value))) {
+            throw new TaskTimeError(`${name} must be a date in YYYY-MM-DD format`);
+        }
+        conditions.push(`e.work_date ${operator} ?`);
+        params.push(value);
+    }
+    return { sql: conditions.map(condition => ` AND ${condition}`).join(''), params };
+}
+
+async function inTransaction(callback) {
+    const connection = await db.getConnection();
+    try {
+        await connection.beginTransaction();
+        const result = await callback(connection);
+        await connection.commit();
+        return result;
+    } catch (err) {
+        await connection.rollback();
+        throw err;
+    } finally {
+        connection.release();
+    }
+}
+
+async function findTask(connection, category, taskId) {
+    const [rows] = await connection.query(
+        `SELECT id, title, status, project_no FROM ${category.table} WHERE id = ? AND deleted_at IS NULL`,
+        [taskId]
+    );
+    if (rows.length === 0) {
+        throw new TaskTimeError('Task not found', 404);
+    }
+    return rows[0];
+}
+
+const formatTimer = (timer) => ({
+    category: timer.category,
+    categoryLabel: categoryLabel(timer.category),
+    taskId: timer.task_id,
+    projectNo: timer.project_no,
+    userId: timer.user_id,
+    ...(timer.user_name !== undefined && { userName: timer.user_name }),
+    state: timer.state,
+    startedAt: timer.started_at,
+    elapsedSeconds: Number(timer.seconds),
+    elapsedHours: toHours(timer.seconds)
+});
+
+const formatEntry = (entry) => ({
+    id: entry.id,
+    category: entry.category,
+    categoryLabel: categoryLabel(entry.category),
+    taskId: entry.task_id,
+    ...(entry.task_title !== undefined && { taskTitle: entry.task_title }),
+    projectNo: entry.project_no,
+    userId: entry.user_id,
+    userName: entry.user_name,
+    workDate: entry.work_date,
+    startedAt: entry.started_at,
+    endedAt: entry.ended_at,
+    durationSeconds: entry.duration_seconds,
+    hours: toHours(entry.duration_seconds),
+    source: entry.source,
+    note: entry.note,
+    createdBy: entry.created_by,
+    createdAt: entry.created_at
+});
+
+async function findTimer(connection, category, taskId, userId, lock = false) {
+    const [rows] = await connection.query(
+        `SELECT ${TIMER_COLUMNS} FROM task_timers tt WHERE tt.user_id = ? AND tt.category = ? AND tt.task_id = ?${lock ? ' FOR UPDATE' : ''}`,
+        [userId, category.key, taskId]
+    );
+    return rows[0] || null;
+}
+
+/**
+ * Starts (or resumes) the user's timer on a task. Any other running timer of
+ * the user is paused.
+ * @param {object} params
+ * @param {object} params.category - Entry from TASK_CATEGORIES.
+ * @param {number} params.taskId
+ * @param {number} params.userId
+ * @returns {Promise<{timer: object, pausedTimers: object[]}>}
+ * @throws {TaskTimeError} 409 if the timer is already running or the task is closed.
+ */
+async function startTimer({ category, taskId, userId }) {
+    const pausedTimers = await inTransaction(async (conn) => {
+        const task = await findTask(conn, category, taskId);
+        if (isCompletedStatus(task.status) || !isCountedStatus(task.status)) {
+            throw new TaskTimeError(`Cannot start a timer on a ${task.status} task.`, 409);
+        }
+
+        const [timers] = await conn.query(`SELECT ${TIMER_COLUMNS} FROM task_timers tt WHERE tt.user_id = ? FOR UPDATE`, [userId]);
+        const current = timers.find(timer => timer.category === category.key && timer.task_id === taskId);
+        if (current && current.state === 'running') {
+            throw new TaskTimeError('Your timer on this task is already running.', 409);
+        }
+
+        const paused = [];
+        for (const timer of timers.filter(entry => entry.state === 'running')) {
+            await conn.query(PAUSE_TIMER_SQL, [timer.id]);
+            paused.push({ category: timer.category, taskId: timer.task_id });
+        }
+
+        if (current) {
+            await conn.query(`UPDATE task_timers SET state = 'running', resumed_at = NOW() WHERE id = ?`, [current.id]);
+        } else {
+            await conn.query(
+                `INSERT INTO task_timers (category, task_id, project_no, user_id, state, started_at, resumed_at)
+                 VALUES (?, ?, ?, ?, 'running', NOW(), NOW())`,
+                [category.key, taskId, task.project_no, userId]
+            );
+        }
+        return paused;
+    });
+
+    return { timer: formatTimer(await findTimer(db, category, taskId, userId)), pausedTimers };
+}
+
+/**
+ * Pauses the user's running timer on a task.
+ * @param {object} params
+ * @param {object} params.category - Entry from TASK_CATEGORIES.
+ * @param {number} params.taskId
+ * @param {number} params.userId
+ * @returns {Promise<object>} The paused timer.
+ * @throws {TaskTimeError} 404 without a timer, 409 if it is not running.
+ */
+async function pauseTimer({ category, taskId, userId }) {
+    await inTransaction(async (conn) => {
+        const timer = await findTimer(conn, category, taskId, userId, true);
+        if (!timer) {
+            throw new TaskTimeError('You have no timer on this task.', 404);
+        }
+        if (timer.state !== 'running') {
+            throw new TaskTimeError('Your timer on this task is already paused.', 409);
+        }
+        await conn.query(PAUSE_TIMER_SQL, [timer.id]);
+    });
+
+    return formatTimer(await findTimer(db, category, taskId, userId));
+}
+
+/**
+ * Stops the user's timer on a task and books its time as one entry.
+ * @param {object} params
+ * @param {object} params.category - Entry from TASK_CATEGORIES.
+ * @param {number} params.taskId
+ * @param {number} params.userId
+ * @param {string} [params.note]
+ * @returns {Promise<{entry: object|null, seconds: number}>} entry is null when no time had run.
+ * @throws {TaskTimeError} 404 without a timer.
+ */
+async function stopTimer({ category, taskId, userId, note }) {
+    const noteText = note ? String(note).trim().slice(0, MAX_NOTE_LENGTH) : null;
+
+    const booked = await inTransaction(async (conn) => {
+        const timer = await findTimer(conn, category, taskId, userId, true);
+        if (!timer) {
+            throw new TaskTimeError('You have no timer on this task.', 404);
+        }
+        await conn.query('DELETE FROM task_timers WHERE id = ?', [timer.id]);
+
+        const seconds = Number(timer.seconds);
+        if (seconds <= 0) {
+            return { entryId: null, seconds: 0 };
+        }
+        const [inserted] = await conn.query(
+            `INSERT INTO task_time_entries
+             (category, task_id, project_no, user_id, work_date, started_at, ended_at, duration_seconds, source, note, created_by)
+             VALUES (?, ?, ?, ?, DATE(?), ?, ?, ?, 'timer', ?, ?)`,
+            [category.key, taskId, timer.project_no, userId, timer.started_at, timer.started_at, timer.now, seconds, noteText, userId]
+        );
+        return { entryId: inserted.insertId, seconds };
+    });
+
+    return {
+        entry: booked.entryId ? await getTimeEntry(booked.entryId) : null,
+        seconds: booked.seconds
+    };
+}
+
+/**
+ * Books time on a task by hand.
+ * @param {object} params
+ * @param {object} params.category - Entry from TASK_CATEGORIES.
+ * @param {number} params.taskId
+ * @param {number} params.workerId - users.id the time is booked for.
+ * @param {number} params.minutes - 1 to MAX_ENTRY_MINUTES.
+ * @param {string} [params.workDate] - YYYY-MM-DD, not in the future; defaults to today.
+ * @param {string} [params.note]
+ * @param {number} params.userId - User making the entry.
+ * @returns {Promise<object>} The new entry.
+ * @throws {TaskTimeError}
+ */
+async function addTimeEntry({ category, taskId, workerId, minutes, workDate, note, userId }) {
+    const duration = Number(minutes);
+    if (!Number.isInteger(duration) || duration < 1 || duration > MAX_ENTRY_MINUTES) {
+        throw new TaskTimeError(`minutes must be a whole number between 1 and ${MAX_ENTRY_MINUTES}.`);
+    }
+    const date = workDate || localDate();
+    if (!DATE_PATTERN.test(date) || Number.isNaN(Date.parse(date))) {
+        throw new TaskTimeError('workDate must be a date in YYYY-MM-DD format.');
+    }
+    if (date > localDate()) {
+        throw new TaskTimeError('workDate cannot be in the future.');
+    }
+    const worker = Number(workerId);
+    if (!Number.isInteger(worker) || worker < 1) {
+        throw new TaskTimeError('userId must be a user id.');
+    }
+    const noteText = note ? String(note).trim().slice(0, MAX_NOTE_LENGTH) : null;
+
+    const task = await findTask(db, category, taskId);
+    if (worker !== userId) {
+        const [users] = await db.query('SELECT id FROM users WHERE id = ?', [worker]);
+        if (users.length === 0) {
+            throw new TaskTimeError(`User ${workerId} not found.`, 404);
+        }
+    }
+
+    const [inserted] = await db.query(
+        `INSERT INTO task_time_entries
+         (category, task_id, project_no, user_id, work_date, duration_seconds, source, note, created_by)
+         VALUES (?, ?, ?, ?, ?, ?, 'manual', ?, ?)`,
+        [category.key, taskId, task.project_no, worker, date, duration * 60, noteText, userId]
+    );
+
+    await logActivity(
+        userId,
+        'CREATE',
+        'TIME_ENTRY',
+        inserted.insertId,
+        `${toHours(duration * 60)} h booked on task ${taskId} (${category.label}) of project ${task.project_no} ` +
+            `for user ${worker} on ${date}.`,
+        { category: category.key, taskId, projectNo: task.project_no, workerId: worker, workDate: date, minutes: duration }
+    );
+
+    return getTimeEntry(inserted.insertId);
+}
+
+/**
+ * One time entry with the worker's name.
+ * @param {number} entryId
+ * @returns {Promise<object|null>}
+ */
+async function getTimeEntry(entryId) {
+    const [rows] = await db.query(
+        `SELECT e.*, u.display_name AS user_name FROM task_time_entries e
+         LEFT JOIN users u ON u.id = e.user_id WHERE e.id = ?`,
+        [entryId]
+    );
+    return rows[0] ? formatEntry(rows[0]) : null;
+}
+
+/**
+ * Deletes a time entry. Workers may delete their own entries; others need canManage.
+ * @param {object} params
+ * @param {number} params.entryId
+ * @param {number} params.userId
+ * @param {boolean} params.canManage - Whether the user may delete other workers' entries.
+ * @returns {Promise<object>} The deleted entry.
+ * @throws {TaskTimeError} 404/403
+ */
+async function deleteTimeEntry({ entryId, userId, canManage }) {
+    const entry = await getTimeEntry(entryId);
+    if (!entry) {
+        throw new TaskTimeError('Time entry not found', 404);
+    }
+    if (entry.userId !== userId && !canManage) {
+        throw new TaskTimeError('You can only delete your own time entries.', 403);
+    }
+
+    await db.query('DELETE FROM task_time_entries WHERE id = ?', [entryId]);
+
+    await logActivity(
+        userId,
+        'DELETE',
+        'TIME_ENTRY',
+        entryId,
+        `${entry.hours} h of user ${entry.userId} on task ${entry.taskId} (${entry.categoryLabel}) ` +
+            `of project ${entry.projectNo} deleted.`,
+        { category: entry.category, taskId: entry.taskId, projectNo: entry.projectNo, workerId: entry.userId,
+          workDate: entry.workDate, durationSeconds: entry.durationSeconds }
+    );
+
+    return entry;
+}
+
+/**
+ * Adds the titles of the (live) tasks to entry rows as task_title (null once deleted).
+ */
+async function attachTaskTitles(rows) {
+    for (const category of TASK_CATEGORIES) {
+        const ids = [...new Set(rows.filter(row => row.category === category.key).map(row => row.task_id))];
+        if (ids.length === 0) continue;
+        const [tasks] = await db.query(
+            `SELECT id, title FROM ${category.table} WHERE id IN (?) AND deleted_at IS NULL`,
+            [ids]
+        );
+        const titles = new Map(tasks.map(task => [task.id, task.title]));
+        rows.filter(row => row.category === category.key)
+            .forEach(row => { row.task_title = titles.has(row.task_id) ? titles.get(row.task_id) : null; });
+    }
+    return rows;
+}
+
+/**
+ * A worker's time log, newest first.
+ * @param {number} workerId
+ * @param {object} [filters]
+ * @param {string} [filters.from] - YYYY-MM-DD (inclusive).
+ * @param {string} [filters.to] - YYYY-MM-DD (inclusive).
+ * @param {string} [filters.projectNo]
+ * @returns {Promise<{userId: number, totalHours: number, count: number, entries: object[]}>}
+ * @throws {TaskTimeError} 400 for a malformed date.
+ */
+async function listWorkerTimeEntries(workerId, { from, to, projectNo } = {}) {
+    const range = dateRange({ from, to });
+    const [rows] = await db.query(
+        `SELECT e.*, u.display_name AS user_name FROM task_time_entries e
+         LEFT JOIN users u ON u.id = e.user_id
+         WHERE e.user_id = ?${range.sql}${projectNo ? ' AND e.project_no = ?' : ''}
+         ORDER BY e.work_date DESC, e.id DESC`,
+        [workerId, ...range.params, ...(projectNo ? [projectNo] : [])]
+    );
+    await attachTaskTitles(rows);
+
+    return {
+        userId: workerId,
+        totalHours: toHours(rows.reduce((sum, row) => sum + row.duration_seconds, 0)),
+        count: rows.length,
+        entries: rows.map(formatEntry)
+    };
+}
+
+/**
+ * A worker's running and paused timers.
+ * @param {number} userId
+ * @returns {Promise<object[]>}
+ */
+async function listUserTimers(userId) {
+    const [rows] = await db.query(`SELECT ${TIMER_COLUMNS} FROM task_timers tt WHERE tt.user_id = ? ORDER BY tt.started_at`, [userId]);
+    return rows.map(formatTimer);
+}
+
+/**
+ * Labour rollup of one task: total, per worker, the entries and open timers.
+ * @param {object} category - Entry from TASK_CATEGORIES.
+ * @param {number} taskId
+ * @returns {Promise<{totalHours: number, byWorker: object[], entries: object[], timers: object[]}>}
+ */
+async function getTaskLabour(category, taskId) {
+    const [entries] = await db.query(
+        `SELECT e.*, u.display_name AS user_name FROM task_time_entries e
+         LEFT JOIN users u ON u.id = e.user_id
+         WHERE e.category = ? AND e.task_id = ?
+         ORDER BY e.work_date DESC, e.id DESC`,
+        [category.key, taskId]
+    );
+    const [timers] = await db.query(
+        `SELECT ${TIMER_COLUMNS}, u.display_name AS user_name
+         FROM task_timers tt LEFT JOIN users u ON u.id = tt.user_id
+         WHERE tt.category = ? AND tt.task_id = ?`,
+        [category.key, taskId]
+    );
+
+    const byWorker = new Map();
+    for (const entry of entries) {
+        const worker = byWorker.get(entry.user_id) || { userId: entry.user_id, userName: entry.user_name, seconds: 0, entries: 0 };
+        worker.seconds += entry.duration_seconds;
+        worker.entries += 1;
+        byWorker.set(entry.user_id, worker);
+    }
+
+    return {
+        totalHours: toHours(entries.reduce((sum, entry) => sum + entry.duration_seconds, 0)),
+        byWorker: [...byWorker.values()]
+            .sort((a, b) => b.seconds - a.seconds)
+            .map(({ seconds, ...worker }) => ({ ...worker, hours: toHours(seconds) })),
+        entries: entries.map(formatEntry),
+        timers: timers.map(formatTimer)
+    };
+}
+
+/**
+ * Labour booked in one category, per project.
+ * @param {object} category - Entry from TASK_CATEGORIES.
+ * @param {object} [filters]
+ * @param {string} [filters.projectNo]
+ * @param {string} [filters.from] - YYYY-MM-DD (inclusive).
+ * @param {string} [filters.to] - YYYY-MM-DD (inclusive).
+ * @returns {Promise<{category: string, totalHours: number, projects: object[]}>}
+ * @throws {TaskTimeError} 400 for a malformed date.
+ */
+async function getCategoryLabour(category, { projectNo, from, to } = {}) {
+    const range = dateRange({ from, to });
+    const [rows] = await db.query(
+        `SELECT e.project_no, SUM(e.duration_seconds) AS seconds, COUNT(DISTINCT e.task_id) AS tasks,
+                COUNT(DISTINCT e.user_id) AS workers
+         FROM task_time_entries e
+         WHERE e.category = ?${range.sql}${projectNo ? ' AND e.project_no = ?' : ''}
+         GROUP BY e.project_no
+         ORDER BY seconds DESC`,
+        [category.key, ...range.params, ...(projectNo ? [projectNo] : [])]
+    );
+
+    return {
+        category: category.key,
+        totalHours: toHours(rows.reduce((sum, row) => sum + Number(row.seconds), 0)),
+        projects: rows.map(row => ({
+            projectNo: row.project_no,
+            hours: toHours(row.seconds),
+            tasks: Number(row.tasks),
+            workers: Number(row.workers)
+        }))
+    };
+}
+
+/**
+ * Labour report of a project: totals per category (every category, zero if none
+ * booked), per worker and per task, plus timers that are still open.
+ * @param {string} projectNo
+ * @param {object} [filters]
+ * @param {string} [filters.from] - YYYY-MM-DD (inclusive).
+ * @param {string} [filters.to] - YYYY-MM-DD (inclusive).
+ * @returns {Promise<object>}
+ * @throws {TaskTimeError} 400 for a malformed date.
+ */
+async function getProjectLabourReport(projectNo, { from, to } = {}) {
+    const range = dateRange({ from, to });
+
+    const [byTask] = await db.query(
+        `SELECT e.category, e.task_id, SUM(e.duration_seconds) AS seconds, COUNT(*) AS entries,
+                COUNT(DISTINCT e.user_id) AS workers
+         FROM task_time_entries e
+         WHERE e.project_no = ?${range.sql}
+         GROUP BY e.category, e.task_id`,
+        [projectNo, ...range.params]
+    );
+    const [byWorker] = await db.query(
+        `SELECT e.user_id, u.display_name AS user_name, SUM(e.duration_seconds) AS seconds, COUNT(*) AS entries
+         FROM task_time_entries e
+         LEFT JOIN users u ON u.id = e.user_id
+         WHERE e.project_no = ?${range.sql}
+         GROUP BY e.user_id, u.display_name
+         ORDER BY seconds DESC`,
+        [projectNo, ...range.params]
+    );
+    const [timers] = await db.query(`SELECT ${TIMER_COLUMNS} FROM task_timers tt WHERE tt.project_no = ? ORDER BY tt.started_at`, [projectNo]);
+    await attachTaskTitles(byTask);
+
+    const byCategory = TASK_CATEGORIES.map(category => {
+        const tasks = byTask.filter(row => row.category === category.key);
+        return {
+            category: category.key,
+            label: category.label,
+            hours: toHours(tasks.reduce((sum, row) => sum + Number(row.seconds), 0)),
+            tasks: tasks.length
+        };
+    });
+
+    return {
+        projectNo,
+        from: from || null,
+        to: to || null,
+        totalHours: toHours(byTask.reduce((sum, row) => sum + Number(row.seconds), 0)),
+        byCategory,
+        byWorker: byWorker.map(row => ({
+            userId: row.user_id,
+            userName: row.user_name,
+            hours: toHours(row.seconds),
+            entries: Number(row.entries)
+        })),
+        byTask: byTask
+            .sort((a, b) => Number(b.seconds) - Number(a.seconds))
+            .map(row => ({
+                category: row.category,
+                categoryLabel: categoryLabel(row.category),
+                taskId: row.task_id,
+                title: row.task_title,
+                deleted: row.task_title === null,
+                hours: toHours(row.seconds),
+                entries: Number(row.entries),
+                workers: Number(row.workers)
+            })),
+        openTimers: timers.map(formatTimer)
+    };
+}
+
+module.exports = {
+    TaskTimeError,
+    toHours,
+    labourSecondsSql,
+    startTimer,
+    pauseTimer,
+    stopTimer,
+    addTimeEntry,
+    deleteTimeEntry,
+    listWorkerTimeEntries,
+    listUserTimers,
+    getTaskLabour,
+    getCategoryLabour,
+    getProjectLabourReport
+};
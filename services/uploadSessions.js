@@ -0,0 +1,418 @@
+// services/uploadSessions.js
+// Resumable chunked uploads. A client initiates a session for one file, sends
+// numbered parts (any order, re-sending a part replaces it), asks which parts
+// arrived, and completes the session. Completion assembles the parts into the
+// file store, verifies size and SHA-256, applies the upload policy and then
+// ingests the file exactly like a multipart upload (services/fileIngest.js).
+//
+// Parts live on disk under <FILE_STORE_ROOT>/sessions/<uploadId>/<partNo>.part.
+// Sessions expire after UPLOAD_SESSION_TTL_HOURS (default 24) without activity.
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const db = require('../db/connection');
+const { FILE_TYPES, getUploadPolicy } = require('../config/uploadPolicy');
+const { getFileStore } = require('./fileStore');
+const { releaseStorageKeys } = require('./storedFiles');
+const { SNIFF_BYTES, sanitiseFileName, fileTypeForName, screenUploads } = require('./uploadValidation');
+const { findUploadProject, ingestProjectFiles } = require('./fileIngest');
+const { resolveProjectNo } = require('./projectRename');
+
+const MB = 1024 * 1024;
+const DEFAULT_PART_SIZE = 8 * MB;
+const MIN_PART_SIZE = 1 * MB;
+const MAX_PART_SIZE = 64 * MB;
+const DEFAULT_TTL_HOURS = 24;
+const SHA256_PATTERN = /^[0-9a-f]{64}$/;
+
+class UploadSessionError extends Error {
+    constructor(message, statusCode = 400, details = {}) {
+        super(message);
+        this.name = 'UploadSessionError';
+        this.statusCode = statusCode;
+        this.details = details;
+    }
+}
+
+/**
+ * Hours an upload session stays open without activity (UPLOAD_SESSION_TTL_HOURS).
+ * @returns {number}
+ */
+function getSessionTtlHours() {
+    const hours = parseFloat(process.env.UPLOAD_SESSION_TTL_HOURS);
+    return hours > 0 ? hours : DEFAULT_TTL_HOURS;
+}
+
+const nextExpiry = () => new Date(Date.now() + getSessionTtlHours() * 60 * 60 * 1000);
+
+const sessionDir = (uploadId) => path.join(getFileStore().root, 'sessions', uploadId);
+const partPath = (uploadId, partNo) => path.join(sessionDir(uploadId), `${partNo}.part`);
+
+// Every part is part_size bytes except the last, which holds the remainder
+const expectedPartSize = (session, partNo) => (partNo < session.total_parts
+    ? session.part_size
+    : session.file_size - session.part_size * (session.total_parts - 1));
+
+/**
+ * Parts received so far, from the session directory.
+ * @returns {Promise<Array<{partNo: number, size: number}>>}
+ */
+async function listReceivedParts(uploadId) {
+    let names;
+    try {
+        names = await fsp.readdir(sessionDir(uploadId));
+    } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+    }
+
+    const parts = [];
+    for (const name of names) {
+        const match = /^(\d+)\.part$/.exec(name);
+        if (match) {
+            const stats = await fsp.stat(path.join(sessionDir(uploadId), name));
+            parts.push({ partNo: parseInt(match[1], 10), size: stats.size });
+        }
+    }
+    return parts.sort((a, b) => a.partNo - b.partNo);
+}
+
+/**
+ * Public shape of a session, including which parts are still missing.
+ */
+function describeSession(session, parts) {
+    const received = new Set(parts.map(part => part.partNo));
+    const missingParts = [];
+    for (let partNo = 1; partNo <= session.total_parts; partNo++) {
+        if (!received.has(partNo)) missingParts.push(partNo);
+    }
+
+    return {
+        uploadId: session.id,
+        projectNo: session.projectNo,
+        category: session.category,
+        fileName: session.file_name,
+        fileSize: session.file_size,
+        partSize: session.part_size,
+        totalParts: session.total_parts,
+        sha256: session.sha256,
+        status: session.status,
+        expiresAt: session.expires_at,
+        projectFileId: session.project_file_id,
+        receivedParts: parts,
+        receivedBytes: parts.reduce((sum, part) => sum + part.size, 0),
+        missingParts
+    };
+}
+
+/**
+ * Loads a session owned by the user.
+ * @param {string} uploadId
+ * @param {number} userId
+ * @param {object} [options]
+ * @param {boolean} [options.open=false] - Require an open, unexpired session.
+ */
+async function loadSession(uploadId, userId, { open = false } = {}) {
+    const [rows] = await db.query('SELECT * FROM upload_sessions WHERE id = ? AND created_by = ?', [uploadId, userId]);
+    const session = rows[0];
+    if (!session) {
+        throw new UploadSessionError('Upload session not found.', 404);
+    }
+    if (open && (session.status !== 'open' || new Date(session.expires_at) < new Date())) {
+        throw new UploadSessionError(`Upload session is ${session.status === 'open' ? 'expired' : session.status}.`, 409,
+            { status: session.status });
+    }
+    return session;
+}
+
+/**
+ * Starts a chunked upload for one file.
+ * @param {object} params
+ * @param {string} params.projectNo - An old (renamed) number resolves to the current one.
+ * @param {string|null} [params.category]
+ * @param {string} params.fileName
+ * @param {number} params.fileSize - Bytes.
+ * @param {string} [params.sha256] - Hex digest of the whole file; verified on completion.
+ * @param {number} [params.partSize] - Bytes per part (1-64 MB, default 8 MB).
+ * @param {number} params.userId
+ * @returns {Promise<object>} describeSession() of the new session.
+ */
+async function createUploadSession({ projectNo, category = null, fileName, fileSize, sha256, partSize = DEFAULT_PART_SIZE, userId }) {
+    const project = projectNo ? await findUploadProject(await resolveProjectNo(projectNo)) : null;
+    if (!project) {
+        throw new UploadSessionError(`Project No. ${projectNo} not found.`, 404);
+    }
+
+    const name = sanitiseFileName(fileName);
+    const policy = getUploadPolicy(category);
+    const type = fileTypeForName(name);
+    if (!type || !policy.allowedTypes.includes(type)) {
+        const allowed = policy.allowedTypes.flatMap(allowedType => FILE_TYPES[allowedType].extensions);
+        throw new UploadSessionError(`'${name}' is not an accepted file type for this category. Allowed: ${allowed.join(', ')}.`,
+            400, { code: 'TYPE_NOT_ALLOWED' });
+    }
+
+    const size = Number(fileSize);
+    if (!Number.isSafeInteger(size) || size < 1) {
+        throw new UploadSessionError('fileSize must be a positive number of bytes.');
+    }
+    if (size > policy.maxResumableFileSize) {
+        throw new UploadSessionError(`File is larger than the ${Math.round(policy.maxResumableFileSize / MB)} MB limit.`,
+            413, { code: 'FILE_TOO_LARGE' });
+    }
+
+    const chunkSize = Number(partSize);
+    if (!Number.isInteger(chunkSize) || chunkSize < MIN_PART_SIZE || chunkSize > MAX_PART_SIZE) {
+        throw new UploadSessionError(`partSize must be between ${MIN_PART_SIZE} and ${MAX_PART_SIZE} bytes.`);
+    }
+
+    const digest = sha256 ? String(sha256).toLowerCase() : null;
+    if (digest && !SHA256_PATTERN.test(digest)) {
+        throw new UploadSessionError('sha256 must be a 64-character hex digest.');
+    }
+
+    const uploadId = crypto.randomUUID();
+    const totalParts = Math.ceil(size / chunkSize);
+
+    await db.query(
+        `INSERT INTO upload_sessions
+         (id, projectNo, category, file_name, file_size, part_size, total_parts, sha256, status, created_by, expires_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'open', ?, ?)`,
+        [uploadId, project.projectNo, category || null, name, size, chunkSize, totalParts, digest, userId, nextExpiry()]
+    );
+    await fsp.mkdir(sessionDir(uploadId), { recursive: true });
+
+    return getUploadSession(uploadId, userId);
+}
+
+/**
+ * @param {string} uploadId
+ * @param {number} userId
+ * @returns {Promise<object>} describeSession()
+ */
+async function getUploadSession(uploadId, userId) {
+    const session = await loadSession(uploadId, userId);
+    const parts = session.status === 'open' ? await listReceivedParts(uploadId) : [];
+    return describeSession(session, parts);
+}
+
+/**
+ * Stores one part. The body must be exactly the part's size; re-sending a part replaces it.
+ * @param {object} params
+ * @param {string} params.uploadId
+ * @param {number|string} params.partNo - 1-based.
+ * @param {number} params.userId
+ * @param {Readable} params.stream - The request body.
+ * @param {string} [params.sha256] - Expected hex digest of the part.
+ * @returns {Promise<{partNo: number, size: number, sha256: string}>}
+ */
+async function writePart({ uploadId, partNo, userId, stream, sha256 }) {
+    const session = await loadSession(uploadId, userId, { open: true });
+
+    const number = Number(partNo);
+    if (!Number.isInteger(number) || number < 1 || number > session.total_parts) {
+        throw new UploadSessionError(`partNo must be between 1 and ${session.total_parts}.`);
+    }
+
+    const expectedSize = expectedPartSize(session, number);
+    const hash = crypto.createHash('sha256');
+    let size = 0;
+    const counter = new Transform({
+        transform(chunk, encoding, callback) {
+            size += chunk.length;
+            if (size > expectedSize) {
+                return callback(new UploadSessionError(`Part ${number} must be ${expectedSize} bytes.`, 400, { code: 'PART_SIZE_MISMATCH' }));
+            }
+            hash.update(chunk);
+            callback(null, chunk);
+        }
+    });
+
+    await fsp.mkdir(sessionDir(uploadId), { recursive: true });
+    const tmpPath = `${partPath(uploadId, number)}.${crypto.randomUUID()}.tmp`;
+
+    try {
+        await pipeline(stream, counter, fs.createWriteStream(tmpPath));
+
+        if (size !== expectedSize) {
+            throw new UploadSessionError(`Part ${number} must be ${expectedSize} bytes, received ${size}.`, 400, { code: 'PART_SIZE_MISMATCH' });
+        }
+        const digest = hash.digest('hex');
+        if (sha256 && String(sha256).toLowerCase() !== digest) {
+            throw new UploadSessionError(`Part ${number} checksum does not match.`, 400, { code: 'PART_CHECKSUM_MISMATCH' });
+        }
+
+        await fsp.rename(tmpPath, partPath(uploadId, number));
+        await db.query('UPDATE upload_sessions SET updated_at = NOW(), expires_at = ? WHERE id = ?', [nextExpiry(), uploadId]);
+
+        return { partNo: number, size, sha256: digest };
+    } finally {
+        await fsp.rm(tmpPath, { force: true });
+    }
+}
+
+/**
+ * Reads the parts back-to-back as one stream, opening one part file at a time.
+ */
+function assembleParts(uploadId, totalParts) {
+    return Readable.from((async function* readParts() {
+        for (let partNo = 1; partNo <= totalParts; partNo++) {
+            yield* fs.createReadStream(partPath(uploadId, partNo));
+        }
+    })());
+}
+
+async function readFirstBytes(filePath, length) {
+    const handle = await fsp.open(filePath, 'r');
+    try {
+        const buffer = Buffer.alloc(length);
+        const { bytesRead } = await handle.read(buffer, 0, length, 0);
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        await handle.close();
+    }
+}
+
+const setStatus = (uploadId, status, projectFileId = null) => db.query(
+    'UPDATE upload_sessions SET status = ?, project_file_id = COALESCE(?, project_file_id), updated_at = NOW() WHERE id = ?',
+    [status, projectFileId, uploadId]
+);
+
+/**
+ * Assembles, verifies, screens and ingests the uploaded file.
+ * On a checksum mismatch or ingest failure the session stays open so the
+ * client can re-send parts and try again; a policy rejection closes it.
+ * @param {object} params
+ * @param {string} params.uploadId
+ * @param {number} params.userId
+ * @returns {Promise<{session: object, fileId: number, tasksCreated: number, taskId: number|null}>}
+ */
+async function completeUploadSession({ uploadId, userId }) {
+    const session = await loadSession(uploadId, userId, { open: true });
+
+    // Only one completion at a time
+    const [claim] = await db.query(
+        "UPDATE upload_sessions SET status = 'completing', updated_at = NOW() WHERE id = ? AND status = 'open'",
+        [uploadId]
+    );
+    if (claim.affectedRows === 0) {
+        throw new UploadSessionError('Upload session is already being completed.', 409);
+    }
+
+    let storageKey = null;
+    try {
+        const parts = await listReceivedParts(uploadId);
+        const { missingParts } = describeSession(session, parts);
+        if (missingParts.length > 0) {
+            throw new UploadSessionError(`${missingParts.length} part(s) have not been uploaded.`, 400,
+                { code: 'MISSING_PARTS', missingParts });
+        }
+
+        const stored = await getFileStore().put(assembleParts(uploadId, session.total_parts));
+        storageKey = stored.storageKey;
+
+        if (stored.size !== session.file_size) {
+            throw new UploadSessionError(`Assembled file is ${stored.size} bytes, expected ${session.file_size}.`, 422,
+                { code: 'SIZE_MISMATCH' });
+        }
+        if (session.sha256 && session.sha256 !== stored.sha256) {
+            throw new UploadSessionError('Assembled file does not match the declared SHA-256 checksum.', 422,
+                { code: 'CHECKSUM_MISMATCH', expected: session.sha256, actual: stored.sha256 });
+        }
+
+        const file = {
+            originalname: session.file_name,
+            size: stored.size,
+            mimetype: null,
+            storageKey: stored.storageKey,
+            sha256: stored.sha256,
+            head: await readFirstBytes(partPath(uploadId, 1), SNIFF_BYTES)
+        };
+
+        const { rejected } = await screenUploads([file], {
+            category: session.category,
+            projectNo: session.projectNo,
+            userId,
+            resumable: true
+        });
+        if (rejected.length > 0) {
+            storageKey = null; // screenUploads already removed it
+            await setStatus(uploadId, 'rejected');
+            await fsp.rm(sessionDir(uploadId), { recursive: true, force: true });
+            throw new UploadSessionError(rejected[0].error, 400, { rejected, closed: true });
+        }
+
+        const project = await findUploadProject(session.projectNo);
+        if (!project) {
+            throw new UploadSessionError(`Project No. ${session.projectNo} not found.`, 404);
+        }
+
+        const { fileIds, tasksCreatedCount, lastTaskId } = await ingestProjectFiles({
+            project,
+            category: session.category,
+            files: [file],
+            userId
+        });
+        storageKey = null; // owned by the project file now (or released by the ingest)
+        if (fileIds.length === 0) {
+            throw new UploadSessionError('The file could not be saved. Try completing the upload again.', 500);
+        }
+
+        await setStatus(uploadId, 'completed', fileIds[0]);
+        await fsp.rm(sessionDir(uploadId), { recursive: true, force: true });
+
+        return {
+            session: describeSession({ ...session, status: 'completed', project_file_id: fileIds[0] }, []),
+            fileId: fileIds[0],
+            tasksCreated: tasksCreatedCount,
+            taskId: lastTaskId
+        };
+    } catch (err) {
+        if (storageKey) await releaseStorageKeys([storageKey]);
+        // Back to open unless the session was closed above
+        await db.query("UPDATE upload_sessions SET status = 'open' WHERE id = ? AND status = 'completing'", [uploadId]);
+        throw err;
+    }
+}
+
+/**
+ * Cancels an open session and deletes its parts.
+ */
+async function abortUploadSession({ uploadId, userId }) {
+    const session = await loadSession(uploadId, userId);
+    if (session.status !== 'open') {
+        throw new UploadSessionError(`Upload session is ${session.status}.`, 409, { status: session.status });
+    }
+    await setStatus(uploadId, 'aborted');
+    await fsp.rm(sessionDir(uploadId), { recursive: true, force: true });
+}
+
+/**
+ * Expires sessions without activity for longer than the TTL and deletes their parts.
+ * @returns {Promise<number>} Number of sessions expired.
+ */
+async function purgeExpiredUploadSessions() {
+    const [sessions] = await db.query(
+        "SELECT id FROM upload_sessions WHERE status IN ('open', 'completing') AND expires_at < NOW()"
+    );
+    for (const { id } of sessions) {
+        await fsp.rm(sessionDir(id), { recursive: true, force: true });
+        await setStatus(id, 'expired');
+    }
+    return sessions.length;
+}
+
+module.exports = {
+    UploadSessionError,
+    getSessionTtlHours,
+    createUploadSession,
+    getUploadSession,
+    writePart,
+    completeUploadSession,
+    abortUploadSession,
+    purgeExpiredUploadSessions
+};
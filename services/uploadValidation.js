@@ -0,0 +1,249 @@
+// services/uploadValidation.js
+// Applies the upload policy (config/uploadPolicy.js) to files multer has received:
+// file names are sanitised, sizes and counts checked, the extension must be an
+// allowed type for the category and the content must match it (magic numbers,
+// the client's mimetype is ignored), and every file goes through the scanner
+// (services/fileScanner.js). Suspicious files are moved to quarantine.
+//
+// Works with files from the file store engine (file.storageKey) and from
+// multer disk storage (file.path). Rejected files are removed.
+
+const fsp = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const db = require('../db/connection');
+const { FILE_TYPES, getUploadPolicy } = require('../config/uploadPolicy');
+const { getTaskCategory } = require('../config/taskCategories');
+const { getFileStore } = require('./fileStore');
+const { getFileScanner } = require('./fileScanner');
+const { releaseStorageKeys } = require('./storedFiles');
+const { logActivity } = require('./activityLogger');
+
+const SNIFF_BYTES = 4100;
+const MAX_FILE_NAME_LENGTH = 200;
+const WINDOWS_RESERVED_NAMES = /^(con|prn|aux|nul|com\d|lpt\d)(\..*)?$/i;
+
+/**
+ * Multer decodes multipart file names as latin1; turn UTF-8 names back into text.
+ */
+function repairLatin1(name) {
+    if (!/[\u0080-\u00ff]/.test(name) || /[^\u0000-\u00ff]/.test(name)) return name;
+    const decoded = Buffer.from(name, 'latin1').toString('utf8');
+    return decoded.includes('\uFFFD') ? name : decoded;
+}
+
+/**
+ * Makes an uploaded file name safe to store and to offer as a download name:
+ * no directories, control or reserved characters, reserved device names or
+ * leading/trailing dots, at most 200 characters (keeping the extension).
+ * @param {string} name
+ * @returns {string}
+ */
+function sanitiseFileName(name) {
+    let clean = repairLatin1(String(name || '')).normalize('NFC');
+    clean = clean.split(/[\\/]/).pop()
+        .replace(/[\u0000-\u001f\u007f<>:"|?*]/g, '_')
+        .replace(/\s+/g, ' ')
+        .replace(/^[.\s]+|[.\s]+$/g, '');
+
+    if (!clean) clean = 'file';
+    if (WINDOWS_RESERVED_NAMES.test(clean)) clean = `_${clean}`;
+
+    if (clean.length > MAX_FILE_NAME_LENGTH) {
+        const extension = path.extname(clean);
+        const keep = extension.length <= 16 ? extension : '';
+        clean = clean.slice(0, MAX_FILE_NAME_LENGTH - keep.length) + keep;
+    }
+    return clean;
+}
+
+const startsWith = (head, bytes) => head.length >= bytes.length && head.subarray(0, bytes.length).equals(Buffer.from(bytes));
+
+// Content checks for FILE_TYPES[...].signature
+const SIGNATURE_CHECKS = {
+    // PDF readers accept the header anywhere in the first KB
+    pdf: head => head.subarray(0, 1024).includes('%PDF-'),
+    png: head => startsWith(head, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    jpeg: head => startsWith(head, [0xff, 0xd8, 0xff]),
+    gif: head => ['GIF87a', 'GIF89a'].includes(head.subarray(0, 6).toString('latin1')),
+    webp: head => head.subarray(0, 4).toString('latin1') === 'RIFF' && head.subarray(8, 12).toString('latin1') === 'WEBP',
+    zip: head => startsWith(head, [0x50, 0x4b, 0x03, 0x04]) || startsWith(head, [0x50, 0x4b, 0x05, 0x06]),
+    ole: head => startsWith(head, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]),
+    dwg: head => /^AC\d{4}/.test(head.subarray(0, 6).toString('latin1')),
+    isobmff: head => head.subarray(4, 8).toString('latin1') === 'ftyp',
+    text: (head) => {
+        if (startsWith(head, [0xff, 0xfe]) || startsWith(head, [0xfe, 0xff])) return true; // UTF-16 BOM
+        if (head.includes(0)) return false;
+        // Mostly printable: allow tabs, newlines, form feeds and the DOS EOF marker
+        const control = head.filter(byte => byte < 0x20 && ![0x09, 0x0a, 0x0c, 0x0d, 0x1a].includes(byte)).length;
+        return control <= head.length * 0.01;
+    }
+};
+
+/**
+ * The FILE_TYPES id for a file name's extension, or null if unknown.
+ * @param {string} fileName
+ * @returns {string|null}
+ */
+function fileTypeForName(fileName) {
+    const extension = path.extname(fileName).toLowerCase();
+    const entry = Object.entries(FILE_TYPES).find(([, type]) => type.extensions.includes(extension));
+    return entry ? entry[0] : null;
+}
+
+async function readHead(file) {
+    if (file.head) return file.head;
+    if (!file.path) return Buffer.alloc(0);
+
+    const handle = await fsp.open(file.path, 'r');
+    try {
+        const buffer = Buffer.alloc(SNIFF_BYTES);
+        const { bytesRead } = await handle.read(buffer, 0, SNIFF_BYTES, 0);
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        await handle.close();
+    }
+}
+
+const contentPath = (file) => (file.storageKey ? getFileStore().objectPath(file.storageKey) : file.path);
+
+const formatMb = (bytes) => `${Math.round((bytes / (1024 * 1024)) * 10) / 10} MB`;
+
+/**
+ * Removes the content of rejected files (store objects nobody else references, or temp files on disk).
+ */
+async function discardFiles(files) {
+    await releaseStorageKeys(files.map(file => file.storageKey));
+    await Promise.all(files.filter(file => file.path).map(file => fsp.rm(file.path, { force: true })));
+}
+
+/**
+ * Copies a suspicious file into <store root>/quarantine and records it.
+ * The copy has no extension so it cannot be opened by accident.
+ */
+async function quarantineFile(file, { category, projectNo, userId, scanner, reason }) {
+    const quarantineDir = path.join(getFileStore().root, 'quarantine');
+    await fsp.mkdir(quarantineDir, { recursive: true });
+    const quarantinePath = path.join(quarantineDir, `${Date.now()}-${file.sha256 || crypto.randomUUID()}.bin`);
+    await fsp.copyFile(contentPath(file), quarantinePath);
+
+    const [result] = await db.query(
+        `INSERT INTO quarantined_files
+         (projectNo, category, file_name, file_size, mime_type, sha256, scanner, reason, quarantine_path, uploaded_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [projectNo || null, category || null, file.originalname, file.size, file.mimetype, file.sha256 || null,
+            scanner, reason, quarantinePath, userId || null]
+    );
+    await logActivity(userId, 'QUARANTINE', 'QUARANTINED_FILE', result.insertId,
+        `Upload '${file.originalname}' for project ${projectNo || 'N/A'} quarantined: ${reason}.`,
+        { projectNo, category, scanner, reason, sha256: file.sha256 || null });
+
+    console.warn(`☣️ Quarantined upload '${file.originalname}' (${reason})`);
+}
+
+/**
+ * Checks uploaded files against the category's policy and the scanner.
+ * Accepted files get a sanitised originalname and the canonical mimetype of
+ * their detected type; rejected files are removed (or quarantined).
+ * @param {object[]} files - Multer files.
+ * @param {object} context
+ * @param {string|null} [context.category]
+ * @param {string|null} [context.projectNo]
+ * @param {number|null} [context.userId]
+ * @param {boolean} [context.resumable=false] - File arrived through a chunked upload
+ *        session: the resumable size limit applies instead of the per-file/per-request ones.
+ * @returns {Promise<{accepted: object[], rejected: Array<{fileName: string, code: string, error: string}>}>}
+ */
+async function screenUploads(files, { category = null, projectNo = null, userId = null, resumable = false } = {}) {
+    const policy = getUploadPolicy(category);
+    const maxFileSize = resumable ? policy.maxResumableFileSize : policy.maxFileSize;
+    const maxRequestSize = resumable ? policy.maxResumableFileSize : policy.maxRequestSize;
+    const categoryLabel = (getTaskCategory(category) || {}).label || category || 'uncategorised';
+    const allowedExtensions = policy.allowedTypes.flatMap(type => FILE_TYPES[type].extensions);
+    const scanner = getFileScanner();
+
+    const accepted = [];
+    const rejected = [];
+    const discarded = [];
+    let requestTotal = 0;
+
+    const reject = (file, code, error) => {
+        rejected.push({ fileName: file.originalname, code, error });
+        discarded.push(file);
+    };
+
+    for (const file of files) {
+        file.originalname = sanitiseFileName(file.originalname);
+        requestTotal += file.size || 0;
+
+        if (!file.size) {
+            reject(file, 'EMPTY_FILE', 'File is empty.');
+            continue;
+        }
+        if (accepted.length >= policy.maxFiles) {
+            reject(file, 'TOO_MANY_FILES', `Only ${policy.maxFiles} files can be uploaded at once.`);
+            continue;
+        }
+        if (file.size > maxFileSize) {
+            reject(file, 'FILE_TOO_LARGE',
+                `File is ${formatMb(file.size)}; the limit for ${categoryLabel} uploads is ${formatMb(maxFileSize)}.`);
+            continue;
+        }
+        // Truncated files that passed the size check were cut off by the request ceiling
+        if (requestTotal > maxRequestSize || file.truncated) {
+            reject(file, 'REQUEST_TOO_LARGE', `Upload exceeds the ${formatMb(maxRequestSize)} total allowed per request.`);
+            continue;
+        }
+
+        const type = fileTypeForName(file.originalname);
+        if (!type || !policy.allowedTypes.includes(type)) {
+            const extension = path.extname(file.originalname).toLowerCase();
+            reject(file, 'TYPE_NOT_ALLOWED',
+                `${extension ? `'${extension}' files are` : 'Files without an extension are'} not accepted for ${categoryLabel} uploads. ` +
+                `Allowed: ${allowedExtensions.join(', ')}.`);
+            continue;
+        }
+
+        const { signature, mimeType } = FILE_TYPES[type];
+        if (!SIGNATURE_CHECKS[signature](await readHead(file))) {
+            reject(file, 'CONTENT_MISMATCH', `File content does not match its '${path.extname(file.originalname).toLowerCase()}' extension.`);
+            continue;
+        }
+        file.mimetype = mimeType;
+
+        let result;
+        try {
+            result = await scanner.scan({ filePath: contentPath(file), fileName: file.originalname, size: file.size, mimeType });
+        } catch (err) {
+            console.error(`❌ Scanner '${scanner.name}' failed on '${file.originalname}':`, err.message);
+            reject(file, 'SCAN_FAILED', 'File could not be checked by the virus scanner and was not accepted.');
+            continue;
+        }
+
+        if (result.verdict !== 'clean') {
+            const reason = result.reason || 'flagged by scanner';
+            try {
+                await quarantineFile(file, { category, projectNo, userId, scanner: scanner.name, reason });
+            } catch (err) {
+                console.error(`❌ Could not quarantine '${file.originalname}':`, err.message);
+            }
+            reject(file, 'QUARANTINED', `File was quarantined by the virus scanner: ${reason}.`);
+            continue;
+        }
+
+        accepted.push(file);
+    }
+
+    // Identical content may have been both rejected and accepted in one request
+    const keptKeys = new Set(accepted.map(file => file.storageKey));
+    await discardFiles(discarded.filter(file => !file.storageKey || !keptKeys.has(file.storageKey)));
+    return { accepted, rejected };
+}
+
+module.exports = {
+    SNIFF_BYTES,
+    sanitiseFileName,
+    fileTypeForName,
+    screenUploads,
+    discardFiles
+};